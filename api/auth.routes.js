@@ -4,7 +4,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateJWT } = require('../middleware/jwt');
+const { authenticateToken } = require('../middleware/auth');
 
 // Importeer auth controller
 const {
@@ -13,15 +13,21 @@ const {
     validateToken,
     refreshToken,
     getUserProfile,
-    updateUserProfile
+    updateUserProfile,
+    getSessions,
+    revokeSession
 } = require('../controllers/auth.controller');
 
 // Auth routes
 router.post('/register', register);
 router.post('/login', login);
-router.post('/validate', validateToken);
+router.post('/validate', authenticateToken, validateToken);
 router.post('/refresh', refreshToken);
-router.get('/me', authenticateJWT, getUserProfile);
-router.put('/me', authenticateJWT, updateUserProfile);
+router.get('/me', authenticateToken, getUserProfile);
+router.put('/me', authenticateToken, updateUserProfile);
+
+// Sessie beheer (uitloggen op andere apparaten)
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions/:id', authenticateToken, revokeSession);
 
 module.exports = router;
\ No newline at end of file
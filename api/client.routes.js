@@ -4,6 +4,9 @@
 
 const express = require('express');
 const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { issueJoinTicket } = require('../utils/join-tickets');
+const serverRegistry = require('../managers/ServerRegistry');
 
 /**
  * Client Master Server Connection Endpoint
@@ -11,7 +14,7 @@ const router = express.Router();
  * @route   POST /api/v1/client/connectmaster
  * @access  Public
  */
-router.post('/connectmaster', (req, res) => {
+router.post('/connectmaster', async (req, res) => {
     try {
         const { clientId, version, platform } = req.body;
         
@@ -33,7 +36,7 @@ router.post('/connectmaster', (req, res) => {
         }
         
         // Return master server info and available game servers
-        const gameServers = global.gameServerManager ? global.gameServerManager.getLocalServers() : [];
+        const gameServers = await serverRegistry.list();
         
         res.json({
             success: true,
@@ -47,11 +50,11 @@ router.post('/connectmaster', (req, res) => {
                     timestamp: new Date().toISOString()
                 },
                 availableServers: gameServers.map(server => ({
-                    id: server.uuid || server.id,
+                    id: server.serverId,
                     name: server.name,
                     ip: process.env.GAME_SERVER_HOST || 'panel.lvlagency.nl',
                     port: server.port,
-                    playerCount: server.playerCount || 0,
+                    playerCount: server.currentPlayers || 0,
                     maxPlayers: server.maxPlayers || 50,
                     status: server.status,
                     gameMode: 'survival',
@@ -76,9 +79,9 @@ router.post('/connectmaster', (req, res) => {
  * Client Game Server Join Endpoint  
  * Unity clients gebruiken dit om deel te nemen aan een game server
  * @route   POST /api/v1/client/joinserver
- * @access  Public
+ * @access  Private (join ticket is gekoppeld aan de ingelogde speler)
  */
-router.post('/joinserver', (req, res) => {
+router.post('/joinserver', authenticateToken, async (req, res) => {
     try {
         const { clientId, serverId, playerInfo } = req.body;
         
@@ -93,10 +96,10 @@ router.post('/joinserver', (req, res) => {
             });
         }
         
-        // Zoek de gevraagde server
-        const gameServers = global.gameServerManager ? global.gameServerManager.getLocalServers() : [];
+        // Zoek de gevraagde server; alleen servers die spelers aannemen (niet draining of offline)
+        const gameServers = await serverRegistry.getActive();
         const targetServer = gameServers.find(server => 
-            server.uuid === serverId || server.id === serverId
+            server.serverId === serverId || server.pterodactylUuid === serverId
         );
         
         if (!targetServer) {
@@ -108,7 +111,7 @@ router.post('/joinserver', (req, res) => {
         }
         
         // Check server capacity
-        if (targetServer.playerCount >= targetServer.maxPlayers) {
+        if (targetServer.currentPlayers >= targetServer.maxPlayers) {
             return res.status(409).json({
                 success: false,
                 message: 'Game server is full',
@@ -116,21 +119,25 @@ router.post('/joinserver', (req, res) => {
             });
         }
         
+        // Ticket dat de game server bij connect valideert (single-use)
+        const { ticket, expiresAt } = await issueJoinTicket(req.user.playerId, targetServer.serverId);
+        
         // Return connection details
         res.json({
             success: true,
             message: 'Server join approved',
             data: {
                 server: {
-                    id: targetServer.uuid || targetServer.id,
+                    id: targetServer.serverId,
                     name: targetServer.name,
                     ip: process.env.GAME_SERVER_HOST || 'panel.lvlagency.nl',
                     port: targetServer.port,
-                    currentPlayers: targetServer.playerCount || 0,
+                    currentPlayers: targetServer.currentPlayers || 0,
                     maxPlayers: targetServer.maxPlayers || 50,
                     status: targetServer.status
                 },
-                connectionToken: `token_${clientId}_${Date.now()}`, // Simple token generation
+                connectionToken: ticket,
+                connectionTokenExpiresAt: expiresAt,
                 joinInstructions: {
                     protocol: 'UDP',
                     timeout: 30,
@@ -5,9 +5,20 @@
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const {
+    EDITABLE_FIELDS,
+    maskSecrets,
+    getEditableType,
+    getValueAtPath,
+    recordConfigAudit,
+    getConfigAudit
+} = require('../utils/config-security');
+
+// Alle routes vereisen authenticateToken (zie server.js); secrets worden altijd gemaskeerd
 
 // GET /api/v1/config/all - Alle configuraties
-router.get('/all', (req, res) => {
+router.get('/all', requirePermission('config.read'), (req, res) => {
     try {
         if (!global.configManager) {
             return res.status(503).json({
@@ -20,7 +31,7 @@ router.get('/all', (req, res) => {
         
         res.json({
             success: true,
-            configs: allConfigs,
+            configs: maskSecrets(allConfigs),
             type: 'modular',
             timestamp: new Date().toISOString()
         });
@@ -34,7 +45,7 @@ router.get('/all', (req, res) => {
 });
 
 // GET /api/v1/config/status - Status van configuratie systeem
-router.get('/status', (req, res) => {
+router.get('/status', requirePermission('config.read'), (req, res) => {
     try {
         const currentServerConfig = global.getCurrentServerConfig ? global.getCurrentServerConfig() : null;
         const allConfigs = global.configManager ? global.configManager.getAllConfigs() : null;
@@ -53,19 +64,76 @@ router.get('/status', (req, res) => {
                 httpsPort: currentServerConfig?.httpsPort,
                 enableHTTPS: currentServerConfig?.enableHTTPS
             },
-            configs: allConfigs,
+            configs: maskSecrets(allConfigs),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// GET /api/v1/config/editable - Velden die via de API gewijzigd mogen worden
+router.get('/editable', requirePermission('config.read'), (req, res) => {
+    res.json({
+        success: true,
+        fields: EDITABLE_FIELDS,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// GET /api/v1/config/audit - Laatste config wijzigingen via de API
+router.get('/audit', requirePermission('config.read'), async (req, res) => {
+    try {
+        const entries = await getConfigAudit({
+            limit: req.query.limit,
+            configType: req.query.type
+        });
+
+        res.json({
+            success: true,
+            entries,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
         res.status(500).json({
             success: false,
+            message: 'Failed to get config audit log',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/v1/config/reload - Alle configuraties herladen
+router.post('/reload', requirePermission('config.write'), (req, res) => {
+    try {
+        if (!global.configManager) {
+            return res.status(503).json({
+                success: false,
+                message: 'ConfigManager not available'
+            });
+        }
+        
+        global.configManager.reloadAllConfigs();
+        
+        res.json({
+            success: true,
+            message: 'All configurations reloaded from files',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reload configurations',
             error: error.message
         });
     }
 });
 
 // GET /api/v1/config/:type - Specifieke configuratie ophalen
-router.get('/:type', (req, res) => {
+router.get('/:type', requirePermission('config.read'), (req, res) => {
     try {
         const configType = req.params.type;
         
@@ -88,7 +156,7 @@ router.get('/:type', (req, res) => {
         res.json({
             success: true,
             type: configType,
-            config: config,
+            config: maskSecrets(config),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -101,7 +169,7 @@ router.get('/:type', (req, res) => {
 });
 
 // POST /api/v1/config/:type - Configuratie updaten
-router.post('/:type', (req, res) => {
+router.post('/:type', requirePermission('config.write'), async (req, res) => {
     try {
         const configType = req.params.type;
         const { key, value } = req.body;
@@ -124,14 +192,43 @@ router.post('/:type', (req, res) => {
             });
         }
         
-        // Convert string values to appropriate types
+        const expectedType = getEditableType(configType, key);
+        if (!expectedType) {
+            return res.status(403).json({
+                success: false,
+                message: `${configType}.${key} cannot be edited through the API`,
+                editable: EDITABLE_FIELDS
+            });
+        }
+        
+        // Convert string values to the type of the field
         let parsedValue = value;
-        if (value === 'true') parsedValue = true;
-        else if (value === 'false') parsedValue = false;
-        else if (!isNaN(value) && !isNaN(parseFloat(value))) parsedValue = parseFloat(value);
+        if (expectedType === 'boolean') {
+            if (value === 'true') parsedValue = true;
+            else if (value === 'false') parsedValue = false;
+        } else if (expectedType === 'number') {
+            if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) parsedValue = parseFloat(value);
+        }
+        
+        if (typeof parsedValue !== expectedType || (expectedType === 'number' && !Number.isFinite(parsedValue))) {
+            return res.status(400).json({
+                success: false,
+                message: `${configType}.${key} must be a ${expectedType}`
+            });
+        }
         
+        const oldValue = getValueAtPath(global.configManager.getAllConfigs()[configType], key);
         const success = global.configManager.updateConfig(configType, key, parsedValue);
         if (success) {
+            await recordConfigAudit({
+                user: req.user,
+                configType,
+                key,
+                oldValue,
+                newValue: parsedValue,
+                ipAddress: req.ip
+            });
+            
             const updatedConfig = global.configManager.getConfig(configType);
             res.json({
                 success: true,
@@ -139,9 +236,10 @@ router.post('/:type', (req, res) => {
                 change: {
                     type: configType,
                     key: key,
+                    oldValue: oldValue,
                     value: parsedValue
                 },
-                config: updatedConfig,
+                config: maskSecrets(updatedConfig),
                 timestamp: new Date().toISOString()
             });
         } else {
@@ -159,30 +257,4 @@ router.post('/:type', (req, res) => {
     }
 });
 
-// POST /api/v1/config/reload - Alle configuraties herladen
-router.post('/reload', (req, res) => {
-    try {
-        if (!global.configManager) {
-            return res.status(503).json({
-                success: false,
-                message: 'ConfigManager not available'
-            });
-        }
-        
-        global.configManager.reloadAllConfigs();
-        
-        res.json({
-            success: true,
-            message: 'All configurations reloaded from files',
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Failed to reload configurations',
-            error: error.message
-        });
-    }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,17 @@ const router = express.Router();
 
 // Middleware
 const { authenticateToken: authMiddleware } = require('../middleware/auth');
+const { requirePlayerAccess } = require('../middleware/ownership');
+
+const itemRegistry = require('../managers/ItemRegistry');
+
+/**
+ * Cosmetica staan in de item catalogus onder category 'cosmetics'; het slot staat in stats.slot
+ */
+function getCosmetic(cosmeticId) {
+    const item = itemRegistry.get(cosmeticId);
+    return item && item.category === 'cosmetics' ? item : null;
+}
 
 /**
  * @route   GET /api/v1/cosmetics
@@ -15,13 +26,13 @@ const { authenticateToken: authMiddleware } = require('../middleware/auth');
  */
 router.get('/', (req, res) => {
     try {
-        // Simuleer cosmetica lijst (implementeer echte database queries in productie)
-        const cosmetics = [
-            { id: 'skin_001', name: 'Default Skin', type: 'character', price: 0 },
-            { id: 'skin_002', name: 'Miner Outfit', type: 'character', price: 100 },
-            { id: 'hat_001', name: 'Cowboy Hat', type: 'hat', price: 50 },
-            { id: 'tool_001', name: 'Golden Pickaxe', type: 'tool_skin', price: 200 }
-        ];
+        const cosmetics = itemRegistry.list({ category: 'cosmetics' }).map(item => ({
+            id: item.id,
+            name: item.name,
+            type: item.stats.slot,
+            rarity: item.rarity,
+            price: item.shopPrice
+        }));
         
         res.json({
             status: 'success',
@@ -39,9 +50,9 @@ router.get('/', (req, res) => {
 /**
  * @route   GET /api/v1/cosmetics/player/:playerId
  * @desc    Haal cosmetica van een specifieke speler op
- * @access  Private
+ * @access  Private (eigen speler of player.manage)
  */
-router.get('/player/:playerId', authMiddleware, (req, res) => {
+router.get('/player/:playerId', authMiddleware, requirePlayerAccess(), (req, res) => {
     try {
         // Simuleer speler cosmetica (implementeer echte database query in productie)
         const playerCosmetics = {
@@ -70,9 +81,9 @@ router.get('/player/:playerId', authMiddleware, (req, res) => {
 /**
  * @route   POST /api/v1/cosmetics/purchase
  * @desc    Koop een cosmetisch item
- * @access  Private
+ * @access  Private (eigen speler of player.manage)
  */
-router.post('/purchase', authMiddleware, (req, res) => {
+router.post('/purchase', authMiddleware, requirePlayerAccess({ body: 'playerId' }), (req, res) => {
     try {
         const { playerId, cosmeticId } = req.body;
         
@@ -83,6 +94,13 @@ router.post('/purchase', authMiddleware, (req, res) => {
             });
         }
         
+        if (!getCosmetic(cosmeticId)) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Onbekend cosmetisch item: ${cosmeticId}`
+            });
+        }
+        
         // Implementeer echte aankoop logica in productie
         res.json({
             status: 'success',
@@ -105,9 +123,9 @@ router.post('/purchase', authMiddleware, (req, res) => {
 /**
  * @route   POST /api/v1/cosmetics/equip
  * @desc    Uitrusten van een cosmetisch item
- * @access  Private
+ * @access  Private (eigen speler of player.manage)
  */
-router.post('/equip', authMiddleware, (req, res) => {
+router.post('/equip', authMiddleware, requirePlayerAccess({ body: 'playerId' }), (req, res) => {
     try {
         const { playerId, cosmeticId, slot } = req.body;
         
@@ -118,6 +136,21 @@ router.post('/equip', authMiddleware, (req, res) => {
             });
         }
         
+        const cosmetic = getCosmetic(cosmeticId);
+        if (!cosmetic) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Onbekend cosmetisch item: ${cosmeticId}`
+            });
+        }
+        
+        if (cosmetic.stats.slot && cosmetic.stats.slot !== slot) {
+            return res.status(400).json({
+                status: 'error',
+                message: `${cosmetic.name} hoort in slot ${cosmetic.stats.slot}`
+            });
+        }
+        
         // Implementeer echte equip logica in productie
         res.json({
             status: 'success',
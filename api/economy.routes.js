@@ -4,15 +4,16 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const economyController = require('../controllers/economy.controller');
 
 // Economie routes
 router.get('/balance', authenticateToken, economyController.getBalance);
-router.post('/transfer', authenticateToken, economyController.transferSkaff);
-router.post('/reward', authenticateToken, isAdmin, economyController.rewardSkaff);
-router.post('/penalty', authenticateToken, isAdmin, economyController.penaltySkaff);
+router.post('/transfer', authenticateToken, idempotency, economyController.transferSkaff);
+router.post('/reward', authenticateToken, requirePermission('economy.reward'), economyController.rewardSkaff);
+router.post('/penalty', authenticateToken, requirePermission('economy.penalty'), economyController.penaltySkaff);
 router.get('/transactions', authenticateToken, economyController.getTransactions);
-router.get('/transactions/global', authenticateToken, isAdmin, economyController.getGlobalTransactions);
+router.get('/transactions/global', authenticateToken, requirePermission('economy.view_all'), economyController.getGlobalTransactions);
 
 module.exports = router;
\ No newline at end of file
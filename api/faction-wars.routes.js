@@ -7,22 +7,23 @@ const router = express.Router();
 
 // Middleware
 const { authenticateToken: authMiddleware } = require('../middleware/auth');
+const { requirePlayerAccess } = require('../middleware/ownership');
 
 // Controllers  
 const factionWarsController = require('../controllers/faction-wars.controller');
 
 // Basic faction management routes
 router.get('/factions', factionWarsController.getFactions);
-router.post('/factions', authMiddleware, factionWarsController.createFaction);
-router.post('/join', authMiddleware, factionWarsController.joinFaction);
-router.post('/leave', authMiddleware, factionWarsController.leaveFaction);
+router.post('/factions', authMiddleware, requirePlayerAccess({ body: 'playerId' }), factionWarsController.createFaction);
+router.post('/join', authMiddleware, requirePlayerAccess({ body: 'playerId' }), factionWarsController.joinFaction);
+router.post('/leave', authMiddleware, requirePlayerAccess({ body: 'playerId' }), factionWarsController.leaveFaction);
 
 // War routes
-router.post('/declare', authMiddleware, factionWarsController.declareWar);
-router.post('/kill', authMiddleware, factionWarsController.registerKill);
+router.post('/declare', authMiddleware, requirePlayerAccess({ body: 'playerId' }), factionWarsController.declareWar);
+router.post('/kill', authMiddleware, requirePlayerAccess({ body: 'killerPlayerId' }), factionWarsController.registerKill);
 
 // Territory routes
-router.post('/claim-territory', authMiddleware, factionWarsController.claimTerritory);
+router.post('/claim-territory', authMiddleware, requirePlayerAccess({ body: 'playerId' }), factionWarsController.claimTerritory);
 router.get('/territories', factionWarsController.getTerritoryMap);
 
 module.exports = router;
\ No newline at end of file
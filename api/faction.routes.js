@@ -4,7 +4,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const factionController = require('../controllers/faction.controller');
 
 // Factie routes
@@ -15,8 +15,8 @@ router.get('/relations', authenticateToken, factionController.getFactionRelation
 router.get('/members/:factionId', authenticateToken, factionController.getFactionMembers);
 
 // Admin only routes
-router.post('/', authenticateToken, factionController.createFaction);
-router.put('/:id', authenticateToken, factionController.updateFaction);
-router.post('/relations', authenticateToken, factionController.updateFactionRelations);
+router.post('/', authenticateToken, requirePermission('faction.manage'), factionController.createFaction);
+router.put('/:id', authenticateToken, requirePermission('faction.manage'), factionController.updateFaction);
+router.post('/relations', authenticateToken, requirePermission('faction.manage'), factionController.updateFactionRelations);
 
 module.exports = router;
\ No newline at end of file
@@ -6,6 +6,11 @@
 const express = require('express');
 const router = express.Router();
 const GameServerManager = require('../managers/GameServerManager');
+const { requirePermission } = require('../middleware/auth');
+const { issueJoinTicket } = require('../utils/join-tickets');
+const { hasPermission } = require('../utils/permissions');
+
+const MAX_PARTY_SIZE = parseInt(process.env.MAX_PARTY_SIZE) || 5;
 
 // Initialize game server manager
 const gameServerManager = new GameServerManager();
@@ -22,14 +27,14 @@ router.get('/', async (req, res) => {
         
         try {
             const internalServers = require('./internal/servers.routes');
-            const activeServers = internalServers.getActiveServers();
+            const activeServers = await internalServers.getActiveServers();
             
             if (activeServers && activeServers.length > 0) {
                 servers = activeServers.map(server => ({
                     id: server.serverId,
-                    name: `SkaffaCity Server ${server.serverId}`,
+                    name: server.name || `SkaffaCity Server ${server.serverId}`,
                     address: 'localhost', // Would be actual server IP
-                    port: server.serverPort,
+                    port: server.port,
                     playerCount: server.currentPlayers,
                     maxPlayers: server.maxPlayers,
                     mapName: server.mapName,
@@ -44,7 +49,7 @@ router.get('/', async (req, res) => {
         
         // Fallback to GameServerManager if no internal servers
         if (servers.length === 0) {
-            servers = gameServerManager.getAllServers();
+            servers = await gameServerManager.getAllServers();
         }
         
         res.json({
@@ -67,58 +72,125 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * Voeg join ticket toe aan een queue status zodra de speler geplaatst is
+ */
+async function withJoinTicket(playerId, queueStatus) {
+    if (!queueStatus || queueStatus.status !== 'assigned') {
+        return queueStatus;
+    }
+
+    // Ticket dat de game server bij connect valideert (single-use)
+    const { ticket, expiresAt } = await issueJoinTicket(playerId, queueStatus.serverId);
+    return {
+        ...queueStatus,
+        playerId,
+        joinTicket: ticket,
+        joinTicketExpiresAt: expiresAt
+    };
+}
+
+/**
+ * @route   POST /api/v1/gameservers/party/invite
+ * @desc    Nodig een speler uit voor je party (body: playerId)
+ * @access  Private
+ */
+router.post('/party/invite', async (req, res) => {
+    try {
+        const { playerId } = req.body;
+
+        if (typeof playerId !== 'string' || !playerId) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'playerId is verplicht'
+            });
+        }
+
+        const invite = await gameServerManager.inviteToParty(req.user.playerId, playerId);
+
+        res.json({
+            status: 'success',
+            message: 'Party uitnodiging verstuurd',
+            data: invite
+        });
+    } catch (error) {
+        console.error('[GameServerAPI] Error inviting to party:', error.message);
+        res.status(400).json({
+            status: 'error',
+            message: error.message || 'Fout bij uitnodigen voor party'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/gameservers/party/invites
+ * @desc    Openstaande party uitnodigingen voor de ingelogde speler
+ * @access  Private
+ */
+router.get('/party/invites', (req, res) => {
+    res.json({
+        status: 'success',
+        data: gameServerManager.getPartyInvites(req.user.playerId)
+    });
+});
+
+/**
+ * @route   POST /api/v1/gameservers/party/accept
+ * @desc    Accepteer een party uitnodiging (body: leaderId)
+ * @access  Private
+ */
+router.post('/party/accept', (req, res) => {
+    try {
+        const invite = gameServerManager.acceptPartyInvite(req.user.playerId, req.body.leaderId);
+
+        res.json({
+            status: 'success',
+            message: 'Party uitnodiging geaccepteerd',
+            data: invite
+        });
+    } catch (error) {
+        res.status(400).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
 /**
  * @route   POST /api/v1/gameservers/join
- * @desc    Voeg speler toe aan game server queue
+ * @desc    Voeg speler (en party) toe aan de matchmaking queue; party leden moeten je uitnodiging geaccepteerd hebben
  * @access  Private
  */
 router.post('/join', async (req, res) => {
     try {
-        const playerId = req.user.id; // Van JWT middleware
-        const { preferredServerId } = req.body;
+        const playerId = req.user.playerId; // Van JWT middleware
+        const { preferredServerId, region, gameMode, partyMemberIds = [] } = req.body;
 
-        // Find available server from internal registry
-        let selectedServer = null;
-        
-        try {
-            const internalServers = require('./internal/servers.routes');
-            
-            if (preferredServerId) {
-                // Try to find preferred server
-                const allServers = internalServers.getAllServers();
-                selectedServer = allServers.find(s => s.serverId === preferredServerId && 
-                    s.status === 'online' && s.currentPlayers < s.maxPlayers);
-            }
-            
-            // If no preferred server or preferred not available, find any available server
-            if (!selectedServer) {
-                selectedServer = internalServers.findAvailableServer();
-            }
-        } catch (error) {
-            console.warn('[GameServerAPI] Internal server registry not available, using GameServerManager');
+        if (!Array.isArray(partyMemberIds) || partyMemberIds.some(id => typeof id !== 'string')) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'partyMemberIds moet een lijst met speler IDs zijn'
+            });
         }
-        
-        // Fallback to GameServerManager if no internal servers
-        if (!selectedServer) {
-            const queueResult = await gameServerManager.joinServerQueue(playerId, preferredServerId);
-            return res.json({
-                status: 'success',
-                message: 'Successfully joined server queue',
-                data: queueResult
+        if (partyMemberIds.length + 1 > MAX_PARTY_SIZE) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Een party mag maximaal ${MAX_PARTY_SIZE} spelers bevatten`
             });
         }
-        
-        // Return selected server info for UDP connection
+
+        const priority = await hasPermission(req.user.role, 'matchmaking.priority') ? 1 : 0;
+        const queueStatus = await gameServerManager.joinServerQueue(playerId, preferredServerId, {
+            region,
+            gameMode,
+            partyMemberIds: partyMemberIds.filter(id => id !== playerId),
+            priority
+        });
+
         res.json({
             status: 'success',
-            message: 'Server assigned successfully',
-            data: {
-                serverId: selectedServer.serverId,
-                serverAddress: 'localhost', // Would be actual server IP
-                serverPort: selectedServer.serverPort,
-                playerId: playerId,
-                queuePosition: 0 // Direct assignment
-            }
+            message: queueStatus.status === 'assigned' ? 'Server assigned successfully' : 'Successfully joined server queue',
+            data: await withJoinTicket(playerId, queueStatus)
         });
         
     } catch (error) {
@@ -130,6 +202,65 @@ router.post('/join', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/v1/gameservers/join
+ * @desc    Queue positie en ETA, of de toegewezen server met join ticket
+ * @access  Private
+ */
+router.get('/join', async (req, res) => {
+    try {
+        const playerId = req.user.playerId;
+        const queueStatus = gameServerManager.getQueueStatus(playerId);
+
+        if (!queueStatus) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Speler staat niet in de wachtrij'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: await withJoinTicket(playerId, queueStatus)
+        });
+    } catch (error) {
+        console.error('[GameServerAPI] Error getting queue status:', error.message);
+        res.status(500).json({
+            status: 'error',
+            message: 'Fout bij ophalen queue status'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/gameservers/join
+ * @desc    Annuleer plek in de matchmaking queue
+ * @access  Private
+ */
+router.delete('/join', async (req, res) => {
+    try {
+        const removed = gameServerManager.leaveQueue(req.user.playerId);
+
+        if (!removed) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Speler staat niet in de wachtrij'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Removed from server queue'
+        });
+    } catch (error) {
+        console.error('[GameServerAPI] Error leaving queue:', error.message);
+        res.status(500).json({
+            status: 'error',
+            message: 'Fout bij verlaten wachtrij'
+        });
+    }
+});
+
 /**
  * @route   POST /api/v1/gameservers/leave
  * @desc    Verlaat huidige game server
@@ -137,10 +268,10 @@ router.post('/join', async (req, res) => {
  */
 router.post('/leave', async (req, res) => {
     try {
-        const playerId = req.user.id;
+        const playerId = req.user.playerId;
         
         // Remove from queue if present
-        gameServerManager.playerQueue.delete(playerId);
+        gameServerManager.leaveQueue(playerId);
         
         // Hier zou je ook de UDP game server notificeren
         // dat de speler de server heeft verlaten
@@ -166,7 +297,7 @@ router.post('/leave', async (req, res) => {
 router.get('/status/:serverId', async (req, res) => {
     try {
         const { serverId } = req.params;
-        const servers = gameServerManager.getAllServers();
+        const servers = await gameServerManager.getAllServers();
         const server = servers.find(s => s.id === serverId);
         
         if (!server) {
@@ -194,16 +325,8 @@ router.get('/status/:serverId', async (req, res) => {
  * @desc    Maak nieuwe game server aan (Admin only)
  * @access  Admin
  */
-router.post('/create', async (req, res) => {
+router.post('/create', requirePermission('gameserver.manage'), async (req, res) => {
     try {
-        // Check admin permissions
-        if (!req.user.isAdmin) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Admin rechten vereist'
-            });
-        }
-
         const newServer = await gameServerManager.createGameServer();
         
         res.json({
@@ -222,25 +345,20 @@ router.post('/create', async (req, res) => {
 
 /**
  * @route   DELETE /api/v1/gameservers/:serverId
- * @desc    Verwijder game server (Admin only)
+ * @desc    Verwijder game server (Admin only); loopt eerst leeg, ?force=true sluit direct af
  * @access  Admin
  */
-router.delete('/:serverId', async (req, res) => {
+router.delete('/:serverId', requirePermission('gameserver.manage'), async (req, res) => {
     try {
-        // Check admin permissions
-        if (!req.user.isAdmin) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Admin rechten vereist'
-            });
-        }
-
         const { serverId } = req.params;
-        await gameServerManager.deleteServer(serverId);
+        const result = await gameServerManager.deleteServer(serverId, { force: req.query.force === 'true' });
         
         res.json({
             status: 'success',
-            message: 'Game server succesvol verwijderd'
+            message: result.deleted
+                ? 'Game server succesvol verwijderd'
+                : 'Game server wordt leeggemaakt en daarna verwijderd',
+            data: result
         });
     } catch (error) {
         console.error('[GameServerAPI] Error deleting server:', error.message);
@@ -251,21 +369,45 @@ router.delete('/:serverId', async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/v1/gameservers/:serverId/drain
+ * @desc    Laat game server leeglopen: geen nieuwe spelers, afsluiten zodra leeg of na timeoutMinutes (Admin only)
+ * @access  Admin
+ */
+router.post('/:serverId/drain', requirePermission('gameserver.manage'), async (req, res) => {
+    try {
+        const { serverId } = req.params;
+        const timeoutMinutes = parseFloat(req.body?.timeoutMinutes);
+        const server = await gameServerManager.drainServer(serverId, {
+            reason: 'manual',
+            timeoutMs: timeoutMinutes > 0 ? timeoutMinutes * 60 * 1000 : null
+        });
+        
+        res.json({
+            status: 'success',
+            message: 'Game server wordt leeggemaakt',
+            data: {
+                serverId,
+                currentPlayers: server.currentPlayers,
+                drainDeadline: server.drain ? server.drain.deadline : null
+            }
+        });
+    } catch (error) {
+        console.error('[GameServerAPI] Error draining server:', error.message);
+        res.status(500).json({
+            status: 'error',
+            message: error.message || 'Fout bij leegmaken game server'
+        });
+    }
+});
+
 /**
  * @route   POST /api/v1/gameservers/:serverId/start
  * @desc    Start game server (Admin only)
  * @access  Admin
  */
-router.post('/:serverId/start', async (req, res) => {
+router.post('/:serverId/start', requirePermission('gameserver.manage'), async (req, res) => {
     try {
-        // Check admin permissions
-        if (!req.user.isAdmin) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Admin rechten vereist'
-            });
-        }
-
         const { serverId } = req.params;
         await gameServerManager.startServer(serverId);
         
@@ -287,16 +429,8 @@ router.post('/:serverId/start', async (req, res) => {
  * @desc    Stop game server (Admin only)
  * @access  Admin
  */
-router.post('/:serverId/stop', async (req, res) => {
+router.post('/:serverId/stop', requirePermission('gameserver.manage'), async (req, res) => {
     try {
-        // Check admin permissions
-        if (!req.user.isAdmin) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Admin rechten vereist'
-            });
-        }
-
         const { serverId } = req.params;
         await gameServerManager.stopServer(serverId);
         
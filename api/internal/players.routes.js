@@ -0,0 +1,139 @@
+/**
+ * Internal Player API Routes
+ * Server-authoritative speler state: alleen game servers mogen health, doden, pickups en de inventaris wijzigen
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateServer } = require('../../middleware/server-auth');
+const { requirePlayerAccess } = require('../../middleware/ownership');
+const playerStateManager = require('../../managers/PlayerStateManager');
+
+// Alle internal endpoints vereisen een HMAC ondertekend request van de game server
+router.use(authenticateServer);
+
+/**
+ * Stuur een fout uit de PlayerStateManager terug (AppError heeft een statusCode, de rest is een serverfout)
+ */
+function sendError(res, error, action) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`[INTERNAL] Player ${action} error:`, error.message);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+    });
+}
+
+/**
+ * @route   POST /api/v1/internal/players/positions
+ * @desc    Posities van alle spelers van een server in één request (gebufferd, periodiek weggeschreven)
+ * @access  Internal (signed)
+ */
+router.post('/positions', async (req, res) => {
+    try {
+        const result = await playerStateManager.updatePositions(req.body.positions, req.gameServer.serverId);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        sendError(res, error, 'positions');
+    }
+});
+
+/**
+ * @route   POST /api/v1/internal/players/:playerId/health
+ * @desc    Zet health en/of maxHealth van een speler
+ * @access  Internal (signed)
+ */
+router.post('/:playerId/health', requirePlayerAccess(), async (req, res) => {
+    try {
+        const { health, maxHealth } = req.body;
+
+        if (health === undefined && maxHealth === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'health of maxHealth is verplicht'
+            });
+        }
+
+        const result = await playerStateManager.setHealth(req.targetPlayer.id, { health, maxHealth });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'health');
+    }
+});
+
+/**
+ * @route   POST /api/v1/internal/players/:playerId/death
+ * @desc    Registreer de dood van een speler (optioneel met killer)
+ * @access  Internal (signed)
+ */
+router.post('/:playerId/death', requirePlayerAccess(), async (req, res) => {
+    try {
+        const { killerPlayerId, cause, position } = req.body;
+
+        const result = await playerStateManager.recordDeath(req.gameServer.serverId, req.targetPlayer.id, {
+            killerPlayerId,
+            cause,
+            position
+        });
+
+        console.log(`[INTERNAL] 💀 Player ${req.targetPlayer.username} died (${result.cause}) on ${req.gameServer.serverId}`);
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'death');
+    }
+});
+
+/**
+ * @route   POST /api/v1/internal/players/:playerId/pickup
+ * @desc    Items die een speler opraapt; wat niet past komt terug als overflow
+ * @access  Internal (signed)
+ */
+router.post('/:playerId/pickup', requirePlayerAccess(), async (req, res) => {
+    try {
+        const results = await playerStateManager.pickupItems(req.targetPlayer.id, req.body.items);
+
+        res.json({
+            success: true,
+            data: results
+        });
+    } catch (error) {
+        sendError(res, error, 'pickup');
+    }
+});
+
+/**
+ * @route   PUT /api/v1/internal/players/:playerId/inventory
+ * @desc    Synchroniseer de volledige inventaris; alleen afwijkende slots worden gewijzigd
+ * @access  Internal (signed)
+ */
+router.put('/:playerId/inventory', requirePlayerAccess(), async (req, res) => {
+    try {
+        const result = await playerStateManager.syncInventory(req.targetPlayer.id, req.body.items);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'inventory');
+    }
+});
+
+module.exports = router;
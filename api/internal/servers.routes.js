@@ -5,14 +5,18 @@
 
 const express = require('express');
 const router = express.Router();
+const { authenticateServer } = require('../../middleware/server-auth');
+const serverRegistry = require('../../managers/ServerRegistry');
+const matchmakingQueue = require('../../managers/MatchmakingQueue');
+const { redeemJoinTicket } = require('../../utils/join-tickets');
 
-// In-memory server registry (in productie zou je een database gebruiken)
-const registeredServers = new Map(); // serverId -> serverInfo
+// Alle internal endpoints vereisen een HMAC ondertekend request van de game server
+router.use(authenticateServer);
 
 /**
  * @route   POST /api/v1/internal/servers/register
  * @desc    Register nieuwe game server
- * @access  Internal
+ * @access  Internal (signed)
  */
 router.post('/register', async (req, res) => {
     try {
@@ -37,10 +41,12 @@ router.post('/register', async (req, res) => {
             });
         }
 
-        // Server info
-        const serverInfo = {
+        // Registreer server
+        await serverRegistry.register({
             serverId,
-            serverPort,
+            origin: 'internal',
+            ip: req.ip,
+            port: serverPort,
             maxPlayers: maxPlayers || 50,
             currentPlayers: currentPlayers || 0,
             mapName: mapName || 'SkaffaCity_Default',
@@ -49,16 +55,8 @@ router.post('/register', async (req, res) => {
             version: version || '1.0.0',
             serverType: serverType || 'dedicated',
             region: region || 'default',
-            registeredAt: new Date(),
-            lastHeartbeat: new Date(),
-            uptime: 0,
-            cpuUsage: 0,
-            memoryUsage: 0,
-            tickRate: 20
-        };
-
-        // Registreer server
-        registeredServers.set(serverId, serverInfo);
+            metrics: { uptime: 0, cpuUsage: 0, memoryUsage: 0, tickRate: 20 }
+        });
 
         console.log(`[INTERNAL] 🖥️ Game server registered: ${serverId} (${serverPort})`);
 
@@ -80,7 +78,7 @@ router.post('/register', async (req, res) => {
 /**
  * @route   POST /api/v1/internal/servers/heartbeat
  * @desc    Heartbeat van game server
- * @access  Internal
+ * @access  Internal (signed)
  */
 router.post('/heartbeat', async (req, res) => {
     try {
@@ -101,29 +99,26 @@ router.post('/heartbeat', async (req, res) => {
             });
         }
 
-        // Check if server is registered
-        if (!registeredServers.has(serverId)) {
+        // Alleen meegestuurde metrics overschrijven
+        const metrics = {};
+        if (uptime !== undefined) metrics.uptime = uptime;
+        if (cpuUsage !== undefined) metrics.cpuUsage = cpuUsage;
+        if (memoryUsage !== undefined) metrics.memoryUsage = memoryUsage;
+        if (tickRate !== undefined) metrics.tickRate = tickRate;
+
+        const server = await serverRegistry.heartbeat(serverId, { currentPlayers, status, metrics });
+        if (!server) {
             return res.status(404).json({
                 success: false,
                 message: 'Server not found - please register first'
             });
         }
 
-        // Update server info
-        const serverInfo = registeredServers.get(serverId);
-        serverInfo.currentPlayers = currentPlayers || serverInfo.currentPlayers;
-        serverInfo.status = status || serverInfo.status;
-        serverInfo.uptime = uptime || serverInfo.uptime;
-        serverInfo.cpuUsage = cpuUsage || serverInfo.cpuUsage;
-        serverInfo.memoryUsage = memoryUsage || serverInfo.memoryUsage;
-        serverInfo.tickRate = tickRate || serverInfo.tickRate;
-        serverInfo.lastHeartbeat = new Date();
-
-        registeredServers.set(serverId, serverInfo);
-
+        // Een gedrainde server moet geen nieuwe spelers meer toelaten
         res.json({
             success: true,
-            message: 'Heartbeat received'
+            message: 'Heartbeat received',
+            ...(await serverRegistry.getAdmissionState(server))
         });
 
     } catch (error) {
@@ -138,7 +133,7 @@ router.post('/heartbeat', async (req, res) => {
 /**
  * @route   POST /api/v1/internal/servers/status
  * @desc    Update server status
- * @access  Internal
+ * @access  Internal (signed)
  */
 router.post('/status', async (req, res) => {
     try {
@@ -151,20 +146,15 @@ router.post('/status', async (req, res) => {
             });
         }
 
-        if (!registeredServers.has(serverId)) {
+        // Update status
+        const server = await serverRegistry.updateStatus(serverId, status, { touchHeartbeat: true, reason: 'status_endpoint' });
+        if (!server) {
             return res.status(404).json({
                 success: false,
                 message: 'Server not found'
             });
         }
 
-        // Update status
-        const serverInfo = registeredServers.get(serverId);
-        serverInfo.status = status;
-        serverInfo.lastHeartbeat = new Date();
-        
-        registeredServers.set(serverId, serverInfo);
-
         console.log(`[INTERNAL] 🔄 Server ${serverId} status updated: ${status}`);
 
         res.json({
@@ -184,7 +174,7 @@ router.post('/status', async (req, res) => {
 /**
  * @route   POST /api/v1/internal/servers/player-event
  * @desc    Player join/leave notificatie
- * @access  Internal
+ * @access  Internal (signed)
  */
 router.post('/player-event', async (req, res) => {
     try {
@@ -197,19 +187,23 @@ router.post('/player-event', async (req, res) => {
             });
         }
 
-        if (!registeredServers.has(serverId)) {
+        const serverInfo = await serverRegistry.get(serverId);
+        if (!serverInfo) {
             return res.status(404).json({
                 success: false,
                 message: 'Server not found'
             });
         }
 
-        const serverInfo = registeredServers.get(serverId);
-
         if (action === 'join') {
             console.log(`[INTERNAL] 👤 Player ${playerName} (${playerId}) joined server ${serverId}`);
+            await serverRegistry.adjustPlayerCount(serverId, 1);
+            matchmakingQueue.confirmJoin(playerId, serverId);
         } else if (action === 'leave') {
             console.log(`[INTERNAL] 👋 Player ${playerName} (${playerId}) left server ${serverId}`);
+            await serverRegistry.adjustPlayerCount(serverId, -1);
+            // Vrijgekomen plek direct aan de wachtrij geven
+            await matchmakingQueue.processQueue();
         }
 
         res.json({
@@ -226,10 +220,56 @@ router.post('/player-event', async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/v1/internal/servers/validate-ticket
+ * @desc    Valideer (en verbruik) het join ticket van een connectende speler
+ * @access  Internal (signed)
+ */
+router.post('/validate-ticket', async (req, res) => {
+    try {
+        const { ticket, playerId } = req.body;
+
+        if (!ticket) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ticket is verplicht'
+            });
+        }
+
+        const result = await redeemJoinTicket(ticket, req.gameServer.serverId);
+        if (result.valid && playerId && playerId !== result.playerId) {
+            result.valid = false;
+            result.reason = 'Ticket hoort bij een andere speler';
+        }
+
+        if (!result.valid) {
+            console.warn(`[INTERNAL] 🎫 Join ticket geweigerd op ${req.gameServer.serverId}: ${result.reason}`);
+            return res.status(403).json({
+                success: false,
+                valid: false,
+                message: result.reason
+            });
+        }
+
+        res.json({
+            success: true,
+            valid: true,
+            playerId: result.playerId
+        });
+
+    } catch (error) {
+        console.error('[INTERNAL] Validate ticket error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
 /**
  * @route   POST /api/v1/internal/servers/unregister
  * @desc    Unregister game server
- * @access  Internal
+ * @access  Internal (signed)
  */
 router.post('/unregister', async (req, res) => {
     try {
@@ -242,8 +282,7 @@ router.post('/unregister', async (req, res) => {
             });
         }
 
-        if (registeredServers.has(serverId)) {
-            registeredServers.delete(serverId);
+        if (await serverRegistry.unregister(serverId, status || 'unregister_endpoint')) {
             console.log(`[INTERNAL] 🗑️ Game server unregistered: ${serverId}`);
         }
 
@@ -264,33 +303,18 @@ router.post('/unregister', async (req, res) => {
 /**
  * @route   GET /api/v1/internal/servers/list
  * @desc    Lijst van geregistreerde servers (voor debugging)
- * @access  Internal
+ * @access  Internal (signed)
  */
 router.get('/list', async (req, res) => {
     try {
-        const servers = Array.from(registeredServers.values());
-        
-        // Cleanup oude servers (geen heartbeat in laatste 2 minuten)
-        const now = new Date();
-        const staleServers = [];
-        
-        for (const [serverId, serverInfo] of registeredServers.entries()) {
-            const timeSinceHeartbeat = now - serverInfo.lastHeartbeat;
-            if (timeSinceHeartbeat > 120000) { // 2 minuten
-                staleServers.push(serverId);
-            }
-        }
-        
-        // Verwijder oude servers
-        staleServers.forEach(serverId => {
-            registeredServers.delete(serverId);
-            console.log(`[INTERNAL] 🧹 Removed stale server: ${serverId}`);
-        });
+        // Stale servers (zie ServerRegistry heartbeat beleid) eerst offline zetten
+        await serverRegistry.sweepStale();
+        const servers = await serverRegistry.list();
 
         res.json({
             success: true,
-            servers: Array.from(registeredServers.values()),
-            totalServers: registeredServers.size
+            servers: servers,
+            totalServers: servers.length
         });
 
     } catch (error) {
@@ -305,21 +329,20 @@ router.get('/list', async (req, res) => {
 /**
  * @route   GET /api/v1/internal/servers/:serverId
  * @desc    Specifieke server info
- * @access  Internal
+ * @access  Internal (signed)
  */
 router.get('/:serverId', async (req, res) => {
     try {
         const { serverId } = req.params;
 
-        if (!registeredServers.has(serverId)) {
+        const serverInfo = await serverRegistry.get(serverId);
+        if (!serverInfo) {
             return res.status(404).json({
                 success: false,
                 message: 'Server not found'
             });
         }
 
-        const serverInfo = registeredServers.get(serverId);
-
         res.json({
             success: true,
             server: serverInfo
@@ -338,32 +361,24 @@ router.get('/:serverId', async (req, res) => {
  * Utility functie om alle geregistreerde servers te krijgen
  */
 function getAllServers() {
-    return Array.from(registeredServers.values());
+    return serverRegistry.list();
 }
 
 /**
  * Utility functie om actieve servers te krijgen
  */
 function getActiveServers() {
-    const now = new Date();
-    return Array.from(registeredServers.values()).filter(server => {
-        const timeSinceHeartbeat = now - server.lastHeartbeat;
-        return timeSinceHeartbeat < 60000 && server.status === 'online'; // 1 minuut
-    });
+    return serverRegistry.getActive();
 }
 
 /**
  * Utility functie om server te vinden met ruimte
  */
-function findAvailableServer() {
-    const activeServers = getActiveServers();
-    return activeServers.find(server => 
-        server.currentPlayers < server.maxPlayers && 
-        server.status === 'online'
-    );
+function findAvailableServer(preferredServerId = null) {
+    return serverRegistry.findAvailable(preferredServerId);
 }
 
-// Export utility functions voor gebruik in andere routes
+// Export utility functions voor gebruik in andere routes (async, lezen uit de ServerRegistry)
 module.exports = router;
 module.exports.getAllServers = getAllServers;
 module.exports.getActiveServers = getActiveServers;
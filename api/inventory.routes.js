@@ -1,6 +1,6 @@
 /**
  * Inventory routes voor SkaffaCity Backend
- * Beheert de inventaris van spelers
+ * Beheert de inventaris van spelers (alleen de eigen spelers, tenzij player.manage)
  */
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
@@ -8,29 +8,24 @@ const router = express.Router();
 
 // Database verbinding
 const db = require('../utils/db');
-const { Player } = require('../utils/database');
+const itemRegistry = require('../managers/ItemRegistry');
+const inventoryManager = require('../managers/InventoryManager');
+const inventory = require('../utils/inventory');
 
 // Middleware
 const { authenticateToken: authMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { requirePlayerAccess, requirePlayerManage, canManagePlayer, MANAGE_PERMISSION } = require('../middleware/ownership');
 
 /**
  * @route   GET /api/v1/inventory/:playerId
  * @desc    Haal inventaris op van een speler
- * @access  Private
+ * @access  Private (eigen speler of player.manage)
  */
-router.get('/:playerId', authMiddleware, async (req, res) => {
+router.get('/:playerId', authMiddleware, requirePlayerAccess(), async (req, res) => {
     try {
         const playerId = req.params.playerId;
         
-        // Controleer of speler bestaat
-        const player = await Player.findById(playerId);
-        if (!player) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'Speler niet gevonden'
-            });
-        }
-        
         // Haal inventaris op
         const [inventoryData] = await db.query(
             'SELECT * FROM inventory WHERE player_id = ?',
@@ -72,8 +67,11 @@ router.get('/:playerId', authMiddleware, async (req, res) => {
                 items: items.map(item => ({
                     id: item.id,
                     itemId: item.item_id,
+                    name: itemRegistry.get(item.item_id)?.name || item.item_id,
                     quantity: item.quantity,
-                    slot: item.slot
+                    stackSize: itemRegistry.get(item.item_id)?.stackSize || 1,
+                    slot: item.slot,
+                    metadata: inventory.parseMetadata(item.metadata)
                 })),
                 usedSlots: items.length
             }
@@ -88,12 +86,31 @@ router.get('/:playerId', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * Stuur een fout uit de InventoryManager terug (AppError heeft een statusCode, de rest is een serverfout)
+ */
+function sendError(res, error, action, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+
+    console.error(`Inventory ${action} error:`, error);
+    res.status(500).json({
+        status: 'error',
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+}
+
 /**
  * @route   POST /api/v1/inventory/:playerId/add
- * @desc    Voeg een item toe aan inventaris
- * @access  Private
+ * @desc    Voeg een item toe aan inventaris (stacks tot de stackSize, de rest naar vrije slots)
+ * @access  Private (player.manage; de eigenaar mag zelf geen items aanmaken)
  */
-router.post('/:playerId/add', authMiddleware, async (req, res) => {
+router.post('/:playerId/add', authMiddleware, requirePlayerAccess(), requirePlayerManage, idempotency, async (req, res) => {
     try {
         const playerId = req.params.playerId;
         const { itemId, quantity, slot } = req.body;
@@ -105,128 +122,29 @@ router.post('/:playerId/add', authMiddleware, async (req, res) => {
             });
         }
         
-        // Controleer of speler bestaat
-        const player = await Player.findById(playerId);
-        if (!player) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'Speler niet gevonden'
-            });
-        }
-        
-        // Haal inventaris op
-        const [inventoryData] = await db.query(
-            'SELECT * FROM inventory WHERE player_id = ?',
-            [playerId]
-        );
-        
-        let inventoryId;
-        
-        if (!inventoryData) {
-            // Maak nieuwe inventaris als deze niet bestaat
-            inventoryId = uuidv4();
-            await db.query(
-                'INSERT INTO inventory (id, player_id, max_slots) VALUES (?, ?, ?)',
-                [inventoryId, playerId, 20]
-            );
-        } else {
-            inventoryId = inventoryData.id;
-        }
-        
-        // Controleer of er nog ruimte is
-        const [slotCount] = await db.query(
-            'SELECT COUNT(*) as count FROM inventory_items WHERE inventory_id = ?',
-            [inventoryId]
-        );
-        
-        const maxSlots = inventoryData ? inventoryData.max_slots : 20;
-        
-        if (slotCount.count >= maxSlots && !slot) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Inventaris is vol'
-            });
-        }
-        
-        // Controleer of het item al bestaat in een slot
-        if (slot) {
-            const [existingItem] = await db.query(
-                'SELECT * FROM inventory_items WHERE inventory_id = ? AND slot = ?',
-                [inventoryId, slot]
-            );
-            
-            if (existingItem) {
-                if (existingItem.item_id === itemId) {
-                    // Update bestaand item in dit slot
-                    await db.query(
-                        'UPDATE inventory_items SET quantity = quantity + ? WHERE id = ?',
-                        [quantity, existingItem.id]
-                    );
-                    
-                    return res.json({
-                        status: 'success',
-                        message: `${quantity}x item ${itemId} toegevoegd aan inventaris van speler ${playerId}`,
-                        slot: slot
-                    });
-                } else {
-                    return res.status(400).json({
-                        status: 'error',
-                        message: 'Slot is al bezet door een ander item'
-                    });
-                }
-            }
-        }
-        
-        // Vind een beschikbare slot als er geen is opgegeven
-        let targetSlot = slot;
-        if (!targetSlot) {
-            const usedSlots = await db.query(
-                'SELECT slot FROM inventory_items WHERE inventory_id = ?',
-                [inventoryId]
-            );
-            
-            const usedSlotSet = new Set(usedSlots.map(item => item.slot));
-            for (let i = 0; i < maxSlots; i++) {
-                if (!usedSlotSet.has(i)) {
-                    targetSlot = i;
-                    break;
-                }
-            }
-        }
-        
-        // Voeg item toe aan inventaris
-        const itemUuid = uuidv4();
-        await db.query(
-            'INSERT INTO inventory_items (id, inventory_id, item_id, quantity, slot) VALUES (?, ?, ?, ?, ?)',
-            [itemUuid, inventoryId, itemId, quantity, targetSlot]
-        );
+        const result = await inventoryManager.add(playerId, { itemId, quantity, slot });
         
         res.json({
             status: 'success',
-            message: `${quantity}x item ${itemId} toegevoegd aan inventaris van speler ${playerId}`,
+            message: `${result.quantity}x item ${itemId} toegevoegd aan inventaris van speler ${playerId}`,
             data: {
-                id: itemUuid,
-                itemId: itemId,
-                quantity: quantity,
-                slot: targetSlot
+                itemId,
+                quantity: result.quantity,
+                slot: result.slots[0].slot,
+                slots: result.slots
             }
         });
     } catch (error) {
-        console.error('Inventory ADD error:', error);
-        res.status(500).json({
-            status: 'error',
-            message: 'Item toevoegen mislukt',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        sendError(res, error, 'ADD', 'Item toevoegen mislukt');
     }
 });
 
 /**
  * @route   POST /api/v1/inventory/:playerId/remove
- * @desc    Verwijder een item uit inventaris
- * @access  Private
+ * @desc    Verwijder items uit inventaris (uit één slot, of met alleen itemId verspreid over alle stacks)
+ * @access  Private (eigen speler of player.manage)
  */
-router.post('/:playerId/remove', authMiddleware, async (req, res) => {
+router.post('/:playerId/remove', authMiddleware, requirePlayerAccess(), idempotency, async (req, res) => {
     try {
         const playerId = req.params.playerId;
         const { itemId, quantity, slot } = req.body;
@@ -238,96 +156,82 @@ router.post('/:playerId/remove', authMiddleware, async (req, res) => {
             });
         }
         
-        // Controleer of speler bestaat
-        const player = await Player.findById(playerId);
-        if (!player) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'Speler niet gevonden'
-            });
-        }
+        const result = await inventoryManager.remove(playerId, { itemId, quantity, slot });
         
-        // Haal inventaris op
-        const [inventoryData] = await db.query(
-            'SELECT * FROM inventory WHERE player_id = ?',
-            [playerId]
-        );
+        res.json({
+            status: 'success',
+            message: `${result.quantity}x item ${result.itemId} verwijderd uit inventaris van speler ${playerId}`,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'REMOVE', 'Item verwijderen mislukt');
+    }
+});
+
+/**
+ * @route   POST /api/v1/inventory/:playerId/move
+ * @desc    Verplaats een item in de inventaris (lege slot, bijvullen op hetzelfde item, of omwisselen)
+ * @access  Private (eigen speler of player.manage)
+ */
+router.post('/:playerId/move', authMiddleware, requirePlayerAccess(), idempotency, async (req, res) => {
+    try {
+        const playerId = req.params.playerId;
+        const { fromSlot, toSlot, quantity } = req.body;
         
-        if (!inventoryData) {
-            return res.status(404).json({
+        if (fromSlot === undefined || toSlot === undefined) {
+            return res.status(400).json({
                 status: 'error',
-                message: 'Inventaris niet gevonden'
+                message: 'fromSlot en toSlot zijn verplicht'
             });
         }
         
-        // Zoek het item
-        let query = 'SELECT * FROM inventory_items WHERE inventory_id = ?';
-        const params = [inventoryData.id];
+        const result = await inventoryManager.move(playerId, { fromSlot, toSlot, quantity });
         
-        if (itemId) {
-            query += ' AND item_id = ?';
-            params.push(itemId);
-        }
-        
-        if (slot !== undefined) {
-            query += ' AND slot = ?';
-            params.push(slot);
-        }
-        
-        const [item] = await db.query(query, params);
+        res.json({
+            status: 'success',
+            message: `Item verplaatst van slot ${fromSlot} naar slot ${toSlot}`,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'MOVE', 'Item verplaatsen mislukt');
+    }
+});
+
+/**
+ * @route   POST /api/v1/inventory/:playerId/split
+ * @desc    Splits een deel van een stack af naar een lege slot (zonder toSlot de eerste vrije slot)
+ * @access  Private (eigen speler of player.manage)
+ */
+router.post('/:playerId/split', authMiddleware, requirePlayerAccess(), idempotency, async (req, res) => {
+    try {
+        const playerId = req.params.playerId;
+        const { fromSlot, toSlot, quantity } = req.body;
         
-        if (!item) {
-            return res.status(404).json({
+        if (fromSlot === undefined || !quantity) {
+            return res.status(400).json({
                 status: 'error',
-                message: 'Item niet gevonden in inventaris'
+                message: 'fromSlot en quantity zijn verplicht'
             });
         }
         
-        // Verwijder het item of verminder de hoeveelheid
-        if (item.quantity <= quantity) {
-            // Verwijder het item volledig
-            await db.query(
-                'DELETE FROM inventory_items WHERE id = ?',
-                [item.id]
-            );
-            
-            res.json({
-                status: 'success',
-                message: `${item.quantity}x item ${item.item_id} verwijderd uit inventaris van speler ${playerId}`,
-                removed: true,
-                slot: item.slot
-            });
-        } else {
-            // Verminder de hoeveelheid
-            await db.query(
-                'UPDATE inventory_items SET quantity = quantity - ? WHERE id = ?',
-                [quantity, item.id]
-            );
-            
-            res.json({
-                status: 'success',
-                message: `${quantity}x item ${item.item_id} verminderd in inventaris van speler ${playerId}`,
-                removed: false,
-                remaining: item.quantity - quantity,
-                slot: item.slot
-            });
-        }
-    } catch (error) {
-        console.error('Inventory REMOVE error:', error);
-        res.status(500).json({
-            status: 'error',
-            message: 'Item verwijderen mislukt',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        const result = await inventoryManager.split(playerId, { fromSlot, toSlot, quantity });
+        
+        res.json({
+            status: 'success',
+            message: `${result.quantity}x afgesplitst van slot ${result.fromSlot} naar slot ${result.toSlot}`,
+            data: result
         });
+    } catch (error) {
+        sendError(res, error, 'SPLIT', 'Stack splitsen mislukt');
     }
 });
 
 /**
- * @route   POST /api/v1/inventory/:playerId/move
- * @desc    Verplaats een item in de inventaris
- * @access  Private
+ * @route   POST /api/v1/inventory/:playerId/merge
+ * @desc    Voeg twee stacks van hetzelfde item samen (tot de stackSize, de rest blijft in fromSlot)
+ * @access  Private (eigen speler of player.manage)
  */
-router.post('/:playerId/move', authMiddleware, async (req, res) => {
+router.post('/:playerId/merge', authMiddleware, requirePlayerAccess(), idempotency, async (req, res) => {
     try {
         const playerId = req.params.playerId;
         const { fromSlot, toSlot } = req.body;
@@ -339,94 +243,47 @@ router.post('/:playerId/move', authMiddleware, async (req, res) => {
             });
         }
         
-        // Controleer of speler bestaat
-        const player = await Player.findById(playerId);
-        if (!player) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'Speler niet gevonden'
-            });
-        }
+        const result = await inventoryManager.merge(playerId, { fromSlot, toSlot });
         
-        // Haal inventaris op
-        const [inventoryData] = await db.query(
-            'SELECT * FROM inventory WHERE player_id = ?',
-            [playerId]
-        );
-        
-        if (!inventoryData) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'Inventaris niet gevonden'
-            });
-        }
-        
-        // Haal items op uit de slots
-        const [fromItem] = await db.query(
-            'SELECT * FROM inventory_items WHERE inventory_id = ? AND slot = ?',
-            [inventoryData.id, fromSlot]
-        );
+        res.json({
+            status: 'success',
+            message: `${result.moved}x samengevoegd van slot ${result.fromSlot} naar slot ${result.toSlot}`,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'MERGE', 'Stacks samenvoegen mislukt');
+    }
+});
+
+/**
+ * @route   POST /api/v1/inventory/:playerId/batch
+ * @desc    Voer meerdere add/remove/move/split/merge operaties atomair uit; faalt er één, dan wordt niets doorgevoerd
+ * @access  Private (eigen speler of player.manage; add operaties alleen met player.manage)
+ */
+router.post('/:playerId/batch', authMiddleware, requirePlayerAccess(), idempotency, async (req, res) => {
+    try {
+        const playerId = req.params.playerId;
+        const { operations } = req.body;
         
-        if (!fromItem) {
-            return res.status(404).json({
+        if (Array.isArray(operations) && operations.some(operation => operation && operation.type === 'add') &&
+            !(await canManagePlayer(req))) {
+            return res.status(403).json({
                 status: 'error',
-                message: 'Item niet gevonden in fromSlot'
+                message: 'Items toevoegen vereist player.manage',
+                requiredPermission: MANAGE_PERMISSION
             });
         }
         
-        const [toItem] = await db.query(
-            'SELECT * FROM inventory_items WHERE inventory_id = ? AND slot = ?',
-            [inventoryData.id, toSlot]
-        );
+        const result = await inventoryManager.batch(playerId, operations);
         
-        // Begin een transactie
-        const transaction = await db.beginTransaction();
-        
-        try {
-            if (!toItem) {
-                // Eenvoudige verplaatsing
-                await transaction.query(
-                    'UPDATE inventory_items SET slot = ? WHERE id = ?',
-                    [toSlot, fromItem.id]
-                );
-            } else {
-                // Items omwisselen
-                await transaction.query(
-                    'UPDATE inventory_items SET slot = ? WHERE id = ?',
-                    [toSlot, fromItem.id]
-                );
-                
-                await transaction.query(
-                    'UPDATE inventory_items SET slot = ? WHERE id = ?',
-                    [fromSlot, toItem.id]
-                );
-            }
-            
-            // Commit de transactie
-            await transaction.commit();
-            
-            res.json({
-                status: 'success',
-                message: `Item verplaatst van slot ${fromSlot} naar slot ${toSlot}`,
-                data: {
-                    fromSlot,
-                    toSlot,
-                    swapped: !!toItem
-                }
-            });
-        } catch (error) {
-            // Rollback bij fout
-            await transaction.rollback();
-            throw error;
-        }
-    } catch (error) {
-        console.error('Inventory MOVE error:', error);
-        res.status(500).json({
-            status: 'error',
-            message: 'Item verplaatsen mislukt',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        res.json({
+            status: 'success',
+            message: `${result.results.length} inventaris operaties uitgevoerd`,
+            data: result
         });
+    } catch (error) {
+        sendError(res, error, 'BATCH', 'Inventaris batch mislukt');
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
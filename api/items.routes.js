@@ -0,0 +1,56 @@
+/**
+ * Item routes voor SkaffaCity Backend
+ * Centrale item catalogus (definities, stack sizes, rarity, verhandelbaarheid)
+ */
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { authenticateToken: authMiddleware, requirePermission } = require('../middleware/auth');
+
+// Controllers
+const itemController = require('../controllers/item.controller');
+
+/**
+ * @route   GET /api/v1/items
+ * @desc    Haal alle item definities op (filter: category)
+ * @access  Public
+ */
+router.get('/', itemController.getItems);
+
+/**
+ * @route   GET /api/v1/items/:itemId
+ * @desc    Haal een item definitie op
+ * @access  Public
+ */
+router.get('/:itemId', itemController.getItem);
+
+/**
+ * @route   POST /api/v1/items/reload
+ * @desc    Lees de item catalogus opnieuw in uit de database
+ * @access  Private (items.manage)
+ */
+router.post('/reload', authMiddleware, requirePermission('items.manage'), itemController.reloadItems);
+
+/**
+ * @route   POST /api/v1/items
+ * @desc    Voeg een item definitie toe
+ * @access  Private (items.manage)
+ */
+router.post('/', authMiddleware, requirePermission('items.manage'), itemController.createItem);
+
+/**
+ * @route   PUT /api/v1/items/:itemId
+ * @desc    Wijzig een item definitie
+ * @access  Private (items.manage)
+ */
+router.put('/:itemId', authMiddleware, requirePermission('items.manage'), itemController.updateItem);
+
+/**
+ * @route   DELETE /api/v1/items/:itemId
+ * @desc    Verwijder een item definitie die nergens meer gebruikt wordt
+ * @access  Private (items.manage)
+ */
+router.delete('/:itemId', authMiddleware, requirePermission('items.manage'), itemController.deleteItem);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Market routes voor SkaffaCity Backend
+ * Spelers marktplaats: items verkopen met een buyout prijs of via een veiling
+ */
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { authenticateToken: authMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+
+// Controllers
+const marketController = require('../controllers/market.controller');
+
+/**
+ * @route   GET /api/v1/market/listings
+ * @desc    Zoek actieve listings (filters: itemId, category, type, minPrice, maxPrice, sellerPlayerId)
+ * @access  Private
+ */
+router.get('/listings', authMiddleware, marketController.searchListings);
+
+/**
+ * @route   GET /api/v1/market/listings/:listingId
+ * @desc    Haal een listing op
+ * @access  Private
+ */
+router.get('/listings/:listingId', authMiddleware, marketController.getListing);
+
+/**
+ * @route   POST /api/v1/market/listings
+ * @desc    Plaats een inventory item op de markt
+ * @access  Private
+ */
+router.post('/listings', authMiddleware, idempotency, marketController.createListing);
+
+/**
+ * @route   POST /api/v1/market/listings/:listingId/buy
+ * @desc    Koop een listing voor de buyout prijs
+ * @access  Private
+ */
+router.post('/listings/:listingId/buy', authMiddleware, idempotency, marketController.buyListing);
+
+/**
+ * @route   POST /api/v1/market/listings/:listingId/bid
+ * @desc    Bied op een veiling
+ * @access  Private
+ */
+router.post('/listings/:listingId/bid', authMiddleware, idempotency, marketController.placeBid);
+
+/**
+ * @route   DELETE /api/v1/market/listings/:listingId
+ * @desc    Annuleer een eigen listing zonder biedingen
+ * @access  Private (verkoper)
+ */
+router.delete('/listings/:listingId', authMiddleware, marketController.cancelListing);
+
+/**
+ * @route   GET /api/v1/market/prices/:itemId
+ * @desc    Prijsgeschiedenis van een item (laatste verkoop, mediaan, volume)
+ * @access  Private
+ */
+router.get('/prices/:itemId', authMiddleware, marketController.getPriceHistory);
+
+module.exports = router;
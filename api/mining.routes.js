@@ -6,15 +6,25 @@ const express = require('express');
 const router = express.Router();
 
 // Middleware
-const { authenticateToken: authMiddleware } = require('../middleware/auth');
+const { authenticateToken: authMiddleware, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { requirePlayerAccess } = require('../middleware/ownership');
 
 // Controllers
 const miningController = require('../controllers/mining.controller');
 
 // Mining routes
 router.get('/locations', miningController.getMiningLocations);
-router.post('/start', authMiddleware, miningController.startMining);
-router.post('/complete/:sessionId', authMiddleware, miningController.completeMining);
-router.get('/status/:playerId', authMiddleware, miningController.getMiningStatus);
+router.post('/start', authMiddleware, requirePlayerAccess({ body: 'playerId' }), miningController.startMining);
+router.post('/complete/:sessionId', authMiddleware, idempotency, miningController.completeMining);
+router.get('/status/:playerId', authMiddleware, requirePlayerAccess(), miningController.getMiningStatus);
+router.post('/boost', authMiddleware, requirePlayerAccess({ body: 'playerId' }), idempotency, miningController.useBoost);
+router.post('/repair', authMiddleware, requirePlayerAccess({ body: 'playerId' }), idempotency, miningController.repairTool);
+
+// Loot tables (admin)
+router.get('/loot', authMiddleware, requirePermission('loot.manage'), miningController.getLootTables);
+router.get('/loot/:locationId', authMiddleware, requirePermission('loot.manage'), miningController.getLootTable);
+router.put('/loot/:locationId', authMiddleware, requirePermission('loot.manage'), miningController.saveLootTable);
+router.post('/loot/:locationId/simulate', authMiddleware, requirePermission('loot.manage'), miningController.simulateLoot);
 
 module.exports = router;
\ No newline at end of file
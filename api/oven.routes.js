@@ -1,159 +1,205 @@
 /**
  * Oven routes voor SkaffaCity Backend
- * Beheert de ovens voor het smelten van mineralen
+ * Beheert de ovens voor het smelten van mineralen (zie OvenManager)
  */
 const express = require('express');
 const router = express.Router();
 
 // Middleware
 const { authenticateToken: authMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { requirePlayerAccess, canAccessPlayer } = require('../middleware/ownership');
+
+const ovenManager = require('../managers/OvenManager');
 
 /**
- * @route   GET /api/v1/oven/:ovenId
- * @desc    Haal status van een specifieke oven op
+ * Stuur een fout uit de OvenManager terug (AppError heeft een statusCode, de rest is een serverfout)
+ */
+function sendError(res, error, action, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+
+    console.error(`Oven ${action} error:`, error);
+    res.status(500).json({
+        status: 'error',
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+}
+
+/**
+ * @route   GET /api/v1/oven/recipes
+ * @desc    Alle smelt recepten (input, output, duur en brandstof per item)
  * @access  Private
  */
-router.get('/:ovenId', authMiddleware, (req, res) => {
+router.get('/recipes', authMiddleware, (req, res) => {
+    res.json({
+        status: 'success',
+        data: ovenManager.getRecipes()
+    });
+});
+
+/**
+ * @route   GET /api/v1/oven/player/:playerId
+ * @desc    Haal alle ovens van een speler op
+ * @access  Private (eigen speler of player.manage)
+ */
+router.get('/player/:playerId', authMiddleware, requirePlayerAccess(), async (req, res) => {
     try {
-        // Simuleer oven status (implementeer echte database query in productie)
-        const oven = { 
-            id: req.params.ovenId, 
-            owner: 'player123',
-            status: 'active', 
-            fuelLevel: 75, 
-            contents: {
-                inputSlot: { itemId: 'raw_iron', quantity: 10 },
-                outputSlot: { itemId: 'iron_ingot', quantity: 2 }
-            },
-            progress: 35, // percentage complete
-            timeRemaining: 120, // seconds
-            position: { x: -125.4, y: 12.8, z: 64.2 }
-        };
-        
+        const ovens = await ovenManager.getPlayerOvens(req.targetPlayer.id);
+
         res.json({
             status: 'success',
+            data: ovens
+        });
+    } catch (error) {
+        sendError(res, error, 'LIST', 'Ovens ophalen mislukt');
+    }
+});
+
+/**
+ * @route   POST /api/v1/oven
+ * @desc    Plaats een nieuwe oven
+ * @access  Private (eigen speler of player.manage)
+ */
+router.post('/', authMiddleware, requirePlayerAccess({ body: 'playerId' }), idempotency, async (req, res) => {
+    try {
+        const { name, position } = req.body;
+
+        const oven = await ovenManager.placeOven(req.targetPlayer, { name, position });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Oven geplaatst',
             data: oven
         });
     } catch (error) {
-        res.status(500).json({
-            status: 'error',
-            message: 'Oven status ophalen mislukt',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        sendError(res, error, 'PLACE', 'Oven plaatsen mislukt');
+    }
+});
+
+/**
+ * @route   GET /api/v1/oven/:ovenId
+ * @desc    Haal status van een specifieke oven op
+ * @access  Private (eigenaar of player.manage)
+ */
+router.get('/:ovenId', authMiddleware, async (req, res) => {
+    try {
+        const owner = await ovenManager.findOven(req.params.ovenId);
+        if (!owner) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Oven niet gevonden'
+            });
+        }
+        if (!(await canAccessPlayer(req, owner.owner_user_id))) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Deze oven behoort niet tot jouw account'
+            });
+        }
+
+        const oven = await ovenManager.getOven(req.params.ovenId);
+
+        res.json({
+            status: 'success',
+            data: oven
         });
+    } catch (error) {
+        sendError(res, error, 'STATUS', 'Oven status ophalen mislukt');
     }
 });
 
 /**
  * @route   POST /api/v1/oven/:ovenId/start
- * @desc    Start een oven smelting proces
- * @access  Private
+ * @desc    Laad erts uit de inventaris in de oven (optioneel met brandstof) en start het smelten
+ * @access  Private (eigen speler of player.manage)
  */
-router.post('/:ovenId/start', authMiddleware, (req, res) => {
+router.post('/:ovenId/start', authMiddleware, requirePlayerAccess({ body: 'playerId' }), idempotency, async (req, res) => {
     try {
-        const { playerId, itemId, quantity, fuelAmount } = req.body;
-        
-        if (!playerId || !itemId || !quantity || !fuelAmount) {
+        const { playerId, itemId, quantity, fuelItemId, fuelAmount } = req.body;
+
+        if (!itemId || !quantity) {
             return res.status(400).json({
                 status: 'error',
-                message: 'PlayerId, itemId, quantity, en fuelAmount zijn verplicht'
+                message: 'ItemId en quantity zijn verplicht'
             });
         }
-        
-        // Implementeer echte oven logica in productie
-        const smeltTime = 180; // seconden
-        
+
+        const oven = await ovenManager.start(req.params.ovenId, playerId, { itemId, quantity, fuelItemId, fuelAmount });
+
         res.json({
             status: 'success',
             message: 'Oven smelting gestart',
             data: {
-                ovenId: req.params.ovenId,
-                playerId,
-                startTime: new Date(),
-                expectedCompletionTime: new Date(Date.now() + (smeltTime * 1000)),
-                smeltTimeSeconds: smeltTime
+                ...oven,
+                expectedCompletionTime: new Date(Date.now() + oven.timeRemaining * 1000)
             }
         });
     } catch (error) {
-        res.status(500).json({
-            status: 'error',
-            message: 'Oven starten mislukt',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        sendError(res, error, 'START', 'Oven starten mislukt');
     }
 });
 
 /**
  * @route   POST /api/v1/oven/:ovenId/collect
- * @desc    Verzamel output van een oven
- * @access  Private
+ * @desc    Verzamel output van een oven naar de inventaris
+ * @access  Private (eigen speler of player.manage)
  */
-router.post('/:ovenId/collect', authMiddleware, (req, res) => {
+router.post('/:ovenId/collect', authMiddleware, requirePlayerAccess({ body: 'playerId' }), idempotency, async (req, res) => {
     try {
-        const { playerId } = req.body;
-        
-        if (!playerId) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'PlayerId is verplicht'
-            });
-        }
-        
-        // Implementeer echte collect logica in productie
+        const result = await ovenManager.collect(req.params.ovenId, req.body.playerId);
+
         res.json({
             status: 'success',
             message: 'Output verzameld uit oven',
             data: {
                 ovenId: req.params.ovenId,
-                playerId,
-                collected: {
-                    itemId: 'iron_ingot',
-                    quantity: 8
-                }
+                playerId: req.body.playerId,
+                ...result
             }
         });
     } catch (error) {
-        res.status(500).json({
-            status: 'error',
-            message: 'Output verzamelen mislukt',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        sendError(res, error, 'COLLECT', 'Output verzamelen mislukt');
     }
 });
 
 /**
  * @route   POST /api/v1/oven/:ovenId/addfuel
- * @desc    Voeg brandstof toe aan een oven
- * @access  Private
+ * @desc    Voeg brandstof uit de inventaris toe aan een oven
+ * @access  Private (eigen speler of player.manage)
  */
-router.post('/:ovenId/addfuel', authMiddleware, (req, res) => {
+router.post('/:ovenId/addfuel', authMiddleware, requirePlayerAccess({ body: 'playerId' }), idempotency, async (req, res) => {
     try {
         const { playerId, fuelItemId, amount } = req.body;
-        
-        if (!playerId || !fuelItemId || !amount) {
+
+        if (!fuelItemId || !amount) {
             return res.status(400).json({
                 status: 'error',
-                message: 'PlayerId, fuelItemId en amount zijn verplicht'
+                message: 'FuelItemId en amount zijn verplicht'
             });
         }
-        
-        // Implementeer echte brandstof logica in productie
+
+        const result = await ovenManager.addFuel(req.params.ovenId, playerId, fuelItemId, amount);
+
         res.json({
             status: 'success',
             message: 'Brandstof toegevoegd aan oven',
             data: {
                 ovenId: req.params.ovenId,
                 playerId,
-                newFuelLevel: 95,
-                addedAmount: amount
+                newFuelLevel: result.oven.fuelLevel,
+                addedAmount: result.added,
+                oven: result.oven
             }
         });
     } catch (error) {
-        res.status(500).json({
-            status: 'error',
-            message: 'Brandstof toevoegen mislukt',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        sendError(res, error, 'ADDFUEL', 'Brandstof toevoegen mislukt');
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
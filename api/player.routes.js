@@ -4,7 +4,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { requirePlayerAccess } = require('../middleware/ownership');
 
 // Development fallback: allow disabling auth for player endpoints if DB is unavailable
 const bypassPlayerAuth = process.env.BYPASS_PLAYER_AUTH === '1' || process.env.BYPASS_PLAYER_AUTH === 'true';
@@ -13,6 +14,9 @@ function optionalAuth(req, res, next) {
     return authenticateToken(req, res, next);
 }
 
+// Schrijven mag alleen op de eigen speler (of met player.manage); de speler ID staat in de body
+const ownsBodyPlayer = bypassPlayerAuth ? (req, res, next) => next() : requirePlayerAccess({ body: 'id' });
+
 // Importeer player controller
 const { 
     registerPlayer,
@@ -26,14 +30,15 @@ const {
 
 // Speler routes
 
-// Nieuwe endpoint voor server-authoritative sync
-router.post('/sync', optionalAuth, syncPlayer);
+// Client sync: alleen positie/rotatie, beschermde velden gaan via /internal/players
+router.post('/sync', optionalAuth, ownsBodyPlayer, syncPlayer);
 
-router.post('/register', optionalAuth, registerPlayer);
-router.post('/position', optionalAuth, updatePosition);
-router.post('/attributes', optionalAuth, updateAttributes);
+router.post('/register', optionalAuth, ownsBodyPlayer, registerPlayer);
+router.post('/position', optionalAuth, ownsBodyPlayer, updatePosition);
+router.post('/attributes', optionalAuth, ownsBodyPlayer, updateAttributes);
 router.get('/', optionalAuth, getAllPlayers);
 router.get('/:id', optionalAuth, getPlayerById);
-router.delete('/:id', optionalAuth, deletePlayer);
+// Verwijderen is nooit toegestaan via de development bypass
+router.delete('/:id', authenticateToken, requirePermission('player.delete'), deletePlayer);
 
 module.exports = router;
\ No newline at end of file
@@ -6,9 +6,9 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-
-// In-memory server registry (in production, use database)
-let activeServers = new Map();
+const { authenticateServer } = require('../middleware/server-auth');
+const serverRegistry = require('../managers/ServerRegistry');
+const { DRAINING_STATUS } = require('../managers/ServerRegistry');
 
 /**
  * Server Discovery Endpoint
@@ -16,11 +16,13 @@ let activeServers = new Map();
  * @route   GET /api/v1/servers/discover
  * @access  Public
  */
-router.get('/discover', (req, res) => {
+router.get('/discover', async (req, res) => {
     try {
-        const servers = Array.from(activeServers.values()).map(server => ({
-            id: server.id,
-            name: server.name,
+        const registered = await serverRegistry.list();
+        // Gedrainde servers nemen geen nieuwe spelers aan
+        const servers = registered.filter(server => server.isOnline && server.status !== DRAINING_STATUS).map(server => ({
+            id: server.serverId,
+            name: server.name || `SkaffaCity Server #${server.port}`,
             ip: server.alias || server.ip,
             port: server.port,
             currentPlayers: server.currentPlayers || 0,
@@ -51,9 +53,9 @@ router.get('/discover', (req, res) => {
  * Server Registration Endpoint
  * Unity servers can register themselves
  * @route   POST /api/v1/servers/register
- * @access  Public (but should validate server token in production)
+ * @access  Game server (signed)
  */
-router.post('/register', (req, res) => {
+router.post('/register', authenticateServer, async (req, res) => {
     try {
         const {
             serverId,
@@ -73,8 +75,9 @@ router.post('/register', (req, res) => {
             });
         }
 
-        const server = {
-            id: serverId,
+        await serverRegistry.register({
+            serverId,
+            origin: 'public',
             name: name || `SkaffaCity Server #${port}`,
             ip: ip,
             alias: 'panel.lvlagency.nl',
@@ -84,12 +87,8 @@ router.post('/register', (req, res) => {
             gameMode: gameMode || 'standard',
             region: region || 'EU-West',
             version: version || '1.0.0',
-            status: 'online',
-            lastHeartbeat: new Date(),
-            registeredAt: new Date()
-        };
-
-        activeServers.set(serverId, server);
+            status: 'online'
+        });
 
         console.log(`[SERVERS] ✅ Server registered: ${serverId} (${ip}:${port})`);
 
@@ -114,9 +113,9 @@ router.post('/register', (req, res) => {
  * Server Heartbeat Endpoint
  * Unity servers send regular heartbeats to stay alive
  * @route   POST /api/v1/servers/heartbeat
- * @access  Public
+ * @access  Game server (signed)
  */
-router.post('/heartbeat', (req, res) => {
+router.post('/heartbeat', authenticateServer, async (req, res) => {
     try {
         const {
             serverId,
@@ -132,7 +131,11 @@ router.post('/heartbeat', (req, res) => {
             });
         }
 
-        const server = activeServers.get(serverId);
+        const server = await serverRegistry.heartbeat(serverId, {
+            currentPlayers,
+            status: status || 'online',
+            metrics: performance ? { performance } : undefined
+        });
         if (!server) {
             return res.status(404).json({
                 success: false,
@@ -140,20 +143,10 @@ router.post('/heartbeat', (req, res) => {
             });
         }
 
-        // Update server info
-        server.currentPlayers = parseInt(currentPlayers) || server.currentPlayers || 0;
-        server.status = status || 'online';
-        server.lastHeartbeat = new Date();
-        
-        if (performance) {
-            server.performance = performance;
-        }
-
-        activeServers.set(serverId, server);
-
         res.json({
             success: true,
             message: 'Heartbeat received',
+            ...(await serverRegistry.getAdmissionState(server)),
             timestamp: new Date().toISOString()
         });
 
@@ -228,17 +221,17 @@ router.get('/config/:serverId', (req, res) => {
  * @route   GET /api/v1/servers/status
  * @access  Public
  */
-router.get('/status', (req, res) => {
+router.get('/status', async (req, res) => {
     try {
         const now = new Date();
-        const servers = Array.from(activeServers.values()).map(server => {
-            const timeSinceHeartbeat = now - new Date(server.lastHeartbeat);
-            const isOnline = timeSinceHeartbeat < 60000; // 60 seconds timeout
+        const registered = await serverRegistry.list();
+        const servers = registered.map(server => {
+            const timeSinceHeartbeat = server.lastHeartbeat ? now - new Date(server.lastHeartbeat) : null;
             
             return {
                 ...server,
-                isOnline: isOnline,
-                timeSinceHeartbeat: Math.floor(timeSinceHeartbeat / 1000)
+                id: server.serverId,
+                timeSinceHeartbeat: timeSinceHeartbeat !== null ? Math.floor(timeSinceHeartbeat / 1000) : null
             };
         });
 
@@ -267,18 +260,4 @@ router.get('/status', (req, res) => {
     }
 });
 
-// Clean up offline servers every 5 minutes
-setInterval(() => {
-    const now = new Date();
-    const timeout = 5 * 60 * 1000; // 5 minutes
-    
-    for (const [serverId, server] of activeServers) {
-        const timeSinceHeartbeat = now - new Date(server.lastHeartbeat);
-        if (timeSinceHeartbeat > timeout) {
-            console.log(`[SERVERS] 🗑️ Removing offline server: ${serverId}`);
-            activeServers.delete(serverId);
-        }
-    }
-}, 5 * 60 * 1000);
-
 module.exports = router;
\ No newline at end of file
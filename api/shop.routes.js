@@ -7,6 +7,8 @@ const router = express.Router();
 
 // Middleware
 const { authenticateToken: authMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { requirePlayerAccess } = require('../middleware/ownership');
 
 // Controllers
 const shopController = require('../controllers/shop.controller');
@@ -21,22 +23,22 @@ router.get('/items', shopController.getShopItems);
 /**
  * @route   POST /api/v1/shop/buy
  * @desc    Koop item uit de shop
- * @access  Private  
+ * @access  Private (eigen speler of player.manage)
  */
-router.post('/buy', authMiddleware, shopController.buyItem);
+router.post('/buy', authMiddleware, requirePlayerAccess({ body: 'playerId' }), idempotency, shopController.buyItem);
 
 /**
  * @route   POST /api/v1/shop/sell
  * @desc    Verkoop item uit inventory
  * @access  Private
  */
-router.post('/sell', authMiddleware, shopController.sellItem);
+router.post('/sell', authMiddleware, idempotency, shopController.sellItem);
 
 /**
  * @route   GET /api/v1/shop/history/:playerId
  * @desc    Haal shop transactie geschiedenis op
- * @access  Private
+ * @access  Private (eigen speler of player.manage)
  */
-router.get('/history/:playerId', authMiddleware, shopController.getShopHistory);
+router.get('/history/:playerId', authMiddleware, requirePlayerAccess(), shopController.getShopHistory);
 
 module.exports = router;
\ No newline at end of file
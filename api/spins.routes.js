@@ -0,0 +1,167 @@
+/**
+ * Oven spin routes voor SkaffaCity Backend
+ * Dagelijkse gratis spin, extra spins met SKAFF, gepubliceerde kansen en beheer van de drop tables
+ */
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { authenticateToken: authMiddleware, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { requirePlayerAccess } = require('../middleware/ownership');
+
+const spinManager = require('../managers/SpinManager');
+
+/**
+ * Stuur een fout uit de SpinManager terug (AppError heeft een statusCode, de rest is een serverfout)
+ */
+function sendError(res, error, action, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+
+    console.error(`Spin ${action} error:`, error);
+    res.status(500).json({
+        status: 'error',
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+}
+
+/**
+ * @route   GET /api/v1/spins/odds
+ * @desc    Gepubliceerde kansen van een drop table (query: table, standaard daily) met de uitkomsten tot nu
+ * @access  Public
+ */
+router.get('/odds', async (req, res) => {
+    try {
+        const odds = await spinManager.getOdds(req.query.table);
+
+        res.json({
+            status: 'success',
+            data: odds
+        });
+    } catch (error) {
+        sendError(res, error, 'ODDS', 'Kansen ophalen mislukt');
+    }
+});
+
+/**
+ * @route   GET /api/v1/spins/status
+ * @desc    Gratis spins, prijs van een extra spin en de pity teller (query: table)
+ * @access  Private
+ */
+router.get('/status', authMiddleware, async (req, res) => {
+    try {
+        const status = await spinManager.getStatus(req.user.userId, req.query.table);
+
+        res.json({
+            status: 'success',
+            data: status
+        });
+    } catch (error) {
+        sendError(res, error, 'STATUS', 'Spin status ophalen mislukt');
+    }
+});
+
+/**
+ * @route   POST /api/v1/spins
+ * @desc    Spin (gratis spin van vandaag, of met buy: true een extra spin voor SKAFF); items gaan naar playerId
+ * @access  Private (eigen speler of player.manage)
+ */
+router.post('/', authMiddleware, requirePlayerAccess({ body: 'playerId' }), idempotency, async (req, res) => {
+    try {
+        const { tableId, buy } = req.body;
+
+        const result = await spinManager.spin(req.targetPlayer, { tableId, buy: buy === true });
+
+        res.json({
+            status: 'success',
+            message: `Spin resultaat: ${result.reward.quantity}x ${result.reward.itemId || 'SKAFF'}`,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'SPIN', 'Spin mislukt');
+    }
+});
+
+/**
+ * @route   GET /api/v1/spins/history
+ * @desc    Eigen spins, nieuwste eerst (query: limit)
+ * @access  Private
+ */
+router.get('/history', authMiddleware, async (req, res) => {
+    try {
+        const spins = await spinManager.getLog({ userId: req.user.userId, limit: req.query.limit });
+
+        res.json({
+            status: 'success',
+            data: spins
+        });
+    } catch (error) {
+        sendError(res, error, 'HISTORY', 'Spin geschiedenis ophalen mislukt');
+    }
+});
+
+/**
+ * @route   GET /api/v1/spins/log
+ * @desc    Spin log van alle gebruikers (query: userId, table, limit)
+ * @access  Private (spins.manage)
+ */
+router.get('/log', authMiddleware, requirePermission('spins.manage'), async (req, res) => {
+    try {
+        const { userId, table, limit } = req.query;
+        const spins = await spinManager.getLog({ userId, tableId: table, limit });
+
+        res.json({
+            status: 'success',
+            data: spins
+        });
+    } catch (error) {
+        sendError(res, error, 'LOG', 'Spin log ophalen mislukt');
+    }
+});
+
+/**
+ * @route   GET /api/v1/spins/tables
+ * @desc    Alle drop tables, ook inactieve
+ * @access  Private (spins.manage)
+ */
+router.get('/tables', authMiddleware, requirePermission('spins.manage'), async (req, res) => {
+    try {
+        const tables = await spinManager.listTables();
+
+        res.json({
+            status: 'success',
+            data: tables
+        });
+    } catch (error) {
+        sendError(res, error, 'TABLES', 'Drop tables ophalen mislukt');
+    }
+});
+
+/**
+ * @route   PUT /api/v1/spins/tables/:tableId
+ * @desc    Maak een drop table aan of wijzig hem (name, spinPrice, pityThreshold, active, entries)
+ * @access  Private (spins.manage)
+ */
+router.put('/tables/:tableId', authMiddleware, requirePermission('spins.manage'), async (req, res) => {
+    try {
+        const { name, spinPrice, pityThreshold, active, entries } = req.body;
+
+        const table = await spinManager.saveTable(req.params.tableId, { name, spinPrice, pityThreshold, active, entries });
+
+        res.json({
+            status: 'success',
+            message: `Drop table ${table.id} opgeslagen (versie ${table.version})`,
+            data: table
+        });
+    } catch (error) {
+        sendError(res, error, 'SAVE', 'Drop table opslaan mislukt');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * Trade routes voor SkaffaCity Backend
+ * Ruilhandel van items en SKAFF tussen spelers via escrow
+ */
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { authenticateToken: authMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { requirePlayerAccess } = require('../middleware/ownership');
+
+// Controllers
+const tradeController = require('../controllers/trade.controller');
+
+/**
+ * @route   POST /api/v1/trades
+ * @desc    Open een trade met een andere speler
+ * @access  Private
+ */
+router.post('/', authMiddleware, tradeController.openTrade);
+
+/**
+ * @route   GET /api/v1/trades/history/:playerId
+ * @desc    Haal de trade geschiedenis van een speler op
+ * @access  Private (eigen speler of player.manage)
+ */
+router.get('/history/:playerId', authMiddleware, requirePlayerAccess(), tradeController.getTradeHistory);
+
+/**
+ * @route   GET /api/v1/trades/:tradeId
+ * @desc    Haal de huidige stand van een trade op
+ * @access  Private (deelnemers)
+ */
+router.get('/:tradeId', authMiddleware, tradeController.getTrade);
+
+/**
+ * @route   POST /api/v1/trades/:tradeId/items
+ * @desc    Bied een inventory item aan (gaat in escrow)
+ * @access  Private (deelnemers)
+ */
+router.post('/:tradeId/items', authMiddleware, idempotency, tradeController.addItem);
+
+/**
+ * @route   DELETE /api/v1/trades/:tradeId/items/:tradeItemId
+ * @desc    Haal een aangeboden item terug naar de inventory
+ * @access  Private (deelnemers)
+ */
+router.delete('/:tradeId/items/:tradeItemId', authMiddleware, tradeController.removeItem);
+
+/**
+ * @route   PUT /api/v1/trades/:tradeId/skaff
+ * @desc    Zet het aangeboden SKAFF bedrag (verschil gaat naar of uit escrow)
+ * @access  Private (deelnemers)
+ */
+router.put('/:tradeId/skaff', authMiddleware, tradeController.setSkaff);
+
+/**
+ * @route   POST /api/v1/trades/:tradeId/confirm
+ * @desc    Bevestig de trade; na beide bevestigingen wordt de ruil uitgevoerd
+ * @access  Private (deelnemers)
+ */
+router.post('/:tradeId/confirm', authMiddleware, idempotency, tradeController.confirmTrade);
+
+/**
+ * @route   POST /api/v1/trades/:tradeId/cancel
+ * @desc    Annuleer de trade; alles in escrow gaat terug
+ * @access  Private (deelnemers)
+ */
+router.post('/:tradeId/cancel', authMiddleware, tradeController.cancelTrade);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * Anti-Cheat Command
+ * Bekijk de position buffer en de suspicion log (te hoge bewegingssnelheid e.d.)
+ */
+
+const playerStateManager = require('../managers/PlayerStateManager');
+
+class AnticheatCommand {
+    constructor() {
+        this.description = 'Inspect position ingestion and the suspicion log';
+        this.usage = 'anticheat <status|log|flush|help> [playerId] [limit]';
+    }
+
+    async execute(args) {
+        const action = args[0];
+
+        switch (action) {
+            case 'status':
+                this.status();
+                break;
+            case 'log':
+                await this.log(args[1], args[2]);
+                break;
+            case 'flush':
+                await this.flush();
+                break;
+            case 'help':
+            default:
+                this.help();
+                break;
+        }
+    }
+
+    status() {
+        const { pendingPositions, trackedPlayers, maxSpeed, flushIntervalMs } = playerStateManager.status();
+        console.log('[ANTICHEAT] 📊 Position ingestion:');
+        console.log(`[ANTICHEAT]    Gevolgde spelers:    ${trackedPlayers}`);
+        console.log(`[ANTICHEAT]    Posities in buffer:  ${pendingPositions}`);
+        console.log(`[ANTICHEAT]    Max snelheid:        ${maxSpeed} units/s`);
+        console.log(`[ANTICHEAT]    Flush interval:      ${flushIntervalMs} ms`);
+    }
+
+    async log(playerId, limit) {
+        // 'log 50' zonder playerId
+        if (playerId && /^\d+$/.test(playerId) && !limit) {
+            limit = playerId;
+            playerId = null;
+        }
+
+        const entries = await playerStateManager.getSuspicions({ playerId, limit });
+        if (entries.length === 0) {
+            console.log('[ANTICHEAT] ✅ Geen meldingen gevonden');
+            return;
+        }
+
+        console.log(`[ANTICHEAT] ⚠️ ${entries.length} meldingen${playerId ? ` voor ${playerId}` : ''}:`);
+        for (const entry of entries) {
+            const details = typeof entry.details === 'string' ? entry.details : JSON.stringify(entry.details);
+            console.log(`[ANTICHEAT]    ${new Date(entry.created_at).toISOString()} ${entry.kind.padEnd(8)} ${entry.player_id} ${entry.server_id || '-'} ${details}`);
+        }
+    }
+
+    async flush() {
+        const count = await playerStateManager.flushPositions();
+        console.log(`[ANTICHEAT] ✅ ${count} posities weggeschreven`);
+    }
+
+    help() {
+        console.log('[ANTICHEAT] 📚 Anti-Cheat Commands:');
+        console.log('[ANTICHEAT] anticheat status               - Show position buffer and speed limit');
+        console.log('[ANTICHEAT] anticheat log [playerId] [n]   - Show the latest suspicion log entries');
+        console.log('[ANTICHEAT] anticheat flush                - Write buffered positions now');
+        console.log('[ANTICHEAT] anticheat help                 - Show this help');
+        console.log('');
+        console.log('[ANTICHEAT] 💡 Snelheidslimiet via MAX_PLAYER_SPEED, flush interval via POSITION_FLUSH_INTERVAL_MS');
+    }
+}
+
+module.exports = AnticheatCommand;
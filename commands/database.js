@@ -9,7 +9,7 @@ const path = require('path');
 class DatabaseCommand {
     constructor() {
         this.description = 'Manage database connection and operations';
-        this.usage = 'database <status|test|migrate|reset|users|stats>';
+        this.usage = 'database <status|test|migrate|reset|users|stats|reconcile>';
     }
 
     async execute(args) {
@@ -37,6 +37,9 @@ class DatabaseCommand {
             case 'backup':
                 await this.createBackup();
                 break;
+            case 'reconcile':
+                await this.reconcileLedger(args[1] === 'fix');
+                break;
             default:
                 this.showHelp();
                 break;
@@ -280,6 +283,49 @@ class DatabaseCommand {
         console.log('[DATABASE] 💡 Use your hosting provider\'s backup tools instead');
     }
 
+    async reconcileLedger(fix = false) {
+        console.log('[DATABASE] 🧮 Reconciling SKAFF ledger...');
+        
+        try {
+            const ledger = require('../utils/ledger');
+            
+            if (fix) {
+                const repaired = await ledger.repairUserCache();
+                console.log(`[DATABASE] 🔧 users.skaff rebuilt from ledger for ${repaired} user(s)`);
+            }
+            
+            const { checkedAccounts, checkedUsers, issues } = await ledger.reconcile();
+            
+            console.log('\n╔══════════════════════════════════════════════════════════╗');
+            console.log('║                  Ledger Reconciliation                   ║');
+            console.log('╠══════════════════════════════════════════════════════════╣');
+            console.log(`║  Accounts checked: ${checkedAccounts.toString().padEnd(37)} ║`);
+            console.log(`║  Users checked:    ${checkedUsers.toString().padEnd(37)} ║`);
+            console.log(`║  Drift found:      ${issues.length.toString().padEnd(37)} ║`);
+            
+            if (issues.length > 0) {
+                console.log('║                                                          ║');
+                for (const issue of issues.slice(0, 20)) {
+                    const label = `${issue.kind} ${issue.username || issue.id}`.substring(0, 34);
+                    const values = `${issue.expected ?? '-'} != ${issue.actual}`.substring(0, 18);
+                    console.log(`║  ⚠️ ${label.padEnd(34)} ${values.padEnd(18)}║`);
+                }
+                if (issues.length > 20) {
+                    console.log(`║  ${`... and ${issues.length - 20} more`.padEnd(55)} ║`);
+                }
+            }
+            
+            console.log('╚══════════════════════════════════════════════════════════╝\n');
+            
+            if (issues.length > 0 && !fix) {
+                console.log('[DATABASE] 💡 Run "database reconcile fix" to rebuild users.skaff from the ledger');
+            }
+            
+        } catch (error) {
+            console.error('[DATABASE] ❌ Reconciliation failed:', error.message);
+        }
+    }
+
     showHelp() {
         console.log('\n╔══════════════════════════════════════════════════════════╗');
         console.log('║                 Database Command Help                    ║');
@@ -291,6 +337,7 @@ class DatabaseCommand {
         console.log('║  database users       - Show user statistics            ║');
         console.log('║  database stats       - Show database statistics        ║');
         console.log('║  database backup      - Create database backup          ║');
+        console.log('║  database reconcile [fix] - Check SKAFF ledger drift    ║');
         console.log('╚══════════════════════════════════════════════════════════╝\n');
     }
 
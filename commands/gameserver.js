@@ -1,15 +1,16 @@
 ﻿/**
  * Game Server Management Command
- * Handles UDP game server instances and Pterodactyl integration
+ * Handles UDP game server instances via the configured hosting provider (Pterodactyl or local)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { isHostingEnabled, getProviderName } = require('../managers/providers');
 
 class GameServerCommand {
     constructor() {
         this.description = 'Manage UDP game server instances';
-        this.usage = 'gameserver <list|start|stop|status|config>';
+        this.usage = 'gameserver <list|start|stop|drain|rollout|status|config|provider|history|rotatesecret>';
     }
 
     async execute(args) {
@@ -25,6 +26,12 @@ class GameServerCommand {
             case 'stop':
                 await this.stopServer(args[1]);
                 break;
+            case 'drain':
+                await this.drainServer(args[1], args[2]);
+                break;
+            case 'rollout':
+                await this.rollout(args[1]);
+                break;
             case 'status':
                 await this.showStatus();
                 break;
@@ -32,7 +39,8 @@ class GameServerCommand {
                 await this.showConfig();
                 break;
             case 'pterodactyl':
-                await this.pterodactylStatus();
+            case 'provider':
+                await this.providerStatus();
                 break;
             case 'create':
                 await this.createServer();
@@ -56,6 +64,13 @@ class GameServerCommand {
             case 'enabledb':
                 await this.enableDatabase();
                 break;
+            case 'history':
+                await this.showHistory(args[1]);
+                break;
+            case 'rotatesecret':
+            case 'secret':
+                await this.rotateSecret(args[1]);
+                break;
             default:
                 this.showHelp();
                 break;
@@ -68,9 +83,9 @@ class GameServerCommand {
         try {
             const config = global.configManager ? global.configManager.getConfig('gameserver') : this.loadConfig();
             
-            if ((config.gameServer?.pterodactyl?.enabled) || (config.pterodactyl?.enabled)) {
-                console.log('[GAMESERVER] 🦕 Using Pterodactyl integration');
-                await this.listPterodactylServers();
+            if (isHostingEnabled(config)) {
+                console.log(`[GAMESERVER] 🦕 Using hosting provider: ${getProviderName(config)}`);
+                await this.listProviderServers();
             } else {
                 console.log('[GAMESERVER] 🖥️  Local server management mode');
                 await this.listLocalServers();
@@ -81,25 +96,24 @@ class GameServerCommand {
         }
     }
 
-    async listPterodactylServers() {
+    async listProviderServers() {
         try {
-            // Try to load GameServerManager if axios is available
             const GameServerManager = require('../managers/GameServerManager');
             const manager = new GameServerManager();
             
             const servers = await manager.listServers();
             
             console.log('\n╔══════════════════════════════════════════════════════════╗');
-            console.log('║                 Pterodactyl Game Servers                 ║');
+            console.log(`║  ${`Game Servers (${manager.provider.name})`.padEnd(55)} ║`);
             console.log('╠══════════════════════════════════════════════════════════╣');
             
             if (servers.length === 0) {
                 console.log('║  No game servers found                                  ║');
             } else {
                 for (const server of servers) {
-                    const status = server.attributes.status || 'unknown';
+                    const status = server.status || 'unknown';
                     const statusEmoji = this.getStatusEmoji(status);
-                    const name = server.attributes.name.substring(0, 25);
+                    const name = server.name.substring(0, 25);
                     console.log(`║  ${statusEmoji} ${name.padEnd(25)} ${status.padEnd(15)} ║`);
                 }
             }
@@ -107,17 +121,27 @@ class GameServerCommand {
             console.log('╚══════════════════════════════════════════════════════════╝\n');
             
         } catch (error) {
-            console.log('[GAMESERVER] ❌ Pterodactyl integration error:', error.message);
-            console.log('[GAMESERVER] 💡 Check your Pterodactyl configuration');
+            console.log('[GAMESERVER] ❌ Hosting provider error:', error.message);
+            console.log('[GAMESERVER] 💡 Check your gameserver provider configuration');
         }
     }
 
     async listLocalServers() {
+        const serverRegistry = require('../managers/ServerRegistry');
+        const servers = await serverRegistry.list({ includeOffline: true });
+
         console.log('\n╔══════════════════════════════════════════════════════════╗');
-        console.log('║                   Local Game Servers                     ║');
+        console.log('║                 Registered Game Servers                  ║');
         console.log('╠══════════════════════════════════════════════════════════╣');
-        console.log('║  Local server management not implemented                 ║');
-        console.log('║  💡 Enable Pterodactyl integration for full features    ║');
+        if (servers.length === 0) {
+            console.log('║  No game servers registered                              ║');
+        } else {
+            for (const server of servers) {
+                const players = `${server.currentPlayers}/${server.maxPlayers}`;
+                console.log(`║  ${this.getStatusEmoji(server.status || 'unknown')} ${String(server.serverId).substring(0, 36).padEnd(36)} ${players.padEnd(8)}   ║`);
+                console.log(`║     ${`${server.status} | port ${server.port || '-'} | ${server.origin}`.padEnd(52)} ║`);
+            }
+        }
         console.log('╚══════════════════════════════════════════════════════════╝\n');
     }
 
@@ -127,7 +151,7 @@ class GameServerCommand {
         try {
             const config = global.configManager ? global.configManager.getConfig('gameserver') : this.loadConfig();
             
-            if ((config.gameServer?.pterodactyl?.enabled) || (config.pterodactyl?.enabled)) {
+            if (isHostingEnabled(config)) {
                 const GameServerManager = require('../managers/GameServerManager');
                 const manager = new GameServerManager();
                 
@@ -139,8 +163,8 @@ class GameServerCommand {
                     console.log(`[GAMESERVER] ✅ New server created: ${newServer.id}`);
                 }
             } else {
-                console.log('[GAMESERVER] ❌ Pterodactyl integration disabled');
-                console.log('[GAMESERVER] 💡 Enable in config: config set gameServer.pterodactyl.enabled true');
+                console.log('[GAMESERVER] ❌ No hosting provider enabled');
+                console.log('[GAMESERVER] 💡 Enable in config: config set gameServer.pterodactyl.enabled true (or gameserver.provider local)');
             }
             
         } catch (error) {
@@ -159,14 +183,14 @@ class GameServerCommand {
         try {
             const config = global.configManager ? global.configManager.getConfig('gameserver') : this.loadConfig();
             
-            if ((config.gameServer?.pterodactyl?.enabled) || (config.pterodactyl?.enabled)) {
+            if (isHostingEnabled(config)) {
                 const GameServerManager = require('../managers/GameServerManager');
                 const manager = new GameServerManager();
                 
                 await manager.stopServer(serverId);
                 console.log(`[GAMESERVER] ✅ Server ${serverId} stopped`);
             } else {
-                console.log('[GAMESERVER] ❌ Pterodactyl integration disabled');
+                console.log('[GAMESERVER] ❌ No hosting provider enabled');
             }
             
         } catch (error) {
@@ -184,6 +208,7 @@ class GameServerCommand {
         console.log('╠══════════════════════════════════════════════════════════╣');
         console.log(`║  Max Servers:     ${((config.gameServer?.maxServers) || (config.maxServers) || 'N/A').toString().padEnd(36)} ║`);
         console.log(`║  Auto Scale:      ${((config.gameServer?.autoScale) || (config.autoScale) || 'N/A').toString().padEnd(36)} ║`);
+        console.log(`║  Provider:        ${getProviderName(config).padEnd(36)} ║`);
         console.log(`║  Pterodactyl:     ${((config.gameServer?.pterodactyl?.enabled) || (config.pterodactyl?.enabled) || false).toString().padEnd(36)} ║`);
         
         const pterodactylEnabled = (config.gameServer?.pterodactyl?.enabled) || (config.pterodactyl?.enabled);
@@ -196,7 +221,7 @@ class GameServerCommand {
         
         console.log('╚══════════════════════════════════════════════════════════╝\n');
         
-        if (pterodactylEnabled) {
+        if (isHostingEnabled(config)) {
             await this.listServers();
         }
     }
@@ -233,8 +258,8 @@ class GameServerCommand {
         console.log('╚══════════════════════════════════════════════════════════╝\n');
     }
 
-    async pterodactylStatus() {
-        console.log('[GAMESERVER] 🦕 Checking Pterodactyl connection...');
+    async providerStatus() {
+        console.log('[GAMESERVER] 🦕 Checking hosting provider connection...');
         
         try {
             if (!global.configManager) {
@@ -248,34 +273,39 @@ class GameServerCommand {
                 return;
             }
             
-            if (!gameserverConfig.pterodactyl.enabled) {
-                console.log('[GAMESERVER] ❌ Pterodactyl integration is disabled');
+            if (!isHostingEnabled(gameserverConfig)) {
+                console.log('[GAMESERVER] ❌ Pterodactyl integration is disabled and no other provider is configured');
                 return;
             }
             
             const GameServerManager = require('../managers/GameServerManager');
             const manager = new GameServerManager();
             
-            const status = await manager.checkPterodactylConnection();
+            const status = await manager.checkProviderConnection();
             
             if (status.status === 'connected') {
-                console.log('[GAMESERVER] ✅ Pterodactyl connection successful');
+                console.log(`[GAMESERVER] ✅ ${manager.provider.name} connection successful`);
                 console.log(`[GAMESERVER] 📊 Status: ${status.message}`);
             } else {
-                console.log('[GAMESERVER] ❌ Pterodactyl connection failed');
+                console.log(`[GAMESERVER] ❌ ${manager.provider.name} connection failed`);
                 console.log(`[GAMESERVER] Error: ${status.message}`);
             }
             
         } catch (error) {
-            console.error('[GAMESERVER] ❌ Pterodactyl check failed:', error.message);
+            console.error('[GAMESERVER] ❌ Provider check failed:', error.message);
         }
     }
 
     async scaleServers(count) {
+        if (count === undefined || count === 'plan' || count === 'run') {
+            await this.runScalingPolicy(count === 'run');
+            return;
+        }
+
         const targetCount = parseInt(count);
         
         if (isNaN(targetCount) || targetCount < 0 || targetCount > 10) {
-            console.log('[GAMESERVER] ❌ Please specify a valid server count (0-10)');
+            console.log('[GAMESERVER] ❌ Please specify a valid server count (0-10), or plan/run for the scaling policy');
             return;
         }
         
@@ -284,14 +314,14 @@ class GameServerCommand {
         try {
             const config = global.configManager ? global.configManager.getConfig('gameserver') : this.loadConfig();
             
-            if ((config.gameServer?.pterodactyl?.enabled) || (config.pterodactyl?.enabled)) {
+            if (isHostingEnabled(config)) {
                 const GameServerManager = require('../managers/GameServerManager');
                 const manager = new GameServerManager();
                 
                 await manager.scaleServers(targetCount);
                 console.log(`[GAMESERVER] ✅ Scaled to ${targetCount} servers`);
             } else {
-                console.log('[GAMESERVER] ❌ Pterodactyl integration required for scaling');
+                console.log('[GAMESERVER] ❌ A hosting provider is required for scaling');
             }
             
         } catch (error) {
@@ -305,7 +335,7 @@ class GameServerCommand {
         try {
             const config = global.configManager ? global.configManager.getConfig('gameserver') : this.loadConfig();
             
-            if ((config.gameServer?.pterodactyl?.enabled) || (config.pterodactyl?.enabled)) {
+            if (isHostingEnabled(config)) {
                 const GameServerManager = require('../managers/GameServerManager');
                 const manager = new GameServerManager();
                 
@@ -317,8 +347,8 @@ class GameServerCommand {
                     console.log(`[GAMESERVER] 📛 Server Name: ${newServer.name}`);
                 }
             } else {
-                console.log('[GAMESERVER] ❌ Pterodactyl integration disabled');
-                console.log('[GAMESERVER] 💡 Enable in config: config updateConfig gameserver pterodactyl.enabled true');
+                console.log('[GAMESERVER] ❌ No hosting provider enabled');
+                console.log('[GAMESERVER] 💡 Enable in config: config updateConfig gameserver pterodactyl.enabled true (or provider local)');
             }
             
         } catch (error) {
@@ -326,11 +356,47 @@ class GameServerCommand {
         }
     }
 
+    async runScalingPolicy(apply) {
+        try {
+            const GameServerManager = require('../managers/GameServerManager');
+            const manager = new GameServerManager();
+            const decision = apply ? await manager.runAutoScaler() : await manager.planScaling();
+
+            if (!decision) {
+                console.log('[GAMESERVER] ❌ Scaling policy could not be evaluated');
+                return;
+            }
+
+            console.log('\n╔══════════════════════════════════════════════════════════╗');
+            console.log(`║  ${`Scaling Policy ${apply ? '(applied)' : '(plan)'}`.padEnd(55)} ║`);
+            console.log('╠══════════════════════════════════════════════════════════╣');
+            console.log(`║  Auto Scale:      ${(decision.enabled ? 'enabled' : 'disabled (plan only)').padEnd(36)} ║`);
+            for (const region of decision.regions) {
+                const stats = region.stats;
+                const action = region.action === 'scale_up' ? `⬆️  +${region.count}`
+                    : region.action === 'drain' ? `⬇️  drain ${region.serverIds.join(', ')}`
+                    : '⏸️  none';
+                console.log('║                                                          ║');
+                console.log(`║  ${`${region.region}: ${action}`.substring(0, 55).padEnd(55)} ║`);
+                console.log(`║    ${`servers ${stats.active} active, ${stats.pending} pending, ${stats.draining} draining (min ${stats.min}, max ${stats.max})`.substring(0, 53).padEnd(53)} ║`);
+                console.log(`║    ${`players ${stats.players}/${stats.capacity} (${Math.round(stats.utilization * 100)}%), queue ${stats.queuedPlayers}, overloaded ${stats.overloaded}`.substring(0, 53).padEnd(53)} ║`);
+                for (const reason of region.reasons) {
+                    console.log(`║    • ${reason.substring(0, 51).padEnd(51)} ║`);
+                }
+            }
+            console.log('╚══════════════════════════════════════════════════════════╝\n');
+
+        } catch (error) {
+            console.error('[GAMESERVER] ❌ Failed to evaluate scaling policy:', error.message);
+        }
+    }
+
     getStatusEmoji(status) {
         switch (status.toLowerCase()) {
             case 'running': return '🟢';
             case 'starting': return '🟡';
             case 'stopping': return '🟠';
+            case 'draining': return '🔵';
             case 'stopped': return '🔴';
             case 'offline': return '⚫';
             default: return '⚪';
@@ -343,7 +409,7 @@ class GameServerCommand {
         try {
             const config = global.configManager ? global.configManager.getConfig('gameserver') : this.loadConfig();
             
-            if ((config.gameServer?.pterodactyl?.enabled) || (config.pterodactyl?.enabled)) {
+            if (isHostingEnabled(config)) {
                 const GameServerManager = require('../managers/GameServerManager');
                 const manager = new GameServerManager();
                 
@@ -359,8 +425,8 @@ class GameServerCommand {
                 await this.showServerDetails(newServer);
                 
             } else {
-                console.log('[GAMESERVER] ❌ Pterodactyl integration disabled');
-                console.log('[GAMESERVER] 💡 Enable in config: config updateConfig gameserver pterodactyl.enabled true');
+                console.log('[GAMESERVER] ❌ No hosting provider enabled');
+                console.log('[GAMESERVER] 💡 Enable in config: config updateConfig gameserver pterodactyl.enabled true (or provider local)');
             }
             
         } catch (error) {
@@ -379,9 +445,6 @@ class GameServerCommand {
                 const GameServerManager = require('../managers/GameServerManager');
                 const manager = new GameServerManager();
                 
-                // Override configuration for SkaffaCity Unity Server
-                manager.pterodactylConfig.gameServerEggId = targetEggId;
-                
                 // Force Unity server template configuration
                 manager.unityServerTemplate = {
                     egg: parseInt(targetEggId),
@@ -557,14 +620,21 @@ class GameServerCommand {
         console.log('║                                  Server (Default: ID 20) ║');
         console.log('║  gameserver start [id]         - Start server (or create)║');
         console.log('║  gameserver stop <id>          - Stop specific server    ║');
+        console.log('║  gameserver drain <id> [min]   - Drain, then shut down   ║');
+        console.log('║  gameserver rollout [batch]    - Replace outdated servers║');
+        console.log('║  gameserver rollout <status|cancel>                     ║');
         console.log('║  gameserver status             - Show server status      ║');
         console.log('║  gameserver config             - Show configuration      ║');
-        console.log('║  gameserver pterodactyl        - Test Pterodactyl API    ║');
+        console.log('║  gameserver provider           - Test hosting provider   ║');
         console.log('║  gameserver scale <count>      - Scale to specific count ║');
+        console.log('║  gameserver scale [plan|run]   - Scaling policy decision ║');
         console.log('║  gameserver createallocations <start> <end>             ║');
         console.log('║                                - Create port allocations ║');
         console.log('║  gameserver dboff              - Disable database        ║');
         console.log('║  gameserver dbon               - Enable database         ║');
+        console.log('║  gameserver history <serverId> - Registry history        ║');
+        console.log('║  gameserver rotatesecret <serverId>                     ║');
+        console.log('║                                - Rotate HMAC secret      ║');
         console.log('║                                                          ║');
         console.log('║  🎮 SkaffaCity Unity Server Features:                   ║');
         console.log('║    • 🔄 Auto-update via Git (skaffacity-serverbuild)    ║');
@@ -575,6 +645,128 @@ class GameServerCommand {
         console.log('╚══════════════════════════════════════════════════════════╝\n');
     }
 
+    async showHistory(serverId) {
+        if (!serverId) {
+            console.log('[GAMESERVER] ❌ Usage: gameserver history <serverId>');
+            return;
+        }
+
+        const serverRegistry = require('../managers/ServerRegistry');
+        const history = await serverRegistry.getHistory(serverId, 20);
+
+        if (history.length === 0) {
+            console.log(`[GAMESERVER] 📭 No registry history for ${serverId}`);
+            return;
+        }
+
+        console.log(`[GAMESERVER] 📜 Registry history for ${serverId} (newest first):`);
+        for (const entry of history) {
+            const change = entry.event === 'status_changed'
+                ? `${entry.old_status || '-'} -> ${entry.new_status}`
+                : (entry.new_status || entry.old_status || '');
+            console.log(`[GAMESERVER]   ${new Date(entry.created_at).toISOString()}  ${entry.event.padEnd(15)} ${change}`);
+        }
+    }
+
+    async rotateSecret(serverId) {
+        if (!serverId) {
+            console.log('[GAMESERVER] ❌ Usage: gameserver rotatesecret <serverId>');
+            console.log('[GAMESERVER] 💡 serverId is the SKAFFA_SERVER_ID of the game server');
+            return;
+        }
+
+        console.log(`[GAMESERVER] 🔑 Rotating secret for ${serverId}...`);
+
+        try {
+            const GameServerManager = require('../managers/GameServerManager');
+            const manager = new GameServerManager();
+            const { secret, pushed } = await manager.rotateServerSecret(serverId);
+
+            if (pushed) {
+                console.log(`[GAMESERVER] ✅ New secret pushed to ${manager.provider.name} (SKAFFA_SERVER_SECRET)`);
+                console.log('[GAMESERVER] 🔄 Restart the game server to use the new secret');
+            } else {
+                console.log(`[GAMESERVER] ⚠️  Could not update ${manager.provider.name}, set SKAFFA_SERVER_SECRET manually:`);
+                console.log(`[GAMESERVER] ${secret}`);
+            }
+            const { ROTATION_GRACE_MS } = require('../utils/server-credentials');
+            console.log(`[GAMESERVER] ⏳ Old secret stays valid for ${Math.round(ROTATION_GRACE_MS / 60000)} minutes`);
+        } catch (error) {
+            console.error('[GAMESERVER] ❌ Failed to rotate secret:', error.message);
+        }
+    }
+
+    async drainServer(serverId, timeoutMinutes) {
+        if (!serverId) {
+            console.log('[GAMESERVER] ❌ Usage: gameserver drain <serverId> [timeoutMinutes]');
+            return;
+        }
+
+        try {
+            const GameServerManager = require('../managers/GameServerManager');
+            const manager = new GameServerManager();
+            const minutes = parseFloat(timeoutMinutes);
+            const server = await manager.drainServer(serverId, {
+                reason: 'manual',
+                timeoutMs: minutes > 0 ? minutes * 60 * 1000 : null
+            });
+
+            console.log(`[GAMESERVER] 🚰 ${server.name || serverId} accepts no new players (${server.currentPlayers} online)`);
+            if (server.drain) {
+                console.log(`[GAMESERVER] ⏰ Shuts down when empty, at the latest ${new Date(server.drain.deadline).toISOString()}`);
+            }
+        } catch (error) {
+            console.error('[GAMESERVER] ❌ Failed to drain server:', error.message);
+        }
+    }
+
+    async rollout(action) {
+        const rollingUpdate = require('../managers/RollingUpdate');
+
+        if (action === 'cancel') {
+            console.log(rollingUpdate.cancel()
+                ? '[GAMESERVER] ⏹️ Rolling update stops after the current batch'
+                : '[GAMESERVER] 💤 No rolling update running');
+            return;
+        }
+
+        if (action !== 'status') {
+            const config = global.configManager ? global.configManager.getConfig('gameserver') : this.loadConfig();
+            if (!isHostingEnabled(config)) {
+                console.log('[GAMESERVER] ⚠️ Rolling updates require a hosting provider');
+                return;
+            }
+
+            try {
+                const GameServerManager = require('../managers/GameServerManager');
+                const manager = new GameServerManager();
+                await rollingUpdate.start(manager, { batchSize: parseInt(action) || 1 });
+            } catch (error) {
+                console.error('[GAMESERVER] ❌ Failed to start rolling update:', error.message);
+                return;
+            }
+        }
+
+        const status = rollingUpdate.status();
+        if (!status) {
+            console.log('[GAMESERVER] 💤 No rolling update started yet');
+            return;
+        }
+
+        console.log('\n╔══════════════════════════════════════════════════════════╗');
+        console.log('║                     Rolling Update                       ║');
+        console.log('╠══════════════════════════════════════════════════════════╣');
+        console.log(`║  ${`State: ${status.state} (${status.replaced}/${status.total} replaced, batch ${status.batchSize})`.padEnd(55)} ║`);
+        console.log(`║  ${`Started: ${status.startedAt.toISOString()}`.padEnd(55)} ║`);
+        for (const server of status.pending) {
+            console.log(`║    • ${`${(server.name || server.serverId).substring(0, 25)}: ${server.reason}`.padEnd(51)} ║`);
+        }
+        if (status.error) {
+            console.log(`║  ${`❌ ${status.error}`.substring(0, 55).padEnd(55)} ║`);
+        }
+        console.log('╚══════════════════════════════════════════════════════════╝\n');
+    }
+
     async disableDatabase() {
         console.log('[GAMESERVER] 🛑 Disabling database connection...');
         
@@ -0,0 +1,81 @@
+/**
+ * Item Catalog Command
+ * Bekijk de item catalogus en herlaad hem na wijzigingen in de database
+ */
+
+const itemRegistry = require('../managers/ItemRegistry');
+
+class ItemsCommand {
+    constructor() {
+        this.description = 'Inspect and reload the item catalog';
+        this.usage = 'items <list|show|reload|help> [category|itemId]';
+    }
+
+    async execute(args) {
+        const action = args[0];
+
+        switch (action) {
+            case 'list':
+                this.list(args[1]);
+                break;
+            case 'show':
+                this.show(args[1]);
+                break;
+            case 'reload':
+                await this.reload();
+                break;
+            case 'help':
+            default:
+                this.help();
+                break;
+        }
+    }
+
+    list(category) {
+        const items = itemRegistry.list({ category });
+        const { source, count } = itemRegistry.status();
+        console.log(`[ITEMS] 📦 ${items.length} van ${count} items (bron: ${source})`);
+
+        for (const item of items) {
+            const flags = [item.soulbound ? 'soulbound' : null, item.tradeable ? null : 'niet verhandelbaar'].filter(Boolean);
+            console.log(`[ITEMS]    ${item.id.padEnd(20)} ${item.category.padEnd(12)} ${item.rarity.padEnd(10)} stack ${String(item.stackSize).padEnd(4)} waarde ${item.baseValue}${flags.length ? ` (${flags.join(', ')})` : ''}`);
+        }
+    }
+
+    show(itemId) {
+        if (!itemId) {
+            console.log('[ITEMS] ❌ Usage: items show <itemId>');
+            return;
+        }
+
+        const item = itemRegistry.get(itemId);
+        if (!item) {
+            console.log(`[ITEMS] ❌ Item ${itemId} niet gevonden`);
+            return;
+        }
+        console.log(`[ITEMS] 📦 ${item.name} (${item.id})`);
+        console.log(JSON.stringify(item, null, 2));
+    }
+
+    async reload() {
+        try {
+            const count = await itemRegistry.reload();
+            console.log(`[ITEMS] ✅ Catalogus herladen: ${count} items (bron: ${itemRegistry.status().source})`);
+        } catch (error) {
+            console.log(`[ITEMS] ❌ Herladen mislukt: ${error.message}`);
+        }
+    }
+
+    help() {
+        console.log('[ITEMS] 📚 Item Commands:');
+        console.log('[ITEMS] items list [category]     - Show all items (optionally one category)');
+        console.log('[ITEMS] items show <itemId>       - Show a single item definition');
+        console.log('[ITEMS] items reload              - Reload the catalog from the database');
+        console.log('[ITEMS] items help                - Show this help');
+        console.log('');
+        console.log(`[ITEMS] 💡 Categories: ${itemRegistry.categories().join(', ')}`);
+        console.log('[ITEMS] 💡 Item beheer via de API: POST/PUT/DELETE /api/v1/items (permissie items.manage)');
+    }
+}
+
+module.exports = ItemsCommand;
@@ -0,0 +1,124 @@
+/**
+ * Role & Permission Management Command
+ * Beheert de rol -> permissie koppelingen en gebruikersrollen
+ */
+
+const db = require('../utils/db');
+const permissions = require('../utils/permissions');
+
+class RolesCommand {
+    constructor() {
+        this.description = 'Manage roles and permissions (RBAC)';
+        this.usage = 'roles <list|grant|revoke|setrole|help> [role|username] [permission|role]';
+    }
+
+    async execute(args) {
+        const action = args[0];
+
+        switch (action) {
+            case 'list':
+            case 'show':
+                await this.list();
+                break;
+            case 'grant':
+                await this.grant(args[1], args[2]);
+                break;
+            case 'revoke':
+                await this.revoke(args[1], args[2]);
+                break;
+            case 'setrole':
+                await this.setRole(args[1], args[2]);
+                break;
+            case 'help':
+            default:
+                await this.help();
+                break;
+        }
+    }
+
+    async list() {
+        console.log('[ROLES] 📋 Role permissions:');
+
+        for (const role of permissions.ROLES) {
+            const rolePermissions = await permissions.getRolePermissions(role);
+            const names = [...rolePermissions].sort();
+            console.log(`\n[ROLES] 👤 ${role} (${names.length})`);
+            if (names.length === 0) {
+                console.log('[ROLES]    - (geen permissies)');
+            }
+            for (const name of names) {
+                console.log(`[ROLES]    - ${name}`);
+            }
+        }
+
+        console.log('\n[ROLES] 🔑 Available permissions:');
+        for (const [name, description] of Object.entries(permissions.PERMISSIONS)) {
+            console.log(`[ROLES]    ${name.padEnd(20)} ${description}`);
+        }
+    }
+
+    async grant(role, permission) {
+        if (!role || !permission) {
+            console.log('[ROLES] ❌ Usage: roles grant <role> <permission>');
+            return;
+        }
+
+        try {
+            await permissions.grantPermission(role, permission);
+            console.log(`[ROLES] ✅ ${permission} toegekend aan ${role}`);
+        } catch (error) {
+            console.log(`[ROLES] ❌ ${error.message}`);
+        }
+    }
+
+    async revoke(role, permission) {
+        if (!role || !permission) {
+            console.log('[ROLES] ❌ Usage: roles revoke <role> <permission>');
+            return;
+        }
+
+        try {
+            await permissions.revokePermission(role, permission);
+            console.log(`[ROLES] ✅ ${permission} ingetrokken voor ${role}`);
+        } catch (error) {
+            console.log(`[ROLES] ❌ ${error.message}`);
+        }
+    }
+
+    async setRole(username, role) {
+        if (!username || !role) {
+            console.log('[ROLES] ❌ Usage: roles setrole <username> <role>');
+            return;
+        }
+        if (!permissions.ROLES.includes(role)) {
+            console.log(`[ROLES] ❌ Onbekende rol: ${role} (${permissions.ROLES.join(', ')})`);
+            return;
+        }
+
+        const users = await db.query('SELECT id FROM users WHERE username = ?', [username]);
+        if (users.length === 0) {
+            console.log(`[ROLES] ❌ Gebruiker ${username} niet gevonden`);
+            return;
+        }
+
+        await db.query('UPDATE users SET role = ? WHERE id = ?', [role, users[0].id]);
+        console.log(`[ROLES] ✅ ${username} heeft nu rol ${role}`);
+        console.log('[ROLES] 💡 Wijziging is actief bij het volgende request van de gebruiker');
+    }
+
+    async help() {
+        console.log('[ROLES] 📚 Role Commands:');
+        console.log('[ROLES] roles list                          - Show role permissions');
+        console.log('[ROLES] roles grant <role> <permission>     - Grant permission to role');
+        console.log('[ROLES] roles revoke <role> <permission>    - Revoke permission from role');
+        console.log('[ROLES] roles setrole <username> <role>     - Change the role of a user');
+        console.log('[ROLES] roles help                          - Show this help');
+        console.log('');
+        console.log(`[ROLES] 💡 Available roles: ${permissions.ROLES.join(', ')}`);
+        console.log('[ROLES] 💡 Examples:');
+        console.log('[ROLES] roles grant moderator player.delete');
+        console.log('[ROLES] roles setrole jan moderator');
+    }
+}
+
+module.exports = RolesCommand;
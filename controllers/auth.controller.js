@@ -3,18 +3,43 @@
  * Memory fallback verwijderd. Alle paden vereisen succesvolle database initialisatie.
  */
 
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { Op } = require('sequelize');
 const models = require('../models');
 const { v4: uuidv4 } = require('uuid');
+const {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  refreshTokenExpiry
+} = require('../utils/auth-tokens');
 
-// Helper functie voor het genereren van JWT tokens
-const generateToken = (user, player) => jwt.sign({
-  userId: user.id,
-  playerId: player.id,
-  username: user.username
-}, process.env.JWT_SECRET || 'skaffacity_secret_key_2025', { expiresIn: '12h' });
+// Helper: maak een nieuwe sessie (family) aan en geef access + refresh token terug
+// transaction: optioneel, zodat de sessie samen met een nieuwe gebruiker gecommit wordt
+const createSession = async (user, player, req, transaction = null) => {
+  const familyId = uuidv4();
+  const refreshToken = generateRefreshToken();
+  const now = new Date();
+  await models.Session.create({
+    id: uuidv4(),
+    family_id: familyId,
+    user_id: user.id,
+    player_id: player.id,
+    token_hash: hashRefreshToken(refreshToken),
+    user_agent: (req.headers['user-agent'] || '').substring(0, 255) || null,
+    ip_address: req.ip || null,
+    started_at: now,
+    created_at: now,
+    expires_at: refreshTokenExpiry()
+  }, { transaction });
+  return {
+    token: signAccessToken(user, player, familyId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: familyId
+  };
+};
 
 /**
  * Registreer een nieuwe gebruiker
@@ -51,11 +76,12 @@ exports.register = async (req, res) => {
         rotation_x: 0, rotation_y: 0, rotation_z: 0,
         created_at: new Date()
       }, { transaction: t });
+      const session = await createSession(user, player, req, t);
       await t.commit();
-      const token = generateToken(user, player);
-      return res.status(201).json({ success:true, message:'Account aangemaakt', token, player:{ id: player.id, username: player.username, health: player.health, max_health: player.max_health, email: user.email } });
+      return res.status(201).json({ success:true, message:'Account aangemaakt', token: session.token, refreshToken: session.refreshToken, expiresIn: session.expiresIn, player:{ id: player.id, username: player.username, health: player.health, max_health: player.max_health, email: user.email } });
     } catch (e) {
-      await t.rollback();
+      // Na een (mislukte) commit is de transactie al afgesloten
+      if (!t.finished) await t.rollback();
       console.error('[Auth][Register] Transactie fout:', e.message);
       return res.status(500).json({ success:false, message:'Registratie mislukt' });
     }
@@ -85,8 +111,8 @@ exports.login = async (req, res) => {
     const player = await Player.findOne({ where:{ user_id: user.id } });
     if (!player) return res.status(500).json({ success:false, message:'Spelersprofiel ontbreekt' });
     await player.update({ last_seen: new Date() });
-    const token = generateToken(user, player);
-    return res.json({ success:true, message:'Succesvol ingelogd', token, player:{ id: player.id, username: player.username, health: player.health, max_health: player.max_health, email: user.email } });
+    const session = await createSession(user, player, req);
+    return res.json({ success:true, message:'Succesvol ingelogd', token: session.token, refreshToken: session.refreshToken, expiresIn: session.expiresIn, player:{ id: player.id, username: player.username, health: player.health, max_health: player.max_health, email: user.email } });
   } catch (error) {
     console.error('[Auth] Login error:', error.message);
     res.status(500).json({ success:false, message:'Interne serverfout tijdens inloggen' });
@@ -95,15 +121,12 @@ exports.login = async (req, res) => {
 
 /**
  * Valideer JWT token (voor Unity)
+ * Token en sessie zijn al gecontroleerd door authenticateToken
  */
 exports.validateToken = async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ success:false, message:'Geen token opgegeven' });
-    let decoded;
-    try { decoded = jwt.verify(token, process.env.JWT_SECRET || 'skaffacity_secret_key_2025'); } catch { return res.status(401).json({ success:false, message:'Ongeldige of verlopen token' }); }
-    const user = await User.findByPk(decoded.userId);
-    const player = await Player.findByPk(decoded.playerId);
+    const user = await models.User.findByPk(req.user.userId);
+    const player = await models.Player.findByPk(req.user.playerId);
     if (!user || !player) return res.status(401).json({ success:false, message:'Ongeldige token' });
     return res.json({ success:true, message:'Token geldig', player:{ id: player.id, username: player.username, health: player.health, max_health: player.max_health, email: user.email } });
   } catch (error) {
@@ -113,54 +136,129 @@ exports.validateToken = async (req, res) => {
 };
 
 /**
- * Vernieuw JWT token
+ * Roteer refresh token en geef een nieuw access token uit
+ * Hergebruik van een al geroteerd refresh token trekt de hele sessie (family) in.
  */
 exports.refreshToken = async (req, res) => {
-    try {
-        const { token } = req.body;
-        
-        if (!token) {
-            return res.status(400).json({
-                success: false,
-                message: 'Token is vereist'
-            });
-        }
-        
-        // Verifieer de bestaande token
-        jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
-            if (err) {
-                return res.status(401).json({
-                    success: false,
-                    message: 'Ongeldige of verlopen token'
-                });
-            }
-            
-            // Zoek gebruiker op ID uit token
-            const user = await User.findByPk(decoded.userId);
-            const player = await Player.findByPk(decoded.playerId);
-            
-            if (!user || !player) {
-                return res.status(401).json({
-                    success: false,
-                    message: 'Gebruiker niet gevonden'
-                });
-            }
-            
-            // Genereer nieuwe token
-            const newToken = generateToken(user, player);
-            
-            res.status(200).json({
-                success: true,
-                token: newToken
-            });
-        });
-    } catch (error) {
-        console.error('[Auth] RefreshToken error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Interne serverfout'
-        });
+  const Session = models.Session;
+  const sequelize = models.sequelize;
+  if (!Session || !sequelize) {
+    return res.status(503).json({ success:false, message:'Server niet gereed (models niet geïnitialiseerd)' });
+  }
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ success:false, message:'Refresh token is vereist' });
+
+  const t = await sequelize.transaction();
+  try {
+    const now = new Date();
+    const current = await Session.findOne({
+      where:{ token_hash: hashRefreshToken(refreshToken) },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!current || current.revoked_at) {
+      await t.rollback();
+      return res.status(401).json({ success:false, message:'Ongeldige of ingetrokken sessie' });
+    }
+    if (current.used_at) {
+      // Token is al eerder geroteerd: mogelijk gelekt, trek de hele family in
+      await Session.update(
+        { revoked_at: now, revoke_reason: 'reuse_detected' },
+        { where:{ family_id: current.family_id, revoked_at: null }, transaction: t }
+      );
+      await t.commit();
+      console.warn(`[Auth] Refresh token hergebruik gedetecteerd, sessie ${current.family_id} ingetrokken (user ${current.user_id})`);
+      return res.status(401).json({ success:false, message:'Sessie ingetrokken, log opnieuw in' });
     }
+    if (new Date(current.expires_at) <= now) {
+      await t.rollback();
+      return res.status(401).json({ success:false, message:'Sessie verlopen, log opnieuw in' });
+    }
+
+    const user = await models.User.findByPk(current.user_id, { transaction: t });
+    const player = await models.Player.findByPk(current.player_id, { transaction: t });
+    if (!user || !player || user.is_active === false) {
+      await t.rollback();
+      return res.status(401).json({ success:false, message:'Gebruiker niet gevonden' });
+    }
+
+    const nextToken = generateRefreshToken();
+    await current.update({ used_at: now }, { transaction: t });
+    await Session.create({
+      id: uuidv4(),
+      family_id: current.family_id,
+      user_id: current.user_id,
+      player_id: current.player_id,
+      token_hash: hashRefreshToken(nextToken),
+      parent_id: current.id,
+      user_agent: (req.headers['user-agent'] || current.user_agent || '').substring(0, 255) || null,
+      ip_address: req.ip || current.ip_address,
+      started_at: current.started_at,
+      created_at: now,
+      expires_at: refreshTokenExpiry()
+    }, { transaction: t });
+    await t.commit();
+
+    return res.status(200).json({
+      success:true,
+      token: signAccessToken(user, player, current.family_id),
+      refreshToken: nextToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (error) {
+    await t.rollback();
+    console.error('[Auth] RefreshToken error:', error.message);
+    return res.status(500).json({ success:false, message:'Interne serverfout' });
+  }
+};
+
+/**
+ * Lijst van actieve sessies (apparaten) van de ingelogde gebruiker
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await models.Session.findAll({
+      where:{
+        user_id: req.user.userId,
+        revoked_at: null,
+        used_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['created_at', 'DESC']]
+    });
+    return res.json({
+      success:true,
+      sessions: sessions.map(s => ({
+        id: s.family_id,
+        userAgent: s.user_agent,
+        ipAddress: s.ip_address,
+        startedAt: s.started_at,
+        lastRefreshAt: s.created_at,
+        expiresAt: s.expires_at,
+        current: s.family_id === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('[Auth] GetSessions error:', error.message);
+    res.status(500).json({ success:false, message:'Interne serverfout' });
+  }
+};
+
+/**
+ * Trek een sessie (family) in, bijv. uitloggen op een ander apparaat
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const [revoked] = await models.Session.update(
+      { revoked_at: new Date(), revoke_reason: 'user_revoked' },
+      { where:{ family_id: req.params.id, user_id: req.user.userId, revoked_at: null } }
+    );
+    if (!revoked) return res.status(404).json({ success:false, message:'Sessie niet gevonden' });
+    return res.json({ success:true, message:'Sessie ingetrokken', current: req.params.id === req.user.sessionId });
+  } catch (error) {
+    console.error('[Auth] RevokeSession error:', error.message);
+    res.status(500).json({ success:false, message:'Interne serverfout' });
+  }
 };
 
 /**
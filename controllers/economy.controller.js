@@ -1,27 +1,154 @@
 /**
  * Economy controller voor SKAFF transacties en beheer
+ * Alle saldo mutaties lopen via het ledger (utils/ledger.js); de geschiedenis komt uit models/transaction.mysql.js
  */
 
 const User = require('../models/user.mysql');
 const Transaction = require('../models/transaction.mysql');
-const db = require('../utils/db');
+const ledger = require('../utils/ledger');
+
+// Verplichte reden codes voor admin mutaties, zodat ze achteraf te verantwoorden zijn
+const ADMIN_REASON_CODES = {
+    reward: ['event_prize', 'compensation', 'bug_refund', 'giveaway', 'correction', 'other'],
+    penalty: ['exploit', 'cheating', 'chargeback', 'rule_violation', 'correction', 'other']
+};
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Valideer een SKAFF bedrag (positief geheel getal)
+ * @returns {number|null}
+ */
+function parseAmount(amount) {
+    const value = Number(amount);
+    return Number.isSafeInteger(value) && value > 0 ? value : null;
+}
+
+/**
+ * Valideer paginatie en geschiedenis filters uit de query string
+ * @returns {Promise<Object>} - { error } of { pageNum, limitNum, filters }
+ */
+async function parseHistoryQuery(query, defaultLimit) {
+    const { limit = defaultLimit, page = 1, type, since, until, counterparty } = query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1) {
+        return { status: 400, error: 'Ongeldige paginatie parameters' };
+    }
+
+    const filters = {};
+    if (type) {
+        filters.type = type;
+    }
+    for (const [key, value] of Object.entries({ since, until })) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            return { status: 400, error: `Ongeldige datum voor ${key}` };
+        }
+        filters[key] = date;
+    }
+    if (counterparty) {
+        const user = await User.findByUsername(counterparty);
+        if (!user) {
+            return { status: 404, error: 'Tegenpartij niet gevonden' };
+        }
+        filters.counterpartyAccount = ledger.walletAccount(user.id);
+    }
+
+    return { pageNum, limitNum: Math.min(limitNum, MAX_PAGE_SIZE), filters };
+}
+
+/**
+ * Admin grant of penalty met verplichte reden code
+ * @param {string} kind - 'reward' of 'penalty'
+ */
+async function adminAdjustment(req, res, kind) {
+    const { username, amount, reasonCode, description } = req.body;
+    const adminId = req.user.userId;
+    const value = parseAmount(amount);
+
+    // Valideer input
+    if (!username || amount === undefined) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'Gebruikersnaam en bedrag zijn vereist'
+        });
+    }
+
+    if (!value) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'Bedrag moet een geheel getal groter dan 0 zijn'
+        });
+    }
+
+    if (!ADMIN_REASON_CODES[kind].includes(reasonCode)) {
+        return res.status(400).json({
+            status: 'error',
+            message: `Ongeldige reden code, kies uit: ${ADMIN_REASON_CODES[kind].join(', ')}`
+        });
+    }
+
+    const user = await User.findByUsername(username);
+    if (!user) {
+        return res.status(404).json({
+            status: 'error',
+            message: 'Gebruiker niet gevonden'
+        });
+    }
+
+    const wallet = ledger.walletAccount(user.id);
+    const result = await ledger.withTransaction(async (connection) => {
+        // Straf gaat niet onder 0: hooguit het huidige saldo afnemen
+        const booked = kind === 'reward'
+            ? value
+            : Math.min(value, await ledger.lockBalance(connection, wallet));
+        if (booked === 0) {
+            return { booked, balance: 0 };
+        }
+
+        const { balances } = await ledger.transfer(connection, {
+            from: kind === 'reward' ? ledger.SYSTEM_ACCOUNTS.MINT : wallet,
+            to: kind === 'reward' ? wallet : ledger.SYSTEM_ACCOUNTS.MINT,
+            amount: booked,
+            type: `admin_${kind}`,
+            description: description || (kind === 'reward' ? 'Admin beloning' : 'Admin straf'),
+            createdBy: adminId,
+            metadata: { reasonCode, adminUsername: req.user.username }
+        });
+        return { booked, balance: balances[wallet] };
+    });
+
+    return res.status(200).json({
+        status: 'success',
+        message: kind === 'reward' ? 'SKAFF succesvol toegekend' : 'SKAFF succesvol afgenomen',
+        data: {
+            username: user.username,
+            [kind === 'reward' ? 'amount' : 'amountDeducted']: result.booked,
+            reasonCode,
+            newBalance: result.balance
+        }
+    });
+}
 
 /**
  * Krijg SKAFF balans van gebruiker
  */
 exports.getBalance = async (req, res) => {
     try {
-        const userId = req.user.id;
-        
-        const user = await User.findById(userId).select('username skaff');
-        
+        const userId = req.user.userId;
+
+        const user = await User.findById(userId);
+
         if (!user) {
             return res.status(404).json({
                 status: 'error',
                 message: 'Gebruiker niet gevonden'
             });
         }
-        
+
         res.status(200).json({
             status: 'success',
             data: {
@@ -31,9 +158,9 @@ exports.getBalance = async (req, res) => {
         });
     } catch (error) {
         console.error(`[EconomyController] getBalance error: ${error.message}`);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Er is een serverfout opgetreden' 
+        res.status(500).json({
+            status: 'error',
+            message: 'Er is een serverfout opgetreden'
         });
     }
 };
@@ -44,107 +171,79 @@ exports.getBalance = async (req, res) => {
 exports.transferSkaff = async (req, res) => {
     try {
         const { toUsername, amount, description } = req.body;
-        const fromUserId = req.user.id;
-        
+        const fromUserId = req.user.userId;
+        const value = parseAmount(amount);
+
         // Valideer input
-        if (!toUsername || !amount) {
+        if (!toUsername || amount === undefined) {
             return res.status(400).json({
                 status: 'error',
                 message: 'Gebruikersnaam en bedrag zijn vereist'
             });
         }
-        
-        if (amount <= 0) {
+
+        if (!value) {
             return res.status(400).json({
                 status: 'error',
-                message: 'Bedrag moet groter zijn dan 0'
+                message: 'Bedrag moet een geheel getal groter dan 0 zijn'
             });
         }
-        
-        // Begin transactie sessie
-        const connection = await db.getConnection();
-        await connection.beginTransaction();
-        
+
+        // Haal gebruikers op
+        const fromUser = await User.findById(fromUserId);
+        const toUser = await User.findByUsername(toUsername);
+
+        if (!fromUser || !toUser) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Gebruiker niet gevonden'
+            });
+        }
+
+        if (fromUser.id === toUser.id) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Je kunt geen SKAFF naar jezelf sturen'
+            });
+        }
+
+        // Transfer SKAFF in één database transactie (het ledger controleert of de zender genoeg SKAFF heeft)
+        const fromWallet = ledger.walletAccount(fromUser.id);
+        let balances;
         try {
-            // Haal gebruikers op
-            const fromUser = await User.findById(fromUserId, connection);
-            const toUser = await User.findByUsername(toUsername, connection);
-            
-            if (!fromUser || !toUser) {
-                await connection.rollback();
-                connection.release();
-                
-                return res.status(404).json({
-                    status: 'error',
-                    message: 'Gebruiker niet gevonden'
-                });
-            }
-            
-            if (fromUser.id === toUser.id) {
-                await connection.rollback();
-                connection.release();
-                
-                return res.status(400).json({
-                    status: 'error',
-                    message: 'Je kunt geen SKAFF naar jezelf sturen'
-                });
-            }
-            
-            // Controleer of zender genoeg SKAFF heeft
-            if (fromUser.skaff < amount) {
-                await connection.rollback();
-                connection.release();
-                
+            ({ balances } = await ledger.withTransaction(connection => ledger.transfer(connection, {
+                from: fromWallet,
+                to: ledger.walletAccount(toUser.id),
+                amount: value,
+                type: 'transfer',
+                description: description || 'Speler transfer',
+                createdBy: fromUser.id
+            })));
+        } catch (error) {
+            if (error instanceof ledger.InsufficientFundsError) {
                 return res.status(400).json({
                     status: 'error',
                     message: 'Niet genoeg SKAFF om deze transactie uit te voeren'
                 });
             }
-            
-            // Transfer SKAFF
-            fromUser.skaff -= amount;
-            toUser.skaff += amount;
-            
-            await fromUser.save(connection);
-            await toUser.save(connection);
-            
-            // Log transactie
-            const transaction = new Transaction({
-                type: 'transfer',
-                amount,
-                fromUserId: fromUser.id,
-                toUserId: toUser.id,
-                description: description || 'Speler transfer'
-            });
-            
-            await transaction.save(connection);
-            
-            // Commit transactie
-            await connection.commit();
-            connection.release();
-            
-            res.status(200).json({
-                status: 'success',
-                message: 'SKAFF succesvol overgemaakt',
-                data: {
-                    fromUser: fromUser.username,
-                    toUser: toUser.username,
-                    amount,
-                    newBalance: fromUser.skaff
-                }
-            });
-        } catch (error) {
-            // Als er een fout optreedt, rollback de transactie
-            await session.abortTransaction();
-            session.endSession();
-            
             throw error;
         }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'SKAFF succesvol overgemaakt',
+            data: {
+                fromUser: fromUser.username,
+                toUser: toUser.username,
+                amount: value,
+                newBalance: balances[fromWallet]
+            }
+        });
     } catch (error) {
         console.error(`[EconomyController] transferSkaff error: ${error.message}`);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Er is een serverfout opgetreden' 
+        res.status(500).json({
+            status: 'error',
+            message: 'Er is een serverfout opgetreden'
         });
     }
 };
@@ -154,91 +253,12 @@ exports.transferSkaff = async (req, res) => {
  */
 exports.rewardSkaff = async (req, res) => {
     try {
-        // Admin check
-        if (req.user.role !== 'admin' && req.user.role !== 'moderator') {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Geen toestemming voor deze actie'
-            });
-        }
-        
-        const { username, amount, description } = req.body;
-        const adminId = req.user.id;
-        
-        // Valideer input
-        if (!username || !amount) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Gebruikersnaam en bedrag zijn vereist'
-            });
-        }
-        
-        if (amount <= 0) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Bedrag moet groter zijn dan 0'
-            });
-        }
-        
-        // Begin transactie sessie
-        const session = await mongoose.startSession();
-        session.startTransaction();
-        
-        try {
-            // Haal gebruiker op
-            const user = await User.findOne({ username }).session(session);
-            
-            if (!user) {
-                await session.abortTransaction();
-                session.endSession();
-                
-                return res.status(404).json({
-                    status: 'error',
-                    message: 'Gebruiker niet gevonden'
-                });
-            }
-            
-            // Geef SKAFF
-            user.skaff += amount;
-            await user.save({ session });
-            
-            // Log transactie
-            const transaction = new Transaction({
-                type: 'reward',
-                amount,
-                toUserId: user._id,
-                description: description || 'Admin beloning',
-                processedByAdmin: true,
-                adminId
-            });
-            
-            await transaction.save({ session });
-            
-            // Commit transactie
-            await session.commitTransaction();
-            session.endSession();
-            
-            res.status(200).json({
-                status: 'success',
-                message: 'SKAFF succesvol toegekend',
-                data: {
-                    username: user.username,
-                    amount,
-                    newBalance: user.skaff
-                }
-            });
-        } catch (error) {
-            // Als er een fout optreedt, rollback de transactie
-            await session.abortTransaction();
-            session.endSession();
-            
-            throw error;
-        }
+        await adminAdjustment(req, res, 'reward');
     } catch (error) {
         console.error(`[EconomyController] rewardSkaff error: ${error.message}`);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Er is een serverfout opgetreden' 
+        res.status(500).json({
+            status: 'error',
+            message: 'Er is een serverfout opgetreden'
         });
     }
 };
@@ -248,150 +268,54 @@ exports.rewardSkaff = async (req, res) => {
  */
 exports.penaltySkaff = async (req, res) => {
     try {
-        // Admin check
-        if (req.user.role !== 'admin' && req.user.role !== 'moderator') {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Geen toestemming voor deze actie'
-            });
-        }
-        
-        const { username, amount, description } = req.body;
-        const adminId = req.user.id;
-        
-        // Valideer input
-        if (!username || !amount) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Gebruikersnaam en bedrag zijn vereist'
-            });
-        }
-        
-        if (amount <= 0) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Bedrag moet groter zijn dan 0'
-            });
-        }
-        
-        // Begin transactie sessie
-        const session = await mongoose.startSession();
-        session.startTransaction();
-        
-        try {
-            // Haal gebruiker op
-            const user = await User.findOne({ username }).session(session);
-            
-            if (!user) {
-                await session.abortTransaction();
-                session.endSession();
-                
-                return res.status(404).json({
-                    status: 'error',
-                    message: 'Gebruiker niet gevonden'
-                });
-            }
-            
-            // Verwijder SKAFF, maar niet onder 0
-            const actualDeduction = Math.min(user.skaff, amount);
-            user.skaff -= actualDeduction;
-            
-            await user.save({ session });
-            
-            // Log transactie
-            const transaction = new Transaction({
-                type: 'penalty',
-                amount: actualDeduction,
-                toUserId: user._id,
-                description: description || 'Admin straf',
-                processedByAdmin: true,
-                adminId
-            });
-            
-            await transaction.save({ session });
-            
-            // Commit transactie
-            await session.commitTransaction();
-            session.endSession();
-            
-            res.status(200).json({
-                status: 'success',
-                message: 'SKAFF succesvol afgenomen',
-                data: {
-                    username: user.username,
-                    amountDeducted: actualDeduction,
-                    newBalance: user.skaff
-                }
-            });
-        } catch (error) {
-            // Als er een fout optreedt, rollback de transactie
-            await session.abortTransaction();
-            session.endSession();
-            
-            throw error;
-        }
+        await adminAdjustment(req, res, 'penalty');
     } catch (error) {
         console.error(`[EconomyController] penaltySkaff error: ${error.message}`);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Er is een serverfout opgetreden' 
+        res.status(500).json({
+            status: 'error',
+            message: 'Er is een serverfout opgetreden'
         });
     }
 };
 
 /**
  * Krijg transactiegeschiedenis van gebruiker
+ * Query: page, limit, type, since, until (ISO datum), counterparty (gebruikersnaam)
  */
 exports.getTransactions = async (req, res) => {
     try {
-        const userId = req.user.id;
-        const { limit = 10, page = 1 } = req.query;
-        
-        // Valideer paginatie params
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        
-        if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1) {
-            return res.status(400).json({
+        const userId = req.user.userId;
+
+        const parsed = await parseHistoryQuery(req.query, 10);
+        if (parsed.error) {
+            return res.status(parsed.status).json({
                 status: 'error',
-                message: 'Ongeldige paginatie parameters'
+                message: parsed.error
             });
         }
-        
-        // Haal transacties op
-        const skip = (pageNum - 1) * limitNum;
-        const transactions = await Transaction.find({
-            $or: [
-                { fromUserId: userId },
-                { toUserId: userId }
-            ]
-        })
-        .populate('fromUserId', 'username')
-        .populate('toUserId', 'username')
-        .sort({ timestamp: -1 })
-        .skip(skip)
-        .limit(limitNum);
-        
-        // Krijg ook het totaal aantal transacties voor paginatie
-        const total = await Transaction.countDocuments({
-            $or: [
-                { fromUserId: userId },
-                { toUserId: userId }
-            ]
-        });
-        
+        const { pageNum, limitNum, filters } = parsed;
+
+        // Haal transacties op, met het saldo na elke boeking
+        const { total, entries } = await Transaction.findLedgerHistory(
+            ledger.walletAccount(userId),
+            filters,
+            limitNum,
+            (pageNum - 1) * limitNum
+        );
+
         // Formatteer de transacties voor de client
-        const formattedTransactions = transactions.map(t => ({
-            id: t._id,
+        const formattedTransactions = entries.map(t => ({
+            id: t.id,
             type: t.type,
-            amount: t.amount,
-            from: t.fromUserId ? t.fromUserId.username : 'System',
-            to: t.toUserId ? t.toUserId.username : 'System',
+            amount: Math.abs(t.amount),
+            counterparty: t.counterparty || 'System',
             description: t.description,
+            reasonCode: t.metadata.reasonCode || null,
             timestamp: t.timestamp,
-            isIncoming: t.toUserId && t.toUserId._id.toString() === userId
+            isIncoming: t.amount > 0,
+            balance: t.balance
         }));
-        
+
         res.status(200).json({
             status: 'success',
             page: pageNum,
@@ -402,70 +326,48 @@ exports.getTransactions = async (req, res) => {
         });
     } catch (error) {
         console.error(`[EconomyController] getTransactions error: ${error.message}`);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Er is een serverfout opgetreden' 
+        res.status(500).json({
+            status: 'error',
+            message: 'Er is een serverfout opgetreden'
         });
     }
 };
 
 /**
  * Krijg alle transacties in het systeem (admin only)
+ * Query: page, limit, type, since, until (ISO datum), counterparty (gebruikersnaam)
  */
 exports.getGlobalTransactions = async (req, res) => {
     try {
-        // Admin check
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
+        const parsed = await parseHistoryQuery(req.query, 50);
+        if (parsed.error) {
+            return res.status(parsed.status).json({
                 status: 'error',
-                message: 'Geen toestemming voor deze actie'
+                message: parsed.error
             });
         }
-        
-        const { limit = 50, page = 1, type } = req.query;
-        
-        // Valideer paginatie params
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        
-        if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Ongeldige paginatie parameters'
-            });
-        }
-        
-        // Filter op type indien opgegeven
-        const filter = {};
-        if (type) {
-            filter.type = type;
-        }
-        
+        const { pageNum, limitNum, filters } = parsed;
+
         // Haal transacties op
-        const skip = (pageNum - 1) * limitNum;
-        const transactions = await Transaction.find(filter)
-            .populate('fromUserId', 'username')
-            .populate('toUserId', 'username')
-            .populate('adminId', 'username')
-            .sort({ timestamp: -1 })
-            .skip(skip)
-            .limit(limitNum);
-        
-        // Krijg ook het totaal aantal transacties voor paginatie
-        const total = await Transaction.countDocuments(filter);
-        
+        const { total, transactions } = await Transaction.findLedgerTransactions(
+            filters,
+            limitNum,
+            (pageNum - 1) * limitNum
+        );
+
         // Formatteer de transacties voor de client
         const formattedTransactions = transactions.map(t => ({
-            id: t._id,
+            id: t.id,
             type: t.type,
             amount: t.amount,
-            from: t.fromUserId ? t.fromUserId.username : 'System',
-            to: t.toUserId ? t.toUserId.username : 'System',
+            from: t.from,
+            to: t.to,
             description: t.description,
+            reasonCode: t.metadata.reasonCode || null,
             timestamp: t.timestamp,
-            admin: t.adminId ? t.adminId.username : null
+            admin: t.type.startsWith('admin_') ? t.createdBy : null
         }));
-        
+
         res.status(200).json({
             status: 'success',
             page: pageNum,
@@ -476,9 +378,11 @@ exports.getGlobalTransactions = async (req, res) => {
         });
     } catch (error) {
         console.error(`[EconomyController] getGlobalTransactions error: ${error.message}`);
-        res.status(500).json({ 
-            status: 'error', 
-            message: 'Er is een serverfout opgetreden' 
+        res.status(500).json({
+            status: 'error',
+            message: 'Er is een serverfout opgetreden'
         });
     }
-};
\ No newline at end of file
+};
+
+exports.ADMIN_REASON_CODES = ADMIN_REASON_CODES;
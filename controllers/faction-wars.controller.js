@@ -4,6 +4,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const db = require('../utils/db');
+const ledger = require('../utils/ledger');
 const User = require('../models/user.mysql');
 const Player = require('../models/player.mysql');
 
@@ -68,7 +69,6 @@ exports.getFactions = async (req, res) => {
 exports.createFaction = async (req, res) => {
     try {
         const { name, description, playerId } = req.body;
-        const userId = req.user.id;
         
         // Valideer input
         if (!name || !playerId) {
@@ -78,12 +78,12 @@ exports.createFaction = async (req, res) => {
             });
         }
         
-        // Verificeer player ownership
+        // Ownership is gecontroleerd door requirePlayerAccess
         const player = await Player.findById(playerId);
-        if (!player || player.userId !== userId) {
-            return res.status(403).json({
+        if (!player) {
+            return res.status(404).json({
                 status: 'error',
-                message: 'Deze speler behoort niet tot jouw account'
+                message: 'Speler niet gevonden'
             });
         }
         
@@ -162,14 +162,13 @@ exports.createFaction = async (req, res) => {
 exports.joinFaction = async (req, res) => {
     try {
         const { factionId, playerId } = req.body;
-        const userId = req.user.id;
         
-        // Verificeer player ownership
+        // Ownership is gecontroleerd door requirePlayerAccess
         const player = await Player.findById(playerId);
-        if (!player || player.userId !== userId) {
-            return res.status(403).json({
+        if (!player) {
+            return res.status(404).json({
                 status: 'error',
-                message: 'Deze speler behoort niet tot jouw account'
+                message: 'Speler niet gevonden'
             });
         }
         
@@ -225,14 +224,13 @@ exports.joinFaction = async (req, res) => {
 exports.leaveFaction = async (req, res) => {
     try {
         const { playerId } = req.body;
-        const userId = req.user.id;
         
-        // Verificeer player ownership
+        // Ownership is gecontroleerd door requirePlayerAccess
         const player = await Player.findById(playerId);
-        if (!player || player.userId !== userId) {
-            return res.status(403).json({
+        if (!player) {
+            return res.status(404).json({
                 status: 'error',
-                message: 'Deze speler behoort niet tot jouw account'
+                message: 'Speler niet gevonden'
             });
         }
         
@@ -312,14 +310,13 @@ exports.leaveFaction = async (req, res) => {
 exports.declareWar = async (req, res) => {
     try {
         const { targetFactionId, playerId, reason } = req.body;
-        const userId = req.user.id;
         
-        // Verificeer player ownership
+        // Ownership is gecontroleerd door requirePlayerAccess
         const player = await Player.findById(playerId);
-        if (!player || player.userId !== userId) {
-            return res.status(403).json({
+        if (!player) {
+            return res.status(404).json({
                 status: 'error',
-                message: 'Deze speler behoort niet tot jouw account'
+                message: 'Speler niet gevonden'
             });
         }
         
@@ -392,16 +389,16 @@ exports.declareWar = async (req, res) => {
 exports.registerKill = async (req, res) => {
     try {
         const { killerPlayerId, victimPlayerId, location } = req.body;
-        const userId = req.user.id;
         
-        // Verificeer killer ownership
+        // Ownership van de killer is gecontroleerd door requirePlayerAccess
         const killer = await Player.findById(killerPlayerId);
-        if (!killer || killer.userId !== userId) {
-            return res.status(403).json({
+        if (!killer) {
+            return res.status(404).json({
                 status: 'error',
-                message: 'Deze speler behoort niet tot jouw account'
+                message: 'Speler niet gevonden'
             });
         }
+        const userId = killer.userId;
         
         // Haal victim info op
         const victim = await Player.findById(victimPlayerId);
@@ -464,10 +461,16 @@ exports.registerKill = async (req, res) => {
             );
             
             // Beloon killer met SKAFF
-            await connection.query(
-                'UPDATE users SET skaff = skaff + ? WHERE id = ?',
-                [war ? 100 : 25, userId] // Meer SKAFF voor oorlog kills
-            );
+            await ledger.transfer(connection, {
+                from: ledger.SYSTEM_ACCOUNTS.MINT,
+                to: ledger.walletAccount(userId),
+                amount: war ? 100 : 25, // Meer SKAFF voor oorlog kills
+                type: war ? 'war_kill_reward' : 'pvp_kill_reward',
+                description: `Kill op ${victim.username || victimPlayerId}`,
+                referenceId: killId,
+                createdBy: userId,
+                metadata: { warId: war?.id || null, killerPlayerId, victimPlayerId }
+            });
             
             await connection.commit();
             connection.release();
@@ -504,14 +507,13 @@ exports.registerKill = async (req, res) => {
 exports.claimTerritory = async (req, res) => {
     try {
         const { playerId, name, x, y, radius = 50 } = req.body;
-        const userId = req.user.id;
         
-        // Verificeer player ownership
+        // Ownership is gecontroleerd door requirePlayerAccess
         const player = await Player.findById(playerId);
-        if (!player || player.userId !== userId) {
-            return res.status(403).json({
+        if (!player) {
+            return res.status(404).json({
                 status: 'error',
-                message: 'Deze speler behoort niet tot jouw account'
+                message: 'Speler niet gevonden'
             });
         }
         
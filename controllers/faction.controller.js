@@ -200,14 +200,6 @@ exports.getFactionMembers = async (req, res) => {
  */
 exports.createFaction = async (req, res) => {
     try {
-        // Admin check
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Geen toestemming voor deze actie'
-            });
-        }
-        
         const { name, description, color, factionId, baseLocation, safeZoneRadius, leaderId } = req.body;
         
         // Valideer input
@@ -266,14 +258,6 @@ exports.createFaction = async (req, res) => {
  */
 exports.updateFaction = async (req, res) => {
     try {
-        // Admin check
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Geen toestemming voor deze actie'
-            });
-        }
-        
         const { id } = req.params;
         const { name, description, color, baseLocation, safeZoneRadius, leaderId, isActive } = req.body;
         
@@ -321,14 +305,6 @@ exports.updateFaction = async (req, res) => {
  */
 exports.updateFactionRelations = async (req, res) => {
     try {
-        // Admin check
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Geen toestemming voor deze actie'
-            });
-        }
-        
         const { factionId, targetFactionId, status } = req.body;
         
         // Valideer input
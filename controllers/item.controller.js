@@ -0,0 +1,148 @@
+/**
+ * Item controller voor de item catalogus
+ * Lezen is voor iedereen; aanmaken, wijzigen, verwijderen en herladen vereist items.manage
+ */
+
+const itemRegistry = require('../managers/ItemRegistry');
+
+// Velden die via de API gezet mogen worden
+const DEFINITION_FIELDS = [
+    'id', 'name', 'description', 'category', 'stackSize', 'rarity', 'baseValue',
+    'tradeable', 'soulbound', 'stats', 'shopPrice', 'levelRequired'
+];
+
+/**
+ * Stuur een fout uit de ItemRegistry terug (AppError heeft een statusCode, de rest is een serverfout)
+ */
+function sendError(res, error, action) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+
+    console.error(`[ItemController] ${action} error: ${error.message}`);
+    return res.status(500).json({
+        status: 'error',
+        message: 'Er is een serverfout opgetreden'
+    });
+}
+
+function pickDefinition(body = {}) {
+    return Object.fromEntries(DEFINITION_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+/**
+ * Haal alle item definities op
+ * Query: category
+ */
+exports.getItems = async (req, res) => {
+    try {
+        const items = itemRegistry.list({ category: req.query.category });
+
+        res.status(200).json({
+            status: 'success',
+            count: items.length,
+            data: {
+                items,
+                categories: itemRegistry.categories()
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'getItems');
+    }
+};
+
+/**
+ * Haal een enkele item definitie op
+ */
+exports.getItem = async (req, res) => {
+    try {
+        const item = itemRegistry.get(req.params.itemId);
+
+        if (!item) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Item niet gevonden'
+            });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: item
+        });
+    } catch (error) {
+        sendError(res, error, 'getItem');
+    }
+};
+
+/**
+ * Voeg een item definitie toe (admin)
+ */
+exports.createItem = async (req, res) => {
+    try {
+        const item = await itemRegistry.create(pickDefinition(req.body));
+
+        res.status(201).json({
+            status: 'success',
+            message: `Item ${item.id} toegevoegd`,
+            data: item
+        });
+    } catch (error) {
+        sendError(res, error, 'createItem');
+    }
+};
+
+/**
+ * Wijzig een item definitie (admin)
+ */
+exports.updateItem = async (req, res) => {
+    try {
+        const changes = pickDefinition(req.body);
+        delete changes.id;
+
+        const item = await itemRegistry.update(req.params.itemId, changes);
+
+        res.status(200).json({
+            status: 'success',
+            message: `Item ${item.id} bijgewerkt`,
+            data: item
+        });
+    } catch (error) {
+        sendError(res, error, 'updateItem');
+    }
+};
+
+/**
+ * Verwijder een item definitie die nergens meer gebruikt wordt (admin)
+ */
+exports.deleteItem = async (req, res) => {
+    try {
+        await itemRegistry.remove(req.params.itemId);
+
+        res.status(200).json({
+            status: 'success',
+            message: `Item ${req.params.itemId} verwijderd`
+        });
+    } catch (error) {
+        sendError(res, error, 'deleteItem');
+    }
+};
+
+/**
+ * Lees de catalogus opnieuw in uit de database (admin)
+ */
+exports.reloadItems = async (req, res) => {
+    try {
+        await itemRegistry.reload();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Item catalogus herladen',
+            data: itemRegistry.status()
+        });
+    } catch (error) {
+        sendError(res, error, 'reloadItems');
+    }
+};
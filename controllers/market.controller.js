@@ -0,0 +1,261 @@
+/**
+ * Market controller voor de spelers marktplaats (buyout listings en veilingen)
+ * De escrow, fees en afhandeling zitten in managers/MarketManager.js
+ */
+
+const marketManager = require('../managers/MarketManager');
+
+const LISTING_TYPES = ['buyout', 'auction'];
+const SORTS = ['price_asc', 'price_desc', 'ending_soon', 'newest'];
+const MAX_PAGE_SIZE = 100;
+const MAX_HISTORY_DAYS = 365;
+
+/**
+ * Stuur een fout uit de MarketManager terug (AppError heeft een statusCode, de rest is een serverfout)
+ */
+function sendError(res, error, action) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+
+    console.error(`[MarketController] ${action} error: ${error.message}`);
+    return res.status(500).json({
+        status: 'error',
+        message: 'Er is een serverfout opgetreden'
+    });
+}
+
+/**
+ * Optioneel geheel getal uit body of query (undefined als het veld ontbreekt, NaN als het ongeldig is)
+ */
+function optionalInt(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : NaN;
+}
+
+/**
+ * Zoek actieve listings
+ * Query: itemId, category, type, minPrice, maxPrice, sellerPlayerId, sort, page, limit
+ */
+exports.searchListings = async (req, res) => {
+    try {
+        const { itemId, category, type, sellerPlayerId, sort = 'price_asc', page = 1, limit = 20 } = req.query;
+        const minPrice = optionalInt(req.query.minPrice);
+        const maxPrice = optionalInt(req.query.maxPrice);
+
+        const pageNum = parseInt(page);
+        const limitNum = Math.min(parseInt(limit), MAX_PAGE_SIZE);
+        if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Ongeldige paginatie parameters'
+            });
+        }
+
+        if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'minPrice en maxPrice moeten gehele getallen zijn'
+            });
+        }
+
+        if (type && !LISTING_TYPES.includes(type)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Ongeldig type, kies uit: ${LISTING_TYPES.join(', ')}`
+            });
+        }
+
+        if (!SORTS.includes(sort)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Ongeldige sortering, kies uit: ${SORTS.join(', ')}`
+            });
+        }
+
+        const { total, listings } = await marketManager.search({
+            itemId,
+            category,
+            type,
+            minPrice,
+            maxPrice,
+            sellerPlayerId,
+            sort,
+            limit: limitNum,
+            skip: (pageNum - 1) * limitNum
+        });
+
+        res.status(200).json({
+            status: 'success',
+            page: pageNum,
+            limit: limitNum,
+            total,
+            pages: Math.ceil(total / limitNum),
+            fees: marketManager.getFees(),
+            data: listings
+        });
+    } catch (error) {
+        sendError(res, error, 'searchListings');
+    }
+};
+
+/**
+ * Krijg een enkele listing
+ */
+exports.getListing = async (req, res) => {
+    try {
+        const listing = await marketManager.getListing(req.params.listingId);
+
+        res.status(200).json({
+            status: 'success',
+            data: listing
+        });
+    } catch (error) {
+        sendError(res, error, 'getListing');
+    }
+};
+
+/**
+ * Plaats een item uit je inventory op de markt (listing fee wordt direct afgeschreven)
+ */
+exports.createListing = async (req, res) => {
+    try {
+        const { playerId, inventoryItemId, type } = req.body;
+        const quantity = optionalInt(req.body.quantity);
+        const buyoutPrice = optionalInt(req.body.buyoutPrice);
+        const startPrice = optionalInt(req.body.startPrice);
+        const durationHours = optionalInt(req.body.durationHours);
+
+        if (!playerId || !inventoryItemId || !type) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'playerId, inventoryItemId en type zijn vereist'
+            });
+        }
+
+        if ([quantity, buyoutPrice, startPrice, durationHours].some(Number.isNaN)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'quantity, buyoutPrice, startPrice en durationHours moeten gehele getallen zijn'
+            });
+        }
+
+        const listing = await marketManager.createListing(req.user.userId, {
+            playerId,
+            inventoryItemId,
+            type,
+            quantity: quantity === undefined ? null : quantity,
+            buyoutPrice: buyoutPrice === undefined ? null : buyoutPrice,
+            startPrice: startPrice === undefined ? null : startPrice,
+            durationHours
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Item op de markt geplaatst',
+            data: listing
+        });
+    } catch (error) {
+        sendError(res, error, 'createListing');
+    }
+};
+
+/**
+ * Koop een listing voor de buyout prijs
+ */
+exports.buyListing = async (req, res) => {
+    try {
+        const { playerId } = req.body;
+
+        if (!playerId) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'playerId is vereist'
+            });
+        }
+
+        const listing = await marketManager.buyout(req.user.userId, req.params.listingId, playerId);
+
+        res.status(200).json({
+            status: 'success',
+            message: `Gekocht: ${listing.quantity}x ${listing.itemName}`,
+            data: listing
+        });
+    } catch (error) {
+        sendError(res, error, 'buyListing');
+    }
+};
+
+/**
+ * Bied op een veiling
+ */
+exports.placeBid = async (req, res) => {
+    try {
+        const { playerId } = req.body;
+        const amount = optionalInt(req.body.amount);
+
+        if (!playerId || amount === undefined) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'playerId en bedrag zijn vereist'
+            });
+        }
+
+        const listing = await marketManager.placeBid(req.user.userId, req.params.listingId, playerId, amount);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Bod geplaatst',
+            data: listing
+        });
+    } catch (error) {
+        sendError(res, error, 'placeBid');
+    }
+};
+
+/**
+ * Annuleer een eigen listing zonder biedingen
+ */
+exports.cancelListing = async (req, res) => {
+    try {
+        const listing = await marketManager.cancelListing(req.user.userId, req.params.listingId);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Listing geannuleerd, item staat weer in je inventory',
+            data: listing
+        });
+    } catch (error) {
+        sendError(res, error, 'cancelListing');
+    }
+};
+
+/**
+ * Prijsgeschiedenis van een item (laatste verkoop, mediaan en volume)
+ * Query: days (standaard 30)
+ */
+exports.getPriceHistory = async (req, res) => {
+    try {
+        const days = optionalInt(req.query.days);
+
+        if (Number.isNaN(days) || (days !== undefined && (days < 1 || days > MAX_HISTORY_DAYS))) {
+            return res.status(400).json({
+                status: 'error',
+                message: `days moet tussen 1 en ${MAX_HISTORY_DAYS} liggen`
+            });
+        }
+
+        const history = await marketManager.getPriceHistory(req.params.itemId, days);
+
+        res.status(200).json({
+            status: 'success',
+            data: history
+        });
+    } catch (error) {
+        sendError(res, error, 'getPriceHistory');
+    }
+};
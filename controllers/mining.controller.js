@@ -4,10 +4,34 @@
 
 const { v4: uuidv4 } = require('uuid');
 const db = require('../utils/db');
+const ledger = require('../utils/ledger');
 const User = require('../models/user.mysql');
-const Player = require('../models/player.mysql');
+const { canAccessPlayer } = require('../middleware/ownership');
+const { AppError } = require('../middleware/errorHandler');
+const inventoryManager = require('../managers/InventoryManager');
+const miningNodeManager = require('../managers/MiningNodeManager');
+const miningToolManager = require('../managers/MiningToolManager');
+const lootTableManager = require('../managers/LootTableManager');
 
-// Mining locations configuratie
+/**
+ * Stuur een fout uit een manager terug (AppError heeft een statusCode, de rest is een serverfout)
+ */
+function sendError(res, error, action, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+
+    console.error(`[MiningController] ${action} error: ${error.message}`);
+    res.status(500).json({
+        status: 'error',
+        message
+    });
+}
+
+// Mining locations configuratie; nodes = aantal mining nodes per game server shard
 const MINING_LOCATIONS = {
     'iron_mine': {
         id: 'iron_mine',
@@ -15,6 +39,7 @@ const MINING_LOCATIONS = {
         position: { x: 200, y: 10, z: -150 },
         resources: ['raw_iron', 'coal'],
         difficulty: 1,
+        nodes: 8,
         respawnTime: 300000 // 5 minuten in ms
     },
     'gold_mine': {
@@ -23,6 +48,7 @@ const MINING_LOCATIONS = {
         position: { x: -300, y: 15, z: 200 },
         resources: ['raw_gold', 'precious_gems'],
         difficulty: 3,
+        nodes: 5,
         respawnTime: 900000 // 15 minuten
     },
     'diamond_cave': {
@@ -31,47 +57,138 @@ const MINING_LOCATIONS = {
         position: { x: 500, y: -20, z: -400 },
         resources: ['raw_diamond', 'rare_crystals'],
         difficulty: 5,
+        nodes: 3,
         respawnTime: 1800000 // 30 minuten
     }
 };
 
-// Mining rewards gebaseerd op difficulty
-const MINING_REWARDS = {
-    1: { skaff: [5, 15], xp: [10, 25] },
-    2: { skaff: [15, 30], xp: [25, 50] },
-    3: { skaff: [30, 60], xp: [50, 100] },
-    4: { skaff: [60, 120], xp: [100, 200] },
-    5: { skaff: [120, 250], xp: [200, 400] }
+// Rewards (SKAFF, XP en drops) staan per locatie in de loot tables, zie managers/LootTableManager.js
+
+// Minimale sessieduur zonder tool of boost; tools en boosts maken dit (net als de geschatte duur) korter
+const MIN_SESSION_DURATION = 30000;
+
+/**
+ * Alle loot tables (admin)
+ */
+exports.getLootTables = async (req, res) => {
+    try {
+        const tables = await lootTableManager.listTables();
+
+        res.json({
+            status: 'success',
+            count: tables.length,
+            data: tables
+        });
+    } catch (error) {
+        sendError(res, error, 'getLootTables', 'Kon loot tables niet ophalen');
+    }
+};
+
+/**
+ * Loot table van een locatie (admin)
+ */
+exports.getLootTable = async (req, res) => {
+    try {
+        const table = await lootTableManager.getTable(req.params.locationId);
+
+        res.json({
+            status: 'success',
+            data: table
+        });
+    } catch (error) {
+        sendError(res, error, 'getLootTable', 'Kon loot table niet ophalen');
+    }
+};
+
+/**
+ * Maak of wijzig de loot table van een locatie (admin)
+ * Body: rolls, skaff [min, max], xp [min, max], guaranteed, entries
+ */
+exports.saveLootTable = async (req, res) => {
+    try {
+        const { locationId } = req.params;
+        if (!MINING_LOCATIONS[locationId]) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Mining locatie niet gevonden'
+            });
+        }
+
+        const { rolls, skaff, xp, guaranteed, entries } = req.body;
+        const table = await lootTableManager.saveTable(locationId, { rolls, skaff, xp, guaranteed, entries });
+
+        res.json({
+            status: 'success',
+            message: `Loot table ${locationId} opgeslagen (versie ${table.version})`,
+            data: table
+        });
+    } catch (error) {
+        sendError(res, error, 'saveLootTable', 'Kon loot table niet opslaan');
+    }
+};
+
+/**
+ * Simuleer N sessies op een loot table (admin)
+ * Body: count, level, miningXp, toolSpeed en optioneel table (concept dat nog niet opgeslagen is)
+ */
+exports.simulateLoot = async (req, res) => {
+    try {
+        const { locationId } = req.params;
+        const { count, level, miningXp, toolSpeed, table } = req.body;
+
+        const lootTable = table ? { ...table, locationId } : await lootTableManager.getTable(locationId);
+        const result = lootTableManager.simulate(lootTable, { count, level, miningXp, toolSpeed });
+
+        res.json({
+            status: 'success',
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'simulateLoot', 'Kon loot simulatie niet uitvoeren');
+    }
 };
 
 /**
- * Haal alle mining locaties op
+ * Minimale duur van een sessie, korter met de tool en boost waarmee hij gestart is
+ * @param {boolean} withTool - false als de tool bij het voltooien niet meer bruikbaar is (alleen de boost telt)
+ */
+function minSessionDuration(session, withTool = true) {
+    const miningSpeed = withTool ? Number(session.mining_speed) || 1 : 1;
+    return MIN_SESSION_DURATION / (miningSpeed * (Number(session.speed_boost) || 1));
+}
+
+/**
+ * Haal alle mining locaties op, met de live beschikbaarheid van de nodes op een shard
+ * Query: serverId (game server shard, standaard de default shard)
  */
 exports.getMiningLocations = async (req, res) => {
     try {
-        const locations = Object.values(MINING_LOCATIONS);
+        const shard = await miningNodeManager.resolveShard(req.query.serverId);
+        const availability = await miningNodeManager.getAvailability(shard, Object.values(MINING_LOCATIONS));
+        const locations = Object.values(MINING_LOCATIONS).map(location => ({
+            ...location,
+            availability: availability.get(location.id)
+        }));
         
         res.json({
             status: 'success',
             count: locations.length,
+            serverId: shard,
             data: locations
         });
     } catch (error) {
-        console.error(`[MiningController] getMiningLocations error: ${error.message}`);
-        res.status(500).json({
-            status: 'error',
-            message: 'Kon mining locaties niet ophalen'
-        });
+        sendError(res, error, 'getMiningLocations', 'Kon mining locaties niet ophalen');
     }
 };
 
 /**
  * Start mining sessie
+ * Body: locationId, playerId, toolSlot (inventory slot van de gebruikte tool, optioneel)
+ * De shard is de game server waar de speler met zijn join ticket binnenkwam
  */
 exports.startMining = async (req, res) => {
     try {
-        const { locationId, playerId } = req.body;
-        const userId = req.user.id;
+        const { locationId, playerId, toolSlot } = req.body;
 
         // Valideer input
         if (!locationId || !playerId) {
@@ -90,39 +207,48 @@ exports.startMining = async (req, res) => {
             });
         }
 
-        // Verificeer player ownership
-        const player = await Player.findById(playerId);
-        if (!player || player.userId !== userId) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Deze speler behoort niet tot jouw account'
-            });
-        }
+        const shard = await miningNodeManager.resolvePlayerShard(playerId);
 
-        // Check of speler al aan het minen is
-        const [existingSession] = await db.query(
-            'SELECT * FROM mining_sessions WHERE player_id = ? AND status = "active"',
-            [playerId]
-        );
-
-        if (existingSession) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Je bent al aan het minen op een andere locatie'
-            });
-        }
+        // Tool en actieve boost versnellen de sessie
+        const tool = toolSlot !== undefined && toolSlot !== null ? await miningToolManager.getUsableTool(playerId, toolSlot) : null;
+        const boost = await miningToolManager.getActiveBoost(playerId);
+        const miningSpeed = tool ? tool.miningSpeed : 1;
+        const speedBoost = boost ? boost.multiplier : 1;
 
-        // Start nieuwe mining sessie
+        // Start nieuwe mining sessie op een vrije node van deze shard
         const sessionId = uuidv4();
         const startTime = new Date();
-        const estimatedDuration = 60000 + (location.difficulty * 30000); // Base 1 min + difficulty
+        const estimatedDuration = Math.round((60000 + (location.difficulty * 30000)) / (miningSpeed * speedBoost)); // Base 1 min + difficulty
 
-        await db.query(
-            `INSERT INTO mining_sessions 
-             (id, player_id, location_id, status, start_time, estimated_end_time)
-             VALUES (?, ?, ?, 'active', ?, ?)`,
-            [sessionId, playerId, locationId, startTime, new Date(startTime.getTime() + estimatedDuration)]
-        );
+        const nodeIndex = await ledger.withTransaction(async (connection) => {
+            // Lock de speler, zodat twee gelijktijdige starts na elkaar de actieve sessie controleren
+            const [[player]] = await connection.query('SELECT id FROM players WHERE id = ? FOR UPDATE', [playerId]);
+            if (!player) {
+                throw new AppError('Speler niet gevonden', 404);
+            }
+
+            // Check of speler al aan het minen is
+            const [[existingSession]] = await connection.query(
+                'SELECT id FROM mining_sessions WHERE player_id = ? AND status = "active" FOR UPDATE',
+                [playerId]
+            );
+            if (existingSession) {
+                throw new AppError('Je bent al aan het minen op een andere locatie', 400);
+            }
+
+            await connection.query(
+                `INSERT INTO mining_sessions 
+                 (id, player_id, location_id, status, start_time, estimated_end_time)
+                 VALUES (?, ?, ?, 'active', ?, ?)`,
+                [sessionId, playerId, locationId, startTime, new Date(startTime.getTime() + estimatedDuration)]
+            );
+            await connection.query(
+                `INSERT INTO mining_session_modifiers (session_id, inventory_item_id, tool_item_id, mining_speed, speed_boost)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [sessionId, tool ? tool.inventoryItemId : null, tool ? tool.itemId : null, miningSpeed, speedBoost]
+            );
+            return miningNodeManager.claimNode(connection, shard, location, sessionId);
+        });
 
         res.status(201).json({
             status: 'success',
@@ -130,17 +256,17 @@ exports.startMining = async (req, res) => {
             data: {
                 sessionId,
                 location: location.name,
+                serverId: shard,
+                nodeIndex,
                 estimatedDuration,
-                difficulty: location.difficulty
+                difficulty: location.difficulty,
+                tool,
+                speedBoost
             }
         });
 
     } catch (error) {
-        console.error(`[MiningController] startMining error: ${error.message}`);
-        res.status(500).json({
-            status: 'error',
-            message: 'Kon mining sessie niet starten'
-        });
+        sendError(res, error, 'startMining', 'Kon mining sessie niet starten');
     }
 };
 
@@ -150,13 +276,13 @@ exports.startMining = async (req, res) => {
 exports.completeMining = async (req, res) => {
     try {
         const { sessionId } = req.params;
-        const userId = req.user.id;
 
         // Haal mining sessie op
         const [session] = await db.query(
-            `SELECT ms.*, p.user_id 
+            `SELECT ms.*, p.user_id, mm.inventory_item_id, mm.mining_speed, mm.speed_boost
              FROM mining_sessions ms 
              JOIN players p ON ms.player_id = p.id 
+             LEFT JOIN mining_session_modifiers mm ON mm.session_id = ms.id
              WHERE ms.id = ? AND ms.status = "active"`,
             [sessionId]
         );
@@ -168,8 +294,9 @@ exports.completeMining = async (req, res) => {
             });
         }
 
-        // Verificeer ownership
-        if (session.user_id !== userId) {
+        // Verificeer ownership; de reward gaat altijd naar de eigenaar van de speler
+        const userId = session.user_id;
+        if (!(await canAccessPlayer(req, userId))) {
             return res.status(403).json({
                 status: 'error',
                 message: 'Deze mining sessie behoort niet tot jouw account'
@@ -179,40 +306,77 @@ exports.completeMining = async (req, res) => {
         const location = MINING_LOCATIONS[session.location_id];
         const currentTime = new Date();
         const sessionDuration = currentTime - new Date(session.start_time);
-        const minDuration = 30000; // Minimum 30 seconden
 
-        if (sessionDuration < minDuration) {
+        if (sessionDuration < minSessionDuration(session)) {
             return res.status(400).json({
                 status: 'error',
                 message: 'Mining sessie is nog niet lang genoeg bezig'
             });
         }
 
-        // Bereken rewards
-        const rewardData = MINING_REWARDS[location.difficulty];
-        const skaffReward = Math.floor(Math.random() * (rewardData.skaff[1] - rewardData.skaff[0])) + rewardData.skaff[0];
-        const xpReward = Math.floor(Math.random() * (rewardData.xp[1] - rewardData.xp[0])) + rewardData.xp[0];
-
-        // Random resource from location
-        const randomResource = location.resources[Math.floor(Math.random() * location.resources.length)];
-        const resourceQuantity = Math.floor(Math.random() * 3) + 1; // 1-3 items
+        // Loot table van de locatie en level/XP van de speler voor de gated drops
+        const lootTable = await lootTableManager.getTable(location.id);
+        const [stats] = await db.query('SELECT level, mining_xp FROM player_stats WHERE player_id = ?', [session.player_id]);
 
         // Begin transactie
         const connection = await db.getConnection();
         await connection.beginTransaction();
 
         try {
-            // Update mining sessie
-            await connection.query(
-                'UPDATE mining_sessions SET status = "completed", end_time = ?, rewards_claimed = 1 WHERE id = ?',
+            // De tool moet nog in de inventaris zitten en heel zijn; anders geldt de duur zonder tool bonus
+            const toolRow = session.inventory_item_id
+                ? await miningToolManager.lockSessionTool(connection, session.player_id, session.inventory_item_id)
+                : null;
+            if (sessionDuration < minSessionDuration(session, !!toolRow)) {
+                await connection.rollback();
+                connection.release();
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Mining sessie is nog niet lang genoeg bezig (je tool is niet meer beschikbaar)'
+                });
+            }
+
+            // Update mining sessie; alleen als hij nog actief is (een verlopen node claim zet hem op abandoned)
+            const [updated] = await connection.query(
+                'UPDATE mining_sessions SET status = "completed", end_time = ?, rewards_claimed = 1 WHERE id = ? AND status = "active"',
                 [currentTime, sessionId]
             );
+            if (updated.affectedRows === 0) {
+                await connection.rollback();
+                connection.release();
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Mining sessie niet gevonden of al voltooid'
+                });
+            }
+
+            // De node is uitgeput tot na de respawnTime van de locatie
+            const node = await miningNodeManager.depleteNode(connection, sessionId, location);
+
+            // De tool slijt; zit hij niet meer in de inventaris, dan telt hij ook niet mee voor de rewards
+            const tool = toolRow ? await miningToolManager.wearTool(connection, toolRow, location.difficulty) : null;
+            const toolSpeed = tool ? Number(session.mining_speed) : 1;
+
+            // Bereken rewards
+            const loot = lootTableManager.roll(lootTable, {
+                level: stats ? stats.level : 1,
+                miningXp: stats ? stats.mining_xp : 0
+            }, { toolSpeed });
+            const skaffReward = loot.skaff;
+            const xpReward = loot.xp;
 
             // Geef SKAFF reward
-            await connection.query(
-                'UPDATE users SET skaff = skaff + ? WHERE id = ?',
-                [skaffReward, userId]
-            );
+            if (skaffReward > 0) {
+                await ledger.transfer(connection, {
+                    from: ledger.SYSTEM_ACCOUNTS.MINT,
+                    to: ledger.walletAccount(userId),
+                    amount: skaffReward,
+                    type: 'mining_reward',
+                    description: `Mining: ${location.name}`,
+                    referenceId: sessionId,
+                    createdBy: userId
+                });
+            }
 
             // Update mining XP
             await connection.query(
@@ -222,19 +386,11 @@ exports.completeMining = async (req, res) => {
                 [session.player_id, xpReward, xpReward]
             );
 
-            // Voeg item toe aan inventory
-            const [inventory] = await connection.query(
-                'SELECT * FROM inventory WHERE player_id = ?',
-                [session.player_id]
-            );
-
-            if (inventory) {
-                await connection.query(
-                    `INSERT INTO inventory_items (id, inventory_id, item_id, quantity, slot)
-                     VALUES (UUID(), ?, ?, ?, 
-                        (SELECT COALESCE(MAX(slot), -1) + 1 FROM inventory_items WHERE inventory_id = ?))`,
-                    [inventory.id, randomResource, resourceQuantity, inventory.id]
-                );
+            // Voeg drops toe aan inventory; bij een volle inventory gaat wat niet past verloren
+            const items = [];
+            for (const drop of loot.items) {
+                const added = await inventoryManager.addItems(connection, session.player_id, drop.itemId, drop.quantity, { partial: true });
+                items.push({ ...drop, added: added.quantity });
             }
 
             await connection.commit();
@@ -248,10 +404,14 @@ exports.completeMining = async (req, res) => {
                     rewards: {
                         skaff: skaffReward,
                         xp: xpReward,
-                        item: randomResource,
-                        quantity: resourceQuantity
+                        item: items.length > 0 ? items[0].itemId : null,
+                        quantity: items.length > 0 ? items[0].added : 0,
+                        items,
+                        inventoryFull: items.some(drop => drop.added < drop.quantity)
                     },
-                    duration: Math.floor(sessionDuration / 1000)
+                    duration: Math.floor(sessionDuration / 1000),
+                    nodeRespawnAt: node ? node.respawnAt : null,
+                    tool
                 }
             });
 
@@ -262,11 +422,7 @@ exports.completeMining = async (req, res) => {
         }
 
     } catch (error) {
-        console.error(`[MiningController] completeMining error: ${error.message}`);
-        res.status(500).json({
-            status: 'error',
-            message: 'Kon mining sessie niet voltooien'
-        });
+        sendError(res, error, 'completeMining', 'Kon mining sessie niet voltooien');
     }
 };
 
@@ -276,19 +432,12 @@ exports.completeMining = async (req, res) => {
 exports.getMiningStatus = async (req, res) => {
     try {
         const { playerId } = req.params;
-        const userId = req.user.id;
-
-        // Verificeer player ownership
-        const player = await Player.findById(playerId);
-        if (!player || player.userId !== userId) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Deze speler behoort niet tot jouw account'
-            });
-        }
 
         const [session] = await db.query(
-            'SELECT * FROM mining_sessions WHERE player_id = ? AND status = "active"',
+            `SELECT ms.*, mm.mining_speed, mm.speed_boost
+             FROM mining_sessions ms
+             LEFT JOIN mining_session_modifiers mm ON mm.session_id = ms.id
+             WHERE ms.player_id = ? AND ms.status = "active"`,
             [playerId]
         );
 
@@ -303,6 +452,7 @@ exports.getMiningStatus = async (req, res) => {
         }
 
         const location = MINING_LOCATIONS[session.location_id];
+        const node = await miningNodeManager.getSessionNode(session.id);
         const currentTime = new Date();
         const startTime = new Date(session.start_time);
         const estimatedEndTime = new Date(session.estimated_end_time);
@@ -317,9 +467,13 @@ exports.getMiningStatus = async (req, res) => {
                 isMining: true,
                 sessionId: session.id,
                 location: location.name,
+                serverId: node ? node.serverId : null,
+                nodeIndex: node ? node.nodeIndex : null,
                 progress: Math.floor(progress),
                 timeRemaining: Math.max(0, Math.floor((estimatedEndTime - currentTime) / 1000)),
-                canComplete: elapsedTime >= 30000
+                canComplete: elapsedTime >= minSessionDuration(session),
+                miningSpeed: Number(session.mining_speed) || 1,
+                speedBoost: Number(session.speed_boost) || 1
             }
         });
 
@@ -332,9 +486,67 @@ exports.getMiningStatus = async (req, res) => {
     }
 };
 
+/**
+ * Gebruik een mining boost (consumable met speed_boost, zoals energy_drink)
+ */
+exports.useBoost = async (req, res) => {
+    try {
+        const { playerId, itemId } = req.body;
+
+        if (!itemId) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Item ID is vereist'
+            });
+        }
+
+        const boost = await miningToolManager.useBoost(playerId, itemId);
+
+        res.json({
+            status: 'success',
+            message: `Mining snelheid x${boost.multiplier} tot ${boost.expiresAt.toISOString()}`,
+            data: boost
+        });
+    } catch (error) {
+        sendError(res, error, 'useBoost', 'Kon boost niet gebruiken');
+    }
+};
+
+/**
+ * Repareer de tool in een inventory slot (kost SKAFF)
+ */
+exports.repairTool = async (req, res) => {
+    try {
+        const { slot } = req.body;
+
+        if (slot === undefined || slot === null) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Slot is vereist'
+            });
+        }
+
+        const result = await miningToolManager.repairTool(req.targetPlayer, slot);
+
+        res.json({
+            status: 'success',
+            message: `${result.tool.name} gerepareerd voor ${result.cost} SKAFF`,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error, 'repairTool', 'Kon tool niet repareren');
+    }
+};
+
 module.exports = {
     getMiningLocations: exports.getMiningLocations,
     startMining: exports.startMining,
     completeMining: exports.completeMining,
-    getMiningStatus: exports.getMiningStatus
+    getMiningStatus: exports.getMiningStatus,
+    useBoost: exports.useBoost,
+    repairTool: exports.repairTool,
+    getLootTables: exports.getLootTables,
+    getLootTable: exports.getLootTable,
+    saveLootTable: exports.saveLootTable,
+    simulateLoot: exports.simulateLoot
 };
\ No newline at end of file
@@ -1,64 +1,32 @@
-// Server-authoritative sync endpoint
-exports.syncPlayer = async (req, res) => {
-    try {
-        const Player = require('../utils/database').Player;
-        const db = require('../utils/db');
-        const { id, money, inventory, factionId, health, maxHealth, position, rotation } = req.body;
-        if (!id) return res.status(400).json({ status:'error', message:'Speler ID vereist' });
-        let player = await Player.findById(id);
-        if (!player) return res.status(404).json({ status:'error', message:'Speler niet gevonden' });
-
-        // Update basisgegevens
-        await player.update({
-            health: health !== undefined ? health : player.health,
-            maxHealth: maxHealth !== undefined ? maxHealth : player.maxHealth,
-            factionId: factionId !== undefined ? factionId : player.factionId,
-            position: position || player.position,
-            rotation: rotation || player.rotation
-        });
-
-        // Update geld (economy)
-        if (money !== undefined) {
-            await db.query('UPDATE economy SET skaff = ?, last_update = CURRENT_TIMESTAMP WHERE player_id = ?', [money, id]);
-        }
-
-        // Update inventory (optioneel, verwacht array van items)
-        if (Array.isArray(inventory)) {
-            // Haal inventoryId op
-            const [inventoryData] = await db.query('SELECT * FROM inventory WHERE player_id = ?', [id]);
-            let inventoryId = inventoryData ? inventoryData.id : null;
-            if (!inventoryId) {
-                // Maak nieuwe inventory aan indien nodig
-                const { v4: uuidv4 } = require('uuid');
-                inventoryId = uuidv4();
-                await db.query('INSERT INTO inventory (id, player_id, max_slots) VALUES (?, ?, ?)', [inventoryId, id, 20]);
-            }
-            // Verwijder bestaande items
-            await db.query('DELETE FROM inventory_items WHERE inventory_id = ?', [inventoryId]);
-            // Voeg nieuwe items toe
-            for (const item of inventory) {
-                if (!item.itemId || !item.quantity) continue;
-                const { v4: uuidv4 } = require('uuid');
-                await db.query(
-                    'INSERT INTO inventory_items (id, inventory_id, item_id, quantity, slot) VALUES (?, ?, ?, ?, ?)',
-                    [uuidv4(), inventoryId, item.itemId, item.quantity, item.slot || 0]
-                );
-            }
-        }
-
-        return res.status(200).json({ status:'success', message:'Speler gesynchroniseerd' });
-    } catch (e) {
-        console.error('[PlayerController] syncPlayer error:', e.message);
-        return res.status(500).json({ status:'error', message:'Serverfout' });
-    }
-};
 /**
  * Player controller (PURE SEQUELIZE MODE)
+ * Clients mogen alleen hun positie schrijven; beschermde velden (geld, health, factie, inventaris) worden
+ * server-authoritative gezet door game servers via /internal/players.
  */
 
 const models = require('../models');
+const playerStateManager = require('../managers/PlayerStateManager');
 const { v4: uuidv4 } = require('uuid');
 
+// Body velden die een client niet zelf mag zetten
+const PROTECTED_FIELDS = ['money', 'skaff', 'health', 'maxHealth', 'factionId', 'inventory'];
+
+/**
+ * Weiger een request dat beschermde velden probeert te zetten
+ * @returns {boolean} - true als er al een response verstuurd is
+ */
+function rejectProtectedFields(req, res) {
+    const fields = PROTECTED_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) return false;
+
+    res.status(403).json({
+        status: 'error',
+        message: `Deze velden worden alleen door de game server gezet: ${fields.join(', ')}`,
+        fields
+    });
+    return true;
+}
+
 function mapPlayer(p) {
     return {
         id: p.id,
@@ -77,49 +45,38 @@ exports.registerPlayer = async (req, res) => {
     try {
         const Player = models.Player;
         const User = models.User;
-        const { id, position, rotation, health, maxHealth, factionId } = req.body;
+        const { id, position, rotation } = req.body;
         if (!id) return res.status(400).json({ status:'error', message:'ID vereist' });
-        let player = await Player.findByPk(id);
-        if (!player) {
-            // probeer via user koppeling (req.user) indien player ontbreekt
-            if (!req.user || req.user.playerId !== id) {
-                return res.status(409).json({ status:'error', message:'Speler bestaat niet (gebruik /auth/register flow)' });
-            }
-            player = await Player.findByPk(req.user.playerId);
-        }
-        if (!player) return res.status(404).json({ status:'error', message:'Speler niet gevonden' });
+        if (rejectProtectedFields(req, res)) return;
+        const player = await Player.findByPk(id);
+        if (!player) return res.status(404).json({ status:'error', message:'Speler niet gevonden (gebruik /auth/register flow)' });
+        const data = mapPlayer(player);
         if (position && rotation) {
-            await player.update({
-                position_x: position[0], position_y: position[1], position_z: position[2],
-                rotation_x: rotation[0], rotation_y: rotation[1], rotation_z: rotation[2],
-                health: (health ?? player.health),
-                max_health: (maxHealth ?? player.max_health),
-                faction_id: (factionId !== undefined ? factionId : player.faction_id),
-                updated_at: new Date()
-            });
-            player = await Player.findByPk(player.id);
+            // Zelfde weg als updatePosition: gebufferd en met snelheidscontrole
+            const { rejected } = await playerStateManager.updatePositions([{ playerId: player.id, position, rotation }]);
+            if (rejected.length > 0) {
+                return res.status(rejected[0].status).json({ status:'error', message: rejected[0].reason });
+            }
+            data.position = position;
+            data.rotation = rotation;
         }
         res.setHeader('Warning', '299 - "Deprecated endpoint: speler wordt automatisch aangemaakt"');
-        return res.status(200).json({ status:'success', message:'Speler bestaand (of bijgewerkt)', player: mapPlayer(player), deprecated:true });
+        return res.status(200).json({ status:'success', message:'Speler bestaand (of bijgewerkt)', player: data, deprecated:true });
     } catch (e) {
         console.error('[PlayerController] registerPlayer error:', e.message);
         return res.status(500).json({ status:'error', message:'Serverfout' });
     }
 };
 
-// Update positie
+// Update positie (gebufferd en met snelheidscontrole via de PlayerStateManager)
 exports.updatePosition = async (req, res) => {
     try {
-        const Player = models.Player;
         const { id, position, rotation } = req.body;
         if (!id || !position || !rotation) return res.status(400).json({ status:'error', message:'Missende velden' });
-        const player = await Player.findByPk(id);
-        if (!player) return res.status(404).json({ status:'error', message:'Speler niet gevonden' });
-        await player.update({
-            position_x: position[0], position_y: position[1], position_z: position[2],
-            rotation_x: rotation[0], rotation_y: rotation[1], rotation_z: rotation[2],
-            updated_at: new Date()
-        });
+        const { rejected } = await playerStateManager.updatePositions([{ playerId: id, position, rotation }]);
+        if (rejected.length > 0) {
+            return res.status(rejected[0].status).json({ status:'error', message: rejected[0].reason });
+        }
         return res.status(200).json({ status:'success' });
     } catch(e) {
         console.error('[PlayerController][Sequelize] updatePosition error:', e.message);
@@ -128,26 +85,38 @@ exports.updatePosition = async (req, res) => {
 };
 
 // Update attributen
+// Health, maxHealth en factionId zijn beschermd: health komt van de game server, factie via /faction-wars
 exports.updateAttributes = async (req, res) => {
     try {
-        const Player = models.Player;
-        const { id, health, maxHealth, factionId } = req.body;
+        const { id } = req.body;
         if (!id) return res.status(400).json({ status:'error', message:'Speler ID vereist' });
-        const player = await Player.findByPk(id);
-        if (!player) return res.status(404).json({ status:'error', message:'Speler niet gevonden' });
-        await player.update({
-            health: (health !== undefined ? health : player.health),
-            max_health: (maxHealth !== undefined ? maxHealth : player.max_health),
-            faction_id: (factionId !== undefined ? factionId : player.faction_id),
-            updated_at: new Date()
-        });
-        return res.status(200).json({ status:'success' });
+        if (rejectProtectedFields(req, res)) return;
+        return res.status(400).json({ status:'error', message:'Geen wijzigbare attributen opgegeven' });
     } catch(e) {
         console.error('[PlayerController][Sequelize] updateAttributes error:', e.message);
         return res.status(500).json({ status:'error', message:'Serverfout' });
     }
 };
 
+// Sync vanaf de client: alleen positie en rotatie, de rest is server-authoritative
+exports.syncPlayer = async (req, res) => {
+    try {
+        const { id, position, rotation } = req.body;
+        if (!id) return res.status(400).json({ status:'error', message:'Speler ID vereist' });
+        if (rejectProtectedFields(req, res)) return;
+        if (position && rotation) {
+            const { rejected } = await playerStateManager.updatePositions([{ playerId: id, position, rotation }]);
+            if (rejected.length > 0) {
+                return res.status(rejected[0].status).json({ status:'error', message: rejected[0].reason });
+            }
+        }
+        return res.status(200).json({ status:'success', message:'Speler gesynchroniseerd' });
+    } catch (e) {
+        console.error('[PlayerController] syncPlayer error:', e.message);
+        return res.status(500).json({ status:'error', message:'Serverfout' });
+    }
+};
+
 // Alle spelers (optioneel filter)
 exports.getAllPlayers = async (req, res) => {
     try {
@@ -177,13 +146,10 @@ exports.getPlayerById = async (req, res) => {
     }
 };
 
-// Verwijder speler (admin check simplistisch)
+// Verwijder speler (permissie player.delete wordt in de route gecontroleerd)
 exports.deletePlayer = async (req, res) => {
     try {
         const Player = models.Player;
-        if (!req.user || req.user.role !== 'admin') {
-            return res.status(403).json({ status:'error', message:'Geen toestemming' });
-        }
         const deleted = await Player.destroy({ where: { id: req.params.id } });
         if (!deleted) return res.status(404).json({ status:'error', message:'Speler niet gevonden' });
         return res.status(200).json({ status:'success', message:'Speler verwijderd' });
@@ -2,95 +2,45 @@
  * Shop controller voor winkel operaties
  */
 
-const { v4: uuidv4 } = require('uuid');
 const db = require('../utils/db');
+const ledger = require('../utils/ledger');
 const User = require('../models/user.mysql');
-const Player = require('../models/player.mysql');
+const itemRegistry = require('../managers/ItemRegistry');
+const inventoryManager = require('../managers/InventoryManager');
+const inventory = require('../utils/inventory');
 
-// Shop items configuratie
-const SHOP_ITEMS = {
-    // Tools & Equipment
-    'iron_pickaxe': {
-        id: 'iron_pickaxe',
-        name: 'Iron Pickaxe',
-        description: 'Een stevige ijzeren pikhouweel voor efficiënt minen',
-        category: 'tools',
-        price: 150,
-        level_required: 5,
-        stats: { mining_speed: 1.5, durability: 100 }
-    },
-    'diamond_pickaxe': {
-        id: 'diamond_pickaxe', 
-        name: 'Diamond Pickaxe',
-        description: 'De ultieme mining tool met diamant punt',
-        category: 'tools',
-        price: 2500,
-        level_required: 25,
-        stats: { mining_speed: 3.0, durability: 500 }
-    },
-    
-    // Weapons
-    'iron_sword': {
-        id: 'iron_sword',
-        name: 'Iron Sword',
-        description: 'Een scherp ijzeren zwaard voor PvP combat',
-        category: 'weapons',
-        price: 300,
-        level_required: 10,
-        stats: { damage: 25, durability: 150 }
-    },
-    'diamond_sword': {
-        id: 'diamond_sword',
-        name: 'Diamond Sword',
-        description: 'Het krachtigste zwaard in SkaffaCity',
-        category: 'weapons',
-        price: 3000,
-        level_required: 30,
-        stats: { damage: 50, durability: 300 }
-    },
-    
-    // Consumables
-    'health_potion': {
-        id: 'health_potion',
-        name: 'Health Potion',
-        description: 'Herstelt 50 HP onmiddellijk',
-        category: 'consumables',
-        price: 50,
-        level_required: 1,
-        stats: { heal_amount: 50 }
-    },
-    'energy_drink': {
-        id: 'energy_drink',
-        name: 'Energy Drink',
-        description: 'Verhoogt mining snelheid voor 10 minuten',
-        category: 'consumables', 
-        price: 75,
-        level_required: 3,
-        stats: { speed_boost: 2.0, duration: 600 }
-    },
-    
-    // Building Materials
-    'steel_beam': {
-        id: 'steel_beam',
-        name: 'Steel Beam',
-        description: 'Stalen balk voor het bouwen van structuren',
-        category: 'building',
-        price: 200,
-        level_required: 15,
-        stats: { strength: 100 }
-    },
-    
-    // Special Items
-    'faction_banner': {
-        id: 'faction_banner',
-        name: 'Faction Banner',
-        description: 'Claim territorium voor je factie',
-        category: 'special',
-        price: 1000,
-        level_required: 20,
-        stats: { claim_radius: 50 }
+/**
+ * Shop weergave van een item uit de catalogus; alleen items met een shopPrice zijn te koop
+ * @returns {Object|null}
+ */
+function toShopItem(item) {
+    if (!item || item.shopPrice === null || item.category === 'cosmetics') {
+        return null;
     }
-};
+    return {
+        id: item.id,
+        name: item.name,
+        description: item.description,
+        category: item.category,
+        price: item.shopPrice,
+        level_required: item.levelRequired,
+        rarity: item.rarity,
+        stack_size: item.stackSize,
+        stats: item.stats
+    };
+}
+
+function getShopItem(itemId) {
+    return toShopItem(itemRegistry.get(itemId));
+}
+
+/**
+ * Aantal uit de request body; null als het geen positief geheel getal is
+ */
+function parseQuantity(value) {
+    const quantity = Number(value);
+    return Number.isSafeInteger(quantity) && quantity > 0 ? quantity : null;
+}
 
 /**
  * Haal alle shop items op
@@ -99,7 +49,7 @@ exports.getShopItems = async (req, res) => {
     try {
         const { category, maxPrice, minLevel } = req.query;
         
-        let items = Object.values(SHOP_ITEMS);
+        let items = itemRegistry.list().map(toShopItem).filter(Boolean);
         
         // Filter op category
         if (category) {
@@ -146,8 +96,10 @@ exports.getShopItems = async (req, res) => {
  */
 exports.buyItem = async (req, res) => {
     try {
-        const { itemId, quantity = 1, playerId } = req.body;
-        const userId = req.user.id;
+        const { itemId, playerId } = req.body;
+        const quantity = parseQuantity(req.body.quantity ?? 1);
+        // Ownership is gecontroleerd door requirePlayerAccess; de SKAFF komt van de eigenaar van de speler
+        const userId = req.targetPlayer.userId;
         
         // Valideer input
         if (!itemId || !playerId) {
@@ -156,9 +108,15 @@ exports.buyItem = async (req, res) => {
                 message: 'Item ID en Player ID zijn vereist'
             });
         }
+        if (quantity === null) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'quantity moet een positief geheel getal zijn'
+            });
+        }
         
         // Check of item bestaat
-        const item = SHOP_ITEMS[itemId];
+        const item = getShopItem(itemId);
         if (!item) {
             return res.status(404).json({
                 status: 'error',
@@ -166,15 +124,6 @@ exports.buyItem = async (req, res) => {
             });
         }
         
-        // Verificeer player ownership
-        const player = await Player.findById(playerId);
-        if (!player || player.userId !== userId) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Deze speler behoort niet tot jouw account'
-            });
-        }
-        
         const totalPrice = item.price * quantity;
         
         // Begin transactie
@@ -183,7 +132,7 @@ exports.buyItem = async (req, res) => {
         
         try {
             // Haal gebruiker SKAFF op
-            const [user] = await connection.query(
+            const [[user]] = await connection.query(
                 'SELECT skaff FROM users WHERE id = ?',
                 [userId]
             );
@@ -198,7 +147,7 @@ exports.buyItem = async (req, res) => {
             }
             
             // Check level requirement (als player stats bestaan)
-            const [playerStats] = await connection.query(
+            const [[playerStats]] = await connection.query(
                 'SELECT level FROM player_stats WHERE player_id = ?',
                 [playerId]
             );
@@ -212,61 +161,23 @@ exports.buyItem = async (req, res) => {
                 });
             }
             
-            // Check of speler genoeg SKAFF heeft
-            if (user.skaff < totalPrice) {
-                await connection.rollback();
-                connection.release();
-                return res.status(400).json({
-                    status: 'error',
-                    message: `Niet genoeg SKAFF. Je hebt ${user.skaff}, maar dit kost ${totalPrice}`
-                });
-            }
-            
-            // Haal inventory op
-            const [inventory] = await connection.query(
-                'SELECT * FROM inventory WHERE player_id = ?',
-                [playerId]
-            );
-            
-            if (!inventory) {
-                await connection.rollback();
-                connection.release();
-                return res.status(404).json({
-                    status: 'error',
-                    message: 'Inventory niet gevonden'
-                });
-            }
+            // Trek SKAFF af (faalt met InsufficientFundsError als het saldo te laag is); gratis items boeken niets
+            const wallet = ledger.walletAccount(userId);
+            const newBalance = totalPrice > 0
+                ? (await ledger.transfer(connection, {
+                    from: wallet,
+                    to: ledger.SYSTEM_ACCOUNTS.SHOP,
+                    amount: totalPrice,
+                    type: 'shop_purchase',
+                    description: `Gekocht: ${quantity}x ${item.name}`,
+                    createdBy: userId,
+                    metadata: { playerId, itemId, quantity }
+                })).balances[wallet]
+                : await ledger.lockBalance(connection, wallet);
             
-            // Check inventory ruimte
-            const [itemCount] = await connection.query(
-                'SELECT COUNT(*) as count FROM inventory_items WHERE inventory_id = ?',
-                [inventory.id]
-            );
-            
-            if (itemCount.count >= inventory.max_slots) {
-                await connection.rollback();
-                connection.release();
-                return res.status(400).json({
-                    status: 'error',
-                    message: 'Inventory is vol'
-                });
-            }
-            
-            // Trekk SKAFF af
-            await connection.query(
-                'UPDATE users SET skaff = skaff - ? WHERE id = ?',
-                [totalPrice, userId]
-            );
-            
-            // Voeg item toe aan inventory
-            const itemUuid = uuidv4();
-            await connection.query(
-                `INSERT INTO inventory_items (id, inventory_id, item_id, quantity, slot, metadata)
-                 VALUES (?, ?, ?, ?, 
-                    (SELECT COALESCE(MAX(slot), -1) + 1 FROM inventory_items WHERE inventory_id = ?),
-                    ?)`,
-                [itemUuid, inventory.id, itemId, quantity, inventory.id, JSON.stringify(item.stats || {})]
-            );
+            // Voeg item toe aan inventory (stapelt tot de stackSize; faalt als het niet past). Zonder metadata, zodat
+            // de stack samengaat met drops en pickups; stats staan in de catalogus (tools starten op stats.durability)
+            const { slots } = await inventoryManager.addItems(connection, playerId, itemId, quantity);
             
             // Log transactie
             await connection.query(
@@ -285,13 +196,27 @@ exports.buyItem = async (req, res) => {
                     item: item.name,
                     quantity,
                     totalPrice,
-                    newBalance: user.skaff - totalPrice
+                    newBalance,
+                    slots
                 }
             });
             
         } catch (error) {
             await connection.rollback();
             connection.release();
+
+            if (error instanceof ledger.InsufficientFundsError) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Niet genoeg SKAFF. Je hebt ${error.balance}, maar dit kost ${totalPrice}`
+                });
+            }
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    status: 'error',
+                    message: error.message
+                });
+            }
             throw error;
         }
         
@@ -309,8 +234,9 @@ exports.buyItem = async (req, res) => {
  */
 exports.sellItem = async (req, res) => {
     try {
-        const { inventoryItemId, quantity = 1 } = req.body;
-        const userId = req.user.id;
+        const { inventoryItemId } = req.body;
+        const quantity = parseQuantity(req.body.quantity ?? 1);
+        const userId = req.user.userId;
         
         if (!inventoryItemId) {
             return res.status(400).json({
@@ -318,20 +244,27 @@ exports.sellItem = async (req, res) => {
                 message: 'Inventory item ID is vereist'
             });
         }
+        if (quantity === null) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'quantity moet een positief geheel getal zijn'
+            });
+        }
         
         const connection = await db.getConnection();
         await connection.beginTransaction();
         
         try {
-            // Haal inventory item op
-            const [inventoryItem] = await connection.query(
-                `SELECT ii.*, i.player_id, p.user_id 
+            // Zoek de speler bij het item en lock daarna de stack, zodat gelijktijdige verkopen na elkaar lopen
+            const [[owner]] = await connection.query(
+                `SELECT i.player_id
                  FROM inventory_items ii 
                  JOIN inventory i ON ii.inventory_id = i.id 
                  JOIN players p ON i.player_id = p.id 
                  WHERE ii.id = ? AND p.user_id = ?`,
                 [inventoryItemId, userId]
             );
+            const inventoryItem = owner && await inventory.lockItem(connection, owner.player_id, inventoryItemId);
             
             if (!inventoryItem) {
                 await connection.rollback();
@@ -353,8 +286,9 @@ exports.sellItem = async (req, res) => {
             }
             
             // Haal shop item info op
-            const shopItem = SHOP_ITEMS[inventoryItem.item_id];
-            if (!shopItem) {
+            const shopItem = getShopItem(inventoryItem.item_id);
+            // Een item dat (bijna) niets kost levert niets op; een boeking van 0 SKAFF bestaat niet
+            if (!shopItem || Math.floor(shopItem.price * 0.6) === 0) {
                 await connection.rollback();
                 connection.release();
                 return res.status(400).json({
@@ -367,29 +301,25 @@ exports.sellItem = async (req, res) => {
             const sellPrice = Math.floor(shopItem.price * 0.6) * quantity;
             
             // Update inventory item quantity of verwijder helemaal
-            if (inventoryItem.quantity === quantity) {
-                await connection.query(
-                    'DELETE FROM inventory_items WHERE id = ?',
-                    [inventoryItemId]
-                );
-            } else {
-                await connection.query(
-                    'UPDATE inventory_items SET quantity = quantity - ? WHERE id = ?',
-                    [quantity, inventoryItemId]
-                );
-            }
+            await inventory.removeQuantity(connection, inventoryItem, quantity);
             
             // Geef SKAFF
-            await connection.query(
-                'UPDATE users SET skaff = skaff + ? WHERE id = ?',
-                [sellPrice, userId]
-            );
+            const wallet = ledger.walletAccount(userId);
+            const { balances } = await ledger.transfer(connection, {
+                from: ledger.SYSTEM_ACCOUNTS.SHOP,
+                to: wallet,
+                amount: sellPrice,
+                type: 'shop_sale',
+                description: `Verkocht: ${quantity}x ${shopItem.name}`,
+                createdBy: userId,
+                metadata: { playerId: owner.player_id, itemId: inventoryItem.item_id, quantity }
+            });
             
             // Log transactie
             await connection.query(
                 `INSERT INTO shop_transactions (id, user_id, player_id, item_id, quantity, total_price, transaction_type, created_at)
                  VALUES (UUID(), ?, ?, ?, ?, ?, 'sale', NOW())`,
-                [userId, inventoryItem.player_id, inventoryItem.item_id, quantity, sellPrice]
+                [userId, owner.player_id, inventoryItem.item_id, quantity, sellPrice]
             );
             
             await connection.commit();
@@ -402,7 +332,8 @@ exports.sellItem = async (req, res) => {
                     item: shopItem.name,
                     quantity,
                     sellPrice,
-                    remaining: inventoryItem.quantity - quantity
+                    remaining: inventoryItem.quantity - quantity,
+                    newBalance: balances[wallet]
                 }
             });
             
@@ -428,16 +359,6 @@ exports.getShopHistory = async (req, res) => {
     try {
         const { playerId } = req.params;
         const { limit = 20, offset = 0 } = req.query;
-        const userId = req.user.id;
-        
-        // Verificeer player ownership
-        const player = await Player.findById(playerId);
-        if (!player || player.userId !== userId) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Deze speler behoort niet tot jouw account'
-            });
-        }
         
         const transactions = await db.query(
             `SELECT st.*, 
@@ -455,8 +376,8 @@ exports.getShopHistory = async (req, res) => {
         // Enrich met item names
         const enrichedTransactions = transactions.map(transaction => ({
             ...transaction,
-            itemName: SHOP_ITEMS[transaction.item_id]?.name || transaction.item_id,
-            itemCategory: SHOP_ITEMS[transaction.item_id]?.category || 'unknown'
+            itemName: itemRegistry.get(transaction.item_id)?.name || transaction.item_id,
+            itemCategory: itemRegistry.get(transaction.item_id)?.category || 'unknown'
         }));
         
         res.json({
@@ -0,0 +1,221 @@
+/**
+ * Trade controller voor ruilhandel tussen spelers
+ * De escrow en de uitvoering van de ruil zitten in managers/TradeManager.js
+ */
+
+const tradeManager = require('../managers/TradeManager');
+
+const TRADE_STATUSES = ['open', 'completed', 'cancelled', 'expired'];
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Stuur een fout uit de TradeManager terug (AppError heeft een statusCode, de rest is een serverfout)
+ */
+function sendError(res, error, action) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+
+    console.error(`[TradeController] ${action} error: ${error.message}`);
+    return res.status(500).json({
+        status: 'error',
+        message: 'Er is een serverfout opgetreden'
+    });
+}
+
+/**
+ * Open een trade met een andere speler
+ */
+exports.openTrade = async (req, res) => {
+    try {
+        const { playerId, partnerPlayerId } = req.body;
+
+        if (!playerId || !partnerPlayerId) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'playerId en partnerPlayerId zijn vereist'
+            });
+        }
+
+        const trade = await tradeManager.openTrade(req.user.userId, playerId, partnerPlayerId);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Trade geopend',
+            data: trade
+        });
+    } catch (error) {
+        sendError(res, error, 'openTrade');
+    }
+};
+
+/**
+ * Krijg de huidige stand van een trade
+ */
+exports.getTrade = async (req, res) => {
+    try {
+        const trade = await tradeManager.getTrade(req.params.tradeId, req.user.userId);
+
+        res.status(200).json({
+            status: 'success',
+            data: trade
+        });
+    } catch (error) {
+        sendError(res, error, 'getTrade');
+    }
+};
+
+/**
+ * Bied een item uit je inventory aan (gaat in escrow)
+ */
+exports.addItem = async (req, res) => {
+    try {
+        const { inventoryItemId, quantity } = req.body;
+
+        if (!inventoryItemId) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'inventoryItemId is vereist'
+            });
+        }
+
+        const trade = await tradeManager.addItem(
+            req.params.tradeId,
+            req.user.userId,
+            inventoryItemId,
+            quantity === undefined ? null : Number(quantity)
+        );
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Item aan trade toegevoegd',
+            data: trade
+        });
+    } catch (error) {
+        sendError(res, error, 'addItem');
+    }
+};
+
+/**
+ * Haal een aangeboden item terug uit de trade
+ */
+exports.removeItem = async (req, res) => {
+    try {
+        const trade = await tradeManager.removeItem(req.params.tradeId, req.user.userId, req.params.tradeItemId);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Item uit trade gehaald',
+            data: trade
+        });
+    } catch (error) {
+        sendError(res, error, 'removeItem');
+    }
+};
+
+/**
+ * Zet het SKAFF bedrag dat je aanbiedt
+ */
+exports.setSkaff = async (req, res) => {
+    try {
+        const { amount } = req.body;
+
+        if (amount === undefined) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Bedrag is vereist'
+            });
+        }
+
+        const trade = await tradeManager.setSkaff(req.params.tradeId, req.user.userId, Number(amount));
+
+        res.status(200).json({
+            status: 'success',
+            message: 'SKAFF aanbod bijgewerkt',
+            data: trade
+        });
+    } catch (error) {
+        sendError(res, error, 'setSkaff');
+    }
+};
+
+/**
+ * Bevestig de trade; als beide spelers bevestigd hebben wordt de ruil uitgevoerd
+ */
+exports.confirmTrade = async (req, res) => {
+    try {
+        const trade = await tradeManager.confirm(req.params.tradeId, req.user.userId);
+
+        res.status(200).json({
+            status: 'success',
+            message: trade.status === 'completed' ? 'Trade voltooid' : 'Trade bevestigd, wachten op de andere speler',
+            data: trade
+        });
+    } catch (error) {
+        sendError(res, error, 'confirmTrade');
+    }
+};
+
+/**
+ * Annuleer een open trade; alles in escrow gaat terug
+ */
+exports.cancelTrade = async (req, res) => {
+    try {
+        const trade = await tradeManager.cancel(req.params.tradeId, req.user.userId);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Trade geannuleerd',
+            data: trade
+        });
+    } catch (error) {
+        sendError(res, error, 'cancelTrade');
+    }
+};
+
+/**
+ * Krijg de trade geschiedenis van een speler
+ * Query: page, limit, status
+ */
+exports.getTradeHistory = async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        const { page = 1, limit = 20, status } = req.query;
+
+        const pageNum = parseInt(page);
+        const limitNum = Math.min(parseInt(limit), MAX_PAGE_SIZE);
+        if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Ongeldige paginatie parameters'
+            });
+        }
+
+        if (status && !TRADE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Ongeldige status, kies uit: ${TRADE_STATUSES.join(', ')}`
+            });
+        }
+
+        const { total, trades } = await tradeManager.getHistory(playerId, {
+            status,
+            limit: limitNum,
+            skip: (pageNum - 1) * limitNum
+        });
+
+        res.status(200).json({
+            status: 'success',
+            page: pageNum,
+            limit: limitNum,
+            total,
+            pages: Math.ceil(total / limitNum),
+            data: trades
+        });
+    } catch (error) {
+        sendError(res, error, 'getTradeHistory');
+    }
+};
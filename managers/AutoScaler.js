@@ -0,0 +1,385 @@
+/**
+ * Auto Scaler
+ * Policy engine die per regio bepaalt of er servers bij moeten, af kunnen of niets hoeft.
+ * Inputs: heartbeat data uit de ServerRegistry (currentPlayers, cpuUsage, memoryUsage, tickRate),
+ * de lengte van de matchmaking queue en het tijdstip (schedule). Elke beslissing bevat de redenen,
+ * zodat `gameserver scale` kan laten zien waarom de policy iets deed.
+ *
+ * Config: gameserver.autoScale (aan/uit) en gameserver.scalingPolicy (tunables, zie DEFAULT_POLICY)
+ */
+
+const serverRegistry = require('./ServerRegistry');
+const matchmakingQueue = require('./MatchmakingQueue');
+const { ACTIVE_STATUSES, DRAINING_STATUS } = require('./ServerRegistry');
+
+const DEFAULT_POLICY = {
+    defaultRegion: 'EU-West', // regio voor servers/queues zonder regio
+    min: 1, // minimum aantal servers per regio
+    max: 10, // maximum aantal servers per regio (gameserver.maxServers blijft de harde limiet)
+    minIdleServers: 1,
+    maxConcurrentCreations: 2,
+    regions: {}, // { 'EU-West': { min, max, minIdleServers } }
+    scaleUp: {
+        playerUtilization: 0.75, // spelers / capaciteit van actieve servers
+        cpuUsage: 85, // procent
+        memoryUsage: 85, // procent
+        minTickRate: 20,
+        cooldownSeconds: 60
+    },
+    scaleDown: {
+        playerUtilization: 0.3,
+        cooldownSeconds: 600
+    },
+    // Hoger minimum op drukke momenten: [{ days: [5, 6], from: '18:00', to: '23:00', min: 3, regions: ['EU-West'] }]
+    schedule: []
+};
+
+const NO_REGION = 'any';
+
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(part => parseInt(part) || 0);
+    return hours * 60 + minutes;
+}
+
+class AutoScaler {
+    constructor() {
+        this.lastScaleUp = new Map(); // region -> timestamp
+        this.lastScaleDown = new Map(); // region -> timestamp
+        this.creating = new Map(); // region -> aantal servers dat nu aangemaakt wordt
+        this.lastDecision = null;
+        this.running = null;
+        this.scaleDownHolds = new Set(); // bijv. 'rolling_update': geen scale-down zolang die loopt
+    }
+
+    holdScaleDown(key) {
+        this.scaleDownHolds.add(key);
+    }
+
+    releaseScaleDown(key) {
+        this.scaleDownHolds.delete(key);
+    }
+
+    /**
+     * Policy uit de gameserver config, aangevuld met de defaults
+     */
+    loadPolicy(gameserverConfig = null) {
+        const config = gameserverConfig?.scalingPolicy || {};
+        return {
+            ...DEFAULT_POLICY,
+            max: gameserverConfig?.maxServers || DEFAULT_POLICY.max,
+            maxPlayersPerServer: gameserverConfig?.maxPlayersPerServer || parseInt(process.env.MAX_PLAYERS_PER_SERVER) || 50,
+            minIdleServers: gameserverConfig?.minIdleServers || parseInt(process.env.MIN_IDLE_SERVERS) || DEFAULT_POLICY.minIdleServers,
+            ...config,
+            enabled: gameserverConfig ? gameserverConfig.autoScale !== false : process.env.AUTO_SCALE_ENABLED !== 'false',
+            scaleUp: { ...DEFAULT_POLICY.scaleUp, ...(config.scaleUp || {}) },
+            scaleDown: { ...DEFAULT_POLICY.scaleDown, ...(config.scaleDown || {}) },
+            regions: config.regions || {},
+            schedule: Array.isArray(config.schedule) ? config.schedule : []
+        };
+    }
+
+    /**
+     * Limieten van een regio, inclusief een eventueel actief schedule
+     * @returns {Object} - { min, max, minIdleServers, scheduled }
+     */
+    getRegionLimits(policy, region, now = new Date()) {
+        const regionConfig = policy.regions[region] || {};
+        const limits = {
+            min: regionConfig.min ?? policy.min,
+            max: regionConfig.max ?? policy.max,
+            minIdleServers: regionConfig.minIdleServers ?? policy.minIdleServers,
+            scheduled: null
+        };
+
+        const minuteOfDay = now.getHours() * 60 + now.getMinutes();
+        for (const entry of policy.schedule) {
+            if (entry.regions && !entry.regions.includes(region)) continue;
+            if (entry.days && !entry.days.includes(now.getDay())) continue;
+
+            const from = toMinutes(entry.from || '00:00');
+            const to = toMinutes(entry.to || '24:00');
+            // Een venster als 22:00-02:00 loopt over middernacht
+            const inWindow = from <= to ? minuteOfDay >= from && minuteOfDay < to : minuteOfDay >= from || minuteOfDay < to;
+            if (inWindow && (entry.min || 0) > limits.min) {
+                limits.min = entry.min;
+                limits.scheduled = `${entry.from || '00:00'}-${entry.to || '24:00'}`;
+            }
+        }
+
+        limits.min = Math.min(limits.min, limits.max);
+        return limits;
+    }
+
+    /**
+     * Verzamel per regio de servers en wachtende spelers
+     */
+    async collectRegions(policy) {
+        const servers = await serverRegistry.list();
+        const regions = new Map();
+        const regionFor = name => (!name || name === NO_REGION ? policy.defaultRegion : name);
+        const getRegion = name => {
+            const key = regionFor(name);
+            if (!regions.has(key)) {
+                regions.set(key, { region: key, active: [], pending: [], draining: [], queuedPlayers: 0 });
+            }
+            return regions.get(key);
+        };
+
+        // Geconfigureerde regio's bestaan ook zonder servers, zodat hun minimum gehaald wordt
+        for (const region of Object.keys(policy.regions)) {
+            getRegion(region);
+        }
+        for (const entry of policy.schedule) {
+            (entry.regions || []).forEach(getRegion);
+        }
+        getRegion(policy.defaultRegion);
+
+        for (const server of servers) {
+            const entry = getRegion(server.region);
+            if (server.status === DRAINING_STATUS) {
+                entry.draining.push(server);
+            } else if (!server.isOnline) {
+                continue; // de stale sweep zet deze offline
+            } else if (ACTIVE_STATUSES.includes(server.status)) {
+                entry.active.push(server);
+            } else {
+                entry.pending.push(server); // created/starting/unknown: telt mee als capaciteit die eraan komt
+            }
+        }
+
+        for (const [key, summary] of Object.entries(matchmakingQueue.getSummary())) {
+            const [region] = key.split(':');
+            getRegion(region).queuedPlayers += summary.waitingPlayers;
+        }
+
+        return Array.from(regions.values());
+    }
+
+    /**
+     * Is een server overbelast volgens de laatste heartbeat metrics?
+     */
+    isOverloaded(server, policy) {
+        const metrics = server.metrics || {};
+        return (metrics.cpuUsage !== undefined && metrics.cpuUsage >= policy.scaleUp.cpuUsage) ||
+            (metrics.memoryUsage !== undefined && metrics.memoryUsage >= policy.scaleUp.memoryUsage) ||
+            (metrics.tickRate !== undefined && metrics.tickRate < policy.scaleUp.minTickRate);
+    }
+
+    /**
+     * Beslissing voor één regio
+     */
+    decideRegion(entry, policy, now) {
+        const limits = this.getRegionLimits(policy, entry.region, now);
+        const { active, pending, draining } = entry;
+        const creating = this.creating.get(entry.region) || 0;
+
+        const players = active.reduce((sum, server) => sum + server.currentPlayers, 0);
+        const capacity = active.reduce((sum, server) => sum + server.maxPlayers, 0);
+        const utilization = capacity > 0 ? players / capacity : 0;
+        const total = active.length + pending.length + creating;
+        const freeSlots = capacity - players + (pending.length + creating) * policy.maxPlayersPerServer;
+        const idle = active.filter(server => server.currentPlayers === 0);
+        const overloaded = active.filter(server => this.isOverloaded(server, policy));
+
+        const decision = {
+            region: entry.region,
+            action: 'none',
+            count: 0,
+            serverIds: [],
+            reasons: [],
+            stats: {
+                active: active.length,
+                pending: pending.length + creating,
+                draining: draining.length,
+                players,
+                capacity,
+                utilization: Math.round(utilization * 100) / 100,
+                queuedPlayers: entry.queuedPlayers,
+                overloaded: overloaded.length,
+                idle: idle.length,
+                min: limits.min,
+                max: limits.max
+            }
+        };
+
+        // ===== Scale up =====
+        const needs = [];
+        const belowMinimum = total < limits.min;
+        if (belowMinimum) {
+            needs.push({ count: limits.min - total, reason: `onder minimum (${total}/${limits.min}${limits.scheduled ? `, schedule ${limits.scheduled}` : ''})` });
+        }
+        if (entry.queuedPlayers > freeSlots) {
+            needs.push({
+                count: Math.ceil((entry.queuedPlayers - freeSlots) / policy.maxPlayersPerServer),
+                reason: `${entry.queuedPlayers} spelers in de wachtrij, maar ${freeSlots} vrije plekken`
+            });
+        }
+        // Onderstaande signalen wachten tot servers die al opstarten er zijn
+        if (pending.length + creating === 0) {
+            if (capacity > 0 && utilization >= policy.scaleUp.playerUtilization) {
+                needs.push({ count: 1, reason: `bezetting ${Math.round(utilization * 100)}% >= ${Math.round(policy.scaleUp.playerUtilization * 100)}%` });
+            }
+            if (overloaded.length > 0 && idle.length === 0) {
+                needs.push({ count: 1, reason: `${overloaded.length} server(s) overbelast (cpu/geheugen/tickrate)` });
+            }
+            if (active.length > 0 && idle.length < limits.minIdleServers) {
+                needs.push({ count: limits.minIdleServers - idle.length, reason: `${idle.length} idle server(s), minimum ${limits.minIdleServers}` });
+            }
+        }
+
+        if (needs.length > 0) {
+            decision.reasons.push(...needs.map(need => need.reason));
+            let count = Math.max(...needs.map(need => need.count));
+
+            const sinceScaleUp = now.getTime() - (this.lastScaleUp.get(entry.region) || 0);
+            if (!belowMinimum && sinceScaleUp < policy.scaleUp.cooldownSeconds * 1000) {
+                decision.reasons.push(`scale-up cooldown (nog ${Math.ceil((policy.scaleUp.cooldownSeconds * 1000 - sinceScaleUp) / 1000)}s)`);
+                return decision;
+            }
+
+            const headroom = limits.max - total;
+            const concurrency = policy.maxConcurrentCreations - this.totalCreating();
+            if (count > headroom) {
+                decision.reasons.push(`begrensd door maximum (${limits.max})`);
+                count = headroom;
+            }
+            if (count > concurrency) {
+                decision.reasons.push(`begrensd door max gelijktijdige creaties (${policy.maxConcurrentCreations})`);
+                count = concurrency;
+            }
+
+            if (count > 0) {
+                decision.action = 'scale_up';
+                decision.count = count;
+            }
+            return decision;
+        }
+
+        // ===== Scale down =====
+        if (this.scaleDownHolds.size > 0) {
+            decision.reasons.push(`scale-down gepauzeerd (${Array.from(this.scaleDownHolds).join(', ')})`);
+            return decision;
+        }
+        if (entry.queuedPlayers > 0 || total <= limits.min || active.length === 0) {
+            decision.reasons.push(total <= limits.min ? `op minimum (${total}/${limits.min})` : 'geen actie nodig');
+            return decision;
+        }
+        if (utilization >= policy.scaleDown.playerUtilization) {
+            decision.reasons.push(`bezetting ${Math.round(utilization * 100)}% binnen de marges`);
+            return decision;
+        }
+
+        const lastChange = Math.max(this.lastScaleDown.get(entry.region) || 0, this.lastScaleUp.get(entry.region) || 0);
+        const sinceChange = now.getTime() - lastChange;
+        if (sinceChange < policy.scaleDown.cooldownSeconds * 1000) {
+            decision.reasons.push(`bezetting ${Math.round(utilization * 100)}% laag, maar scale-down cooldown (nog ${Math.ceil((policy.scaleDown.cooldownSeconds * 1000 - sinceChange) / 1000)}s)`);
+            return decision;
+        }
+
+        // Minst bezette server drainen, zolang de rest de spelers ruim aankan
+        const candidate = [...active].sort((a, b) => a.currentPlayers - b.currentPlayers)[0];
+        const remainingCapacity = capacity - candidate.maxPlayers;
+        if (remainingCapacity <= 0 || players / remainingCapacity >= policy.scaleUp.playerUtilization) {
+            decision.reasons.push('bezetting laag, maar de overige servers zouden te vol raken');
+            return decision;
+        }
+
+        decision.action = 'drain';
+        decision.count = 1;
+        decision.serverIds = [candidate.serverId];
+        decision.reasons.push(`bezetting ${Math.round(utilization * 100)}% < ${Math.round(policy.scaleDown.playerUtilization * 100)}%, ${candidate.serverId} (${candidate.currentPlayers} spelers) wordt gedraind`);
+        return decision;
+    }
+
+    totalCreating() {
+        let total = 0;
+        for (const count of this.creating.values()) total += count;
+        return total;
+    }
+
+    /**
+     * Evalueer de policy zonder iets uit te voeren
+     * @returns {Promise<Object>} - { evaluatedAt, enabled, regions: [decision] }
+     */
+    async evaluate(gameserverConfig = null, now = new Date()) {
+        const policy = this.loadPolicy(gameserverConfig);
+        const regions = await this.collectRegions(policy);
+
+        return {
+            evaluatedAt: now.toISOString(),
+            enabled: policy.enabled,
+            maxConcurrentCreations: policy.maxConcurrentCreations,
+            regions: regions.map(entry => this.decideRegion(entry, policy, now))
+        };
+    }
+
+    /**
+     * Voer een beslissing uit met de gegeven GameServerManager
+     * Nieuwe servers worden op de achtergrond aangemaakt; drains direct (de manager sluit ze af zodra ze leeg zijn)
+     */
+    async apply(decision, manager) {
+        if (!decision.enabled) return;
+
+        for (const region of decision.regions) {
+            if (region.action === 'scale_up') {
+                // Regio's delen de limiet op gelijktijdige creaties
+                const count = Math.min(region.count, decision.maxConcurrentCreations - this.totalCreating());
+                if (count <= 0) continue;
+
+                console.log(`[AutoScaler] ⬆️ ${region.region}: ${count} server(s) erbij (${region.reasons.join('; ')})`);
+                this.lastScaleUp.set(region.region, Date.now());
+                for (let i = 0; i < count; i++) {
+                    this.createInBackground(region.region, manager);
+                }
+            } else if (region.action === 'drain') {
+                console.log(`[AutoScaler] ⬇️ ${region.region}: ${region.reasons.join('; ')}`);
+                this.lastScaleDown.set(region.region, Date.now());
+                for (const serverId of region.serverIds) {
+                    try {
+                        await manager.drainServer(serverId, { reason: 'autoscaler' });
+                    } catch (error) {
+                        console.error(`[AutoScaler] Fout bij drainen ${serverId}:`, error.message);
+                    }
+                }
+            }
+        }
+    }
+
+    createInBackground(region, manager) {
+        this.creating.set(region, (this.creating.get(region) || 0) + 1);
+        manager.createGameServer(null, { region })
+            .catch(error => {
+                console.error(`[AutoScaler] Fout bij aanmaken server in ${region}:`, error.message);
+            })
+            .finally(() => {
+                this.creating.set(region, Math.max(0, (this.creating.get(region) || 1) - 1));
+            });
+    }
+
+    /**
+     * Evalueer en voer uit (één run tegelijk)
+     * @returns {Promise<Object>} - De beslissing
+     */
+    async run(manager, gameserverConfig = null) {
+        if (this.running) return this.running;
+
+        this.running = (async () => {
+            const decision = await this.evaluate(gameserverConfig);
+            await this.apply(decision, manager);
+            this.lastDecision = decision;
+            return decision;
+        })();
+
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+}
+
+const autoScaler = new AutoScaler();
+
+module.exports = autoScaler;
+module.exports.AutoScaler = AutoScaler;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
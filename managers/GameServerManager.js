@@ -1,43 +1,46 @@
 /**
  * Game Server Manager
- * Beheert UDP game server instances via Pterodactyl Panel
+ * Beheert UDP game server instances via een hosting provider (Pterodactyl Panel of lokale processen)
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const serverCredentials = require('../utils/server-credentials');
+const serverRegistry = require('./ServerRegistry');
+const matchmakingQueue = require('./MatchmakingQueue');
+const autoScaler = require('./AutoScaler');
+const { createHostingProvider } = require('./providers');
 
 class GameServerManager {
     constructor() {
-        this.servers = new Map(); // serverId -> serverInfo
-        this.playerQueue = new Map(); // playerId -> queueInfo
+        this.registry = serverRegistry; // gedeelde MySQL registry (zie ServerRegistry)
+        this.matchmaking = matchmakingQueue; // gedeelde wachtrij (zie MatchmakingQueue)
+        this.autoScaler = autoScaler; // scaling policy (zie AutoScaler)
         
         // Load configuration from ConfigManager or fallback to environment variables
         const gameserverConfig = global.configManager ? global.configManager.getConfig('gameserver') : null;
         
-        // Pterodactyl Panel Configuration - try modular config first, then env vars
-        this.pterodactylConfig = {
-            apiUrl: gameserverConfig?.pterodactyl?.apiUrl || process.env.PTERODACTYL_API_URL || 'https://panel.lvlagency.nl/api',
-            apiKey: gameserverConfig?.pterodactyl?.apiKey || process.env.PTERODACTYL_API_KEY || '',
-            adminApiKey: gameserverConfig?.pterodactyl?.adminApiKey || process.env.PTERODACTYL_ADMIN_API_KEY || '',
-            clientApiKey: gameserverConfig?.pterodactyl?.clientApiKey || process.env.PTERODACTYL_CLIENT_API_KEY || '',
-            gameServerNestId: gameserverConfig?.pterodactyl?.nestId || process.env.GAME_SERVER_NEST_ID || '5',
-            gameServerEggId: gameserverConfig?.pterodactyl?.eggId || process.env.GAME_SERVER_EGG_ID || '20'
-        };
-        
         this.serverConfig = {
             maxPlayersPerServer: gameserverConfig?.maxPlayersPerServer || parseInt(process.env.MAX_PLAYERS_PER_SERVER) || 50,
             serverStartPort: gameserverConfig?.serverStartPort || parseInt(process.env.SERVER_START_PORT) || 7001,
-            autoScaleEnabled: gameserverConfig?.autoScale || (process.env.AUTO_SCALE_ENABLED === 'true') || true,
-            minIdleServers: gameserverConfig?.minIdleServers || parseInt(process.env.MIN_IDLE_SERVERS) || 1,
-            maxTotalServers: gameserverConfig?.maxServers || parseInt(process.env.MAX_TOTAL_SERVERS) || 10
+            autoScaleEnabled: gameserverConfig ? gameserverConfig.autoScale !== false : process.env.AUTO_SCALE_ENABLED !== 'false',
+            maxTotalServers: gameserverConfig?.maxServers || parseInt(process.env.MAX_TOTAL_SERVERS) || 10,
+            // Hoe lang een server mag leeglopen voordat hij toch afgesloten wordt
+            drainTimeoutMs: (gameserverConfig?.drainTimeoutMinutes || parseInt(process.env.DRAIN_TIMEOUT_MINUTES) || 15) * 60 * 1000
         };
         
-        console.log('[GameServerManager] Geïnitialiseerd met configuratie:', this.serverConfig);
+        // Waar de game servers draaien (zie managers/providers)
+        this.provider = createHostingProvider(gameserverConfig, { serverStartPort: this.serverConfig.serverStartPort });
         
-        // Check if we have valid configuration
-        if (!this.pterodactylConfig.apiKey && !this.pterodactylConfig.adminApiKey) {
-            console.warn('[GameServerManager] ⚠️ Geen API keys geconfigureerd - Pterodactyl functionaliteit niet beschikbaar');
-        }
+        console.log(`[GameServerManager] Geïnitialiseerd met provider '${this.provider.name}' en configuratie:`, this.serverConfig);
+    }
+
+    /**
+     * Provider referentie van een registry server
+     */
+    providerRef(server) {
+        return { id: server.pterodactylId, uuid: server.pterodactylUuid };
     }
 
     /**
@@ -47,17 +50,17 @@ class GameServerManager {
         console.log('[GameServerManager] Initialisatie starten...');
         
         try {
-            // Test Pterodactyl API verbinding
-            await this.testPterodactylConnection();
+            // Test verbinding met de hosting provider
+            await this.testProviderConnection();
             
-            // Laad bestaande servers van Pterodactyl
+            // Laad bestaande servers van de provider
             await this.discoverExistingServers();
             
             // Start monitoring loop
             this.startMonitoring();
             
-            // Zorg voor minimaal aantal idle servers
-            await this.ensureMinimumIdleServers();
+            // Eerste scaling ronde (minimum per regio, idle servers, queue)
+            await this.runAutoScaler();
             
             console.log('[GameServerManager] ✅ Initialisatie voltooid!');
             return true;
@@ -68,63 +71,42 @@ class GameServerManager {
     }
 
     /**
-     * Test verbinding met Pterodactyl Panel
+     * Test verbinding met de hosting provider
      */
-    async testPterodactylConnection() {
-        const apiKey = this.pterodactylConfig.adminApiKey || this.pterodactylConfig.apiKey;
-        if (!apiKey) {
-            throw new Error('Geen Pterodactyl API key geconfigureerd (adminApiKey of apiKey vereist)');
-        }
-
-        console.log('[GameServerManager] Pterodactyl verbinding testen...');
-        
-        const response = await axios.get(`${this.pterodactylConfig.apiUrl}/application/users`, {
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (response.status === 200) {
-            console.log('[GameServerManager] ✅ Pterodactyl API verbinding succesvol');
-            return true;
-        } else {
-            throw new Error(`Pterodactyl API fout: ${response.status}`);
-        }
+    async testProviderConnection() {
+        return this.provider.testConnection();
     }
 
     /**
-     * Ontdek bestaande game servers in Pterodactyl
+     * Ontdek bestaande game servers bij de hosting provider
      */
     async discoverExistingServers() {
         console.log('[GameServerManager] Bestaande servers ontdekken...');
         
         try {
-            const response = await axios.get(`${this.pterodactylConfig.apiUrl}/application/servers`, {
-                headers: {
-                    'Authorization': `Bearer ${this.pterodactylConfig.apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            const pterodactylServers = response.data.data || [];
+            const providerServers = await this.provider.listServers();
             let gameServerCount = 0;
 
-            for (const server of pterodactylServers) {
+            for (const server of providerServers) {
                 // Filter alleen SkaffaCity game servers (gebaseerd op naam/tags)
-                if (server.attributes.name.startsWith('SkaffaCity-GameServer-')) {
-                    const serverInfo = {
-                        pterodactylId: server.attributes.id,
-                        uuid: server.attributes.uuid,
-                        name: server.attributes.name,
-                        status: 'unknown',
-                        playerCount: 0,
-                        maxPlayers: this.serverConfig.maxPlayersPerServer,
-                        port: this.extractPortFromServer(server),
-                        lastUpdate: Date.now()
-                    };
-
-                    this.servers.set(server.attributes.uuid, serverInfo);
+                if (server.name.startsWith('SkaffaCity-GameServer-')) {
+                    // SKAFFA_SERVER_ID is de sleutel in de registry; oudere servers hebben alleen een UUID
+                    const serverId = server.environment.SKAFFA_SERVER_ID || server.uuid;
+
+                    // Na een herstart staat de server al in de registry, dan niets overschrijven
+                    if (!(await this.registry.get(serverId))) {
+                        await this.registry.register({
+                            serverId,
+                            origin: 'manager',
+                            name: server.name,
+                            pterodactylId: server.id,
+                            pterodactylUuid: server.uuid,
+                            ip: server.ip,
+                            port: server.port || this.serverConfig.serverStartPort,
+                            maxPlayers: this.serverConfig.maxPlayersPerServer,
+                            status: 'unknown'
+                        });
+                    }
                     gameServerCount++;
                 }
             }
@@ -136,217 +118,139 @@ class GameServerManager {
     }
 
     /**
-     * Extraheer poort nummer van Pterodactyl server configuratie
-     */
-    extractPortFromServer(server) {
-        try {
-            // Parse allocations voor poort info
-            const allocations = server.attributes.relationships?.allocations?.data || [];
-            if (allocations.length > 0) {
-                return allocations[0].attributes.port;
-            }
-            return this.serverConfig.serverStartPort;
-        } catch (error) {
-            return this.serverConfig.serverStartPort;
-        }
-    }
-
-    /**
-     * Maak nieuwe game server aan via Pterodactyl
+     * Maak nieuwe game server aan via de hosting provider
+     * @param {Object} templateOverride - Server template (optioneel, anders gameserver.serverTemplate)
+     * @param {Object} options - { region }
      */
-    async createGameServer(templateOverride = null) {
+    async createGameServer(templateOverride = null, { region = null } = {}) {
         console.log('[GameServerManager] Nieuwe game server aanmaken...');
 
-        if (this.servers.size >= this.serverConfig.maxTotalServers) {
+        if (await this.registry.count() >= this.serverConfig.maxTotalServers) {
             throw new Error('Maximum aantal servers bereikt');
         }
 
         const serverId = uuidv4();
         const serverName = `SkaffaCity-GameServer-${Date.now()}`;
+        let allocation = null;
 
         try {
-            // Find next available port based on existing servers
-            console.log('[GameServerManager] 🔍 Finding next available port...');
-            const nextPort = await this.getNextAvailablePort();
-            
-            // Get allocation for the selected port
-            console.log(`[GameServerManager] 🔍 Getting allocation for port ${nextPort}...`);
-            let allocation = await this.ensureAllocationExists(nextPort);
-            
-            // If the port allocation is already assigned, the getNextAvailablePort should have found a different one
-            if (allocation.assigned) {
-                console.log(`[GameServerManager] ⚠️ Port ${nextPort} allocation is already assigned, this shouldn't happen`);
-                console.log(`[GameServerManager] 🔄 Finding any available allocation as fallback...`);
-                allocation = await this.findAvailableAllocation();
-            }
-            
+            allocation = await this.provider.reserveAllocation();
             console.log(`[GameServerManager] ✅ Using allocation ID: ${allocation.id} (${allocation.ip}:${allocation.port})`);
-            
-            // Double-check allocation is really available
-            if (allocation.assigned) {
-                throw new Error(`Allocation ${allocation.id} is already assigned - no available allocations found`);
-            }
 
             // Get configuration from modular config or use override
             const gameserverConfig = global.configManager ? global.configManager.getConfig('gameserver') : null;
             const serverTemplate = templateOverride || gameserverConfig?.serverTemplate || {};
+
+            // Per-server secret voor HMAC ondertekende requests naar de master server
+            const serverSecret = await serverCredentials.issueSecret(serverId);
+            
+            const environment = {
+                // SkaffaCity Unity Server Egg Variables
+                SERVER_JARFILE: serverTemplate.environment?.SERVER_JARFILE || 'auto-detect',
+                MASTER_SERVER_URL: serverTemplate.environment?.MASTER_SERVER_URL || process.env.MASTER_SERVER_URL || 'https://panel.lvlagency.nl:25566',
+                SERVER_NAME: serverTemplate.environment?.SERVER_NAME || `SkaffaCity Server #${allocation.port}`,
+                MAX_PLAYERS: serverTemplate.environment?.MAX_PLAYERS || this.serverConfig.maxPlayersPerServer.toString(),
+                TICK_RATE: serverTemplate.environment?.TICK_RATE || '30',
+                REGION: serverTemplate.environment?.REGION || 'EU-West',
+                GAME_MODE: serverTemplate.environment?.GAME_MODE || 'standard',
+                
+                // Git Repository Integration (New Method)
+                GIT_REPOSITORY: serverTemplate.environment?.GIT_REPOSITORY || 'https://github.com/skaffvogel/skaffacity-serverbuild.git',
+                GIT_BRANCH: serverTemplate.environment?.GIT_BRANCH || 'main',
+                GIT_ACCESS_TOKEN: serverTemplate.environment?.GIT_ACCESS_TOKEN || '',
+                
+                // GitHub Integration for Auto Updates (Legacy Support)
+                GITHUB_REPO: serverTemplate.environment?.GITHUB_REPO || 'skaffvogel/skaffacity-serverbuild',
+                GITHUB_BRANCH: serverTemplate.environment?.GITHUB_BRANCH || 'main',
+                AUTO_UPDATE: serverTemplate.environment?.AUTO_UPDATE || '1',
+                
+                // Fallback download URL (only used if GitHub fails or is disabled)
+                DOWNLOAD_URL: serverTemplate.environment?.DOWNLOAD_URL || '',
+                
+                // Server Management
+                AUTO_RESTART: serverTemplate.environment?.AUTO_RESTART || '1',
+                DEBUG_MODE: serverTemplate.environment?.DEBUG_MODE || '0',
+                
+                // Internal tracking
+                SKAFFA_CREATED_BY: 'GameServerManager',
+                SKAFFA_CREATED_AT: new Date().toISOString(),
+                
+                // Essential environment variables only (configuration comes from API)
+                SERVER_PORT: allocation.port.toString(),
+                
+                // Spread any additional environment variables from template
+                ...(serverTemplate.environment || {}),
+
+                // Regio van de autoscaler gaat voor de template
+                ...(region ? { REGION: region } : {}),
+
+                // Versie van template + branch, voor rolling updates
+                SKAFFA_TEMPLATE_HASH: this.getTemplateHash(serverTemplate),
+
+                // Credentials altijd als laatste zodat de template ze niet kan overschrijven
+                SKAFFA_SERVER_ID: serverId,
+                SKAFFA_SERVER_SECRET: serverSecret
+            };
+
+            const created = await this.provider.createServer({
+                name: serverName,
+                description: serverTemplate.description,
+                allocation,
+                environment,
+                template: serverTemplate
+            });
+
+            await serverCredentials.linkPterodactylServer(serverId, created.id);
+            const serverInfo = await this.registry.register({
+                serverId,
+                origin: 'manager',
+                name: serverName,
+                pterodactylId: created.id,
+                pterodactylUuid: created.uuid,
+                ip: created.ip,
+                port: created.port,
+                maxPlayers: this.serverConfig.maxPlayersPerServer,
+                region: environment.REGION,
+                gameMode: environment.GAME_MODE,
+                status: 'created'
+            });
             
-            // Use admin API key for server creation
-            const apiKey = this.pterodactylConfig.adminApiKey || this.pterodactylConfig.apiKey;
-            if (!apiKey) {
-                throw new Error('Admin API key vereist voor server creation');
-            }
+            console.log(`[GameServerManager] ✅ Game server aangemaakt: ${serverName} (Poort: ${created.port})`);
+            console.log(`[GameServerManager] 🆔 Server UUID: ${created.uuid}`);
+            console.log(`[GameServerManager] 🌐 Server toegankelijk op: ${created.ip}:${created.port}`);
             
-            // Complete Pterodactyl server creation request with ALL required fields
-            const createRequest = {
+            return {
+                ...serverInfo,
+                id: created.id,
+                serverId,
+                uuid: created.uuid,
                 name: serverName,
-                description: serverTemplate.description || 'SkaffaCity UDP Game Server Instance',
-                user: parseInt(serverTemplate.user) || 1, // Admin user ID
-                egg: parseInt(serverTemplate.egg) || parseInt(this.pterodactylConfig.gameServerEggId) || 20,
-                docker_image: serverTemplate.docker_image || 'ghcr.io/pterodactyl/yolks:ubuntu',
-                startup: serverTemplate.startup || './{{SERVER_JARFILE}} -batchmode -nographics -port {{SERVER_PORT}} -masterServer {{MASTER_SERVER_URL}} -serverName "{{SERVER_NAME}}" -maxPlayers {{MAX_PLAYERS}} -tickRate {{TICK_RATE}} -logFile logs/server.log -region {{REGION}} -gameMode {{GAME_MODE}} -autoUpdate {{AUTO_UPDATE}}',
-                oom_disabled: serverTemplate.oom_disabled || false,
-                limits: {
-                    memory: parseInt(serverTemplate.limits?.memory) || 512,
-                    swap: parseInt(serverTemplate.limits?.swap) || 0,
-                    disk: parseInt(serverTemplate.limits?.disk) || 1024,
-                    io: parseInt(serverTemplate.limits?.io) || 500,
-                    cpu: parseInt(serverTemplate.limits?.cpu) || 100,
-                    threads: serverTemplate.limits?.threads || null
-                },
-                feature_limits: {
-                    databases: parseInt(serverTemplate.feature_limits?.databases) || 0,
-                    allocations: parseInt(serverTemplate.feature_limits?.allocations) || 1,
-                    backups: parseInt(serverTemplate.feature_limits?.backups) || 0
-                },
-                allocation: {
-                    default: parseInt(allocation.id)
-                },
-                environment: {
-                    // SkaffaCity Unity Server Egg Variables
-                    SERVER_JARFILE: serverTemplate.environment?.SERVER_JARFILE || 'auto-detect',
-                    MASTER_SERVER_URL: serverTemplate.environment?.MASTER_SERVER_URL || process.env.MASTER_SERVER_URL || 'https://panel.lvlagency.nl:25566',
-                    SERVER_NAME: serverTemplate.environment?.SERVER_NAME || `SkaffaCity Server #${allocation.port}`,
-                    MAX_PLAYERS: serverTemplate.environment?.MAX_PLAYERS || this.serverConfig.maxPlayersPerServer.toString(),
-                    TICK_RATE: serverTemplate.environment?.TICK_RATE || '30',
-                    REGION: serverTemplate.environment?.REGION || 'EU-West',
-                    GAME_MODE: serverTemplate.environment?.GAME_MODE || 'standard',
-                    
-                    // Git Repository Integration (New Method)
-                    GIT_REPOSITORY: serverTemplate.environment?.GIT_REPOSITORY || 'https://github.com/skaffvogel/skaffacity-serverbuild.git',
-                    GIT_BRANCH: serverTemplate.environment?.GIT_BRANCH || 'main',
-                    GIT_ACCESS_TOKEN: serverTemplate.environment?.GIT_ACCESS_TOKEN || '',
-                    
-                    // GitHub Integration for Auto Updates (Legacy Support)
-                    GITHUB_REPO: serverTemplate.environment?.GITHUB_REPO || 'skaffvogel/skaffacity-serverbuild',
-                    GITHUB_BRANCH: serverTemplate.environment?.GITHUB_BRANCH || 'main',
-                    AUTO_UPDATE: serverTemplate.environment?.AUTO_UPDATE || '1',
-                    
-                    // Fallback download URL (only used if GitHub fails or is disabled)
-                    DOWNLOAD_URL: serverTemplate.environment?.DOWNLOAD_URL || '',
-                    
-                    // Server Management
-                    AUTO_RESTART: serverTemplate.environment?.AUTO_RESTART || '1',
-                    DEBUG_MODE: serverTemplate.environment?.DEBUG_MODE || '0',
-                    
-                    // Internal tracking
-                    SKAFFA_SERVER_ID: serverId,
-                    SKAFFA_CREATED_BY: 'GameServerManager',
-                    SKAFFA_CREATED_AT: new Date().toISOString(),
-                    
-                    // Essential environment variables only (configuration comes from API)
-                    SERVER_PORT: allocation.port.toString(),
-                    
-                    // Spread any additional environment variables from template
-                    ...(serverTemplate.environment || {})
-                }
+                port: created.port,
+                ip: created.ip
             };
-            
-            console.log('[GameServerManager] 📋 Creating server with config:', JSON.stringify(createRequest, null, 2));
-
-            const response = await axios.post(
-                `${this.pterodactylConfig.apiUrl}/application/servers`,
-                createRequest,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-
-            if (response.status === 201) {
-                const serverData = response.data.attributes;
-                const serverInfo = {
-                    pterodactylId: serverData.id,
-                    uuid: serverData.uuid,
-                    name: serverName,
-                    status: 'created',
-                    playerCount: 0,
-                    maxPlayers: this.serverConfig.maxPlayersPerServer,
-                    port: allocation.port,
-                    ip: allocation.ip,
-                    lastUpdate: Date.now()
-                };
-
-                this.servers.set(serverId, serverInfo);
-                
-                console.log(`[GameServerManager] ✅ Game server aangemaakt: ${serverName} (Poort: ${allocation.port})`);
-                console.log(`[GameServerManager] 🆔 Server UUID: ${serverData.uuid}`);
-                console.log(`[GameServerManager] 🌐 Server toegankelijk op: ${allocation.ip}:${allocation.port}`);
-                
-                return {
-                    id: serverData.id,
-                    uuid: serverData.uuid,
-                    name: serverName,
-                    port: allocation.port,
-                    ip: allocation.ip,
-                    ...serverInfo
-                };
-            }
         } catch (error) {
             console.error('[GameServerManager] ❌ Fout bij aanmaken server:', error.message);
-            
-            // Log more detailed error information
-            if (error.response) {
-                console.error('[GameServerManager] 📊 API Response Status:', error.response.status);
-                console.error('[GameServerManager] 📋 API Response Data:', JSON.stringify(error.response.data, null, 2));
-                
-                if (error.response.data && error.response.data.errors) {
-                    console.error('[GameServerManager] 🔍 Validation Errors:');
-                    error.response.data.errors.forEach((err, index) => {
-                        console.error(`  ${index + 1}. ${err.detail} (Field: ${err.meta?.source_field || 'unknown'})`);
-                    });
-                }
+            await serverCredentials.revokeSecret(serverId);
+            if (allocation) {
+                await this.provider.releaseAllocation(allocation);
             }
-            
             throw error;
         }
     }
 
     /**
-     * Start een game server via Pterodactyl
+     * Start een game server via de hosting provider
      */
     async startServer(serverId) {
-        const server = this.servers.get(serverId);
+        const server = await this.registry.get(serverId);
         if (!server) {
             throw new Error(`Server ${serverId} niet gevonden`);
         }
 
         try {
-            await axios.post(
-                `${this.pterodactylConfig.apiUrl}/client/servers/${server.uuid}/power`,
-                { signal: 'start' },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.pterodactylConfig.apiKey}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+            await this.provider.power(this.providerRef(server), 'start');
 
-            server.status = 'starting';
-            server.lastUpdate = Date.now();
+            await this.registry.updateStatus(serverId, 'starting', { reason: 'manager_start' });
 
             console.log(`[GameServerManager] Server ${server.name} wordt gestart...`);
         } catch (error) {
@@ -356,28 +260,18 @@ class GameServerManager {
     }
 
     /**
-     * Stop een game server via Pterodactyl
+     * Stop een game server via de hosting provider
      */
     async stopServer(serverId) {
-        const server = this.servers.get(serverId);
+        const server = await this.registry.get(serverId);
         if (!server) {
             throw new Error(`Server ${serverId} niet gevonden`);
         }
 
         try {
-            await axios.post(
-                `${this.pterodactylConfig.apiUrl}/client/servers/${server.uuid}/power`,
-                { signal: 'stop' },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.pterodactylConfig.apiKey}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+            await this.provider.power(this.providerRef(server), 'stop');
 
-            server.status = 'stopping';
-            server.lastUpdate = Date.now();
+            await this.registry.updateStatus(serverId, 'stopping', { reason: 'manager_stop' });
 
             console.log(`[GameServerManager] Server ${server.name} wordt gestopt...`);
         } catch (error) {
@@ -387,81 +281,216 @@ class GameServerManager {
     }
 
     /**
-     * Verwijder een game server via Pterodactyl
+     * Verwijder een game server via de hosting provider
+     * Standaard loopt de server eerst leeg (drain); met force wordt hij direct afgesloten
+     * @param {Object} options - { force, timeoutMs }
      */
-    async deleteServer(serverId) {
-        const server = this.servers.get(serverId);
+    async deleteServer(serverId, { force = false, timeoutMs = null } = {}) {
+        const server = await this.registry.get(serverId);
         if (!server) {
             throw new Error(`Server ${serverId} niet gevonden`);
         }
 
-        try {
-            // Stop eerst de server
-            await this.stopServer(serverId);
-            
-            // Wacht kort voor deletion
-            setTimeout(async () => {
-                await axios.delete(
-                    `${this.pterodactylConfig.apiUrl}/application/servers/${server.pterodactylId}`,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${this.pterodactylConfig.apiKey}`,
-                            'Content-Type': 'application/json'
-                        }
-                    }
-                );
+        if (force || server.currentPlayers === 0) {
+            await this.shutdownServer(serverId, force ? 'force_delete' : 'deleted');
+            return { deleted: true };
+        }
+
+        await this.drainServer(serverId, { reason: 'delete', timeoutMs });
+        return { deleted: false, draining: true };
+    }
+
+    /**
+     * Stop en verwijder een server bij de provider en ruim registry, credentials en drain op
+     */
+    async shutdownServer(serverId, reason = 'deleted') {
+        const server = await this.registry.get(serverId);
+        if (!server) {
+            await this.registry.clearDrain(serverId);
+            return;
+        }
 
-                this.servers.delete(serverId);
-                console.log(`[GameServerManager] ✅ Server ${server.name} verwijderd`);
-            }, 5000);
+        try {
+            if (server.pterodactylId) {
+                // Netjes stoppen gaat voor; mislukt dat, dan verwijdert de provider de draaiende server
+                await this.provider.power(this.providerRef(server), 'stop').catch(error => {
+                    console.warn(`[GameServerManager] ⚠️ Stoppen van ${serverId} mislukt: ${error.message}`);
+                });
+                await this.provider.deleteServer(this.providerRef(server));
+            }
 
+            this.matchmaking.releaseServer(serverId);
+            await this.registry.unregister(serverId, reason);
+            await serverCredentials.revokeSecret(serverId);
+            console.log(`[GameServerManager] ✅ Server ${server.name || serverId} verwijderd (${reason})`);
         } catch (error) {
             console.error(`[GameServerManager] Fout bij verwijderen server ${serverId}:`, error.message);
             throw error;
         }
     }
 
+    /**
+     * Roteer het HMAC secret van een game server en zet het nieuwe secret in de environment bij de hosting provider
+     * Het vorige secret blijft nog even geldig zodat de server kan herstarten met het nieuwe secret
+     * @returns {Promise<{secret: string, pushed: boolean}>}
+     */
+    async rotateServerSecret(serverId) {
+        const credentials = await serverCredentials.getCredentials(serverId);
+        const localServer = await this.registry.get(serverId);
+        const pterodactylId = credentials?.pterodactyl_id || localServer?.pterodactylId || null;
+
+        const secret = await serverCredentials.issueSecret(serverId, { pterodactylId });
+
+        if (!pterodactylId) {
+            console.warn(`[GameServerManager] ⚠️ Geen provider server gekoppeld aan ${serverId}, secret handmatig instellen`);
+            return { secret, pushed: false };
+        }
+
+        try {
+            await this.provider.updateEnvironment(
+                { id: pterodactylId, uuid: localServer?.pterodactylUuid || null },
+                { SKAFFA_SERVER_ID: serverId, SKAFFA_SERVER_SECRET: secret }
+            );
+
+            console.log(`[GameServerManager] 🔑 Secret van ${serverId} geroteerd en naar ${this.provider.name} gepusht`);
+            return { secret, pushed: true };
+        } catch (error) {
+            console.error(`[GameServerManager] Fout bij pushen secret voor ${serverId}:`, error.message);
+            return { secret, pushed: false };
+        }
+    }
+
     /**
      * Zoek beste beschikbare server voor speler
      */
-    findBestServer() {
-        let bestServer = null;
-        let lowestPlayerCount = this.serverConfig.maxPlayersPerServer;
+    async findBestServer(preferredServerId = null) {
+        return this.registry.findAvailable(preferredServerId);
+    }
 
-        for (const [serverId, server] of this.servers) {
-            if (server.status === 'running' && server.playerCount < server.maxPlayers) {
-                if (server.playerCount < lowestPlayerCount) {
-                    lowestPlayerCount = server.playerCount;
-                    bestServer = server;
-                }
-            }
+    /**
+     * Eén ronde van de scaling policy: evalueren en (als autoScale aan staat) uitvoeren
+     * @returns {Promise<Object>} - Beslissing per regio met redenen
+     */
+    async runAutoScaler() {
+        const gameserverConfig = global.configManager ? global.configManager.getConfig('gameserver') : null;
+        try {
+            return await this.autoScaler.run(this, gameserverConfig);
+        } catch (error) {
+            console.error('[GameServerManager] Autoscaler fout:', error.message);
+            return null;
         }
+    }
 
-        return bestServer;
+    /**
+     * Wat zou de scaling policy nu doen (zonder uit te voeren)
+     * @returns {Promise<Object>}
+     */
+    async planScaling() {
+        const gameserverConfig = global.configManager ? global.configManager.getConfig('gameserver') : null;
+        return this.autoScaler.evaluate(gameserverConfig);
     }
 
     /**
-     * Zorg voor minimaal aantal idle servers
+     * Zet een server op draining: geen nieuwe spelers meer (discovery, matchmaking en de heartbeat response
+     * van de game server), afsluiten zodra hij leeg is of de deadline verstreken is
+     * @param {Object} options - { reason, timeoutMs }
      */
-    async ensureMinimumIdleServers() {
-        const idleServers = Array.from(this.servers.values()).filter(
-            server => server.status === 'running' && server.playerCount === 0
-        );
+    async drainServer(serverId, { reason = 'manual', timeoutMs = null } = {}) {
+        const deadline = new Date(Date.now() + (timeoutMs || this.serverConfig.drainTimeoutMs));
+        const server = await this.registry.startDrain(serverId, { reason, deadline });
+        if (!server) {
+            throw new Error(`Server ${serverId} niet gevonden`);
+        }
 
-        const neededServers = this.serverConfig.minIdleServers - idleServers.length;
+        // Toegewezen maar nog niet gejoinde spelers krijgen een andere server
+        this.matchmaking.releaseServer(serverId);
 
-        if (neededServers > 0 && this.servers.size < this.serverConfig.maxTotalServers) {
-            console.log(`[GameServerManager] ${neededServers} extra idle servers aanmaken...`);
-            
-            for (let i = 0; i < neededServers; i++) {
-                try {
-                    await this.createGameServer();
-                } catch (error) {
-                    console.error('[GameServerManager] Fout bij aanmaken idle server:', error.message);
-                    break;
-                }
+        const drain = await this.registry.getDrain(serverId);
+        console.log(`[GameServerManager] 🚰 Server ${server.name || serverId} wordt gedraind (${reason}, uiterlijk ${new Date(drain ? drain.deadline : deadline).toISOString()})`);
+        return { ...server, drain };
+    }
+
+    /**
+     * Sluit gedrainde servers af die leeg zijn, offline zijn of hun deadline gehaald hebben
+     * @returns {Promise<string[]>} - IDs van afgesloten servers
+     */
+    async processDrains() {
+        const finished = [];
+
+        for (const drain of await this.registry.listDrains()) {
+            const server = await this.registry.get(drain.serverId);
+            let reason = null;
+
+            if (!server) {
+                await this.registry.clearDrain(drain.serverId);
+                continue;
+            } else if (server.status === 'offline' || !server.isOnline) {
+                reason = 'drain_offline';
+            } else if (server.status !== 'draining') {
+                // Drain is opgeheven (status handmatig gewijzigd)
+                await this.registry.clearDrain(drain.serverId);
+                continue;
+            } else if (server.currentPlayers === 0) {
+                reason = 'drained';
+            } else if (new Date(drain.deadline) <= new Date()) {
+                reason = 'drain_deadline';
+                console.log(`[GameServerManager] ⏰ Drain deadline van ${server.serverId} verstreken, ${server.currentPlayers} speler(s) worden gekickt`);
+            }
+
+            if (!reason) continue;
+
+            try {
+                await this.shutdownServer(server.serverId, reason);
+                finished.push(server.serverId);
+            } catch (error) {
+                console.error(`[GameServerManager] Fout bij afsluiten gedrainde server ${server.serverId}:`, error.message);
             }
         }
+
+        return finished;
+    }
+
+    /**
+     * Versie van een server template (incl. GIT_BRANCH); servers met een andere hash zijn verouderd
+     */
+    getTemplateHash(template = {}) {
+        const payload = JSON.stringify({
+            template,
+            gitBranch: template.environment?.GIT_BRANCH || 'main'
+        });
+        return crypto.createHash('sha256').update(payload).digest('hex').substring(0, 12);
+    }
+
+    /**
+     * Door de manager aangemaakte servers die niet op de huidige template/branch draaien
+     * @returns {Promise<Object[]>} - [{ server, reason }]
+     */
+    async findOutdatedServers(templateOverride = null) {
+        const gameserverConfig = global.configManager ? global.configManager.getConfig('gameserver') : null;
+        const template = templateOverride || gameserverConfig?.serverTemplate || {};
+        const currentHash = this.getTemplateHash(template);
+        const currentBranch = template.environment?.GIT_BRANCH || 'main';
+
+        const providerServers = await this.provider.listServers();
+        const environments = new Map(providerServers.map(server => [
+            server.environment.SKAFFA_SERVER_ID || server.uuid,
+            server.environment
+        ]));
+
+        const outdated = [];
+        for (const server of await this.registry.list()) {
+            if (server.origin !== 'manager' || server.status === 'draining') continue;
+
+            const environment = environments.get(server.serverId);
+            if (!environment) continue; // niet (meer) bij de provider, daar valt niets aan te updaten
+
+            if (environment.GIT_BRANCH && environment.GIT_BRANCH !== currentBranch) {
+                outdated.push({ server, reason: `GIT_BRANCH ${environment.GIT_BRANCH} -> ${currentBranch}` });
+            } else if (environment.SKAFFA_TEMPLATE_HASH !== currentHash) {
+                outdated.push({ server, reason: environment.SKAFFA_TEMPLATE_HASH ? 'template gewijzigd' : 'geen template versie' });
+            }
+        }
+        return outdated;
     }
 
     /**
@@ -470,7 +499,10 @@ class GameServerManager {
     startMonitoring() {
         setInterval(async () => {
             await this.updateServerStatus();
-            await this.ensureMinimumIdleServers();
+            await this.processDrains().catch(error => {
+                console.error('[GameServerManager] Drain verwerking fout:', error.message);
+            });
+            await this.runAutoScaler();
         }, 30000); // Elke 30 seconden
 
         console.log('[GameServerManager] ✅ Server monitoring gestart');
@@ -478,33 +510,26 @@ class GameServerManager {
 
     /**
      * Update status van alle servers
+     * Status komt uit de heartbeats van de game servers; hier alleen het staleness beleid van de registry toepassen
      */
     async updateServerStatus() {
-        for (const [serverId, server] of this.servers) {
-            try {
-                // Ping server voor status update
-                // Dit zou via UDP ping of health check endpoint kunnen
-                // Voor nu simuleren we status updates
-                
-                if (server.status === 'starting' && Date.now() - server.lastUpdate > 60000) {
-                    server.status = 'running';
-                }
-                
-            } catch (error) {
-                console.error(`[GameServerManager] Status update fout voor ${serverId}:`, error.message);
-            }
+        try {
+            await this.registry.sweepStale();
+        } catch (error) {
+            console.error('[GameServerManager] Status update fout:', error.message);
         }
     }
 
     /**
      * Krijg alle server informatie
      */
-    getAllServers() {
-        return Array.from(this.servers.values()).map(server => ({
-            id: server.uuid,
+    async getAllServers() {
+        const servers = await this.registry.list();
+        return servers.map(server => ({
+            id: server.serverId,
             name: server.name,
             status: server.status,
-            playerCount: server.playerCount,
+            playerCount: server.currentPlayers,
             maxPlayers: server.maxPlayers,
             port: server.port,
             address: process.env.GAME_SERVER_HOST || 'localhost'
@@ -512,70 +537,108 @@ class GameServerManager {
     }
 
     /**
-     * Voeg speler toe aan server queue
+     * Voeg speler (en party leden) toe aan de matchmaking queue
+     * @param {string} playerId - Speler (party leader)
+     * @param {string} preferredServerId - Voorkeur server (optioneel)
+     * @param {Object} options - { region, gameMode, partyMemberIds, priority }
+     * @returns {Promise<Object>} - Queue status (positie/ETA of toewijzing)
      */
-    async joinServerQueue(playerId, preferredServerId = null) {
+    async joinServerQueue(playerId, preferredServerId = null, { region = null, gameMode = null, partyMemberIds = [], priority = 0 } = {}) {
+        if (partyMemberIds.length > 0) {
+            const members = [...new Set(partyMemberIds)];
+            const existing = await db.query(
+                `SELECT id FROM players WHERE id IN (${members.map(() => '?').join(', ')})`,
+                members
+            );
+            const known = new Set(existing.map(row => row.id));
+            const unknown = members.filter(id => !known.has(id));
+            if (unknown.length > 0) {
+                throw new Error(`Onbekende speler(s): ${unknown.join(', ')}`);
+            }
+
+            // Alleen spelers die de uitnodiging van de leader geaccepteerd hebben gaan mee
+            this.matchmaking.requireAcceptedInvites(playerId, members);
+            partyMemberIds = members;
+        }
+
+        this.matchmaking.enqueue({
+            playerIds: [playerId, ...partyMemberIds],
+            leaderId: playerId,
+            region,
+            gameMode,
+            priority,
+            preferredServerId
+        });
+        this.matchmaking.consumeInvites(playerId, partyMemberIds);
         console.log(`[GameServerManager] Speler ${playerId} toegevoegd aan server queue`);
 
-        let targetServer = null;
+        await this.matchmaking.processQueue();
+        const status = this.matchmaking.getStatus(playerId);
 
-        if (preferredServerId) {
-            targetServer = this.servers.get(preferredServerId);
+        // Nog niet geplaatst: extra server aanvragen als dat nog mag
+        if (status && status.status === 'queued') {
+            this.requestCapacityForQueue();
         }
 
-        if (!targetServer || targetServer.playerCount >= targetServer.maxPlayers) {
-            targetServer = this.findBestServer();
-        }
+        return status;
+    }
 
-        if (!targetServer) {
-            // Geen beschikbare servers, maak nieuwe aan
-            if (this.servers.size < this.serverConfig.maxTotalServers) {
-                targetServer = await this.createGameServer();
-            } else {
-                throw new Error('Alle servers zijn vol, probeer later opnieuw');
-            }
+    /**
+     * Laat de scaling policy op de achtergrond kijken of de queue extra servers nodig heeft
+     */
+    requestCapacityForQueue() {
+        this.runAutoScaler();
+    }
+
+    /**
+     * Nodig een bestaande speler uit voor de party van leaderId
+     */
+    async inviteToParty(leaderId, playerId) {
+        const [player] = await db.query('SELECT id FROM players WHERE id = ?', [playerId]);
+        if (!player) {
+            throw new Error('Speler niet gevonden');
         }
+        return this.matchmaking.invite(leaderId, playerId);
+    }
 
-        // Voeg speler toe aan queue
-        this.playerQueue.set(playerId, {
-            serverId: targetServer.uuid,
-            queueTime: Date.now(),
-            status: 'queued'
-        });
+    /**
+     * Accepteer een party uitnodiging
+     */
+    acceptPartyInvite(playerId, leaderId) {
+        return this.matchmaking.acceptInvite(playerId, leaderId);
+    }
 
-        return {
-            serverId: targetServer.uuid,
-            serverAddress: process.env.GAME_SERVER_HOST || 'localhost',
-            serverPort: targetServer.port,
-            queuePosition: 1, // Implementeer echte queue logica indien nodig
-            estimatedWaitTime: 0
-        };
+    /**
+     * Openstaande party uitnodigingen van een speler
+     */
+    getPartyInvites(playerId) {
+        return this.matchmaking.getInvites(playerId);
     }
 
     /**
-     * List all game servers
+     * Queue status van een speler
+     * @returns {Object|null}
+     */
+    getQueueStatus(playerId) {
+        return this.matchmaking.getStatus(playerId);
+    }
+
+    /**
+     * Haal speler uit de queue
+     * @returns {boolean} - true als de speler in de queue stond
+     */
+    leaveQueue(playerId) {
+        return this.matchmaking.cancel(playerId);
+    }
+
+    /**
+     * List all game servers known to the hosting provider
      */
     async listServers() {
-        console.log('[GameServerManager] Servers ophalen van Pterodactyl...');
+        console.log(`[GameServerManager] Servers ophalen van ${this.provider.name}...`);
         
-        const apiKey = this.pterodactylConfig.adminApiKey || this.pterodactylConfig.apiKey;
-        if (!apiKey) {
-            throw new Error('Geen API key geconfigureerd voor server listing');
-        }
-
         try {
-            const response = await axios.get(`${this.pterodactylConfig.apiUrl}/application/servers`, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (response.status === 200) {
-                return response.data.data || [];
-            } else {
-                throw new Error(`Pterodactyl API error: ${response.status}`);
-            }
+            return await this.provider.listServers();
         } catch (error) {
             console.error('[GameServerManager] ❌ Error listing servers:', error.message);
             throw error;
@@ -597,24 +660,27 @@ class GameServerManager {
     }
 
     /**
-     * Check Pterodactyl connection (alias for testPterodactylConnection)
+     * Check hosting provider connection (alias for testProviderConnection)
      */
-    async checkPterodactylConnection() {
+    async checkProviderConnection() {
         try {
-            await this.testPterodactylConnection();
-            return { status: 'connected', message: 'Pterodactyl API connection successful' };
+            await this.testProviderConnection();
+            return { status: 'connected', message: `${this.provider.name} provider connection successful` };
         } catch (error) {
             return { status: 'error', message: error.message };
         }
     }
 
     /**
-     * Scale servers to target count
+     * Scale servers to target count (handmatig, buiten de scaling policy om)
+     * Scale-down draint de minst bezette servers in plaats van ze direct te stoppen
      */
     async scaleServers(targetCount) {
         console.log(`[GameServerManager] Scaling to ${targetCount} servers...`);
         
-        const currentServers = await this.listServers();
+        const currentServers = (await this.registry.list())
+            .filter(server => server.status !== 'draining')
+            .sort((a, b) => a.currentPlayers - b.currentPlayers);
         const currentCount = currentServers.length;
         
         if (targetCount > currentCount) {
@@ -631,16 +697,16 @@ class GameServerManager {
                 }
             }
         } else if (targetCount < currentCount) {
-            // Scale down - stop excess servers
-            const serversToStop = currentCount - targetCount;
-            console.log(`[GameServerManager] Stopping ${serversToStop} servers...`);
+            // Scale down - drain excess servers
+            const serversToDrain = currentCount - targetCount;
+            console.log(`[GameServerManager] Draining ${serversToDrain} servers...`);
             
-            for (let i = 0; i < serversToStop && i < currentServers.length; i++) {
+            for (let i = 0; i < serversToDrain && i < currentServers.length; i++) {
                 try {
-                    await this.stopServer(currentServers[i].attributes.id);
-                    console.log(`[GameServerManager] ✅ Server ${i + 1}/${serversToStop} stopped`);
+                    await this.drainServer(currentServers[i].serverId, { reason: 'manual_scale' });
+                    console.log(`[GameServerManager] ✅ Server ${i + 1}/${serversToDrain} draining`);
                 } catch (error) {
-                    console.error(`[GameServerManager] ❌ Failed to stop server: ${error.message}`);
+                    console.error(`[GameServerManager] ❌ Failed to drain server: ${error.message}`);
                 }
             }
         } else {
@@ -651,276 +717,20 @@ class GameServerManager {
     }
 
     /**
-     * Verify allocation is available for assignment
-     */
-    async verifyAllocationAvailable(allocationId) {
-        const apiKey = this.pterodactylConfig.adminApiKey || this.pterodactylConfig.apiKey;
-        
-        try {
-            console.log(`[GameServerManager] 🔍 Verifying allocation ${allocationId} is available...`);
-            
-            // Get all allocations to check availability
-            const allocationsResponse = await axios.get(`${this.pterodactylConfig.apiUrl}/application/nodes/1/allocations`, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            if (allocationsResponse.data && allocationsResponse.data.data) {
-                const allocation = allocationsResponse.data.data.find(alloc => 
-                    alloc.attributes && alloc.attributes.id === parseInt(allocationId)
-                );
-                
-                if (!allocation) {
-                    throw new Error(`Allocation ${allocationId} not found`);
-                }
-                
-                if (allocation.attributes.assigned) {
-                    console.log(`[GameServerManager] ⚠️ Allocation ${allocationId} is already assigned to server ${allocation.attributes.server}`);
-                    throw new Error(`Allocation ${allocationId} is already assigned`);
-                }
-                
-                console.log(`[GameServerManager] ✅ Allocation ${allocationId} is available for assignment`);
-                return allocation.attributes;
-            }
-            
-            throw new Error('Could not retrieve allocations');
-            
-        } catch (error) {
-            console.error(`[GameServerManager] ❌ Error verifying allocation: ${error.message}`);
-            throw error;
-        }
-    }
-
-    /**
-     * Find any available (unassigned) allocation
-     */
-    async findAvailableAllocation() {
-        const apiKey = this.pterodactylConfig.adminApiKey || this.pterodactylConfig.apiKey;
-        
-        try {
-            console.log(`[GameServerManager] 🔍 Finding available allocation...`);
-            
-            const allocationsResponse = await axios.get(`${this.pterodactylConfig.apiUrl}/application/nodes/1/allocations`, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            if (allocationsResponse.data && allocationsResponse.data.data) {
-                // Find first unassigned allocation
-                const availableAllocation = allocationsResponse.data.data.find(alloc => 
-                    alloc.attributes && !alloc.attributes.assigned
-                );
-                
-                if (availableAllocation) {
-                    console.log(`[GameServerManager] ✅ Found available allocation: ${availableAllocation.attributes.id} (port ${availableAllocation.attributes.port})`);
-                    return {
-                        id: availableAllocation.attributes.id,
-                        port: availableAllocation.attributes.port,
-                        ip: availableAllocation.attributes.ip
-                    };
-                }
-            }
-            
-            throw new Error('No available allocations found - create more allocations in Pterodactyl Panel');
-            
-        } catch (error) {
-            console.error(`[GameServerManager] ❌ Error finding allocation: ${error.message}`);
-            throw error;
-        }
-    }
-
-    /**
-     * Get next available port starting from serverStartPort
-     */
-    async getNextAvailablePort() {
-        try {
-            console.log(`[GameServerManager] 🔍 Looking for available port starting from ${this.serverConfig.serverStartPort}...`);
-            
-            // Get all allocations to see which ports are assigned
-            const apiKey = this.pterodactylConfig.adminApiKey || this.pterodactylConfig.apiKey;
-            const allocationsResponse = await axios.get(`${this.pterodactylConfig.apiUrl}/application/nodes/1/allocations`, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            const assignedPorts = new Set();
-            const availablePorts = new Map(); // port -> allocation info
-            
-            if (allocationsResponse.data && allocationsResponse.data.data) {
-                for (const alloc of allocationsResponse.data.data) {
-                    const port = alloc.attributes.port;
-                    
-                    if (alloc.attributes.assigned) {
-                        assignedPorts.add(port);
-                    } else {
-                        // Store available allocation info
-                        availablePorts.set(port, {
-                            id: alloc.attributes.id,
-                            port: port,
-                            ip: alloc.attributes.ip
-                        });
-                    }
-                }
-            }
-            
-            console.log(`[GameServerManager] 📊 Assigned ports: [${Array.from(assignedPorts).sort().join(', ') || 'none'}]`);
-            console.log(`[GameServerManager] 📊 Available ports: [${Array.from(availablePorts.keys()).sort().join(', ') || 'none'}]`);
-            
-            // Find next available port in our preferred range (7001+)
-            let targetPort = this.serverConfig.serverStartPort;
-            const maxSearchRange = 100; // Search up to 100 ports ahead
-            
-            for (let i = 0; i < maxSearchRange; i++) {
-                const candidatePort = targetPort + i;
-                
-                // Check if this port has an available allocation
-                if (availablePorts.has(candidatePort)) {
-                    console.log(`[GameServerManager] 🎯 Found preferred port in range: ${candidatePort}`);
-                    return candidatePort;
-                }
-            }
-            
-            // If no port in preferred range, use any available port
-            const anyAvailablePort = Array.from(availablePorts.keys()).sort((a, b) => a - b)[0];
-            if (anyAvailablePort) {
-                console.log(`[GameServerManager] 🎯 Using any available port: ${anyAvailablePort}`);
-                return anyAvailablePort;
-            }
-            
-            // No available allocations found
-            throw new Error(`No available allocations found. Create more port allocations in Pterodactyl Panel (range ${this.serverConfig.serverStartPort}-${this.serverConfig.serverStartPort + maxSearchRange})`);
-            
-        } catch (error) {
-            console.warn(`[GameServerManager] ⚠️ Error finding available port: ${error.message}`);
-            // Fallback: use server start port (may fail if allocation doesn't exist)
-            return this.serverConfig.serverStartPort;
-        }
-    }
-
-    /**
-     * Ensure allocation exists for the given port, create if it doesn't exist
+     * Ensure allocation exists for the given port (Pterodactyl only)
      */
     async ensureAllocationExists(port) {
-        const apiKey = this.pterodactylConfig.adminApiKey || this.pterodactylConfig.apiKey;
-        
-        try {
-            // First, get all allocations to see if this port exists
-            console.log(`[GameServerManager] 🔍 Ensuring allocation exists for port ${port}...`);
-            
-            const allocationsResponse = await axios.get(`${this.pterodactylConfig.apiUrl}/application/nodes/1/allocations`, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            // Check if allocation for this port already exists
-            if (allocationsResponse.data && allocationsResponse.data.data) {
-                const existingAllocation = allocationsResponse.data.data.find(alloc => 
-                    alloc.attributes && alloc.attributes.port === port
-                );
-                
-                if (existingAllocation) {
-                    const allocationStatus = existingAllocation.attributes.assigned ? 'assigned' : 'available';
-                    console.log(`[GameServerManager] ✅ Allocation exists for port ${port} (${allocationStatus})`);
-                    return {
-                        id: existingAllocation.attributes.id,
-                        port: existingAllocation.attributes.port,
-                        ip: existingAllocation.attributes.ip,
-                        assigned: existingAllocation.attributes.assigned
-                    };
-                }
-            }
-            
-            // Allocation doesn't exist, create it
-            console.log(`[GameServerManager] 🔨 Creating new allocation for port ${port}...`);
-            
-            // Get IP and alias from existing allocations to match the pattern
-            let nodeIP = '0.0.0.0';
-            let nodeAlias = null;
-            
-            if (allocationsResponse.data && allocationsResponse.data.data && allocationsResponse.data.data.length > 0) {
-                const firstAllocation = allocationsResponse.data.data[0].attributes;
-                nodeIP = firstAllocation.ip;
-                nodeAlias = firstAllocation.alias || firstAllocation.ip_alias; // Try both property names
-                console.log(`[GameServerManager] 📡 Using existing node IP: ${nodeIP}${nodeAlias ? ` (alias: ${nodeAlias})` : ''}`);
-                console.log('[GameServerManager] 🔍 First allocation details:', JSON.stringify(firstAllocation, null, 2));
-            }
-            
-            const createAllocationRequest = {
-                ip: nodeIP,
-                ports: [port.toString()], // Pterodactyl expects an array of port strings
-                assigned: false
-            };
-            
-            // Add alias if it exists on other allocations (try both property names)
-            if (nodeAlias) {
-                createAllocationRequest.alias = nodeAlias;
-            }
-            
-            console.log('[GameServerManager] 📋 Create allocation request:', JSON.stringify(createAllocationRequest, null, 2));
-            
-            const createResponse = await axios.post(
-                `${this.pterodactylConfig.apiUrl}/application/nodes/1/allocations`,
-                createAllocationRequest,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-            
-            if (createResponse.status === 201 || createResponse.status === 200) {
-                console.log(`[GameServerManager] ✅ Created new allocation for port ${port}`);
-                console.log('[GameServerManager] 📋 Allocation response:', JSON.stringify(createResponse.data, null, 2));
-                
-                // Handle different response structures
-                const allocationData = createResponse.data;
-                if (allocationData.data && Array.isArray(allocationData.data)) {
-                    // Multiple allocations created, get the first one
-                    const allocation = allocationData.data[0];
-                    return {
-                        id: allocation.attributes.id,
-                        port: allocation.attributes.port,
-                        ip: allocation.attributes.ip
-                    };
-                } else if (allocationData.attributes) {
-                    // Single allocation response
-                    return {
-                        id: allocationData.attributes.id,
-                        port: allocationData.attributes.port,
-                        ip: allocationData.attributes.ip
-                    };
-                } else {
-                    console.error('[GameServerManager] ❌ Unexpected allocation response structure');
-                    throw new Error('Unexpected allocation response structure');
-                }
-            }
-            
-        } catch (error) {
-            console.error(`[GameServerManager] ❌ Error managing allocation for port ${port}:`, error.message);
-            console.error('[GameServerManager] 📊 Error stack:', error.stack);
-            
-            if (error.response) {
-                console.error('[GameServerManager] 📋 Allocation API Error:', JSON.stringify(error.response.data, null, 2));
-            }
-            
-            throw new Error(`Failed to ensure allocation exists for port ${port}: ${error.message}`);
+        if (typeof this.provider.ensureAllocationExists !== 'function') {
+            throw new Error(`Allocations worden niet beheerd door hosting provider '${this.provider.name}'`);
         }
+        return this.provider.ensureAllocationExists(port);
     }
 
     /**
-     * Get server info from local servers map
+     * Get server info from the shared registry
      */
-    getLocalServers() {
-        return Array.from(this.servers.values());
+    async getLocalServers() {
+        return this.registry.list();
     }
 }
 
@@ -0,0 +1,551 @@
+/**
+ * Inventory Manager
+ * Alle wijzigingen aan de inventaris van een speler lopen hier doorheen. Een operatie lockt eerst de inventory
+ * rij en daarna alle items van de speler (FOR UPDATE), zodat gelijktijdige requests op dezelfde inventaris
+ * na elkaar uitgevoerd worden en nooit dezelfde slot toewijzen.
+ *
+ * Stacks volgen de stackSize uit de item catalogus: wat niet meer op een bestaande stack past gaat naar een
+ * nieuwe vrije slot. Items met verschillende metadata stapelen niet. Een batch voert meerdere operaties in
+ * één transactie uit; faalt er één, dan wordt niets doorgevoerd.
+ */
+
+const ledger = require('../utils/ledger');
+const inventory = require('../utils/inventory');
+const itemRegistry = require('./ItemRegistry');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_BATCH_OPERATIONS = 50;
+const OPERATIONS = ['add', 'remove', 'move', 'split', 'merge'];
+// Tijdelijke slot tijdens het omwisselen van twee items (UNIQUE inventory_id + slot)
+const SWAP_SLOT = -1;
+
+function isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function positiveInteger(value, field) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new AppError(`${field} moet een positief geheel getal zijn`, 400);
+    }
+    return number;
+}
+
+function stackSizeOf(itemId) {
+    return itemRegistry.get(itemId)?.stackSize || 1;
+}
+
+function itemName(itemId) {
+    return itemRegistry.get(itemId)?.name || itemId;
+}
+
+class InventoryManager {
+    /**
+     * Voeg items toe aan een inventaris
+     * @param {Object} operation - { itemId, quantity, slot } (slot optioneel; wat niet past gaat naar andere slots)
+     */
+    async add(playerId, operation) {
+        return this.single(playerId, { ...operation, type: 'add' });
+    }
+
+    /**
+     * Haal items uit een inventaris, uit één slot of verspreid over alle stacks van een item
+     * @param {Object} operation - { itemId, slot, quantity } (itemId en/of slot)
+     */
+    async remove(playerId, operation) {
+        return this.single(playerId, { ...operation, type: 'remove' });
+    }
+
+    /**
+     * Verplaats een stack: naar een lege slot, op een stack van hetzelfde item, of omwisselen
+     * @param {Object} operation - { fromSlot, toSlot, quantity } (quantity optioneel, voor een deel van de stack)
+     */
+    async move(playerId, operation) {
+        return this.single(playerId, { ...operation, type: 'move' });
+    }
+
+    /**
+     * Splits een deel van een stack af naar een lege slot
+     * @param {Object} operation - { fromSlot, quantity, toSlot } (zonder toSlot de eerste vrije slot)
+     */
+    async split(playerId, operation) {
+        return this.single(playerId, { ...operation, type: 'split' });
+    }
+
+    /**
+     * Voeg een stack samen met een stack van hetzelfde item, tot de stackSize
+     * @param {Object} operation - { fromSlot, toSlot }
+     */
+    async merge(playerId, operation) {
+        return this.single(playerId, { ...operation, type: 'merge' });
+    }
+
+    /**
+     * Voer meerdere operaties atomair uit
+     * @param {Array} operations - [{ type: 'add'|'remove'|'move'|'split'|'merge', ...velden van die operatie }]
+     * @returns {Promise<Object>} - { results, inventory }
+     */
+    async batch(playerId, operations) {
+        if (!Array.isArray(operations) || operations.length === 0) {
+            throw new AppError('operations moet een niet-lege lijst zijn', 400);
+        }
+        if (operations.length > MAX_BATCH_OPERATIONS) {
+            throw new AppError(`Maximaal ${MAX_BATCH_OPERATIONS} operaties per batch`, 400);
+        }
+
+        return ledger.withTransaction(async (connection) => {
+            const state = await this.lock(connection, playerId);
+            const results = [];
+
+            for (const [index, operation] of operations.entries()) {
+                try {
+                    results.push(await this.apply(connection, state, operation));
+                } catch (error) {
+                    if (error.statusCode) {
+                        throw new AppError(`Operatie ${index + 1} (${operation?.type}): ${error.message}`, error.statusCode);
+                    }
+                    throw error;
+                }
+            }
+
+            return { results, inventory: this.formatInventory(state) };
+        });
+    }
+
+    /**
+     * Voeg items toe binnen een bestaande transactie (shop, mining, ...)
+     * @param {Object} options - { metadata, partial } - met partial wordt toegevoegd wat past in plaats van te falen
+     * @returns {Promise<Object>} - { itemId, quantity, overflow, slots }
+     */
+    async addItems(connection, playerId, itemId, quantity, options = {}) {
+        const state = await this.lock(connection, playerId);
+        return this.applyAdd(connection, state, { itemId, quantity, metadata: options.metadata }, options);
+    }
+
+    /**
+     * Hoeveel van een item (zonder metadata) er nog in een gelockte inventaris past: aanvullen van bestaande
+     * stacks plus vrije slots
+     */
+    capacityFor(state, itemId) {
+        const stackSize = stackSizeOf(itemId);
+        let capacity = 0;
+        for (const row of state.slots.values()) {
+            if (this.stacksWith(row, itemId, null)) capacity += Math.max(0, stackSize - row.quantity);
+        }
+        for (let index = 0; index < state.maxSlots; index++) {
+            if (!state.slots.has(index)) capacity += stackSize;
+        }
+        return capacity;
+    }
+
+    /**
+     * Haal items weg binnen een bestaande transactie (oven, ...); faalt als de speler er te weinig heeft
+     * @returns {Promise<Object>} - { itemId, quantity, slots }
+     */
+    async removeItems(connection, playerId, itemId, quantity) {
+        const state = await this.lock(connection, playerId);
+        return this.applyRemove(connection, state, { itemId, quantity });
+    }
+
+    /**
+     * Werk de metadata van een gelockte item rij bij (bijv. durability van een tool); changes worden samengevoegd
+     */
+    async setMetadata(connection, row, changes) {
+        const metadata = { ...inventory.parseMetadata(row.metadata), ...changes };
+        await connection.query('UPDATE inventory_items SET metadata = ? WHERE id = ?', [inventory.serializeMetadata(metadata), row.id]);
+        row.metadata = metadata;
+        return metadata;
+    }
+
+    /**
+     * Zet de inventaris op de opgegeven inhoud (game server state). Alleen slots die afwijken worden gewijzigd,
+     * zodat ongewijzigde items hun id en metadata houden.
+     * @param {Array} items - [{ slot, itemId, quantity, metadata }] - zonder metadata blijft de bestaande metadata staan
+     * @returns {Promise<Object>} - { inserted, updated, removed, unchanged, inventory }
+     */
+    async replaceContents(playerId, items) {
+        if (!Array.isArray(items)) {
+            throw new AppError('items moet een lijst zijn', 400);
+        }
+
+        return ledger.withTransaction(async (connection) => {
+            const state = await this.lock(connection, playerId);
+            const desired = new Map();
+
+            for (const item of items) {
+                const slot = this.slotIndex(state, item?.slot, 'slot');
+                if (desired.has(slot)) {
+                    throw new AppError(`Slot ${slot} komt meerdere keren voor`, 400);
+                }
+                const definition = itemRegistry.get(item.itemId);
+                if (!definition) {
+                    throw new AppError(`Onbekend item: ${item.itemId}`, 400);
+                }
+                const quantity = positiveInteger(item.quantity, 'quantity');
+                if (quantity > definition.stackSize) {
+                    throw new AppError(`${definition.name} stapelt tot maximaal ${definition.stackSize}`, 400);
+                }
+                desired.set(slot, { itemId: item.itemId, quantity, metadata: item.metadata });
+            }
+
+            const changes = { inserted: 0, updated: 0, removed: 0, unchanged: 0 };
+
+            // Eerst verwijderen, dan pas invoegen (UNIQUE inventory_id + slot)
+            for (const row of [...state.slots.values()]) {
+                const wanted = desired.get(row.slot);
+                const sameItem = wanted && wanted.itemId === row.item_id
+                    && (wanted.metadata === undefined || inventory.sameMetadata(row.metadata, wanted.metadata));
+
+                if (!sameItem) {
+                    await connection.query('DELETE FROM inventory_items WHERE id = ?', [row.id]);
+                    state.slots.delete(row.slot);
+                    changes.removed++;
+                    continue;
+                }
+
+                desired.delete(row.slot);
+                if (row.quantity !== wanted.quantity) {
+                    await connection.query('UPDATE inventory_items SET quantity = ? WHERE id = ?', [wanted.quantity, row.id]);
+                    row.quantity = wanted.quantity;
+                    changes.updated++;
+                } else {
+                    changes.unchanged++;
+                }
+            }
+
+            for (const [slot, wanted] of desired) {
+                const row = { inventory_id: state.id, item_id: wanted.itemId, quantity: wanted.quantity, slot, metadata: wanted.metadata || null };
+                row.id = await inventory.insertItem(connection, state.id, row, slot);
+                state.slots.set(slot, row);
+                changes.inserted++;
+            }
+
+            return { ...changes, inventory: this.formatInventory(state) };
+        });
+    }
+
+    async single(playerId, operation) {
+        return ledger.withTransaction(async (connection) => {
+            const state = await this.lock(connection, playerId);
+            return this.apply(connection, state, operation);
+        });
+    }
+
+    /**
+     * Lock de inventaris van een speler en laad alle items per slot
+     */
+    async lock(connection, playerId) {
+        const row = await inventory.lockInventory(connection, playerId);
+        const [items] = await connection.query(
+            'SELECT * FROM inventory_items WHERE inventory_id = ? ORDER BY slot FOR UPDATE',
+            [row.id]
+        );
+
+        return {
+            id: row.id,
+            playerId,
+            maxSlots: row.max_slots,
+            slots: new Map(items.map(item => [item.slot, item]))
+        };
+    }
+
+    async apply(connection, state, operation) {
+        switch (operation?.type) {
+            case 'add':
+                return this.applyAdd(connection, state, operation);
+            case 'remove':
+                return this.applyRemove(connection, state, operation);
+            case 'move':
+                return this.applyMove(connection, state, operation);
+            case 'split':
+                return this.applySplit(connection, state, operation);
+            case 'merge':
+                return this.applyMerge(connection, state, operation);
+            default:
+                throw new AppError(`Onbekende operatie. Kies uit: ${OPERATIONS.join(', ')}`, 400);
+        }
+    }
+
+    async applyAdd(connection, state, { itemId, quantity, slot, metadata }, { partial = false } = {}) {
+        const definition = itemRegistry.get(itemId);
+        if (!definition) {
+            throw new AppError(`Onbekend item: ${itemId}`, 400);
+        }
+
+        const amount = positiveInteger(quantity, 'quantity');
+        const stackSize = definition.stackSize;
+        const plan = [];
+        let remaining = amount;
+
+        const fill = (row) => {
+            const added = Math.min(stackSize - row.quantity, remaining);
+            if (added > 0) {
+                plan.push({ row, slot: row.slot, added });
+                remaining -= added;
+            }
+        };
+
+        // Gevraagde slot eerst, daarna bestaande stacks van hetzelfde item, daarna nieuwe slots
+        let targetSlot = null;
+        if (isSet(slot)) {
+            targetSlot = this.slotIndex(state, slot, 'slot');
+            const row = state.slots.get(targetSlot);
+            if (row && !this.stacksWith(row, itemId, metadata)) {
+                throw new AppError('Slot is al bezet door een ander item', 409);
+            }
+            if (row) {
+                fill(row);
+            } else {
+                const added = Math.min(stackSize, remaining);
+                plan.push({ slot: targetSlot, added });
+                remaining -= added;
+            }
+        }
+
+        for (const row of state.slots.values()) {
+            if (remaining === 0) break;
+            if (row.slot !== targetSlot && this.stacksWith(row, itemId, metadata)) fill(row);
+        }
+
+        for (let index = 0; index < state.maxSlots && remaining > 0; index++) {
+            if (index === targetSlot || state.slots.has(index)) continue;
+            const added = Math.min(stackSize, remaining);
+            plan.push({ slot: index, added });
+            remaining -= added;
+        }
+
+        if (remaining > 0 && !partial) {
+            throw new AppError(`Inventaris is vol: er passen nog ${amount - remaining} van de ${amount}x ${definition.name}`, 400);
+        }
+
+        for (const step of plan) {
+            if (step.row) {
+                await connection.query('UPDATE inventory_items SET quantity = quantity + ? WHERE id = ?', [step.added, step.row.id]);
+                step.row.quantity += step.added;
+            } else {
+                const row = { inventory_id: state.id, item_id: itemId, quantity: step.added, slot: step.slot, metadata: metadata || null };
+                row.id = await inventory.insertItem(connection, state.id, row, step.slot);
+                state.slots.set(step.slot, row);
+            }
+        }
+
+        return {
+            type: 'add',
+            itemId,
+            quantity: amount - remaining,
+            overflow: remaining,
+            slots: plan.map(step => ({ slot: step.slot, added: step.added, quantity: state.slots.get(step.slot).quantity }))
+        };
+    }
+
+    async applyRemove(connection, state, { itemId, slot, quantity }) {
+        const amount = positiveInteger(quantity, 'quantity');
+
+        let rows;
+        if (isSet(slot)) {
+            const row = state.slots.get(Number(slot));
+            rows = row && (!itemId || row.item_id === itemId) ? [row] : [];
+        } else if (itemId) {
+            // Van achter naar voren, zodat de eerste slots gevuld blijven
+            rows = [...state.slots.values()].filter(row => row.item_id === itemId).sort((a, b) => b.slot - a.slot);
+        } else {
+            throw new AppError('itemId of slot is verplicht', 400);
+        }
+
+        if (rows.length === 0) {
+            throw new AppError('Item niet gevonden in inventaris', 404);
+        }
+
+        const available = rows.reduce((sum, row) => sum + row.quantity, 0);
+        if (available < amount) {
+            throw new AppError(`Niet genoeg ${itemName(rows[0].item_id)}: ${available} beschikbaar, ${amount} gevraagd`, 400);
+        }
+
+        const slots = [];
+        let remaining = amount;
+        for (const row of rows) {
+            if (remaining === 0) break;
+            const removed = Math.min(row.quantity, remaining);
+            await inventory.removeQuantity(connection, row, removed);
+            row.quantity -= removed;
+            if (row.quantity === 0) state.slots.delete(row.slot);
+            slots.push({ slot: row.slot, removed, quantity: row.quantity });
+            remaining -= removed;
+        }
+
+        return { type: 'remove', itemId: rows[0].item_id, quantity: amount, slots };
+    }
+
+    async applyMove(connection, state, { fromSlot, toSlot, quantity }) {
+        const from = this.itemAt(state, fromSlot, 'fromSlot');
+        const target = this.slotIndex(state, toSlot, 'toSlot');
+        if (target === from.slot) {
+            throw new AppError('fromSlot en toSlot zijn gelijk', 400);
+        }
+
+        const to = state.slots.get(target);
+
+        // Een deel van de stack: afsplitsen naar een lege slot of bijvullen op dezelfde stack
+        if (isSet(quantity) && Number(quantity) !== from.quantity) {
+            if (!to) return this.applySplit(connection, state, { fromSlot: from.slot, toSlot: target, quantity });
+            if (this.stacksWith(to, from.item_id, from.metadata)) {
+                return this.applyMerge(connection, state, { fromSlot: from.slot, toSlot: target, quantity });
+            }
+            throw new AppError('Slot is al bezet door een ander item', 409);
+        }
+
+        const originalSlot = from.slot;
+
+        if (!to) {
+            await connection.query('UPDATE inventory_items SET slot = ? WHERE id = ?', [target, from.id]);
+            state.slots.delete(originalSlot);
+            this.place(state, from, target);
+            return { type: 'move', fromSlot: originalSlot, toSlot: target, swapped: false };
+        }
+
+        if (this.stacksWith(to, from.item_id, from.metadata) && to.quantity < stackSizeOf(to.item_id)) {
+            return this.applyMerge(connection, state, { fromSlot: from.slot, toSlot: target });
+        }
+
+        // Omwisselen via een tijdelijke slot
+        await connection.query('UPDATE inventory_items SET slot = ? WHERE id = ?', [SWAP_SLOT, from.id]);
+        await connection.query('UPDATE inventory_items SET slot = ? WHERE id = ?', [originalSlot, to.id]);
+        await connection.query('UPDATE inventory_items SET slot = ? WHERE id = ?', [target, from.id]);
+        this.place(state, to, originalSlot);
+        this.place(state, from, target);
+
+        return { type: 'move', fromSlot: originalSlot, toSlot: target, swapped: true };
+    }
+
+    async applySplit(connection, state, { fromSlot, toSlot, quantity }) {
+        const from = this.itemAt(state, fromSlot, 'fromSlot');
+        const amount = positiveInteger(quantity, 'quantity');
+        if (amount >= from.quantity) {
+            throw new AppError(`Splitsen kan alleen met minder dan ${from.quantity} items`, 400);
+        }
+
+        let target;
+        if (isSet(toSlot)) {
+            target = this.slotIndex(state, toSlot, 'toSlot');
+            if (state.slots.has(target)) {
+                throw new AppError(`Slot ${target} is al bezet`, 409);
+            }
+        } else {
+            target = this.firstFreeSlot(state);
+            if (target === null) {
+                throw new AppError('Inventaris is vol', 400);
+            }
+        }
+
+        await connection.query('UPDATE inventory_items SET quantity = quantity - ? WHERE id = ?', [amount, from.id]);
+        from.quantity -= amount;
+
+        const row = { inventory_id: state.id, item_id: from.item_id, quantity: amount, slot: target, metadata: from.metadata };
+        row.id = await inventory.insertItem(connection, state.id, row, target);
+        state.slots.set(target, row);
+
+        return { type: 'split', itemId: from.item_id, fromSlot: from.slot, toSlot: target, quantity: amount, remaining: from.quantity };
+    }
+
+    async applyMerge(connection, state, { fromSlot, toSlot, quantity }) {
+        const from = this.itemAt(state, fromSlot, 'fromSlot');
+        const to = this.itemAt(state, toSlot, 'toSlot');
+        if (from === to) {
+            throw new AppError('fromSlot en toSlot zijn gelijk', 400);
+        }
+        if (!this.stacksWith(to, from.item_id, from.metadata)) {
+            throw new AppError('Alleen stacks van hetzelfde item met dezelfde eigenschappen kunnen samengevoegd worden', 400);
+        }
+
+        const room = stackSizeOf(to.item_id) - to.quantity;
+        if (room <= 0) {
+            throw new AppError(`Stack in slot ${to.slot} is vol`, 400);
+        }
+
+        const limit = isSet(quantity) ? positiveInteger(quantity, 'quantity') : from.quantity;
+        if (limit > from.quantity) {
+            throw new AppError(`Er liggen maar ${from.quantity} items in slot ${from.slot}`, 400);
+        }
+
+        const moved = Math.min(room, limit);
+        await connection.query('UPDATE inventory_items SET quantity = quantity + ? WHERE id = ?', [moved, to.id]);
+        await inventory.removeQuantity(connection, from, moved);
+        to.quantity += moved;
+        from.quantity -= moved;
+        if (from.quantity === 0) state.slots.delete(from.slot);
+
+        return {
+            type: 'merge',
+            itemId: to.item_id,
+            fromSlot: from.slot,
+            toSlot: to.slot,
+            moved,
+            remaining: from.quantity,
+            quantity: to.quantity
+        };
+    }
+
+    stacksWith(row, itemId, metadata) {
+        return row.item_id === itemId && inventory.sameMetadata(row.metadata, metadata);
+    }
+
+    /**
+     * Slot waar iets neergezet mag worden (binnen max_slots)
+     */
+    slotIndex(state, value, field) {
+        const slot = Number(value);
+        if (!isSet(value) || !Number.isInteger(slot) || slot < 0 || slot >= state.maxSlots) {
+            throw new AppError(`${field} moet tussen 0 en ${state.maxSlots - 1} liggen`, 400);
+        }
+        return slot;
+    }
+
+    /**
+     * Item in een slot; ook slots boven max_slots (teruggezet uit escrow) mogen leeggehaald worden
+     */
+    itemAt(state, value, field) {
+        if (!isSet(value)) {
+            throw new AppError(`${field} is verplicht`, 400);
+        }
+        const row = state.slots.get(Number(value));
+        if (!row) {
+            throw new AppError(`Geen item gevonden in ${field} ${value}`, 404);
+        }
+        return row;
+    }
+
+    firstFreeSlot(state) {
+        for (let index = 0; index < state.maxSlots; index++) {
+            if (!state.slots.has(index)) return index;
+        }
+        return null;
+    }
+
+    place(state, row, slot) {
+        row.slot = slot;
+        state.slots.set(slot, row);
+    }
+
+    formatInventory(state) {
+        const items = [...state.slots.values()].sort((a, b) => a.slot - b.slot);
+        return {
+            id: state.id,
+            playerId: state.playerId,
+            maxSlots: state.maxSlots,
+            usedSlots: items.length,
+            items: items.map(item => ({
+                id: item.id,
+                itemId: item.item_id,
+                name: itemName(item.item_id),
+                quantity: item.quantity,
+                stackSize: stackSizeOf(item.item_id),
+                slot: item.slot,
+                metadata: inventory.parseMetadata(item.metadata)
+            }))
+        };
+    }
+}
+
+module.exports = new InventoryManager();
+module.exports.InventoryManager = InventoryManager;
+module.exports.MAX_BATCH_OPERATIONS = MAX_BATCH_OPERATIONS;
@@ -0,0 +1,337 @@
+/**
+ * Item Registry
+ * Centrale catalogus van alle item definities (item_definitions tabel). Shop, inventory, mining, oven,
+ * cosmetics, trades en de marktplaats valideren item IDs hiertegen. De definities staan in het geheugen;
+ * wijzigingen via de admin endpoints worden direct doorgevoerd en reload() leest de tabel opnieuw in.
+ *
+ * DEFAULT_ITEMS vult een lege tabel bij de migraties en dient als fallback zolang er geen database is.
+ */
+
+const db = require('../utils/db');
+const { AppError } = require('../middleware/errorHandler');
+
+const RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+const ID_PATTERN = /^[a-z0-9_]{2,50}$/;
+
+const DEFAULT_ITEMS = [
+    // Tools & Equipment
+    { id: 'iron_pickaxe', name: 'Iron Pickaxe', description: 'Een stevige ijzeren pikhouweel voor efficiënt minen', category: 'tools', stackSize: 1, rarity: 'common', baseValue: 150, shopPrice: 150, levelRequired: 5, stats: { mining_speed: 1.5, durability: 100 } },
+    { id: 'diamond_pickaxe', name: 'Diamond Pickaxe', description: 'De ultieme mining tool met diamant punt', category: 'tools', stackSize: 1, rarity: 'epic', baseValue: 2500, shopPrice: 2500, levelRequired: 25, stats: { mining_speed: 3.0, durability: 500 } },
+
+    // Weapons
+    { id: 'iron_sword', name: 'Iron Sword', description: 'Een scherp ijzeren zwaard voor PvP combat', category: 'weapons', stackSize: 1, rarity: 'common', baseValue: 300, shopPrice: 300, levelRequired: 10, stats: { damage: 25, durability: 150 } },
+    { id: 'diamond_sword', name: 'Diamond Sword', description: 'Het krachtigste zwaard in SkaffaCity', category: 'weapons', stackSize: 1, rarity: 'epic', baseValue: 3000, shopPrice: 3000, levelRequired: 30, stats: { damage: 50, durability: 300 } },
+
+    // Consumables
+    { id: 'health_potion', name: 'Health Potion', description: 'Herstelt 50 HP onmiddellijk', category: 'consumables', stackSize: 16, rarity: 'common', baseValue: 50, shopPrice: 50, levelRequired: 1, stats: { heal_amount: 50 } },
+    { id: 'energy_drink', name: 'Energy Drink', description: 'Verhoogt mining snelheid voor 10 minuten', category: 'consumables', stackSize: 16, rarity: 'common', baseValue: 75, shopPrice: 75, levelRequired: 3, stats: { speed_boost: 2.0, duration: 600 } },
+
+    // Building Materials
+    { id: 'steel_beam', name: 'Steel Beam', description: 'Stalen balk voor het bouwen van structuren', category: 'building', stackSize: 32, rarity: 'uncommon', baseValue: 200, shopPrice: 200, levelRequired: 15, stats: { strength: 100 } },
+
+    // Special Items
+    { id: 'faction_banner', name: 'Faction Banner', description: 'Claim territorium voor je factie', category: 'special', stackSize: 1, rarity: 'rare', baseValue: 1000, shopPrice: 1000, levelRequired: 20, stats: { claim_radius: 50 } },
+
+    // Mining resources
+    { id: 'raw_iron', name: 'Raw Iron', description: 'IJzererts uit de Iron Mine', category: 'resources', stackSize: 64, rarity: 'common', baseValue: 5 },
+    { id: 'coal', name: 'Coal', description: 'Steenkool, brandstof voor de oven', category: 'resources', stackSize: 64, rarity: 'common', baseValue: 2, stats: { fuel_value: 8 } },
+    { id: 'raw_gold', name: 'Raw Gold', description: 'Gouderts uit de Gold Mine', category: 'resources', stackSize: 64, rarity: 'uncommon', baseValue: 15 },
+    { id: 'precious_gems', name: 'Precious Gems', description: 'Ongeslepen edelstenen', category: 'resources', stackSize: 32, rarity: 'rare', baseValue: 40 },
+    { id: 'raw_diamond', name: 'Raw Diamond', description: 'Ruwe diamant uit de Diamond Cave', category: 'resources', stackSize: 32, rarity: 'epic', baseValue: 100 },
+    { id: 'rare_crystals', name: 'Rare Crystals', description: 'Zeldzame kristallen uit de Diamond Cave', category: 'resources', stackSize: 32, rarity: 'epic', baseValue: 80 },
+
+    // Oven output
+    { id: 'iron_ingot', name: 'Iron Ingot', description: 'Gesmolten ijzer', category: 'materials', stackSize: 64, rarity: 'common', baseValue: 12 },
+    { id: 'gold_ingot', name: 'Gold Ingot', description: 'Gesmolten goud', category: 'materials', stackSize: 64, rarity: 'uncommon', baseValue: 35 },
+
+    // Cosmetics (gebonden aan de speler die ze koopt)
+    { id: 'skin_001', name: 'Default Skin', category: 'cosmetics', rarity: 'common', shopPrice: 0, tradeable: false, soulbound: true, stats: { slot: 'character' } },
+    { id: 'skin_002', name: 'Miner Outfit', category: 'cosmetics', rarity: 'uncommon', shopPrice: 100, tradeable: false, soulbound: true, stats: { slot: 'character' } },
+    { id: 'hat_001', name: 'Cowboy Hat', category: 'cosmetics', rarity: 'common', shopPrice: 50, tradeable: false, soulbound: true, stats: { slot: 'hat' } },
+    { id: 'tool_001', name: 'Golden Pickaxe', category: 'cosmetics', rarity: 'rare', shopPrice: 200, tradeable: false, soulbound: true, stats: { slot: 'tool_skin' } }
+];
+
+/**
+ * Controleer en vul een item definitie aan met standaardwaarden
+ * @param {Object} input - Definitie (camelCase velden)
+ * @param {Object} existing - Bestaande definitie bij een update
+ * @returns {Object} - Genormaliseerde definitie
+ */
+function normalizeDefinition(input, existing = null) {
+    const item = {
+        description: null,
+        stackSize: 1,
+        rarity: 'common',
+        baseValue: 0,
+        tradeable: true,
+        soulbound: false,
+        stats: {},
+        shopPrice: null,
+        levelRequired: 1,
+        ...existing,
+        ...input
+    };
+    if (existing) {
+        item.id = existing.id;
+    }
+
+    if (typeof item.id !== 'string' || !ID_PATTERN.test(item.id)) {
+        throw new AppError('Item ID moet 2-50 tekens zijn (kleine letters, cijfers en _)', 400);
+    }
+    if (typeof item.name !== 'string' || !item.name.trim()) {
+        throw new AppError('Naam is vereist', 400);
+    }
+    if (typeof item.category !== 'string' || !ID_PATTERN.test(item.category)) {
+        throw new AppError('Category is vereist (kleine letters, cijfers en _)', 400);
+    }
+    if (!Number.isSafeInteger(item.stackSize) || item.stackSize < 1) {
+        throw new AppError('stackSize moet een geheel getal van minimaal 1 zijn', 400);
+    }
+    if (!RARITIES.includes(item.rarity)) {
+        throw new AppError(`Ongeldige rarity, kies uit: ${RARITIES.join(', ')}`, 400);
+    }
+    for (const field of ['baseValue', 'levelRequired']) {
+        if (!Number.isSafeInteger(item[field]) || item[field] < 0) {
+            throw new AppError(`${field} moet een geheel getal van 0 of meer zijn`, 400);
+        }
+    }
+    if (item.shopPrice !== null && (!Number.isSafeInteger(item.shopPrice) || item.shopPrice < 0)) {
+        throw new AppError('shopPrice moet leeg of een geheel getal van 0 of meer zijn', 400);
+    }
+    if (typeof item.tradeable !== 'boolean' || typeof item.soulbound !== 'boolean') {
+        throw new AppError('tradeable en soulbound moeten true of false zijn', 400);
+    }
+    if (!item.stats || typeof item.stats !== 'object' || Array.isArray(item.stats)) {
+        throw new AppError('stats moet een object zijn', 400);
+    }
+
+    return {
+        id: item.id,
+        name: item.name.trim(),
+        description: item.description,
+        category: item.category,
+        stackSize: item.stackSize,
+        rarity: item.rarity,
+        baseValue: item.baseValue,
+        // Soulbound items zijn nooit verhandelbaar
+        tradeable: item.tradeable && !item.soulbound,
+        soulbound: item.soulbound,
+        stats: item.stats,
+        shopPrice: item.shopPrice,
+        levelRequired: item.levelRequired
+    };
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        category: row.category,
+        stackSize: row.stack_size,
+        rarity: row.rarity,
+        baseValue: Number(row.base_value),
+        tradeable: !!row.tradeable,
+        soulbound: !!row.soulbound,
+        stats: (typeof row.stats === 'string' ? JSON.parse(row.stats) : row.stats) || {},
+        shopPrice: row.shop_price === null ? null : Number(row.shop_price),
+        levelRequired: row.level_required
+    };
+}
+
+function toParams(item) {
+    return [
+        item.name, item.description, item.category, item.stackSize, item.rarity, item.baseValue,
+        item.tradeable, item.soulbound, JSON.stringify(item.stats), item.shopPrice, item.levelRequired, item.id
+    ];
+}
+
+/**
+ * Vul een lege item_definitions tabel met de standaard items
+ * @param {Function} query - db.query functie (doorgegeven vanuit de migraties)
+ */
+async function seedDefaults(query = db.query) {
+    const existing = await query('SELECT COUNT(*) as count FROM item_definitions');
+    if (existing[0] && existing[0].count === 0) {
+        for (const item of DEFAULT_ITEMS.map(definition => normalizeDefinition(definition))) {
+            await query(
+                `INSERT IGNORE INTO item_definitions
+                    (name, description, category, stack_size, rarity, base_value, tradeable, soulbound, stats, shop_price, level_required, id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                toParams(item)
+            );
+        }
+        console.log('Standaard item definities aangemaakt');
+    }
+}
+
+class ItemRegistry {
+    constructor() {
+        this.items = new Map(DEFAULT_ITEMS.map(definition => [definition.id, normalizeDefinition(definition)]));
+        this.source = 'defaults';
+        this.loadedAt = null;
+    }
+
+    /**
+     * (Her)laad alle definities uit de database
+     * @returns {Promise<number>} - Aantal geladen items
+     */
+    async load() {
+        const rows = await db.query('SELECT * FROM item_definitions');
+        if (rows.length === 0) {
+            console.warn('[ItemRegistry] ⚠️ Geen item definities in de database, standaard catalogus blijft actief');
+            return this.items.size;
+        }
+
+        this.items = new Map(rows.map(row => [row.id, fromRow(row)]));
+        this.source = 'database';
+        this.loadedAt = new Date();
+        console.log(`[ItemRegistry] ✅ ${this.items.size} item definities geladen`);
+        return this.items.size;
+    }
+
+    reload() {
+        return this.load();
+    }
+
+    get(itemId) {
+        return this.items.get(itemId) || null;
+    }
+
+    has(itemId) {
+        return this.items.has(itemId);
+    }
+
+    /**
+     * Mag dit item tussen spelers verhandeld worden (trades, marktplaats)
+     */
+    isTradeable(itemId) {
+        const item = this.get(itemId);
+        return !!item && item.tradeable;
+    }
+
+    /**
+     * @param {Object} filters - { category }
+     */
+    list({ category } = {}) {
+        const items = [...this.items.values()];
+        return category ? items.filter(item => item.category === category) : items;
+    }
+
+    categories() {
+        return [...new Set([...this.items.values()].map(item => item.category))];
+    }
+
+    status() {
+        return { source: this.source, count: this.items.size, loadedAt: this.loadedAt };
+    }
+
+    /**
+     * Voeg een nieuwe definitie toe
+     */
+    async create(definition) {
+        const item = normalizeDefinition(definition);
+        if (this.has(item.id)) {
+            throw new AppError(`Item ${item.id} bestaat al`, 409);
+        }
+
+        const result = await db.query(
+            `INSERT INTO item_definitions
+                (name, description, category, stack_size, rarity, base_value, tradeable, soulbound, stats, shop_price, level_required, id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            toParams(item)
+        );
+        this.assertWritten(result);
+
+        await this.load();
+        console.log(`[ItemRegistry] ➕ Item ${item.id} toegevoegd`);
+        return this.get(item.id);
+    }
+
+    /**
+     * Wijzig een bestaande definitie (het ID blijft gelijk)
+     */
+    async update(itemId, changes) {
+        const existing = this.get(itemId);
+        if (!existing) {
+            throw new AppError('Item niet gevonden', 404);
+        }
+        const item = normalizeDefinition(changes, existing);
+
+        const result = await db.query(
+            `UPDATE item_definitions
+             SET name = ?, description = ?, category = ?, stack_size = ?, rarity = ?, base_value = ?,
+                 tradeable = ?, soulbound = ?, stats = ?, shop_price = ?, level_required = ?
+             WHERE id = ?`,
+            toParams(item)
+        );
+        this.assertWritten(result);
+
+        await this.load();
+        console.log(`[ItemRegistry] ✏️ Item ${itemId} bijgewerkt`);
+        return this.get(itemId);
+    }
+
+    /**
+     * Verwijder een definitie; kan alleen als er nergens meer exemplaren van bestaan (inventories, open trades,
+     * actieve listings, ovens) en geen oven recept, spin of loot table er nog naar verwijst
+     */
+    async remove(itemId) {
+        if (!this.has(itemId)) {
+            throw new AppError('Item niet gevonden', 404);
+        }
+
+        // Pas hier laden: OvenManager gebruikt zelf de item registry
+        const { RECIPES } = require('./OvenManager');
+        const recipes = Object.keys(RECIPES).filter(input => input === itemId || RECIPES[input].output === itemId);
+        if (recipes.length > 0) {
+            throw new AppError(`Item ${itemId} wordt gebruikt in oven recept(en): ${recipes.join(', ')}`, 409);
+        }
+
+        const reference = JSON.stringify({ itemId });
+        const [usage] = await db.query(
+            `SELECT
+                (SELECT COUNT(*) FROM inventory_items WHERE item_id = ?) AS inventory,
+                (SELECT COUNT(*) FROM trade_items ti JOIN trades t ON t.id = ti.trade_id
+                 WHERE ti.item_id = ? AND t.status = 'open') AS trades,
+                (SELECT COUNT(*) FROM market_listings WHERE item_id = ? AND status = 'active') AS market,
+                (SELECT COUNT(*) FROM ovens
+                 WHERE recipe_id = ? AND (input_quantity > 0 OR output_quantity > 0)) AS ovens,
+                (SELECT COUNT(*) FROM oven_spin_tables WHERE JSON_CONTAINS(entries, ?)) AS spinTables,
+                (SELECT COUNT(*) FROM mining_loot_tables
+                 WHERE JSON_CONTAINS(entries, ?) OR JSON_CONTAINS(guaranteed, ?)) AS lootTables`,
+            [itemId, itemId, itemId, itemId, reference, reference, reference]
+        );
+        if (!usage) {
+            throw new AppError('Kon niet controleren of het item nog in gebruik is', 503);
+        }
+        if ((Number(usage.inventory) || Number(usage.trades) || Number(usage.market) || Number(usage.ovens) ||
+            Number(usage.spinTables) || Number(usage.lootTables))) {
+            throw new AppError(
+                `Item ${itemId} is nog in gebruik (inventories: ${usage.inventory}, trades: ${usage.trades}, ` +
+                `marktplaats: ${usage.market}, ovens: ${usage.ovens}, spin tables: ${usage.spinTables}, loot tables: ${usage.lootTables})`,
+                409
+            );
+        }
+
+        const result = await db.query('DELETE FROM item_definitions WHERE id = ?', [itemId]);
+        this.assertWritten(result);
+
+        this.items.delete(itemId);
+        console.log(`[ItemRegistry] 🗑️ Item ${itemId} verwijderd`);
+    }
+
+    assertWritten(result) {
+        if (result.affectedRows === undefined) {
+            throw new AppError('Geen database beschikbaar, de item catalogus is alleen-lezen', 503);
+        }
+    }
+}
+
+const itemRegistry = new ItemRegistry();
+
+module.exports = itemRegistry;
+module.exports.ItemRegistry = ItemRegistry;
+module.exports.RARITIES = RARITIES;
+module.exports.DEFAULT_ITEMS = DEFAULT_ITEMS;
+module.exports.seedDefaults = seedDefaults;
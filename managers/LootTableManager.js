@@ -0,0 +1,344 @@
+/**
+ * Loot Table Manager
+ * Rewards van mining sessies per locatie (mining_loot_tables). Een loot table bestaat uit:
+ * - skaff en xp: [min, max] bereik
+ * - guaranteed: drops die elke sessie vallen
+ * - entries: gewogen drops waaruit `rolls` keer getrokken wordt (een entry zonder itemId is een lege worp)
+ * Drops kunnen vereisen dat de speler een minimaal level (minLevel) of mining XP (minMiningXp) heeft; voor
+ * spelers die daar niet aan voldoen doet de entry niet mee.
+ *
+ * De tabellen staan in de database en zijn via de admin endpoints te wijzigen zonder deploy. DEFAULT_TABLES
+ * vult een lege tabel bij de migraties en dient als fallback zolang er geen database is.
+ */
+
+const db = require('../utils/db');
+const itemRegistry = require('./ItemRegistry');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_ENTRIES = 50;
+const MAX_ROLLS = 10;
+const MAX_SIMULATIONS = 10000;
+const ID_PATTERN = /^[a-z0-9_]{2,50}$/;
+
+const DEFAULT_TABLES = [
+    {
+        locationId: 'iron_mine',
+        rolls: 1,
+        skaff: [5, 15],
+        xp: [10, 25],
+        guaranteed: [],
+        entries: [
+            { id: 'raw_iron', itemId: 'raw_iron', weight: 70, min: 1, max: 3 },
+            { id: 'coal', itemId: 'coal', weight: 28, min: 1, max: 3 },
+            { id: 'raw_gold', itemId: 'raw_gold', weight: 2, min: 1, max: 1, minMiningXp: 250 }
+        ]
+    },
+    {
+        locationId: 'gold_mine',
+        rolls: 1,
+        skaff: [30, 60],
+        xp: [50, 100],
+        guaranteed: [],
+        entries: [
+            { id: 'raw_gold', itemId: 'raw_gold', weight: 75, min: 1, max: 3 },
+            { id: 'coal', itemId: 'coal', weight: 20, min: 2, max: 4 },
+            { id: 'raw_iron', itemId: 'raw_iron', weight: 5, min: 2, max: 5 }
+        ]
+    },
+    {
+        locationId: 'diamond_cave',
+        rolls: 2,
+        skaff: [120, 250],
+        xp: [200, 400],
+        guaranteed: [
+            { id: 'coal', itemId: 'coal', min: 1, max: 2 }
+        ],
+        entries: [
+            { id: 'raw_gold', itemId: 'raw_gold', weight: 70, min: 2, max: 4 },
+            { id: 'raw_iron', itemId: 'raw_iron', weight: 25, min: 3, max: 6 },
+            { id: 'nothing', itemId: null, weight: 4, min: 1, max: 1 },
+            { id: 'diamond_pickaxe', itemId: 'diamond_pickaxe', weight: 1, min: 1, max: 1, minLevel: 25 }
+        ]
+    }
+];
+
+function nonNegativeInteger(value, field) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+        throw new AppError(`${field} moet een geheel getal van 0 of meer zijn`, 400);
+    }
+    return value;
+}
+
+function range(value, field) {
+    if (!Array.isArray(value) || value.length !== 2) {
+        throw new AppError(`${field} moet een [min, max] bereik zijn`, 400);
+    }
+    const [min, max] = value.map((number, index) => nonNegativeInteger(number, `${field}[${index}]`));
+    if (min > max) {
+        throw new AppError(`${field}: min mag niet groter zijn dan max`, 400);
+    }
+    return [min, max];
+}
+
+function normalizeDrop(drop, label, { weighted }) {
+    if (!drop || typeof drop !== 'object') {
+        throw new AppError(`${label} moet een object zijn`, 400);
+    }
+    if (typeof drop.id !== 'string' || !ID_PATTERN.test(drop.id)) {
+        throw new AppError(`${label}: id moet 2-50 tekens zijn (kleine letters, cijfers en _)`, 400);
+    }
+    // Alleen gewogen entries mogen leeg zijn (een worp zonder drop)
+    const itemId = drop.itemId ?? null;
+    if ((itemId !== null || !weighted) && !itemRegistry.has(itemId)) {
+        throw new AppError(`${label}: onbekend item ${itemId}`, 400);
+    }
+
+    const [min, max] = range([drop.min ?? 1, drop.max ?? drop.min ?? 1], `${label}: min/max`);
+    if (min === 0) {
+        throw new AppError(`${label}: min moet minimaal 1 zijn`, 400);
+    }
+
+    const normalized = {
+        id: drop.id,
+        itemId,
+        min,
+        max,
+        minLevel: nonNegativeInteger(drop.minLevel ?? 0, `${label}: minLevel`),
+        minMiningXp: nonNegativeInteger(drop.minMiningXp ?? 0, `${label}: minMiningXp`)
+    };
+    if (weighted) {
+        if (!Number.isSafeInteger(drop.weight) || drop.weight < 1) {
+            throw new AppError(`${label}: weight moet een positief geheel getal zijn`, 400);
+        }
+        normalized.weight = drop.weight;
+    }
+    return normalized;
+}
+
+function normalizeTable(input) {
+    if (!input || typeof input !== 'object') {
+        throw new AppError('Loot table moet een object zijn', 400);
+    }
+    if (typeof input.locationId !== 'string' || !ID_PATTERN.test(input.locationId)) {
+        throw new AppError('Location ID moet 2-50 tekens zijn (kleine letters, cijfers en _)', 400);
+    }
+
+    const rolls = input.rolls ?? 1;
+    if (!Number.isSafeInteger(rolls) || rolls < 0 || rolls > MAX_ROLLS) {
+        throw new AppError(`rolls moet een geheel getal tussen 0 en ${MAX_ROLLS} zijn`, 400);
+    }
+
+    const guaranteed = input.guaranteed ?? [];
+    const entries = input.entries ?? [];
+    if (!Array.isArray(guaranteed) || !Array.isArray(entries) || guaranteed.length + entries.length > MAX_ENTRIES) {
+        throw new AppError(`guaranteed en entries moeten lijsten zijn met samen maximaal ${MAX_ENTRIES} drops`, 400);
+    }
+    if (rolls > 0 && entries.length === 0) {
+        throw new AppError('Met rolls > 0 is minstens één entry nodig', 400);
+    }
+
+    const table = {
+        locationId: input.locationId,
+        rolls,
+        skaff: range(input.skaff ?? [0, 0], 'skaff'),
+        xp: range(input.xp ?? [0, 0], 'xp'),
+        guaranteed: guaranteed.map((drop, index) => normalizeDrop(drop, `Guaranteed ${index + 1}`, { weighted: false })),
+        entries: entries.map((drop, index) => normalizeDrop(drop, `Entry ${index + 1}`, { weighted: true }))
+    };
+
+    const ids = [...table.guaranteed, ...table.entries].map(drop => drop.id);
+    if (new Set(ids).size !== ids.length) {
+        throw new AppError('Drop IDs moeten uniek zijn', 400);
+    }
+    return table;
+}
+
+function fromRow(row) {
+    const parse = value => (typeof value === 'string' ? JSON.parse(value) : value) || [];
+    return {
+        locationId: row.location_id,
+        rolls: row.rolls,
+        skaff: [Number(row.skaff_min), Number(row.skaff_max)],
+        xp: [Number(row.xp_min), Number(row.xp_max)],
+        guaranteed: parse(row.guaranteed),
+        entries: parse(row.entries),
+        version: row.version,
+        updatedAt: row.updated_at
+    };
+}
+
+function toParams(table) {
+    return [
+        table.locationId, table.rolls, table.skaff[0], table.skaff[1], table.xp[0], table.xp[1],
+        JSON.stringify(table.guaranteed), JSON.stringify(table.entries)
+    ];
+}
+
+function randomInt(min, max, random) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Vul een lege mining_loot_tables tabel met de standaard loot tables
+ * @param {Function} query - db.query functie (doorgegeven vanuit de migraties)
+ */
+async function seedDefaults(query = db.query) {
+    const existing = await query('SELECT COUNT(*) as count FROM mining_loot_tables');
+    if (existing[0] && existing[0].count === 0) {
+        for (const table of DEFAULT_TABLES.map(normalizeTable)) {
+            await query(
+                `INSERT IGNORE INTO mining_loot_tables (location_id, rolls, skaff_min, skaff_max, xp_min, xp_max, guaranteed, entries)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                toParams(table)
+            );
+        }
+        console.log('Standaard mining loot tables aangemaakt');
+    }
+}
+
+class LootTableManager {
+    async listTables() {
+        const rows = await db.query('SELECT * FROM mining_loot_tables ORDER BY location_id');
+        if (rows.length === 0) {
+            return DEFAULT_TABLES.map(table => ({ ...normalizeTable(table), version: 0 }));
+        }
+        return rows.map(fromRow);
+    }
+
+    /**
+     * Loot table van een locatie (de standaard tabel als er geen database is)
+     */
+    async getTable(locationId) {
+        const [row] = await db.query('SELECT * FROM mining_loot_tables WHERE location_id = ?', [locationId]);
+        if (row) return fromRow(row);
+
+        const fallback = DEFAULT_TABLES.find(table => table.locationId === locationId);
+        if (!fallback) {
+            throw new AppError(`Geen loot table voor ${locationId}`, 404);
+        }
+        return { ...normalizeTable(fallback), version: 0 };
+    }
+
+    /**
+     * Maak de loot table van een locatie aan of vervang hem; elke wijziging verhoogt de versie
+     */
+    async saveTable(locationId, definition) {
+        const table = normalizeTable({ ...definition, locationId });
+
+        const result = await db.query(
+            `INSERT INTO mining_loot_tables (location_id, rolls, skaff_min, skaff_max, xp_min, xp_max, guaranteed, entries)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE rolls = VALUES(rolls), skaff_min = VALUES(skaff_min), skaff_max = VALUES(skaff_max),
+                 xp_min = VALUES(xp_min), xp_max = VALUES(xp_max), guaranteed = VALUES(guaranteed), entries = VALUES(entries),
+                 version = version + 1`,
+            toParams(table)
+        );
+        if (result.affectedRows === undefined) {
+            throw new AppError('Geen database beschikbaar, de loot tables zijn alleen-lezen', 503);
+        }
+
+        console.log(`[LootTableManager] ✏️ Loot table ${locationId} opgeslagen`);
+        return this.getTable(locationId);
+    }
+
+    /**
+     * Rol de rewards van één sessie
+     * @param {Object} player - { level, miningXp } voor de gates
+     * @param {Object} options - { toolSpeed, random } - toolSpeed vermenigvuldigt de hoeveelheid van gewogen drops
+     * @returns {Object} - { skaff, xp, items: [{ itemId, quantity, guaranteed }] }
+     */
+    roll(table, player = {}, { toolSpeed = 1, random = Math.random } = {}) {
+        const level = Number(player.level) || 1;
+        const miningXp = Number(player.miningXp) || 0;
+        // Items die intussen uit de catalogus verwijderd zijn vallen niet meer
+        const eligible = drop => level >= drop.minLevel && miningXp >= drop.minMiningXp && (drop.itemId === null || itemRegistry.has(drop.itemId));
+
+        const items = new Map();
+        const give = (itemId, quantity, guaranteed) => {
+            const existing = items.get(itemId);
+            if (existing) {
+                existing.quantity += quantity;
+            } else {
+                items.set(itemId, { itemId, quantity, guaranteed });
+            }
+        };
+
+        for (const drop of table.guaranteed.filter(eligible)) {
+            give(drop.itemId, randomInt(drop.min, drop.max, random), true);
+        }
+
+        const entries = table.entries.filter(eligible);
+        const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+        for (let i = 0; i < table.rolls && totalWeight > 0; i++) {
+            let pick = random() * totalWeight;
+            const entry = entries.find(candidate => (pick -= candidate.weight) < 0) || entries[entries.length - 1];
+            if (entry.itemId === null) continue;
+
+            const quantity = Math.max(1, Math.floor(randomInt(entry.min, entry.max, random) * toolSpeed));
+            give(entry.itemId, quantity, false);
+        }
+
+        return {
+            skaff: randomInt(table.skaff[0], table.skaff[1], random),
+            xp: randomInt(table.xp[0], table.xp[1], random),
+            items: [...items.values()]
+        };
+    }
+
+    /**
+     * Simuleer N sessies om de verdeling te controleren
+     * @param {Object} table - Opgeslagen tabel, of een concept (wordt eerst gevalideerd)
+     * @param {Object} options - { count, level, miningXp, toolSpeed }
+     */
+    simulate(table, { count, level, miningXp, toolSpeed = 1 } = {}) {
+        const sessions = Number(count) || 1000;
+        if (!Number.isSafeInteger(sessions) || sessions < 1 || sessions > MAX_SIMULATIONS) {
+            throw new AppError(`count moet tussen 1 en ${MAX_SIMULATIONS} liggen`, 400);
+        }
+        const speed = Number(toolSpeed);
+        if (!(speed > 0)) {
+            throw new AppError('toolSpeed moet groter dan 0 zijn', 400);
+        }
+        const normalized = normalizeTable(table);
+
+        const totals = { skaff: 0, xp: 0 };
+        const perItem = new Map();
+        for (let i = 0; i < sessions; i++) {
+            const result = this.roll(normalized, { level, miningXp }, { toolSpeed: speed });
+            totals.skaff += result.skaff;
+            totals.xp += result.xp;
+            for (const item of result.items) {
+                const stats = perItem.get(item.itemId) || { itemId: item.itemId, sessions: 0, quantity: 0 };
+                stats.sessions++;
+                stats.quantity += item.quantity;
+                perItem.set(item.itemId, stats);
+            }
+        }
+
+        return {
+            locationId: normalized.locationId,
+            sessions,
+            player: { level: Number(level) || 1, miningXp: Number(miningXp) || 0, toolSpeed: speed },
+            averageSkaff: Math.round(totals.skaff / sessions * 100) / 100,
+            averageXp: Math.round(totals.xp / sessions * 100) / 100,
+            items: [...perItem.values()]
+                .sort((a, b) => b.sessions - a.sessions)
+                .map(stats => ({
+                    itemId: stats.itemId,
+                    name: itemRegistry.get(stats.itemId)?.name || stats.itemId,
+                    rarity: itemRegistry.get(stats.itemId)?.rarity || null,
+                    // Percentage van de sessies waarin het item viel
+                    dropRate: Math.round(stats.sessions / sessions * 10000) / 100,
+                    averageQuantity: Math.round(stats.quantity / stats.sessions * 100) / 100,
+                    totalQuantity: stats.quantity
+                }))
+        };
+    }
+}
+
+const lootTableManager = new LootTableManager();
+
+module.exports = lootTableManager;
+module.exports.LootTableManager = LootTableManager;
+module.exports.DEFAULT_TABLES = DEFAULT_TABLES;
+module.exports.seedDefaults = seedDefaults;
@@ -0,0 +1,528 @@
+/**
+ * Market Manager
+ * Marktplaats waar spelers items aan elkaar verkopen, met een vaste buyout prijs of als veiling met biedingen.
+ * Een aangeboden item gaat bij het plaatsen uit de inventory en zit in de listing tot hij verkocht, verlopen
+ * of geannuleerd is. Het hoogste bod staat in system:escrow; een overboden speler krijgt zijn bod direct terug.
+ *
+ * De listing fee en de sales tax gaan naar system:market en verdwijnen zo uit de economie (SKAFF sink).
+ * Verlopen listings worden periodiek afgehandeld: een veiling met bod gaat naar de hoogste bieder, de rest
+ * gaat terug naar de verkoper.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const ledger = require('../utils/ledger');
+const inventory = require('../utils/inventory');
+const { AppError } = require('../middleware/errorHandler');
+const itemRegistry = require('./ItemRegistry');
+
+const LISTING_FEE_PERCENT = parseFloat(process.env.MARKET_LISTING_FEE_PERCENT) || 2;
+const SALES_TAX_PERCENT = parseFloat(process.env.MARKET_SALES_TAX_PERCENT) || 5;
+const MIN_BID_INCREMENT_PERCENT = 5;
+const DURATION_HOURS = [12, 24, 48];
+const DEFAULT_DURATION_HOURS = 24;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Huidige prijs van een listing: buyout prijs, of bij een veiling het hoogste bod (of de startprijs)
+const PRICE_SQL = "(CASE WHEN listing_type = 'buyout' THEN buyout_price ELSE COALESCE(current_bid, start_price) END)";
+
+const SORTS = {
+    price_asc: `${PRICE_SQL} ASC`,
+    price_desc: `${PRICE_SQL} DESC`,
+    ending_soon: 'expires_at ASC',
+    newest: 'created_at DESC'
+};
+
+function percentOf(amount, percent) {
+    return Math.floor(amount * percent / 100);
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return Math.round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+class MarketManager {
+    constructor() {
+        this.sweepTimer = setInterval(() => {
+            this.expireListings().catch(error => {
+                console.error('[MarketManager] Fout bij verlopen listings:', error.message);
+            });
+        }, SWEEP_INTERVAL_MS);
+        if (this.sweepTimer.unref) this.sweepTimer.unref();
+    }
+
+    /**
+     * Fees die bij het plaatsen en verkopen ingehouden worden
+     */
+    getFees() {
+        return {
+            listingFeePercent: LISTING_FEE_PERCENT,
+            salesTaxPercent: SALES_TAX_PERCENT,
+            minBidIncrementPercent: MIN_BID_INCREMENT_PERCENT,
+            durationHours: DURATION_HOURS
+        };
+    }
+
+    /**
+     * Plaats een item op de markt
+     * @param {Object} listing - { playerId, inventoryItemId, quantity, type, buyoutPrice, startPrice, durationHours }
+     * @returns {Promise<Object>} - De nieuwe listing
+     */
+    async createListing(userId, { playerId, inventoryItemId, quantity = null, type, buyoutPrice = null, startPrice = null, durationHours = DEFAULT_DURATION_HOURS }) {
+        await this.assertOwnPlayer(userId, playerId);
+
+        if (!['buyout', 'auction'].includes(type)) {
+            throw new AppError("Type moet 'buyout' of 'auction' zijn", 400);
+        }
+        for (const [name, value] of Object.entries({ buyoutPrice, startPrice })) {
+            if (value !== null && (!Number.isSafeInteger(value) || value < 1)) {
+                throw new AppError(`${name} moet een geheel getal groter dan 0 zijn`, 400);
+            }
+        }
+        if (type === 'buyout' && buyoutPrice === null) {
+            throw new AppError('buyoutPrice is vereist voor een buyout listing', 400);
+        }
+        if (type === 'auction') {
+            if (startPrice === null) {
+                throw new AppError('startPrice is vereist voor een veiling', 400);
+            }
+            if (buyoutPrice !== null && buyoutPrice <= startPrice) {
+                throw new AppError('buyoutPrice moet hoger zijn dan startPrice', 400);
+            }
+        }
+        if (!DURATION_HOURS.includes(durationHours)) {
+            throw new AppError(`Looptijd moet een van ${DURATION_HOURS.join(', ')} uur zijn`, 400);
+        }
+
+        const listingId = uuidv4();
+        const fee = Math.max(1, percentOf(type === 'buyout' ? buyoutPrice : startPrice, LISTING_FEE_PERCENT));
+
+        await ledger.withTransaction(async (connection) => {
+            const item = await inventory.lockItem(connection, playerId, inventoryItemId);
+            if (!item) {
+                throw new AppError('Item niet gevonden in je inventory', 404);
+            }
+            if (!itemRegistry.isTradeable(item.item_id)) {
+                throw new AppError('Dit item kan niet verhandeld worden', 400);
+            }
+
+            const amount = quantity === null ? item.quantity : quantity;
+            if (!Number.isSafeInteger(amount) || amount < 1 || amount > item.quantity) {
+                throw new AppError(`Ongeldig aantal, je hebt ${item.quantity} van dit item`, 400);
+            }
+
+            try {
+                await ledger.transfer(connection, {
+                    from: ledger.walletAccount(userId),
+                    to: ledger.SYSTEM_ACCOUNTS.MARKET,
+                    amount: fee,
+                    type: 'market_listing_fee',
+                    description: `Listing fee: ${amount}x ${item.item_id}`,
+                    referenceId: listingId,
+                    createdBy: userId
+                });
+            } catch (error) {
+                if (error instanceof ledger.InsufficientFundsError) {
+                    throw new AppError(`Niet genoeg SKAFF voor de listing fee van ${fee}`, 400);
+                }
+                throw error;
+            }
+
+            await inventory.removeQuantity(connection, item, amount);
+            await connection.query(
+                `INSERT INTO market_listings
+                    (id, seller_player_id, seller_user_id, item_id, quantity, metadata, category, listing_type,
+                     start_price, buyout_price, listing_fee, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    listingId, playerId, userId, item.item_id, amount, inventory.serializeMetadata(item.metadata),
+                    itemRegistry.get(item.item_id).category, type,
+                    type === 'auction' ? startPrice : null, buyoutPrice, fee,
+                    new Date(Date.now() + durationHours * 60 * 60 * 1000)
+                ]
+            );
+        });
+
+        console.log(`[MarketManager] 🏷️ Listing ${listingId} geplaatst door ${playerId} (${type})`);
+        return this.getListing(listingId);
+    }
+
+    /**
+     * Haal een listing op
+     */
+    async getListing(listingId) {
+        await this.expireListings(listingId);
+
+        const [listing] = await db.query('SELECT * FROM market_listings WHERE id = ?', [listingId]);
+        if (!listing) {
+            throw new AppError('Listing niet gevonden', 404);
+        }
+        return this.formatListing(listing);
+    }
+
+    /**
+     * Zoek actieve listings
+     * @param {Object} filters - { itemId, category, type, minPrice, maxPrice, sellerPlayerId, sort, limit, skip }
+     * @returns {Promise<Object>} - { total, listings }
+     */
+    async search({ itemId, category, type, minPrice, maxPrice, sellerPlayerId, sort = 'price_asc', limit = 20, skip = 0 } = {}) {
+        const conditions = ["status = 'active'", 'expires_at > NOW()'];
+        const params = [];
+
+        if (itemId) {
+            conditions.push('item_id = ?');
+            params.push(itemId);
+        }
+        if (category) {
+            conditions.push('category = ?');
+            params.push(category);
+        }
+        if (type) {
+            conditions.push('listing_type = ?');
+            params.push(type);
+        }
+        if (sellerPlayerId) {
+            conditions.push('seller_player_id = ?');
+            params.push(sellerPlayerId);
+        }
+        if (minPrice !== undefined) {
+            conditions.push(`${PRICE_SQL} >= ?`);
+            params.push(minPrice);
+        }
+        if (maxPrice !== undefined) {
+            conditions.push(`${PRICE_SQL} <= ?`);
+            params.push(maxPrice);
+        }
+
+        const where = conditions.join(' AND ');
+        const [{ total }] = await db.query(`SELECT COUNT(*) AS total FROM market_listings WHERE ${where}`, params);
+        const listings = await db.query(
+            `SELECT * FROM market_listings WHERE ${where}
+             ORDER BY ${SORTS[sort] || SORTS.price_asc}
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(skip)}`,
+            params
+        );
+
+        return { total: Number(total), listings: listings.map(listing => this.formatListing(listing)) };
+    }
+
+    /**
+     * Koop een listing direct voor de buyout prijs
+     */
+    async buyout(userId, listingId, playerId) {
+        await this.assertOwnPlayer(userId, playerId);
+        await this.expireListings(listingId);
+
+        await ledger.withTransaction(async (connection) => {
+            const listing = await this.lockActiveListing(connection, listingId);
+            if (listing.buyout_price === null) {
+                throw new AppError('Deze veiling heeft geen buyout prijs', 400);
+            }
+            if (listing.seller_user_id === userId) {
+                throw new AppError('Je kunt je eigen listing niet kopen', 400);
+            }
+
+            const price = Number(listing.buyout_price);
+            const entries = [{ account: ledger.walletAccount(userId), amount: -price }];
+            // Een lopend hoogste bod gaat terug naar de bieder
+            if (listing.current_bid !== null) {
+                entries.push(
+                    { account: ledger.SYSTEM_ACCOUNTS.ESCROW, amount: -Number(listing.current_bid) },
+                    { account: ledger.walletAccount(listing.bidder_user_id), amount: Number(listing.current_bid) }
+                );
+            }
+            entries.push(...this.saleEntries(listing, price));
+
+            try {
+                await ledger.post(connection, {
+                    type: 'market_sale',
+                    description: `Marktplaats: ${listing.quantity}x ${listing.item_id}`,
+                    entries,
+                    referenceId: listing.id,
+                    createdBy: userId,
+                    metadata: { itemId: listing.item_id, quantity: listing.quantity, price }
+                });
+            } catch (error) {
+                if (error instanceof ledger.InsufficientFundsError && error.accountId === ledger.walletAccount(userId)) {
+                    throw new AppError(`Niet genoeg SKAFF. Je hebt ${error.balance}, maar dit kost ${price}`, 400);
+                }
+                throw error;
+            }
+
+            const { given } = await inventory.giveItems(connection, playerId, [listing]);
+            if (!given) {
+                throw new AppError('Inventory is vol', 400);
+            }
+            await this.closeListing(connection, listing, 'sold', { price, buyerPlayerId: playerId, buyerUserId: userId });
+        });
+
+        console.log(`[MarketManager] 💰 Listing ${listingId} gekocht door ${playerId}`);
+        return this.getListing(listingId);
+    }
+
+    /**
+     * Bied op een veiling. Het bod gaat in escrow; het vorige hoogste bod gaat terug naar die bieder.
+     */
+    async placeBid(userId, listingId, playerId, amount) {
+        await this.assertOwnPlayer(userId, playerId);
+        if (!Number.isSafeInteger(amount) || amount < 1) {
+            throw new AppError('Bod moet een geheel getal groter dan 0 zijn', 400);
+        }
+        await this.expireListings(listingId);
+
+        await ledger.withTransaction(async (connection) => {
+            const listing = await this.lockActiveListing(connection, listingId);
+            if (listing.listing_type !== 'auction') {
+                throw new AppError('Op deze listing kan niet geboden worden', 400);
+            }
+            if (listing.seller_user_id === userId) {
+                throw new AppError('Je kunt niet op je eigen veiling bieden', 400);
+            }
+
+            const minimum = this.minimumBid(listing);
+            if (amount < minimum) {
+                throw new AppError(`Bod moet minimaal ${minimum} zijn`, 400);
+            }
+            if (listing.buyout_price !== null && amount >= Number(listing.buyout_price)) {
+                throw new AppError(`Bod is gelijk aan of hoger dan de buyout prijs (${listing.buyout_price}), gebruik buyout`, 400);
+            }
+
+            const previous = listing.current_bid === null ? 0 : Number(listing.current_bid);
+            const entries = [
+                { account: ledger.walletAccount(userId), amount: -amount },
+                { account: ledger.SYSTEM_ACCOUNTS.ESCROW, amount: amount - previous }
+            ];
+            if (previous > 0) {
+                entries.push({ account: ledger.walletAccount(listing.bidder_user_id), amount: previous });
+            }
+
+            try {
+                await ledger.post(connection, {
+                    type: 'market_bid',
+                    description: `Bod op ${listing.quantity}x ${listing.item_id}`,
+                    entries,
+                    referenceId: listing.id,
+                    createdBy: userId,
+                    metadata: { amount, previousBid: previous || null }
+                });
+            } catch (error) {
+                if (error instanceof ledger.InsufficientFundsError) {
+                    throw new AppError(`Niet genoeg SKAFF voor een bod van ${amount}`, 400);
+                }
+                throw error;
+            }
+
+            await connection.query(
+                `UPDATE market_listings
+                 SET current_bid = ?, bidder_player_id = ?, bidder_user_id = ?, bid_count = bid_count + 1
+                 WHERE id = ?`,
+                [amount, playerId, userId, listing.id]
+            );
+            await connection.query(
+                'INSERT INTO market_bids (listing_id, bidder_player_id, bidder_user_id, amount) VALUES (?, ?, ?, ?)',
+                [listing.id, playerId, userId, amount]
+            );
+        });
+
+        return this.getListing(listingId);
+    }
+
+    /**
+     * Trek een listing zonder biedingen in; het item gaat terug, de listing fee niet
+     */
+    async cancelListing(userId, listingId) {
+        await this.expireListings(listingId);
+
+        await ledger.withTransaction(async (connection) => {
+            const listing = await this.lockActiveListing(connection, listingId);
+            if (listing.seller_user_id !== userId) {
+                throw new AppError('Alleen de verkoper kan deze listing annuleren', 403);
+            }
+            if (listing.current_bid !== null) {
+                throw new AppError('Er is al geboden, de veiling kan niet meer geannuleerd worden', 409);
+            }
+
+            await inventory.restoreItem(connection, listing.seller_player_id, listing);
+            await this.closeListing(connection, listing, 'cancelled');
+        });
+
+        return this.getListing(listingId);
+    }
+
+    /**
+     * Handel verlopen listings af
+     * @param {string} listingId - Alleen deze listing controleren (optioneel)
+     * @returns {Promise<number>} - Aantal afgehandelde listings
+     */
+    async expireListings(listingId = null) {
+        const expired = await db.query(
+            `SELECT id FROM market_listings WHERE status = 'active' AND expires_at <= NOW()${listingId ? ' AND id = ?' : ''}`,
+            listingId ? [listingId] : []
+        );
+
+        let count = 0;
+        for (const { id } of expired) {
+            const outcome = await ledger.withTransaction(async (connection) => {
+                const [[listing]] = await connection.query('SELECT * FROM market_listings WHERE id = ? FOR UPDATE', [id]);
+                if (!listing || listing.status !== 'active' || new Date(listing.expires_at) > new Date()) {
+                    return null;
+                }
+
+                if (listing.current_bid === null) {
+                    await inventory.restoreItem(connection, listing.seller_player_id, listing);
+                    await this.closeListing(connection, listing, 'expired');
+                    return 'expired';
+                }
+
+                // Veiling gewonnen: bod uit escrow naar de verkoper, item naar de winnaar
+                const price = Number(listing.current_bid);
+                await ledger.post(connection, {
+                    type: 'market_sale',
+                    description: `Veiling gewonnen: ${listing.quantity}x ${listing.item_id}`,
+                    entries: [{ account: ledger.SYSTEM_ACCOUNTS.ESCROW, amount: -price }, ...this.saleEntries(listing, price)],
+                    referenceId: listing.id,
+                    metadata: { itemId: listing.item_id, quantity: listing.quantity, price }
+                });
+                await inventory.restoreItem(connection, listing.bidder_player_id, listing);
+                await this.closeListing(connection, listing, 'sold', {
+                    price,
+                    buyerPlayerId: listing.bidder_player_id,
+                    buyerUserId: listing.bidder_user_id
+                });
+                return 'sold';
+            });
+
+            if (outcome) {
+                count++;
+                console.log(`[MarketManager] ⌛ Listing ${id} afgelopen (${outcome === 'sold' ? 'verkocht aan hoogste bieder' : 'terug naar verkoper'})`);
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Prijsgeschiedenis van een item over de afgelopen dagen (prijzen per stuk)
+     * @returns {Promise<Object>} - { itemId, days, lastSale, medianUnitPrice, averageUnitPrice, volume }
+     */
+    async getPriceHistory(itemId, days = 30) {
+        const sales = await db.query(
+            `SELECT quantity, sale_price, closed_at FROM market_listings
+             WHERE item_id = ? AND status = 'sold' AND closed_at >= DATE_SUB(NOW(), INTERVAL ${parseInt(days)} DAY)
+             ORDER BY closed_at DESC`,
+            [itemId]
+        );
+
+        const unitPrices = sales.map(sale => Number(sale.sale_price) / sale.quantity);
+        const quantity = sales.reduce((sum, sale) => sum + sale.quantity, 0);
+        const skaff = sales.reduce((sum, sale) => sum + Number(sale.sale_price), 0);
+
+        const [last] = sales.length > 0
+            ? sales
+            : await db.query(
+                `SELECT quantity, sale_price, closed_at FROM market_listings
+                 WHERE item_id = ? AND status = 'sold' ORDER BY closed_at DESC LIMIT 1`,
+                [itemId]
+            );
+
+        return {
+            itemId,
+            days,
+            lastSale: last ? {
+                price: Number(last.sale_price),
+                quantity: last.quantity,
+                unitPrice: Math.round(Number(last.sale_price) / last.quantity),
+                soldAt: last.closed_at
+            } : null,
+            medianUnitPrice: median(unitPrices),
+            averageUnitPrice: quantity > 0 ? Math.round(skaff / quantity) : null,
+            volume: { sales: sales.length, quantity, skaff }
+        };
+    }
+
+    async assertOwnPlayer(userId, playerId) {
+        const [player] = await db.query('SELECT user_id FROM players WHERE id = ?', [playerId]);
+        if (!player || player.user_id !== userId) {
+            throw new AppError('Speler niet gevonden of niet van jou', 403);
+        }
+    }
+
+    async lockActiveListing(connection, listingId) {
+        const [[listing]] = await connection.query('SELECT * FROM market_listings WHERE id = ? FOR UPDATE', [listingId]);
+        if (!listing) {
+            throw new AppError('Listing niet gevonden', 404);
+        }
+        if (listing.status === 'expired') {
+            throw new AppError('Listing is verlopen', 410);
+        }
+        if (listing.status !== 'active') {
+            throw new AppError(`Listing is al ${listing.status === 'sold' ? 'verkocht' : 'geannuleerd'}`, 409);
+        }
+        return listing;
+    }
+
+    minimumBid(listing) {
+        if (listing.current_bid === null) {
+            return Number(listing.start_price);
+        }
+        const current = Number(listing.current_bid);
+        return current + Math.max(1, Math.ceil(current * MIN_BID_INCREMENT_PERCENT / 100));
+    }
+
+    /**
+     * Ledger entries voor de opbrengst: verkoper krijgt de prijs min sales tax, de tax gaat naar de markt
+     */
+    saleEntries(listing, price) {
+        const tax = percentOf(price, SALES_TAX_PERCENT);
+        const entries = [{ account: ledger.walletAccount(listing.seller_user_id), amount: price - tax }];
+        if (tax > 0) {
+            entries.push({ account: ledger.SYSTEM_ACCOUNTS.MARKET, amount: tax });
+        }
+        return entries;
+    }
+
+    async closeListing(connection, listing, status, { price = null, buyerPlayerId = null, buyerUserId = null } = {}) {
+        await connection.query(
+            `UPDATE market_listings
+             SET status = ?, sale_price = ?, sales_tax = ?, buyer_player_id = ?, buyer_user_id = ?, closed_at = NOW()
+             WHERE id = ?`,
+            [status, price, price === null ? null : percentOf(price, SALES_TAX_PERCENT), buyerPlayerId, buyerUserId, listing.id]
+        );
+    }
+
+    formatListing(listing) {
+        const price = listing.listing_type === 'buyout'
+            ? Number(listing.buyout_price)
+            : Number(listing.current_bid === null ? listing.start_price : listing.current_bid);
+
+        return {
+            id: listing.id,
+            itemId: listing.item_id,
+            itemName: itemRegistry.get(listing.item_id)?.name || listing.item_id,
+            category: listing.category,
+            quantity: listing.quantity,
+            metadata: inventory.parseMetadata(listing.metadata),
+            type: listing.listing_type,
+            price,
+            unitPrice: Math.round(price / listing.quantity),
+            buyoutPrice: listing.buyout_price === null ? null : Number(listing.buyout_price),
+            startPrice: listing.start_price === null ? null : Number(listing.start_price),
+            currentBid: listing.current_bid === null ? null : Number(listing.current_bid),
+            minimumBid: listing.listing_type === 'auction' && listing.status === 'active' ? this.minimumBid(listing) : null,
+            bidCount: listing.bid_count,
+            sellerPlayerId: listing.seller_player_id,
+            status: listing.status,
+            salePrice: listing.sale_price === null ? null : Number(listing.sale_price),
+            expiresAt: listing.expires_at,
+            createdAt: listing.created_at,
+            closedAt: listing.closed_at
+        };
+    }
+}
+
+const marketManager = new MarketManager();
+
+module.exports = marketManager;
+module.exports.MarketManager = MarketManager;
@@ -0,0 +1,429 @@
+/**
+ * Matchmaking Queue
+ * Wachtrij per regio + game mode. Groepen (solo spelers of parties) worden op volgorde van prioriteit en
+ * daarna aankomsttijd geplaatst; een party komt altijd samen op dezelfde server. Gedeeld tussen alle
+ * GameServerManager instanties en de internal routes (player-event).
+ *
+ * Party leden moeten eerst een uitnodiging van de leader accepteren; een geaccepteerde uitnodiging wordt
+ * verbruikt zodra de party de wachtrij in gaat.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const serverRegistry = require('./ServerRegistry');
+
+// Hoe lang een toegewezen plek gereserveerd blijft tot de speler echt joint
+const ASSIGNMENT_TTL_MS = parseInt(process.env.MATCHMAKING_ASSIGNMENT_TTL_MS) || 2 * 60 * 1000;
+// Venster voor de drain rate (ETA berekening)
+const DRAIN_WINDOW_MS = 10 * 60 * 1000;
+const PROCESS_INTERVAL_MS = 5000;
+// Hoe lang een (geaccepteerde) party uitnodiging geldig blijft
+const PARTY_INVITE_TTL_MS = parseInt(process.env.PARTY_INVITE_TTL_MS) || 10 * 60 * 1000;
+const ANY = 'any';
+
+class MatchmakingQueue {
+    constructor() {
+        this.groups = new Map(); // groupId -> group
+        this.playerIndex = new Map(); // playerId -> groupId
+        this.reservations = new Map(); // playerId -> { serverId, expiresAt }
+        this.drainLog = new Map(); // queueKey -> [{ at, players }]
+        this.invites = new Map(); // leaderId:playerId -> { leaderId, playerId, accepted, expiresAt }
+        this.processing = null;
+
+        this.timer = setInterval(() => {
+            this.processQueue().catch(error => {
+                console.error('[Matchmaking] Queue verwerking fout:', error.message);
+            });
+        }, PROCESS_INTERVAL_MS);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    queueKey(region, gameMode) {
+        return `${region || ANY}:${gameMode || ANY}`;
+    }
+
+    /**
+     * Zet een speler (en eventuele party leden) in de wachtrij
+     * @param {Object} options - { playerIds, leaderId, region, gameMode, priority, preferredServerId }
+     * @returns {Object} - De aangemaakte groep
+     */
+    enqueue({ playerIds, leaderId, region = null, gameMode = null, priority = 0, preferredServerId = null }) {
+        const members = [...new Set(playerIds)];
+        if (members.length === 0) {
+            throw new Error('Geen spelers opgegeven');
+        }
+
+        for (const playerId of members) {
+            const existing = this.getGroupForPlayer(playerId);
+            if (existing) {
+                if (members.length > 1) {
+                    throw new Error(`Speler ${playerId} staat al in de wachtrij`);
+                }
+                // Solo speler die opnieuw joint: bestaande plek (of toewijzing) behouden
+                return existing;
+            }
+        }
+
+        const group = {
+            groupId: uuidv4(),
+            leaderId: leaderId || members[0],
+            playerIds: members,
+            region,
+            gameMode,
+            key: this.queueKey(region, gameMode),
+            priority: parseInt(priority) || 0,
+            preferredServerId,
+            enqueuedAt: Date.now(),
+            status: 'queued',
+            assignment: null
+        };
+
+        this.groups.set(group.groupId, group);
+        for (const playerId of members) {
+            this.playerIndex.set(playerId, group.groupId);
+        }
+
+        console.log(`[Matchmaking] ➕ Groep ${group.groupId} (${members.length} speler(s)) in wachtrij ${group.key}`);
+        return group;
+    }
+
+    inviteKey(leaderId, playerId) {
+        return `${leaderId}:${playerId}`;
+    }
+
+    /**
+     * Nodig een speler uit voor de party van leaderId; een eerdere uitnodiging wordt vervangen
+     * @returns {Object} - { leaderId, playerId, accepted, expiresAt }
+     */
+    invite(leaderId, playerId) {
+        if (leaderId === playerId) {
+            throw new Error('Je kunt jezelf niet uitnodigen');
+        }
+
+        const invite = { leaderId, playerId, accepted: false, expiresAt: Date.now() + PARTY_INVITE_TTL_MS };
+        this.invites.set(this.inviteKey(leaderId, playerId), invite);
+        console.log(`[Matchmaking] ✉️ ${leaderId} nodigt ${playerId} uit voor een party`);
+        return this.formatInvite(invite);
+    }
+
+    /**
+     * Accepteer de uitnodiging van leaderId; de leader kan de speler daarna meenemen in de wachtrij
+     */
+    acceptInvite(playerId, leaderId) {
+        const invite = this.invites.get(this.inviteKey(leaderId, playerId));
+        if (!invite || invite.expiresAt <= Date.now()) {
+            throw new Error('Geen openstaande party uitnodiging van deze speler');
+        }
+
+        invite.accepted = true;
+        invite.expiresAt = Date.now() + PARTY_INVITE_TTL_MS;
+        return this.formatInvite(invite);
+    }
+
+    /**
+     * Openstaande (nog niet geaccepteerde) uitnodigingen voor een speler
+     */
+    getInvites(playerId) {
+        const now = Date.now();
+        return Array.from(this.invites.values())
+            .filter(invite => invite.playerId === playerId && !invite.accepted && invite.expiresAt > now)
+            .map(invite => this.formatInvite(invite));
+    }
+
+    /**
+     * Controleer dat alle party leden een uitnodiging van leaderId geaccepteerd hebben
+     */
+    requireAcceptedInvites(leaderId, memberIds) {
+        const now = Date.now();
+        const missing = memberIds.filter(playerId => {
+            const invite = this.invites.get(this.inviteKey(leaderId, playerId));
+            return !invite || !invite.accepted || invite.expiresAt <= now;
+        });
+        if (missing.length > 0) {
+            throw new Error(`Geen geaccepteerde party uitnodiging van: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Verbruik de uitnodigingen van een party die de wachtrij in gegaan is
+     */
+    consumeInvites(leaderId, memberIds) {
+        for (const playerId of memberIds) {
+            this.invites.delete(this.inviteKey(leaderId, playerId));
+        }
+    }
+
+    formatInvite(invite) {
+        return {
+            leaderId: invite.leaderId,
+            playerId: invite.playerId,
+            accepted: invite.accepted,
+            expiresAt: new Date(invite.expiresAt).toISOString()
+        };
+    }
+
+    expireInvites() {
+        const now = Date.now();
+        for (const [key, invite] of this.invites) {
+            if (invite.expiresAt <= now) this.invites.delete(key);
+        }
+    }
+
+    getGroupForPlayer(playerId) {
+        const groupId = this.playerIndex.get(playerId);
+        return groupId ? this.groups.get(groupId) || null : null;
+    }
+
+    /**
+     * Haal een speler uit de wachtrij; de rest van zijn party blijft staan
+     * @returns {boolean} - true als de speler in de wachtrij stond
+     */
+    cancel(playerId) {
+        const group = this.getGroupForPlayer(playerId);
+        if (!group) return false;
+
+        group.playerIds = group.playerIds.filter(id => id !== playerId);
+        this.playerIndex.delete(playerId);
+        this.reservations.delete(playerId);
+
+        if (group.playerIds.length === 0) {
+            this.groups.delete(group.groupId);
+        } else if (group.leaderId === playerId) {
+            group.leaderId = group.playerIds[0];
+        }
+
+        console.log(`[Matchmaking] ➖ Speler ${playerId} uit wachtrij ${group.key}`);
+        return true;
+    }
+
+    /**
+     * Wachtende groepen van een queue, in plaatsingsvolgorde
+     */
+    getWaitingGroups(key) {
+        return Array.from(this.groups.values())
+            .filter(group => group.status === 'queued' && (!key || group.key === key))
+            .sort((a, b) => (b.priority - a.priority) || (a.enqueuedAt - b.enqueuedAt));
+    }
+
+    /**
+     * Spelers per seconde die de afgelopen periode uit een queue geplaatst zijn
+     */
+    getDrainRate(key) {
+        const cutoff = Date.now() - DRAIN_WINDOW_MS;
+        const log = (this.drainLog.get(key) || []).filter(entry => entry.at >= cutoff);
+        this.drainLog.set(key, log);
+        const players = log.reduce((sum, entry) => sum + entry.players, 0);
+        return players / (DRAIN_WINDOW_MS / 1000);
+    }
+
+    /**
+     * Positie, ETA en eventuele toewijzing van een speler
+     * @returns {Object|null}
+     */
+    getStatus(playerId) {
+        const group = this.getGroupForPlayer(playerId);
+        if (!group) return null;
+
+        if (group.status === 'assigned') {
+            return {
+                status: 'assigned',
+                groupId: group.groupId,
+                partySize: group.playerIds.length,
+                ...group.assignment
+            };
+        }
+
+        const waiting = this.getWaitingGroups(group.key);
+        const index = waiting.findIndex(g => g.groupId === group.groupId);
+        const playersAhead = waiting.slice(0, index).reduce((sum, g) => sum + g.playerIds.length, 0);
+        const rate = this.getDrainRate(group.key);
+
+        return {
+            status: 'queued',
+            groupId: group.groupId,
+            partySize: group.playerIds.length,
+            region: group.region || ANY,
+            gameMode: group.gameMode || ANY,
+            queuePosition: index + 1,
+            playersAhead,
+            // null = nog geen drain data, ETA onbekend
+            estimatedWaitTime: rate > 0 ? Math.ceil((playersAhead + group.playerIds.length) / rate) : null,
+            waitingSince: new Date(group.enqueuedAt).toISOString()
+        };
+    }
+
+    /**
+     * Aantal gereserveerde (toegewezen maar nog niet gejoinde) plekken op een server
+     */
+    reservedSlots(serverId) {
+        let count = 0;
+        for (const reservation of this.reservations.values()) {
+            if (reservation.serverId === serverId) count++;
+        }
+        return count;
+    }
+
+    matchesServer(group, server) {
+        return (!group.region || group.region === server.region) &&
+            (!group.gameMode || group.gameMode === server.gameMode);
+    }
+
+    /**
+     * Laat verlopen toewijzingen vallen zodat hun plekken weer vrij komen
+     */
+    expireAssignments() {
+        const now = Date.now();
+        for (const [playerId, reservation] of this.reservations) {
+            if (reservation.expiresAt > now) continue;
+
+            this.reservations.delete(playerId);
+            const group = this.getGroupForPlayer(playerId);
+            if (group && group.status === 'assigned') {
+                group.playerIds = group.playerIds.filter(id => id !== playerId);
+                this.playerIndex.delete(playerId);
+                if (group.playerIds.length === 0) this.groups.delete(group.groupId);
+                console.log(`[Matchmaking] ⌛ Toewijzing van ${playerId} verlopen`);
+            }
+        }
+    }
+
+    /**
+     * Plaats wachtende groepen op servers met genoeg vrije plekken
+     * Strikte volgorde per queue: past de eerste groep nergens, dan wacht de rest van die queue ook
+     * @returns {Promise<Object[]>} - Groepen die in deze ronde geplaatst zijn
+     */
+    async processQueue() {
+        // Eén verwerking tegelijk, anders kunnen twee rondes dezelfde plek uitdelen
+        if (this.processing) return this.processing;
+
+        this.processing = (async () => {
+            this.expireAssignments();
+            this.expireInvites();
+            const waiting = this.getWaitingGroups();
+            if (waiting.length === 0) return [];
+
+            const servers = await serverRegistry.getActive();
+            const freeSlots = new Map(servers.map(server => [
+                server.serverId,
+                server.maxPlayers - server.currentPlayers - this.reservedSlots(server.serverId)
+            ]));
+
+            const placed = [];
+            const blockedKeys = new Set();
+
+            for (const group of waiting) {
+                if (blockedKeys.has(group.key)) continue;
+
+                const size = group.playerIds.length;
+                const candidates = servers
+                    .filter(server => this.matchesServer(group, server) && freeSlots.get(server.serverId) >= size)
+                    .sort((a, b) => freeSlots.get(b.serverId) - freeSlots.get(a.serverId));
+                const target = candidates.find(server => server.serverId === group.preferredServerId) || candidates[0];
+
+                if (!target) {
+                    blockedKeys.add(group.key);
+                    continue;
+                }
+
+                freeSlots.set(target.serverId, freeSlots.get(target.serverId) - size);
+                this.assign(group, target);
+                placed.push(group);
+            }
+
+            return placed;
+        })();
+
+        try {
+            return await this.processing;
+        } finally {
+            this.processing = null;
+        }
+    }
+
+    assign(group, server) {
+        const expiresAt = Date.now() + ASSIGNMENT_TTL_MS;
+        group.status = 'assigned';
+        group.assignment = {
+            serverId: server.serverId,
+            serverAddress: server.alias || server.ip || process.env.GAME_SERVER_HOST || 'localhost',
+            serverPort: server.port,
+            assignedAt: new Date().toISOString(),
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+
+        for (const playerId of group.playerIds) {
+            this.reservations.set(playerId, { serverId: server.serverId, expiresAt });
+        }
+
+        const log = this.drainLog.get(group.key) || [];
+        log.push({ at: Date.now(), players: group.playerIds.length });
+        this.drainLog.set(group.key, log);
+
+        console.log(`[Matchmaking] ✅ Groep ${group.groupId} (${group.playerIds.length}) geplaatst op ${server.serverId}`);
+    }
+
+    /**
+     * Server neemt geen spelers meer aan (drain): toegewezen groepen die nog niet gejoind zijn
+     * gaan terug de wachtrij in, met hun oorspronkelijke plek
+     * @returns {number} - Aantal teruggezette groepen
+     */
+    releaseServer(serverId) {
+        let released = 0;
+        for (const group of this.groups.values()) {
+            if (group.status !== 'assigned' || group.assignment?.serverId !== serverId) continue;
+
+            group.status = 'queued';
+            group.assignment = null;
+            for (const playerId of group.playerIds) {
+                this.reservations.delete(playerId);
+            }
+            released++;
+        }
+
+        if (released > 0) {
+            console.log(`[Matchmaking] ↩️ ${released} groep(en) terug in de wachtrij, server ${serverId} neemt geen spelers meer aan`);
+        }
+        return released;
+    }
+
+    /**
+     * Speler is daadwerkelijk op de server gejoind: reservering en queue entry opruimen
+     */
+    confirmJoin(playerId, serverId) {
+        const reservation = this.reservations.get(playerId);
+        if (!reservation || reservation.serverId !== serverId) return false;
+
+        this.reservations.delete(playerId);
+        const group = this.getGroupForPlayer(playerId);
+        if (group) {
+            group.playerIds = group.playerIds.filter(id => id !== playerId);
+            this.playerIndex.delete(playerId);
+            if (group.playerIds.length === 0) this.groups.delete(group.groupId);
+        }
+        return true;
+    }
+
+    /**
+     * Overzicht per queue (voor status endpoints en commands)
+     */
+    getSummary() {
+        const summary = {};
+        for (const group of this.groups.values()) {
+            const entry = summary[group.key] || (summary[group.key] = { waitingGroups: 0, waitingPlayers: 0, assignedPlayers: 0 });
+            if (group.status === 'queued') {
+                entry.waitingGroups++;
+                entry.waitingPlayers += group.playerIds.length;
+            } else {
+                entry.assignedPlayers += group.playerIds.length;
+            }
+        }
+        for (const [key, entry] of Object.entries(summary)) {
+            entry.drainRatePerMinute = Math.round(this.getDrainRate(key) * 60 * 10) / 10;
+        }
+        return summary;
+    }
+}
+
+const matchmakingQueue = new MatchmakingQueue();
+
+module.exports = matchmakingQueue;
+module.exports.MatchmakingQueue = MatchmakingQueue;
@@ -0,0 +1,170 @@
+/**
+ * Mining Node Manager
+ * Elke mining locatie heeft per game server shard een vast aantal nodes (location.nodes). Een mining sessie
+ * claimt bij de start een vrije node; bij het voltooien raakt de node uitgeput en komt hij na de
+ * respawnTime van de locatie terug. Zo kan er per wereld maar een beperkt aantal spelers tegelijk op een
+ * locatie minen en is een locatie na veel sessies tijdelijk leeg.
+ *
+ * De shard van een sessie is de game server van de speler (player_servers, gezet bij zijn join ticket).
+ * Node rijen (mining_nodes) worden per shard en locatie aangemaakt zodra ze nodig zijn. Een claim van een
+ * sessie die nooit voltooid wordt vervalt na CLAIM_TIMEOUT_MS; die sessie wordt dan op abandoned gezet.
+ */
+
+const db = require('../utils/db');
+const serverRegistry = require('./ServerRegistry');
+const { OFFLINE_STATUS } = require('./ServerRegistry');
+const { getAssignedServer } = require('../utils/join-tickets');
+const { AppError } = require('../middleware/errorHandler');
+
+// Shard voor spelers die niet via een geregistreerde game server minen
+const DEFAULT_SHARD = 'default';
+const CLAIM_TIMEOUT_MS = parseInt(process.env.MINING_CLAIM_TIMEOUT_MS) || 15 * 60 * 1000;
+
+function isFree(node, now) {
+    if (node.session_id) {
+        return now - new Date(node.claimed_at) >= CLAIM_TIMEOUT_MS;
+    }
+    return !node.respawn_at || new Date(node.respawn_at) <= now;
+}
+
+class MiningNodeManager {
+    /**
+     * Bepaal de shard van een request: een geregistreerde game server, of de default shard
+     * Alleen voor het bekijken van de beschikbaarheid; een sessie gebruikt resolvePlayerShard.
+     * @returns {Promise<string>}
+     */
+    async resolveShard(serverId) {
+        if (!serverId) return DEFAULT_SHARD;
+        if (serverId === DEFAULT_SHARD) return serverId;
+
+        const server = await serverRegistry.get(serverId);
+        if (!server) {
+            throw new AppError('Game server niet gevonden', 404);
+        }
+        return server.serverId;
+    }
+
+    /**
+     * Shard van een speler: de game server waar hij met zijn join ticket binnenkwam, zolang die nog draait.
+     * Spelers zonder (draaiende) server minen op de default shard; een client kan zelf geen shard kiezen.
+     * @returns {Promise<string>}
+     */
+    async resolvePlayerShard(playerId) {
+        const serverId = await getAssignedServer(playerId);
+        if (!serverId) return DEFAULT_SHARD;
+
+        const server = await serverRegistry.get(serverId);
+        if (!server || server.status === OFFLINE_STATUS) return DEFAULT_SHARD;
+        return server.serverId;
+    }
+
+    /**
+     * Live beschikbaarheid van alle locaties op een shard
+     * @param {Array} locations - Mining locaties ({ id, nodes, respawnTime })
+     * @returns {Promise<Map>} - locationId -> { total, available, occupied, depleted, nextRespawn }
+     */
+    async getAvailability(shard, locations) {
+        const rows = await db.query('SELECT * FROM mining_nodes WHERE server_id = ?', [shard]);
+        const now = new Date();
+        const availability = new Map();
+
+        for (const location of locations) {
+            const nodes = rows.filter(row => row.location_id === location.id && row.node_index < location.nodes);
+            let occupied = 0;
+            let depleted = 0;
+            let nextRespawn = null;
+
+            for (const node of nodes) {
+                if (isFree(node, now)) continue;
+                if (node.session_id) {
+                    occupied++;
+                } else {
+                    depleted++;
+                    const respawnAt = new Date(node.respawn_at);
+                    if (!nextRespawn || respawnAt < nextRespawn) nextRespawn = respawnAt;
+                }
+            }
+
+            availability.set(location.id, {
+                total: location.nodes,
+                available: location.nodes - occupied - depleted,
+                occupied,
+                depleted,
+                nextRespawn
+            });
+        }
+
+        return availability;
+    }
+
+    /**
+     * Claim een vrije node voor een nieuwe sessie (binnen de transactie die de sessie aanmaakt)
+     * @returns {Promise<number>} - node index
+     */
+    async claimNode(connection, shard, location, sessionId) {
+        // Zorg dat alle node rijen bestaan, zodat ze hieronder gelockt kunnen worden
+        const placeholders = Array.from({ length: location.nodes }, () => '(?, ?, ?)').join(', ');
+        const params = Array.from({ length: location.nodes }, (_, index) => [shard, location.id, index]).flat();
+        await connection.query(`INSERT IGNORE INTO mining_nodes (server_id, location_id, node_index) VALUES ${placeholders}`, params);
+
+        const [nodes] = await connection.query(
+            'SELECT * FROM mining_nodes WHERE server_id = ? AND location_id = ? AND node_index < ? ORDER BY node_index FOR UPDATE',
+            [shard, location.id, location.nodes]
+        );
+
+        const now = new Date();
+        const node = nodes.find(candidate => isFree(candidate, now));
+        if (!node) {
+            const respawns = nodes.filter(candidate => !candidate.session_id).map(candidate => new Date(candidate.respawn_at));
+            const next = respawns.length > 0 ? new Date(Math.min(...respawns)) : null;
+            throw new AppError(
+                `Alle mining nodes van ${location.name} zijn bezet of uitgeput${next ? `, de volgende komt terug om ${next.toISOString()}` : ''}`,
+                409
+            );
+        }
+
+        // Verlopen claim: de oude sessie wordt nooit meer voltooid
+        if (node.session_id) {
+            await connection.query(
+                'UPDATE mining_sessions SET status = "abandoned", end_time = ? WHERE id = ? AND status = "active"',
+                [now, node.session_id]
+            );
+        }
+
+        await connection.query(
+            'UPDATE mining_nodes SET session_id = ?, claimed_at = ?, respawn_at = NULL WHERE server_id = ? AND location_id = ? AND node_index = ?',
+            [sessionId, now, shard, location.id, node.node_index]
+        );
+        return node.node_index;
+    }
+
+    /**
+     * Markeer de node van een voltooide sessie als uitgeput tot na de respawnTime
+     * @returns {Promise<Object|null>} - { serverId, nodeIndex, respawnAt } of null als de sessie geen node had
+     */
+    async depleteNode(connection, sessionId, location) {
+        const [[node]] = await connection.query('SELECT * FROM mining_nodes WHERE session_id = ? FOR UPDATE', [sessionId]);
+        if (!node) return null;
+
+        const respawnAt = new Date(Date.now() + location.respawnTime);
+        await connection.query(
+            'UPDATE mining_nodes SET session_id = NULL, claimed_at = NULL, respawn_at = ? WHERE server_id = ? AND location_id = ? AND node_index = ?',
+            [respawnAt, node.server_id, node.location_id, node.node_index]
+        );
+        return { serverId: node.server_id, nodeIndex: node.node_index, respawnAt };
+    }
+
+    /**
+     * Node van een actieve sessie (voor de status)
+     */
+    async getSessionNode(sessionId) {
+        const [node] = await db.query('SELECT server_id, node_index FROM mining_nodes WHERE session_id = ?', [sessionId]);
+        return node ? { serverId: node.server_id, nodeIndex: node.node_index } : null;
+    }
+}
+
+const miningNodeManager = new MiningNodeManager();
+
+module.exports = miningNodeManager;
+module.exports.MiningNodeManager = MiningNodeManager;
+module.exports.DEFAULT_SHARD = DEFAULT_SHARD;
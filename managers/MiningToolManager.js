@@ -0,0 +1,184 @@
+/**
+ * Mining Tool Manager
+ * Tools (items met stats.mining_speed) maken mining sessies korter en verhogen de hoeveelheid resources.
+ * De resterende durability staat in de metadata van het inventory item (zonder metadata is de tool nieuw,
+ * met stats.durability). Elke voltooide sessie kost durability; een kapotte tool (durability 0) blijft in de
+ * inventaris maar werkt niet meer tot hij gerepareerd is. Repareren kost SKAFF (naar system:shop).
+ *
+ * Consumables met stats.speed_boost (energy_drink) geven een tijdelijke mining speed buff in player_buffs.
+ */
+
+const db = require('../utils/db');
+const ledger = require('../utils/ledger');
+const inventory = require('../utils/inventory');
+const inventoryManager = require('./InventoryManager');
+const itemRegistry = require('./ItemRegistry');
+const { AppError } = require('../middleware/errorHandler');
+
+const BOOST_TYPE = 'mining_speed';
+// Durability per voltooide sessie = difficulty van de locatie * WEAR_PER_DIFFICULTY
+const WEAR_PER_DIFFICULTY = 2;
+// Een volledige reparatie kost dit deel van de baseValue van de tool
+const REPAIR_COST_RATIO = parseFloat(process.env.TOOL_REPAIR_COST_RATIO) || 0.25;
+
+function isTool(definition) {
+    return !!definition && Number(definition.stats.mining_speed) > 0;
+}
+
+class MiningToolManager {
+    /**
+     * Tool gegevens van een inventory item rij
+     */
+    toolInfo(row) {
+        const definition = itemRegistry.get(row.item_id);
+        const maxDurability = Number(definition.stats.durability) || null;
+        const metadata = inventory.parseMetadata(row.metadata) || {};
+        const durability = maxDurability === null ? null : (metadata.durability ?? maxDurability);
+
+        return {
+            inventoryItemId: row.id,
+            itemId: row.item_id,
+            name: definition.name,
+            slot: row.slot,
+            miningSpeed: Number(definition.stats.mining_speed),
+            durability,
+            maxDurability,
+            broken: durability === 0
+        };
+    }
+
+    /**
+     * Tool in een inventory slot van een speler, voor het starten van een sessie
+     */
+    async getUsableTool(playerId, slot) {
+        const [row] = await db.query(
+            `SELECT ii.* FROM inventory_items ii
+             JOIN inventory i ON i.id = ii.inventory_id
+             WHERE i.player_id = ? AND ii.slot = ?`,
+            [playerId, Number(slot)]
+        );
+        if (!row) {
+            throw new AppError(`Geen item in slot ${slot}`, 404);
+        }
+        if (!isTool(itemRegistry.get(row.item_id))) {
+            throw new AppError(`${itemRegistry.get(row.item_id)?.name || row.item_id} is geen mining tool`, 400);
+        }
+
+        const tool = this.toolInfo(row);
+        if (tool.broken) {
+            throw new AppError(`${tool.name} is kapot; repareer hem eerst`, 400);
+        }
+        return tool;
+    }
+
+    /**
+     * Actieve mining speed buff van een speler
+     * @returns {Promise<Object|null>} - { multiplier, expiresAt }
+     */
+    async getActiveBoost(playerId) {
+        const [buff] = await db.query(
+            'SELECT multiplier, expires_at FROM player_buffs WHERE player_id = ? AND buff_type = ? AND expires_at > ?',
+            [playerId, BOOST_TYPE, new Date()]
+        );
+        return buff ? { multiplier: Number(buff.multiplier), expiresAt: buff.expires_at } : null;
+    }
+
+    /**
+     * Gebruik een consumable met speed_boost; een actieve buff wordt vervangen
+     */
+    async useBoost(playerId, itemId) {
+        const definition = itemRegistry.get(itemId);
+        const multiplier = Number(definition?.stats.speed_boost);
+        if (!multiplier) {
+            throw new AppError(`${definition?.name || itemId} geeft geen mining boost`, 400);
+        }
+        const durationSeconds = Number(definition.stats.duration) || 600;
+
+        return ledger.withTransaction(async (connection) => {
+            await inventoryManager.removeItems(connection, playerId, itemId, 1);
+
+            const expiresAt = new Date(Date.now() + durationSeconds * 1000);
+            await connection.query(
+                `INSERT INTO player_buffs (player_id, buff_type, multiplier, source_item_id, expires_at) VALUES (?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE multiplier = VALUES(multiplier), source_item_id = VALUES(source_item_id), expires_at = VALUES(expires_at)`,
+                [playerId, BOOST_TYPE, multiplier, itemId, expiresAt]
+            );
+
+            return { type: BOOST_TYPE, multiplier, expiresAt };
+        });
+    }
+
+    /**
+     * Lock de tool van een sessie bij het voltooien (binnen de transactie van completeMining)
+     * @returns {Promise<Object|null>} - inventory item rij, null als de tool niet meer in de inventaris zit of kapot is
+     */
+    async lockSessionTool(connection, playerId, inventoryItemId) {
+        const state = await inventoryManager.lock(connection, playerId);
+        const row = [...state.slots.values()].find(item => item.id === inventoryItemId);
+        if (!row || !isTool(itemRegistry.get(row.item_id)) || this.toolInfo(row).broken) return null;
+        return row;
+    }
+
+    /**
+     * Verbruik durability van een gelockte tool (rij uit lockSessionTool)
+     * @returns {Promise<Object>} - tool info na het slijten
+     */
+    async wearTool(connection, row, difficulty) {
+        const tool = this.toolInfo(row);
+        if (tool.durability === null) return tool;
+
+        const durability = Math.max(0, tool.durability - difficulty * WEAR_PER_DIFFICULTY);
+        await inventoryManager.setMetadata(connection, row, { durability });
+        return { ...tool, durability, broken: durability === 0 };
+    }
+
+    /**
+     * Repareer de tool in een slot tot de volledige durability
+     * @param {Object} player - { id, userId } (req.targetPlayer); de SKAFF gaat van de eigenaar af
+     */
+    async repairTool(player, slot) {
+        return ledger.withTransaction(async (connection) => {
+            const state = await inventoryManager.lock(connection, player.id);
+            const row = state.slots.get(Number(slot));
+            if (!row) {
+                throw new AppError(`Geen item in slot ${slot}`, 404);
+            }
+            const definition = itemRegistry.get(row.item_id);
+            if (!isTool(definition)) {
+                throw new AppError(`${definition?.name || row.item_id} is geen mining tool`, 400);
+            }
+
+            const tool = this.toolInfo(row);
+            if (tool.durability === null || tool.durability >= tool.maxDurability) {
+                throw new AppError(`${tool.name} hoeft niet gerepareerd te worden`, 400);
+            }
+
+            const missing = tool.maxDurability - tool.durability;
+            const cost = Math.max(1, Math.ceil(definition.baseValue * REPAIR_COST_RATIO * missing / tool.maxDurability));
+            try {
+                await ledger.transfer(connection, {
+                    from: ledger.walletAccount(player.userId),
+                    to: ledger.SYSTEM_ACCOUNTS.SHOP,
+                    amount: cost,
+                    type: 'tool_repair',
+                    description: `Reparatie: ${tool.name} (+${missing} durability)`,
+                    referenceId: row.id,
+                    createdBy: player.userId
+                });
+            } catch (error) {
+                if (error instanceof ledger.InsufficientFundsError) {
+                    throw new AppError(`Niet genoeg SKAFF. Je hebt ${error.balance}, maar de reparatie kost ${cost}`, 400);
+                }
+                throw error;
+            }
+
+            await inventoryManager.setMetadata(connection, row, { durability: tool.maxDurability });
+            return { tool: { ...tool, durability: tool.maxDurability, broken: false }, repaired: missing, cost };
+        });
+    }
+}
+
+const miningToolManager = new MiningToolManager();
+
+module.exports = miningToolManager;
+module.exports.MiningToolManager = MiningToolManager;
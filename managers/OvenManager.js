@@ -0,0 +1,324 @@
+/**
+ * Oven Manager
+ * Ovens die spelers plaatsen om erts te smelten. Een oven heeft één input stack (het erts van het lopende
+ * recept), één output stack en een hoeveelheid brandstof. Items gaan bij /start en /addfuel echt uit de
+ * inventaris en bij /collect weer terug.
+ *
+ * Er draait geen timer per oven: de voortgang wordt berekend uit de tijd sinds last_tick_at. Zolang er input,
+ * brandstof en ruimte in de output is wordt er gesmolten, ook als de eigenaar offline is. Brandstof brandt
+ * alleen tijdens het smelten, met de snelheid van het recept (fuelPerItem verdeeld over durationSeconds).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const ledger = require('../utils/ledger');
+const inventoryManager = require('./InventoryManager');
+const itemRegistry = require('./ItemRegistry');
+const { AppError } = require('../middleware/errorHandler');
+
+// Recepten per input item; fuelPerItem in brandstof eenheden (coal levert fuel_value 8)
+const RECIPES = {
+    raw_iron: { output: 'iron_ingot', outputQuantity: 1, durationSeconds: 10, fuelPerItem: 1 },
+    raw_gold: { output: 'gold_ingot', outputQuantity: 1, durationSeconds: 15, fuelPerItem: 2 }
+};
+
+const MAX_OVENS_PER_PLAYER = parseInt(process.env.MAX_OVENS_PER_PLAYER) || 3;
+const MAX_INPUT = 64;
+const MAX_FUEL = 512;
+const MAX_NAME_LENGTH = 50;
+// Afrondingsmarge voor de voortgang in seconden (floats uit de database)
+const EPSILON = 1e-6;
+
+function positiveInteger(value, field) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new AppError(`${field} moet een positief geheel getal zijn`, 400);
+    }
+    return number;
+}
+
+function itemName(itemId) {
+    return itemRegistry.get(itemId)?.name || itemId;
+}
+
+class OvenManager {
+    /**
+     * Alle recepten, met de namen uit de item catalogus
+     */
+    getRecipes() {
+        return Object.entries(RECIPES).map(([input, recipe]) => ({
+            input,
+            inputName: itemName(input),
+            output: recipe.output,
+            outputName: itemName(recipe.output),
+            outputQuantity: recipe.outputQuantity,
+            durationSeconds: recipe.durationSeconds,
+            fuelPerItem: recipe.fuelPerItem
+        }));
+    }
+
+    /**
+     * Plaats een nieuwe oven voor een speler
+     * @param {Object} player - { id, userId } (req.targetPlayer)
+     * @param {Object} options - { name, position: [x, y, z] }
+     */
+    async placeOven(player, { name, position } = {}) {
+        if (name !== undefined && (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH)) {
+            throw new AppError(`name moet tussen 1 en ${MAX_NAME_LENGTH} tekens zijn`, 400);
+        }
+        if (position !== undefined && (!Array.isArray(position) || position.length !== 3 ||
+            !position.every(n => typeof n === 'number' && Number.isFinite(n)))) {
+            throw new AppError('position moet een array van 3 getallen zijn', 400);
+        }
+
+        const [{ count }] = await db.query('SELECT COUNT(*) AS count FROM ovens WHERE owner_player_id = ?', [player.id]);
+        if (Number(count) >= MAX_OVENS_PER_PLAYER) {
+            throw new AppError(`Je kunt maximaal ${MAX_OVENS_PER_PLAYER} ovens hebben`, 400);
+        }
+
+        const id = uuidv4();
+        const [x, y, z] = position || [0, 0, 0];
+        await db.query(
+            `INSERT INTO ovens (id, owner_player_id, owner_user_id, name, position_x, position_y, position_z, last_tick_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, player.id, player.userId, name ? name.trim() : 'Oven', x, y, z, new Date()]
+        );
+
+        return this.getOven(id);
+    }
+
+    /**
+     * Ovens van een speler, met de actuele voortgang
+     */
+    async getPlayerOvens(playerId) {
+        const ovens = await db.query('SELECT * FROM ovens WHERE owner_player_id = ? ORDER BY created_at', [playerId]);
+        const now = new Date();
+        return ovens.map(oven => this.formatOven(this.advance(oven, now)));
+    }
+
+    /**
+     * Oven met de voortgang tot nu (alleen berekend, niet opgeslagen)
+     */
+    async getOven(ovenId) {
+        const [oven] = await db.query('SELECT * FROM ovens WHERE id = ?', [ovenId]);
+        if (!oven) {
+            throw new AppError('Oven niet gevonden', 404);
+        }
+        return this.formatOven(this.advance(oven, new Date()));
+    }
+
+    /**
+     * Raw database rij, voor de toegangscontrole in de routes
+     */
+    async findOven(ovenId) {
+        const [oven] = await db.query('SELECT id, owner_player_id, owner_user_id FROM ovens WHERE id = ?', [ovenId]);
+        return oven || null;
+    }
+
+    /**
+     * Laad erts uit de inventaris in de oven, optioneel met brandstof in dezelfde transactie
+     * @param {Object} options - { itemId, quantity, fuelItemId, fuelAmount }
+     */
+    async start(ovenId, playerId, { itemId, quantity, fuelItemId, fuelAmount }) {
+        const recipe = RECIPES[itemId];
+        if (!recipe) {
+            throw new AppError(`${itemName(itemId)} kan niet gesmolten worden`, 400);
+        }
+        const amount = positiveInteger(quantity, 'quantity');
+
+        return ledger.withTransaction(async (connection) => {
+            const oven = await this.lockOven(connection, ovenId, playerId);
+
+            if (oven.recipe_id && oven.recipe_id !== itemId && (oven.input_quantity > 0 || oven.output_quantity > 0)) {
+                throw new AppError(`Oven is bezig met ${itemName(oven.recipe_id)}; haal eerst de output op`, 409);
+            }
+            if (oven.recipe_id !== itemId) {
+                oven.recipe_id = itemId;
+                oven.progress_seconds = 0;
+            }
+            if (oven.input_quantity + amount > MAX_INPUT) {
+                throw new AppError(`Er passen nog ${MAX_INPUT - oven.input_quantity} items in de oven`, 400);
+            }
+
+            await inventoryManager.removeItems(connection, playerId, itemId, amount);
+            oven.input_quantity += amount;
+
+            if (fuelItemId || fuelAmount) {
+                await this.loadFuel(connection, oven, playerId, fuelItemId || 'coal', fuelAmount);
+            }
+
+            await this.saveOven(connection, oven);
+            return this.formatOven(oven);
+        });
+    }
+
+    /**
+     * Voeg brandstof uit de inventaris toe
+     */
+    async addFuel(ovenId, playerId, fuelItemId, amount) {
+        return ledger.withTransaction(async (connection) => {
+            const oven = await this.lockOven(connection, ovenId, playerId);
+            const added = await this.loadFuel(connection, oven, playerId, fuelItemId, amount);
+            await this.saveOven(connection, oven);
+            return { added, oven: this.formatOven(oven) };
+        });
+    }
+
+    /**
+     * Haal de output op; wat niet meer in de inventaris past blijft in de oven
+     */
+    async collect(ovenId, playerId) {
+        return ledger.withTransaction(async (connection) => {
+            const oven = await this.lockOven(connection, ovenId, playerId);
+            if (oven.output_quantity === 0) {
+                throw new AppError('Er is nog niets om op te halen', 400);
+            }
+
+            const outputItem = RECIPES[oven.recipe_id].output;
+            const result = await inventoryManager.addItems(connection, playerId, outputItem, oven.output_quantity, { partial: true });
+            if (result.quantity === 0) {
+                throw new AppError('Inventaris is vol', 400);
+            }
+
+            oven.output_quantity -= result.quantity;
+            await this.saveOven(connection, oven);
+
+            return {
+                collected: { itemId: outputItem, quantity: result.quantity },
+                remaining: oven.output_quantity,
+                oven: this.formatOven(oven)
+            };
+        });
+    }
+
+    /**
+     * Lock de oven, controleer de eigenaar en werk de voortgang bij tot nu
+     */
+    async lockOven(connection, ovenId, playerId) {
+        const [[oven]] = await connection.query('SELECT * FROM ovens WHERE id = ? FOR UPDATE', [ovenId]);
+        if (!oven) {
+            throw new AppError('Oven niet gevonden', 404);
+        }
+        if (oven.owner_player_id !== playerId) {
+            throw new AppError('Deze oven is niet van deze speler', 403);
+        }
+        return this.advance(oven, new Date());
+    }
+
+    async loadFuel(connection, oven, playerId, fuelItemId, amount) {
+        const fuel = itemRegistry.get(fuelItemId);
+        const fuelValue = fuel?.stats?.fuel_value;
+        if (!fuelValue) {
+            throw new AppError(`${fuelItemId} is geen brandstof`, 400);
+        }
+        const count = positiveInteger(amount, 'amount');
+        const added = count * fuelValue;
+        if (oven.fuel + added > MAX_FUEL) {
+            throw new AppError(`Te veel brandstof: de oven kan nog ${Math.floor((MAX_FUEL - oven.fuel) / fuelValue)}x ${fuel.name} hebben`, 400);
+        }
+
+        await inventoryManager.removeItems(connection, playerId, fuelItemId, count);
+        oven.fuel += added;
+        return added;
+    }
+
+    async saveOven(connection, oven) {
+        // Zonder input en output is de oven weer vrij voor een ander recept
+        if (oven.input_quantity === 0 && oven.output_quantity === 0) {
+            oven.recipe_id = null;
+            oven.progress_seconds = 0;
+        }
+
+        await connection.query(
+            `UPDATE ovens SET recipe_id = ?, input_quantity = ?, output_quantity = ?, progress_seconds = ?, fuel = ?, last_tick_at = ?
+             WHERE id = ?`,
+            [oven.recipe_id, oven.input_quantity, oven.output_quantity, oven.progress_seconds, oven.fuel, oven.last_tick_at, oven.id]
+        );
+    }
+
+    /**
+     * Bereken de voortgang tussen last_tick_at en now. Per item: smelt tot het item klaar is, de tijd op is of
+     * de brandstof op is. Stopt ook als de output stack vol is.
+     * @returns {Object} - de oven rij met bijgewerkte velden
+     */
+    advance(row, now) {
+        const oven = {
+            ...row,
+            input_quantity: Number(row.input_quantity) || 0,
+            output_quantity: Number(row.output_quantity) || 0,
+            progress_seconds: Number(row.progress_seconds) || 0,
+            fuel: Number(row.fuel) || 0
+        };
+        const recipe = RECIPES[oven.recipe_id];
+        let elapsed = Math.max(0, (now - new Date(oven.last_tick_at || now)) / 1000);
+        oven.last_tick_at = now;
+
+        if (!recipe) return oven;
+
+        const burnRate = recipe.fuelPerItem / recipe.durationSeconds;
+
+        while (oven.input_quantity > 0 && !this.outputFull(oven, recipe)) {
+
+            const step = Math.min(elapsed, recipe.durationSeconds - oven.progress_seconds, oven.fuel / burnRate);
+            if (step <= EPSILON) break;
+
+            oven.progress_seconds += step;
+            oven.fuel = Math.max(0, oven.fuel - step * burnRate);
+            elapsed -= step;
+
+            if (oven.progress_seconds >= recipe.durationSeconds - EPSILON) {
+                oven.input_quantity -= 1;
+                oven.output_quantity += recipe.outputQuantity;
+                oven.progress_seconds = 0;
+            }
+        }
+
+        return oven;
+    }
+
+    outputFull(oven, recipe) {
+        const outputLimit = itemRegistry.get(recipe.output)?.stackSize || MAX_INPUT;
+        return oven.output_quantity + recipe.outputQuantity > outputLimit;
+    }
+
+    /**
+     * idle, smelting, no_fuel, output_full of done (alles gesmolten, output nog niet opgehaald)
+     */
+    statusOf(oven) {
+        const recipe = RECIPES[oven.recipe_id];
+        if (!recipe) return 'idle';
+        if (oven.input_quantity === 0) return oven.output_quantity > 0 ? 'done' : 'idle';
+        if (this.outputFull(oven, recipe)) return 'output_full';
+        if (oven.fuel <= EPSILON) return 'no_fuel';
+        return 'smelting';
+    }
+
+    formatOven(oven) {
+        const recipe = RECIPES[oven.recipe_id];
+        const itemsLeft = oven.input_quantity;
+        const secondsLeft = recipe && itemsLeft > 0 ? itemsLeft * recipe.durationSeconds - oven.progress_seconds : 0;
+
+        return {
+            id: oven.id,
+            ownerPlayerId: oven.owner_player_id,
+            name: oven.name,
+            position: { x: oven.position_x, y: oven.position_y, z: oven.position_z },
+            status: this.statusOf(oven),
+            fuelLevel: Math.round(oven.fuel * 100) / 100,
+            maxFuel: MAX_FUEL,
+            contents: {
+                inputSlot: recipe && itemsLeft > 0 ? { itemId: oven.recipe_id, quantity: itemsLeft } : null,
+                outputSlot: recipe && oven.output_quantity > 0 ? { itemId: recipe.output, quantity: oven.output_quantity } : null
+            },
+            // Voortgang van het huidige item in procenten
+            progress: recipe && itemsLeft > 0 ? Math.floor(oven.progress_seconds / recipe.durationSeconds * 100) : 0,
+            timeRemaining: Math.ceil(secondsLeft),
+            fuelNeeded: recipe ? Math.max(0, Math.round((secondsLeft * recipe.fuelPerItem / recipe.durationSeconds - oven.fuel) * 100) / 100) : 0,
+            updatedAt: oven.last_tick_at
+        };
+    }
+}
+
+module.exports = new OvenManager();
+module.exports.OvenManager = OvenManager;
+module.exports.RECIPES = RECIPES;
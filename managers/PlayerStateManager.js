@@ -0,0 +1,344 @@
+/**
+ * Player State Manager
+ * Server-authoritative wijzigingen aan spelers. Alleen game servers (internal API, HMAC ondertekend) mogen
+ * beschermde velden zoals health, doden en de inventaris wijzigen; clients kunnen ze alleen lezen.
+ * Elk veld wordt hier gevalideerd voordat het naar de database gaat.
+ *
+ * Posities worden niet per sample weggeschreven: de laatste positie per speler staat in een buffer die elke
+ * POSITION_FLUSH_INTERVAL_MS in één UPDATE naar de database gaat. Elke sample wordt vergeleken met de vorige;
+ * is de snelheid hoger dan MAX_PLAYER_SPEED dan komt er een melding in player_suspicions.
+ */
+
+const db = require('../utils/db');
+const ledger = require('../utils/ledger');
+const inventoryManager = require('./InventoryManager');
+const itemRegistry = require('./ItemRegistry');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_COORDINATE = parseFloat(process.env.WORLD_MAX_COORDINATE) || 100000;
+const MAX_HEALTH = 10000;
+const MAX_POSITIONS_PER_REQUEST = 200;
+const MAX_PICKUPS_PER_REQUEST = 50;
+const MAX_CAUSE_LENGTH = 50;
+
+const MAX_PLAYER_SPEED = parseFloat(process.env.MAX_PLAYER_SPEED) || 25; // units per seconde
+const POSITION_FLUSH_INTERVAL_MS = parseInt(process.env.POSITION_FLUSH_INTERVAL_MS) || 1000;
+const FLUSH_CHUNK_SIZE = 200;
+const MIN_SAMPLE_INTERVAL_S = 0.05;
+// Samples van spelers die zo lang niets meer gestuurd hebben vergeten we (volgende sample wordt niet gecontroleerd)
+const SAMPLE_TTL_MS = 10 * 60 * 1000;
+// Maximaal één melding per speler in deze periode, zodat een speedhack de log niet overspoelt
+const SUSPICION_COOLDOWN_MS = 10 * 1000;
+const POSITION_COLUMNS = ['position_x', 'position_y', 'position_z', 'rotation_x', 'rotation_y', 'rotation_z'];
+
+function vector(value, field, limit = Infinity) {
+    if (!Array.isArray(value) || value.length !== 3 || !value.every(n => typeof n === 'number' && Number.isFinite(n))) {
+        throw new AppError(`${field} moet een array van 3 getallen zijn`, 400);
+    }
+    if (value.some(n => Math.abs(n) > limit)) {
+        throw new AppError(`${field} ligt buiten de wereld (max ${limit})`, 400);
+    }
+    return value;
+}
+
+function integerInRange(value, field, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new AppError(`${field} moet een geheel getal tussen ${min} en ${max} zijn`, 400);
+    }
+    return value;
+}
+
+class PlayerStateManager {
+    constructor() {
+        this.pendingPositions = new Map(); // playerId -> { position, rotation }
+        this.lastSamples = new Map(); // playerId -> { position, sampledAt, receivedAt, flaggedAt }
+
+        this.flushTimer = setInterval(() => {
+            this.flushPositions().catch(error => {
+                console.error('[PlayerStateManager] Fout bij wegschrijven posities:', error.message);
+            });
+        }, POSITION_FLUSH_INTERVAL_MS);
+        if (this.flushTimer.unref) this.flushTimer.unref();
+    }
+
+    /**
+     * Posities van meerdere spelers tegelijk (bijv. alle spelers van een game server per tick).
+     * Geldige samples gaan naar de buffer; ongeldige regels worden overgeslagen en teruggemeld.
+     * @param {Array} positions - [{ playerId, position: [x, y, z], rotation: [x, y, z], timestamp, teleport }]
+     *                            timestamp in ms (standaard nu); teleport slaat de snelheidscontrole over (respawn e.d.)
+     * @param {string|null} serverId - Game server die de posities stuurt (null voor client updates)
+     * @returns {Promise<Object>} - { accepted, flagged, rejected: [{ playerId, reason, status }] }
+     */
+    async updatePositions(positions, serverId = null) {
+        if (!Array.isArray(positions) || positions.length === 0) {
+            throw new AppError('positions moet een niet-lege lijst zijn', 400);
+        }
+        if (positions.length > MAX_POSITIONS_PER_REQUEST) {
+            throw new AppError(`Maximaal ${MAX_POSITIONS_PER_REQUEST} posities per request`, 400);
+        }
+
+        const known = await this.knownPlayers(positions.map(entry => entry?.playerId).filter(Boolean));
+        let accepted = 0;
+        let flagged = 0;
+        const rejected = [];
+
+        for (const entry of positions) {
+            try {
+                if (!entry?.playerId) {
+                    throw new AppError('playerId ontbreekt', 400);
+                }
+                if (!known.has(entry.playerId)) {
+                    throw new AppError('Speler niet gevonden', 404);
+                }
+                const position = vector(entry.position, 'position', MAX_COORDINATE);
+                const rotation = vector(entry.rotation || [0, 0, 0], 'rotation');
+                const sampledAt = Number.isFinite(entry.timestamp) ? entry.timestamp : Date.now();
+
+                if (this.checkSpeed(entry.playerId, position, sampledAt, serverId, !!entry.teleport)) {
+                    flagged++;
+                }
+                this.pendingPositions.set(entry.playerId, { position, rotation });
+                accepted++;
+            } catch (error) {
+                if (!error.statusCode) throw error;
+                rejected.push({ playerId: entry?.playerId || null, reason: error.message, status: error.statusCode });
+            }
+        }
+
+        return { accepted, flagged, rejected };
+    }
+
+    /**
+     * Spelers uit de lijst die bestaan. Spelers met een recente sample zijn al bekend; de rest in één query.
+     */
+    async knownPlayers(playerIds) {
+        const known = new Set(playerIds.filter(id => this.lastSamples.has(id)));
+        const unknown = [...new Set(playerIds.filter(id => !known.has(id)))];
+
+        if (unknown.length > 0) {
+            const rows = await db.query(
+                `SELECT id FROM players WHERE id IN (${unknown.map(() => '?').join(', ')})`,
+                unknown
+            );
+            rows.forEach(row => known.add(row.id));
+        }
+        return known;
+    }
+
+    /**
+     * Vergelijk een sample met de vorige van dezelfde speler en meld een te hoge snelheid
+     * @returns {boolean} - true als de sample verdacht is
+     */
+    checkSpeed(playerId, position, sampledAt, serverId, teleport) {
+        const previous = this.lastSamples.get(playerId);
+        const sample = { position, sampledAt, receivedAt: Date.now(), flaggedAt: previous?.flaggedAt || 0 };
+
+        if (previous && sampledAt <= previous.sampledAt) {
+            throw new AppError('Sample is ouder dan de vorige positie', 409);
+        }
+        this.lastSamples.set(playerId, sample);
+
+        if (!previous || teleport) return false;
+
+        // Samples vlak na elkaar geven door afronding absurde snelheden
+        const seconds = Math.max((sampledAt - previous.sampledAt) / 1000, MIN_SAMPLE_INTERVAL_S);
+        const distance = Math.hypot(
+            position[0] - previous.position[0],
+            position[1] - previous.position[1],
+            position[2] - previous.position[2]
+        );
+        const speed = distance / seconds;
+        if (speed <= MAX_PLAYER_SPEED) return false;
+
+        if (sample.receivedAt - sample.flaggedAt >= SUSPICION_COOLDOWN_MS) {
+            sample.flaggedAt = sample.receivedAt;
+            this.flagSuspicion(playerId, serverId, 'speed', {
+                speed: Math.round(speed * 100) / 100,
+                maxSpeed: MAX_PLAYER_SPEED,
+                distance: Math.round(distance * 100) / 100,
+                seconds,
+                from: previous.position,
+                to: position
+            }).catch(error => {
+                console.error('[PlayerStateManager] Fout bij vastleggen melding:', error.message);
+            });
+        }
+        return true;
+    }
+
+    async flagSuspicion(playerId, serverId, kind, details) {
+        console.warn(`[PlayerStateManager] ⚠️ Verdachte ${kind} voor speler ${playerId}${serverId ? ` op ${serverId}` : ''}: ${JSON.stringify(details)}`);
+        await db.query(
+            'INSERT INTO player_suspicions (player_id, server_id, kind, details) VALUES (?, ?, ?, ?)',
+            [playerId, serverId, kind, JSON.stringify(details)]
+        );
+    }
+
+    /**
+     * Schrijf alle gebufferde posities weg in één UPDATE per FLUSH_CHUNK_SIZE spelers
+     * @returns {Promise<number>} - Aantal weggeschreven spelers
+     */
+    async flushPositions() {
+        const now = Date.now();
+        for (const [playerId, sample] of this.lastSamples) {
+            if (now - sample.receivedAt > SAMPLE_TTL_MS) this.lastSamples.delete(playerId);
+        }
+
+        if (this.pendingPositions.size === 0) return 0;
+
+        const pending = [...this.pendingPositions];
+        this.pendingPositions.clear();
+
+        for (let start = 0; start < pending.length; start += FLUSH_CHUNK_SIZE) {
+            const chunk = pending.slice(start, start + FLUSH_CHUNK_SIZE);
+            const params = [];
+            const assignments = POSITION_COLUMNS.map((column, index) => {
+                const cases = chunk.map(([playerId, { position, rotation }]) => {
+                    params.push(playerId, index < 3 ? position[index] : rotation[index - 3]);
+                    return 'WHEN ? THEN ?';
+                });
+                return `${column} = CASE id ${cases.join(' ')} END`;
+            });
+            params.push(...chunk.map(([playerId]) => playerId));
+
+            await db.query(
+                `UPDATE players SET ${assignments.join(', ')}, updated_at = NOW()
+                 WHERE id IN (${chunk.map(() => '?').join(', ')})`,
+                params
+            );
+        }
+        return pending.length;
+    }
+
+    /**
+     * Laatste meldingen uit de suspicion log
+     * @param {Object} filter - { playerId, limit }
+     */
+    async getSuspicions({ playerId = null, limit = 20 } = {}) {
+        const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 200);
+        return db.query(
+            `SELECT * FROM player_suspicions
+             ${playerId ? 'WHERE player_id = ?' : ''}
+             ORDER BY created_at DESC, id DESC
+             LIMIT ${safeLimit}`,
+            playerId ? [playerId] : []
+        );
+    }
+
+    status() {
+        return {
+            pendingPositions: this.pendingPositions.size,
+            trackedPlayers: this.lastSamples.size,
+            maxSpeed: MAX_PLAYER_SPEED,
+            flushIntervalMs: POSITION_FLUSH_INTERVAL_MS
+        };
+    }
+
+    /**
+     * Zet health (en optioneel maxHealth) van een speler, bijvoorbeeld na schade, healing of een respawn
+     * @returns {Promise<Object>} - { health, maxHealth }
+     */
+    async setHealth(playerId, { health, maxHealth }) {
+        const [player] = await db.query('SELECT health, max_health FROM players WHERE id = ?', [playerId]);
+        if (!player) {
+            throw new AppError('Speler niet gevonden', 404);
+        }
+
+        const newMax = maxHealth === undefined ? player.max_health : integerInRange(maxHealth, 'maxHealth', 1, MAX_HEALTH);
+        const newHealth = health === undefined ? Math.min(player.health, newMax) : integerInRange(health, 'health', 0, newMax);
+
+        await db.query(
+            'UPDATE players SET health = ?, max_health = ?, updated_at = NOW() WHERE id = ?',
+            [newHealth, newMax, playerId]
+        );
+        return { health: newHealth, maxHealth: newMax };
+    }
+
+    /**
+     * Registreer een dood: health naar 0, stats bijwerken en vastleggen in player_deaths
+     * @param {Object} death - { killerPlayerId, cause, position }
+     */
+    async recordDeath(serverId, playerId, { killerPlayerId = null, cause = 'unknown', position = null } = {}) {
+        if (typeof cause !== 'string' || cause.length === 0 || cause.length > MAX_CAUSE_LENGTH) {
+            throw new AppError(`cause moet een tekst van maximaal ${MAX_CAUSE_LENGTH} tekens zijn`, 400);
+        }
+        if (killerPlayerId === playerId) {
+            killerPlayerId = null; // zelfmoord telt niet als kill
+        }
+        const where = position === null ? [null, null, null] : vector(position, 'position', MAX_COORDINATE);
+
+        return ledger.withTransaction(async (connection) => {
+            const [[player]] = await connection.query('SELECT id FROM players WHERE id = ? FOR UPDATE', [playerId]);
+            if (!player) {
+                throw new AppError('Speler niet gevonden', 404);
+            }
+            if (killerPlayerId) {
+                const [[killer]] = await connection.query('SELECT id FROM players WHERE id = ?', [killerPlayerId]);
+                if (!killer) {
+                    throw new AppError('Killer niet gevonden', 404);
+                }
+            }
+
+            await connection.query('UPDATE players SET health = 0, updated_at = NOW() WHERE id = ?', [playerId]);
+            await connection.query(
+                `INSERT INTO player_stats (player_id, total_deaths) VALUES (?, 1)
+                 ON DUPLICATE KEY UPDATE total_deaths = total_deaths + 1`,
+                [playerId]
+            );
+            if (killerPlayerId) {
+                await connection.query(
+                    `INSERT INTO player_stats (player_id, total_kills) VALUES (?, 1)
+                     ON DUPLICATE KEY UPDATE total_kills = total_kills + 1`,
+                    [killerPlayerId]
+                );
+            }
+
+            const [result] = await connection.query(
+                `INSERT INTO player_deaths (player_id, killer_player_id, cause, server_id, position_x, position_y, position_z)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [playerId, killerPlayerId, cause, serverId, ...where]
+            );
+
+            return { deathId: result.insertId, playerId, killerPlayerId, cause };
+        });
+    }
+
+    /**
+     * Items die een speler in de wereld opraapt. Wat niet in de inventaris past wordt als overflow teruggemeld
+     * zodat de game server het in de wereld kan laten liggen.
+     * @param {Array} items - [{ itemId, quantity }]
+     * @returns {Promise<Array>} - [{ itemId, quantity, overflow }]
+     */
+    async pickupItems(playerId, items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new AppError('items moet een niet-lege lijst zijn', 400);
+        }
+        if (items.length > MAX_PICKUPS_PER_REQUEST) {
+            throw new AppError(`Maximaal ${MAX_PICKUPS_PER_REQUEST} items per request`, 400);
+        }
+        for (const item of items) {
+            if (!itemRegistry.has(item?.itemId)) {
+                throw new AppError(`Onbekend item: ${item?.itemId}`, 400);
+            }
+        }
+
+        return ledger.withTransaction(async (connection) => {
+            const results = [];
+            for (const item of items) {
+                const added = await inventoryManager.addItems(connection, playerId, item.itemId, item.quantity, { partial: true });
+                results.push({ itemId: item.itemId, quantity: added.quantity, overflow: added.overflow });
+            }
+            return results;
+        });
+    }
+
+    /**
+     * Volledige inventaris zoals de game server hem kent; alleen de verschillen worden weggeschreven
+     */
+    async syncInventory(playerId, items) {
+        return inventoryManager.replaceContents(playerId, items);
+    }
+}
+
+module.exports = new PlayerStateManager();
+module.exports.PlayerStateManager = PlayerStateManager;
@@ -0,0 +1,181 @@
+/**
+ * Rolling Update
+ * Vervangt verouderde servers (andere GIT_BRANCH of gewijzigde serverTemplate) batch voor batch:
+ * eerst nieuwe servers in dezelfde regio aanmaken en wachten tot ze online zijn, daarna de oude
+ * servers drainen en wachten tot ze afgesloten zijn. Zo blijft de capaciteit tijdens de update gelijk.
+ * Zit de manager op maxServers, dan wordt per batch eerst gedraind en daarna aangemaakt.
+ * Een oude server die na de drain timeout (plus marge) nog niet weg is wordt geforceerd afgesloten.
+ *
+ * Eén rollout tegelijk; de autoscaler schaalt tijdens de rollout niet af.
+ */
+
+const { ACTIVE_STATUSES } = require('./ServerRegistry');
+
+const POLL_INTERVAL_MS = 5000;
+const DEFAULT_BATCH_SIZE = 1;
+const DEFAULT_READY_TIMEOUT_MS = 10 * 60 * 1000; // nieuwe server moet binnen 10 minuten online zijn
+const DRAIN_GRACE_MS = 2 * 60 * 1000; // na de drain deadline krijgt processDrains nog even de tijd
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class RollingUpdate {
+    constructor() {
+        this.current = null; // status van de lopende (of laatste) rollout
+        this.cancelled = false;
+    }
+
+    isRunning() {
+        return !!(this.current && this.current.state === 'running');
+    }
+
+    status() {
+        return this.current;
+    }
+
+    cancel() {
+        if (!this.isRunning()) return false;
+        this.cancelled = true;
+        return true;
+    }
+
+    /**
+     * Start een rollout op de achtergrond
+     * @param {Object} manager - GameServerManager
+     * @param {Object} options - { batchSize, readyTimeoutMs, drainTimeoutMs } - drainTimeoutMs standaard de drain
+     *                            timeout van de manager
+     * @returns {Promise<Object>} - Status met de servers die vervangen worden
+     */
+    async start(manager, { batchSize = DEFAULT_BATCH_SIZE, readyTimeoutMs = DEFAULT_READY_TIMEOUT_MS, drainTimeoutMs = null } = {}) {
+        if (this.isRunning()) {
+            throw new Error('Er loopt al een rolling update');
+        }
+
+        const outdated = await manager.findOutdatedServers();
+        const size = Math.max(1, parseInt(batchSize) || DEFAULT_BATCH_SIZE);
+
+        this.cancelled = false;
+        this.current = {
+            state: outdated.length > 0 ? 'running' : 'completed',
+            startedAt: new Date(),
+            finishedAt: outdated.length > 0 ? null : new Date(),
+            batchSize: size,
+            total: outdated.length,
+            replaced: 0,
+            pending: outdated.map(({ server, reason }) => ({ serverId: server.serverId, name: server.name, region: server.region, reason })),
+            error: null
+        };
+
+        if (outdated.length === 0) {
+            console.log('[RollingUpdate] ✅ Alle servers draaien al op de huidige template');
+            return this.current;
+        }
+
+        console.log(`[RollingUpdate] 🔄 ${outdated.length} verouderde server(s) vervangen in batches van ${size}`);
+        manager.autoScaler.holdScaleDown('rolling_update');
+
+        this.run(manager, size, readyTimeoutMs, drainTimeoutMs || manager.serverConfig.drainTimeoutMs)
+            .then(() => {
+                this.current.state = this.cancelled ? 'cancelled' : 'completed';
+                console.log(`[RollingUpdate] ${this.cancelled ? '⏹️ Geannuleerd' : '✅ Klaar'}: ${this.current.replaced}/${this.current.total} server(s) vervangen`);
+            })
+            .catch(error => {
+                this.current.state = 'failed';
+                this.current.error = error.message;
+                console.error('[RollingUpdate] ❌ Rolling update gestopt:', error.message);
+            })
+            .finally(() => {
+                this.current.finishedAt = new Date();
+                manager.autoScaler.releaseScaleDown('rolling_update');
+            });
+
+        return this.current;
+    }
+
+    async run(manager, batchSize, readyTimeoutMs, drainTimeoutMs) {
+        while (this.current.pending.length > 0 && !this.cancelled) {
+            const batch = this.current.pending.slice(0, batchSize);
+            const capacityLeft = manager.serverConfig.maxTotalServers - await manager.registry.count();
+
+            // Na een annulering geen volgende stap meer: niet drainen zonder dat de vervangers online zijn
+            if (capacityLeft >= batch.length) {
+                const replacements = await this.createReplacements(manager, batch);
+                await this.waitUntilReady(manager, replacements, readyTimeoutMs);
+                if (this.cancelled) return;
+                await this.drainBatch(manager, batch, drainTimeoutMs);
+            } else {
+                // Geen ruimte voor extra servers: eerst drainen, dan vervangen
+                await this.drainBatch(manager, batch, drainTimeoutMs);
+                if (this.cancelled) return;
+                const replacements = await this.createReplacements(manager, batch);
+                await this.waitUntilReady(manager, replacements, readyTimeoutMs);
+            }
+            if (this.cancelled) return;
+
+            this.current.pending.splice(0, batch.length);
+            this.current.replaced += batch.length;
+        }
+    }
+
+    async createReplacements(manager, batch) {
+        const replacements = [];
+        for (const old of batch) {
+            const server = await manager.createGameServer(null, { region: old.region });
+            await manager.startServer(server.serverId);
+            console.log(`[RollingUpdate] ➕ ${server.name} vervangt ${old.name || old.serverId}`);
+            replacements.push(server.serverId);
+        }
+        return replacements;
+    }
+
+    /**
+     * Wacht tot de nieuwe servers heartbeats sturen met een actieve status
+     */
+    async waitUntilReady(manager, serverIds, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (Date.now() < deadline) {
+            const servers = await Promise.all(serverIds.map(serverId => manager.registry.get(serverId)));
+            if (servers.every(server => server && server.isOnline && ACTIVE_STATUSES.includes(server.status))) {
+                return;
+            }
+            if (this.cancelled) return;
+            await sleep(POLL_INTERVAL_MS);
+        }
+
+        throw new Error(`Nieuwe server(s) ${serverIds.join(', ')} niet binnen ${Math.round(timeoutMs / 1000)}s online; oude servers blijven draaien`);
+    }
+
+    /**
+     * Drain de oude servers en wacht tot ze afgesloten zijn (leeg of drain deadline verstreken).
+     * Stopt bij een annulering; servers die na de timeout plus marge nog bestaan worden geforceerd afgesloten.
+     */
+    async drainBatch(manager, batch, timeoutMs) {
+        for (const old of batch) {
+            if (await manager.registry.get(old.serverId)) {
+                await manager.drainServer(old.serverId, { reason: 'rolling_update', timeoutMs });
+            }
+        }
+
+        const deadline = Date.now() + timeoutMs + DRAIN_GRACE_MS;
+        while (!this.cancelled) {
+            await manager.processDrains();
+            const remaining = (await Promise.all(batch.map(old => manager.registry.get(old.serverId)))).filter(Boolean);
+            if (remaining.length === 0) return;
+
+            if (Date.now() >= deadline) {
+                for (const server of remaining) {
+                    console.warn(`[RollingUpdate] ⏰ ${server.name || server.serverId} niet afgesloten na de drain timeout, wordt geforceerd gestopt`);
+                    // Faalt dit, dan faalt de rollout (state 'failed') in plaats van eindeloos te wachten
+                    await manager.shutdownServer(server.serverId, 'rolling_update_timeout');
+                }
+                return;
+            }
+            await sleep(POLL_INTERVAL_MS);
+        }
+    }
+}
+
+const rollingUpdate = new RollingUpdate();
+
+module.exports = rollingUpdate;
+module.exports.RollingUpdate = RollingUpdate;
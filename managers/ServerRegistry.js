@@ -0,0 +1,413 @@
+/**
+ * Server Registry
+ * Eén gedeelde, MySQL-backed registry van game servers voor de internal routes, de public discovery
+ * routes en de GameServerManager. Alle registraties, status wijzigingen en afmeldingen komen in
+ * game_server_history terecht.
+ */
+
+const db = require('../utils/db');
+
+// Eén heartbeat/staleness beleid voor alle bronnen
+const HEARTBEAT_TIMEOUT_MS = parseInt(process.env.SERVER_HEARTBEAT_TIMEOUT_MS) || 2 * 60 * 1000;
+// Servers die nog nooit een heartbeat stuurden (net aangemaakt via Pterodactyl) krijgen langer de tijd
+const STARTUP_GRACE_MS = parseInt(process.env.SERVER_STARTUP_GRACE_MS) || 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 30000;
+
+// Statussen waarin een server spelers kan ontvangen
+const ACTIVE_STATUSES = ['online', 'running'];
+const OFFLINE_STATUS = 'offline';
+// Draining servers krijgen geen nieuwe spelers en worden verwijderd zodra ze leeg zijn
+const DRAINING_STATUS = 'draining';
+
+class ServerRegistry {
+    constructor() {
+        this.sweepTimer = setInterval(() => {
+            this.sweepStale().catch(error => {
+                console.error('[ServerRegistry] Stale sweep fout:', error.message);
+            });
+        }, SWEEP_INTERVAL_MS);
+        // Commands en scripts mogen niet open blijven staan door deze timer
+        if (this.sweepTimer.unref) this.sweepTimer.unref();
+    }
+
+    /**
+     * Zet een database row om naar een server object
+     */
+    toServer(row) {
+        if (!row) return null;
+
+        let metrics = row.metrics || {};
+        if (typeof metrics === 'string') {
+            try { metrics = JSON.parse(metrics); } catch (e) { metrics = {}; }
+        }
+
+        return {
+            serverId: row.server_id,
+            name: row.name,
+            origin: row.origin,
+            pterodactylId: row.pterodactyl_id,
+            pterodactylUuid: row.pterodactyl_uuid,
+            ip: row.ip,
+            alias: row.alias,
+            port: row.port,
+            maxPlayers: row.max_players,
+            currentPlayers: row.current_players,
+            mapName: row.map_name,
+            gameMode: row.game_mode,
+            region: row.region,
+            version: row.version,
+            serverType: row.server_type,
+            status: row.status,
+            metrics,
+            registeredAt: row.registered_at,
+            lastHeartbeat: row.last_heartbeat,
+            isOnline: this.isAlive(row)
+        };
+    }
+
+    /**
+     * Leeft de server volgens het heartbeat beleid?
+     * @param {Object} row - Database row of server object
+     */
+    isAlive(row) {
+        const status = row.status;
+        if (status === OFFLINE_STATUS) return false;
+
+        const lastHeartbeat = row.last_heartbeat || row.lastHeartbeat;
+        if (lastHeartbeat) {
+            return Date.now() - new Date(lastHeartbeat).getTime() < HEARTBEAT_TIMEOUT_MS;
+        }
+
+        const registeredAt = row.registered_at || row.registeredAt;
+        return !!registeredAt && Date.now() - new Date(registeredAt).getTime() < STARTUP_GRACE_MS;
+    }
+
+    /**
+     * Registreer (of her-registreer) een server
+     * @param {Object} info - Server info (camelCase velden zoals in toServer)
+     * @returns {Promise<Object>} - Geregistreerde server
+     */
+    async register(info) {
+        if (!info.serverId) {
+            throw new Error('serverId is verplicht');
+        }
+
+        const existing = await this.get(info.serverId);
+        // Net als bij de heartbeat heft een her-registratie een drain niet op
+        const status = existing && existing.status === DRAINING_STATUS && info.status !== OFFLINE_STATUS
+            ? DRAINING_STATUS
+            : info.status || 'starting';
+        // De origin blijft die van de eerste registratie (een door de manager gestarte server meldt zich als internal)
+        const origin = existing ? existing.origin : info.origin || 'internal';
+
+        await db.query(
+            `INSERT INTO game_servers
+                (server_id, name, origin, pterodactyl_id, pterodactyl_uuid, ip, alias, port, max_players,
+                 current_players, map_name, game_mode, region, version, server_type, status, metrics,
+                 registered_at, last_heartbeat)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?)
+             ON DUPLICATE KEY UPDATE
+                name = COALESCE(VALUES(name), name),
+                pterodactyl_id = COALESCE(VALUES(pterodactyl_id), pterodactyl_id),
+                pterodactyl_uuid = COALESCE(VALUES(pterodactyl_uuid), pterodactyl_uuid),
+                ip = COALESCE(VALUES(ip), ip),
+                alias = COALESCE(VALUES(alias), alias),
+                port = COALESCE(VALUES(port), port),
+                max_players = VALUES(max_players),
+                current_players = VALUES(current_players),
+                map_name = COALESCE(VALUES(map_name), map_name),
+                game_mode = COALESCE(VALUES(game_mode), game_mode),
+                region = COALESCE(VALUES(region), region),
+                version = COALESCE(VALUES(version), version),
+                server_type = COALESCE(VALUES(server_type), server_type),
+                status = VALUES(status),
+                metrics = VALUES(metrics),
+                registered_at = NOW(),
+                last_heartbeat = VALUES(last_heartbeat)`,
+            [
+                info.serverId,
+                info.name || null,
+                origin,
+                info.pterodactylId || null,
+                info.pterodactylUuid || null,
+                info.ip || null,
+                info.alias || null,
+                info.port ? parseInt(info.port) : null,
+                parseInt(info.maxPlayers) || 50,
+                parseInt(info.currentPlayers) || 0,
+                info.mapName || null,
+                info.gameMode || null,
+                info.region || null,
+                info.version || null,
+                info.serverType || null,
+                status,
+                JSON.stringify(info.metrics || {}),
+                // Door de manager aangemaakte servers hebben nog geen heartbeat gestuurd
+                info.origin === 'manager' ? null : new Date()
+            ]
+        );
+
+        await this.recordHistory(info.serverId, 'registered', {
+            oldStatus: existing ? existing.status : null,
+            newStatus: status,
+            details: { origin, port: info.port || null }
+        });
+
+        return this.get(info.serverId);
+    }
+
+    /**
+     * Verwerk een heartbeat; alleen meegegeven velden worden bijgewerkt
+     * @returns {Promise<Object|null>} - Bijgewerkte server of null als hij niet geregistreerd is
+     */
+    async heartbeat(serverId, { currentPlayers, status, metrics } = {}) {
+        const server = await this.get(serverId);
+        if (!server) return null;
+
+        // Een drain wordt alleen door de master server opgeheven, niet door de heartbeat van de game server
+        const newStatus = server.status === DRAINING_STATUS && status !== OFFLINE_STATUS
+            ? DRAINING_STATUS
+            : status || (server.status === OFFLINE_STATUS ? 'online' : server.status);
+        const newPlayers = currentPlayers !== undefined && currentPlayers !== null
+            ? parseInt(currentPlayers) || 0
+            : server.currentPlayers;
+
+        await db.query(
+            `UPDATE game_servers
+             SET current_players = ?, status = ?, metrics = ?, last_heartbeat = NOW()
+             WHERE server_id = ?`,
+            [newPlayers, newStatus, JSON.stringify({ ...server.metrics, ...(metrics || {}) }), serverId]
+        );
+
+        if (newStatus !== server.status) {
+            await this.recordHistory(serverId, 'status_changed', {
+                oldStatus: server.status,
+                newStatus,
+                details: { reason: 'heartbeat' }
+            });
+        }
+
+        return this.get(serverId);
+    }
+
+    /**
+     * Zet de status van een server
+     * @param {Object} options - { touchHeartbeat, reason }
+     * @returns {Promise<Object|null>}
+     */
+    async updateStatus(serverId, status, { touchHeartbeat = false, reason = null } = {}) {
+        const server = await this.get(serverId);
+        if (!server) return null;
+
+        await db.query(
+            `UPDATE game_servers SET status = ?${touchHeartbeat ? ', last_heartbeat = NOW()' : ''} WHERE server_id = ?`,
+            [status, serverId]
+        );
+
+        if (status !== server.status) {
+            await this.recordHistory(serverId, 'status_changed', {
+                oldStatus: server.status,
+                newStatus: status,
+                details: reason ? { reason } : null
+            });
+        }
+
+        return this.get(serverId);
+    }
+
+    /**
+     * Pas het spelersaantal direct aan bij een join/leave event (de volgende heartbeat corrigeert eventuele afwijkingen)
+     */
+    async adjustPlayerCount(serverId, delta) {
+        await db.query(
+            'UPDATE game_servers SET current_players = GREATEST(0, current_players + ?) WHERE server_id = ?',
+            [delta, serverId]
+        );
+    }
+
+    /**
+     * Meld een server af en verwijder hem uit de registry
+     * @returns {Promise<boolean>} - true als de server geregistreerd was
+     */
+    async unregister(serverId, reason = null) {
+        const server = await this.get(serverId);
+        if (!server) return false;
+
+        await db.query('DELETE FROM game_servers WHERE server_id = ?', [serverId]);
+        // De wereld van deze server bestaat niet meer, dus ook zijn mining nodes niet
+        await db.query('DELETE FROM mining_nodes WHERE server_id = ?', [serverId]);
+        await db.query('DELETE FROM player_servers WHERE server_id = ?', [serverId]);
+        await this.clearDrain(serverId);
+        await this.recordHistory(serverId, 'unregistered', {
+            oldStatus: server.status,
+            newStatus: null,
+            details: reason ? { reason } : null
+        });
+        return true;
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async get(serverId) {
+        const [row] = await db.query('SELECT * FROM game_servers WHERE server_id = ?', [serverId]);
+        return this.toServer(row);
+    }
+
+    /**
+     * Lijst van servers
+     * @param {Object} options - { includeOffline }
+     * @returns {Promise<Object[]>}
+     */
+    async list({ includeOffline = false } = {}) {
+        const rows = includeOffline
+            ? await db.query('SELECT * FROM game_servers ORDER BY registered_at')
+            : await db.query('SELECT * FROM game_servers WHERE status <> ? ORDER BY registered_at', [OFFLINE_STATUS]);
+        return rows.map(row => this.toServer(row));
+    }
+
+    /**
+     * Servers die leven en spelers kunnen ontvangen
+     * @returns {Promise<Object[]>}
+     */
+    async getActive() {
+        const servers = await this.list();
+        return servers.filter(server => server.isOnline && ACTIVE_STATUSES.includes(server.status));
+    }
+
+    /**
+     * Vind de minst volle actieve server met ruimte
+     * @param {string} preferredServerId - Voorkeur server (optioneel)
+     * @returns {Promise<Object|null>}
+     */
+    async findAvailable(preferredServerId = null) {
+        const active = (await this.getActive()).filter(server => server.currentPlayers < server.maxPlayers);
+
+        if (preferredServerId) {
+            const preferred = active.find(server => server.serverId === preferredServerId);
+            if (preferred) return preferred;
+        }
+
+        active.sort((a, b) => a.currentPlayers - b.currentPlayers);
+        return active[0] || null;
+    }
+
+    /**
+     * Aantal servers dat niet offline is
+     * @returns {Promise<number>}
+     */
+    async count() {
+        const [row] = await db.query('SELECT COUNT(*) as count FROM game_servers WHERE status <> ?', [OFFLINE_STATUS]);
+        return row ? row.count : 0;
+    }
+
+    /**
+     * Markeer servers die het heartbeat beleid niet halen als offline
+     * @returns {Promise<string[]>} - IDs van servers die offline gezet zijn
+     */
+    async sweepStale() {
+        const rows = await db.query('SELECT * FROM game_servers WHERE status <> ?', [OFFLINE_STATUS]);
+        const staleIds = [];
+
+        for (const row of rows) {
+            if (this.isAlive(row)) continue;
+
+            await db.query('UPDATE game_servers SET status = ? WHERE server_id = ?', [OFFLINE_STATUS, row.server_id]);
+            await this.recordHistory(row.server_id, 'status_changed', {
+                oldStatus: row.status,
+                newStatus: OFFLINE_STATUS,
+                details: { reason: 'stale', lastHeartbeat: row.last_heartbeat }
+            });
+            staleIds.push(row.server_id);
+            console.log(`[ServerRegistry] 🧹 Server ${row.server_id} offline gezet (geen heartbeat)`);
+        }
+
+        return staleIds;
+    }
+
+    /**
+     * Zet een server op draining tot hij leeg is of de deadline verstrijkt
+     * @param {Object} options - { reason, deadline }
+     * @returns {Promise<Object|null>} - Bijgewerkte server
+     */
+    async startDrain(serverId, { reason = null, deadline }) {
+        const server = await this.updateStatus(serverId, DRAINING_STATUS, { reason: reason ? `drain:${reason}` : 'drain' });
+        if (!server) return null;
+
+        // Een bestaande drain houdt zijn (eerdere) deadline
+        await db.query(
+            `INSERT INTO game_server_drains (server_id, reason, deadline) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE deadline = LEAST(deadline, VALUES(deadline))`,
+            [serverId, reason, deadline]
+        );
+        return server;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - { serverId, reason, deadline, startedAt }
+     */
+    async getDrain(serverId) {
+        const [row] = await db.query('SELECT * FROM game_server_drains WHERE server_id = ?', [serverId]);
+        return row ? { serverId: row.server_id, reason: row.reason, deadline: row.deadline, startedAt: row.started_at } : null;
+    }
+
+    /**
+     * @returns {Promise<Object[]>}
+     */
+    async listDrains() {
+        const rows = await db.query('SELECT * FROM game_server_drains ORDER BY started_at');
+        return rows.map(row => ({ serverId: row.server_id, reason: row.reason, deadline: row.deadline, startedAt: row.started_at }));
+    }
+
+    async clearDrain(serverId) {
+        await db.query('DELETE FROM game_server_drains WHERE server_id = ?', [serverId]);
+    }
+
+    /**
+     * Wat een game server in zijn heartbeat response te horen krijgt over nieuwe spelers
+     * @returns {Promise<Object>} - { acceptingPlayers, draining, drainDeadline }
+     */
+    async getAdmissionState(server) {
+        if (server.status !== DRAINING_STATUS) {
+            return { acceptingPlayers: true, draining: false, drainDeadline: null };
+        }
+        const drain = await this.getDrain(server.serverId);
+        return {
+            acceptingPlayers: false,
+            draining: true,
+            drainDeadline: drain ? new Date(drain.deadline).toISOString() : null
+        };
+    }
+
+    /**
+     * Leg een registry event vast
+     */
+    async recordHistory(serverId, event, { oldStatus = null, newStatus = null, details = null } = {}) {
+        await db.query(
+            `INSERT INTO game_server_history (server_id, event, old_status, new_status, details)
+             VALUES (?, ?, ?, ?, ?)`,
+            [serverId, event, oldStatus, newStatus, details ? JSON.stringify(details) : null]
+        );
+    }
+
+    /**
+     * Haal de history van een server op (nieuwste eerst)
+     * @returns {Promise<Object[]>}
+     */
+    async getHistory(serverId, limit = 50) {
+        const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+        return db.query(
+            `SELECT * FROM game_server_history WHERE server_id = ? ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+            [serverId]
+        );
+    }
+}
+
+const serverRegistry = new ServerRegistry();
+
+module.exports = serverRegistry;
+module.exports.ServerRegistry = ServerRegistry;
+module.exports.HEARTBEAT_TIMEOUT_MS = HEARTBEAT_TIMEOUT_MS;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+module.exports.DRAINING_STATUS = DRAINING_STATUS;
+module.exports.OFFLINE_STATUS = OFFLINE_STATUS;
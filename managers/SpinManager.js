@@ -0,0 +1,480 @@
+/**
+ * Spin Manager
+ * Dagelijkse oven spins. Elke gebruiker krijgt per kalenderdag één gratis spin (users.oven_spins, gereset
+ * via last_oven_reset); daarna kost een spin de spinPrice van de drop table in SKAFF (naar system:oven).
+ *
+ * Een spin trekt één entry uit een gewogen drop table (oven_spin_tables): SKAFF uit de mint, een item of een
+ * cosmetic in de inventaris van de gekozen speler. Na pityThreshold spins zonder rare (of beter) resultaat
+ * wordt alleen uit de rare entries getrokken. Elke spin komt met de worp en de versie van de tabel in
+ * oven_spin_log, zodat de gepubliceerde kansen achteraf te controleren zijn.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const ledger = require('../utils/ledger');
+const inventoryManager = require('./InventoryManager');
+const itemRegistry = require('./ItemRegistry');
+const { RARITIES } = itemRegistry;
+const { AppError } = require('../middleware/errorHandler');
+
+const REWARD_TYPES = ['skaff', 'item', 'cosmetic'];
+const RARE_RARITIES = ['rare', 'epic', 'legendary'];
+const DAILY_FREE_SPINS = 1;
+const DEFAULT_TABLE = 'daily';
+const MAX_ENTRIES = 50;
+const MAX_LOG_LIMIT = 200;
+const ID_PATTERN = /^[a-z0-9_]{2,50}$/;
+
+const DEFAULT_TABLES = [
+    {
+        id: DEFAULT_TABLE,
+        name: 'Dagelijkse oven spin',
+        spinPrice: 100,
+        pityThreshold: 30,
+        entries: [
+            { id: 'skaff_small', type: 'skaff', quantity: 50, weight: 400, rarity: 'common' },
+            { id: 'skaff_medium', type: 'skaff', quantity: 150, weight: 150, rarity: 'uncommon' },
+            { id: 'coal', type: 'item', itemId: 'coal', quantity: 8, weight: 200 },
+            { id: 'raw_gold', type: 'item', itemId: 'raw_gold', quantity: 4, weight: 120 },
+            { id: 'health_potion', type: 'item', itemId: 'health_potion', quantity: 2, weight: 80 },
+            { id: 'miner_outfit', type: 'cosmetic', itemId: 'skin_002', quantity: 1, weight: 30 },
+            { id: 'golden_pickaxe_skin', type: 'cosmetic', itemId: 'tool_001', quantity: 1, weight: 10 },
+            { id: 'skaff_jackpot', type: 'skaff', quantity: 1000, weight: 8, rarity: 'epic' },
+            { id: 'diamond_pickaxe', type: 'item', itemId: 'diamond_pickaxe', quantity: 1, weight: 2 }
+        ]
+    }
+];
+
+function nonNegativeInteger(value, field) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+        throw new AppError(`${field} moet een geheel getal van 0 of meer zijn`, 400);
+    }
+    return value;
+}
+
+function positiveInteger(value, field) {
+    if (!Number.isSafeInteger(value) || value < 1) {
+        throw new AppError(`${field} moet een positief geheel getal zijn`, 400);
+    }
+    return value;
+}
+
+function normalizeEntry(entry, index) {
+    const label = `Entry ${index + 1}`;
+    if (!entry || typeof entry !== 'object') {
+        throw new AppError(`${label} moet een object zijn`, 400);
+    }
+    if (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id)) {
+        throw new AppError(`${label}: id moet 2-50 tekens zijn (kleine letters, cijfers en _)`, 400);
+    }
+    if (!REWARD_TYPES.includes(entry.type)) {
+        throw new AppError(`${label}: type moet een van ${REWARD_TYPES.join(', ')} zijn`, 400);
+    }
+
+    let rarity = entry.rarity;
+    let itemId = null;
+    if (entry.type !== 'skaff') {
+        const item = itemRegistry.get(entry.itemId);
+        if (!item) {
+            throw new AppError(`${label}: onbekend item ${entry.itemId}`, 400);
+        }
+        if ((entry.type === 'cosmetic') !== (item.category === 'cosmetics')) {
+            throw new AppError(`${label}: ${item.id} is ${entry.type === 'cosmetic' ? 'geen' : 'een'} cosmetic`, 400);
+        }
+        itemId = item.id;
+        rarity = rarity || item.rarity;
+    }
+    rarity = rarity || 'common';
+    if (!RARITIES.includes(rarity)) {
+        throw new AppError(`${label}: ongeldige rarity, kies uit: ${RARITIES.join(', ')}`, 400);
+    }
+
+    return {
+        id: entry.id,
+        type: entry.type,
+        itemId,
+        quantity: positiveInteger(entry.quantity, `${label}: quantity`),
+        weight: positiveInteger(entry.weight, `${label}: weight`),
+        rarity
+    };
+}
+
+function normalizeTable(input, existing = null) {
+    const table = {
+        spinPrice: 0,
+        pityThreshold: 0,
+        active: true,
+        ...existing,
+        ...input
+    };
+    if (existing) {
+        table.id = existing.id;
+    }
+
+    if (typeof table.id !== 'string' || !ID_PATTERN.test(table.id)) {
+        throw new AppError('Tabel ID moet 2-50 tekens zijn (kleine letters, cijfers en _)', 400);
+    }
+    if (typeof table.name !== 'string' || !table.name.trim()) {
+        throw new AppError('Naam is vereist', 400);
+    }
+    if (typeof table.active !== 'boolean') {
+        throw new AppError('active moet true of false zijn', 400);
+    }
+    if (!Array.isArray(table.entries) || table.entries.length === 0 || table.entries.length > MAX_ENTRIES) {
+        throw new AppError(`entries moet een lijst van 1 tot ${MAX_ENTRIES} entries zijn`, 400);
+    }
+
+    const entries = table.entries.map(normalizeEntry);
+    if (new Set(entries.map(entry => entry.id)).size !== entries.length) {
+        throw new AppError('Entry IDs moeten uniek zijn', 400);
+    }
+
+    const pityThreshold = nonNegativeInteger(table.pityThreshold, 'pityThreshold');
+    if (pityThreshold > 0 && !entries.some(isRare)) {
+        throw new AppError(`Een pity threshold vereist minstens één entry met rarity ${RARE_RARITIES.join('/')}`, 400);
+    }
+
+    return {
+        id: table.id,
+        name: table.name.trim(),
+        spinPrice: nonNegativeInteger(table.spinPrice, 'spinPrice'),
+        pityThreshold,
+        active: table.active,
+        entries
+    };
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        spinPrice: Number(row.spin_price),
+        pityThreshold: row.pity_threshold,
+        active: !!row.active,
+        version: row.version,
+        entries: (typeof row.entries === 'string' ? JSON.parse(row.entries) : row.entries) || [],
+        updatedAt: row.updated_at
+    };
+}
+
+function isRare(entry) {
+    return RARE_RARITIES.includes(entry.rarity);
+}
+
+/**
+ * Trek een entry naar gewicht
+ * @returns {Object} - { entry, roll, totalWeight }
+ */
+function draw(entries) {
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    const roll = crypto.randomInt(totalWeight);
+
+    let cumulative = 0;
+    for (const entry of entries) {
+        cumulative += entry.weight;
+        if (roll < cumulative) {
+            return { entry, roll, totalWeight };
+        }
+    }
+}
+
+function isSameDay(a, b) {
+    return a.getDate() === b.getDate() && a.getMonth() === b.getMonth() && a.getFullYear() === b.getFullYear();
+}
+
+/**
+ * Vul een lege oven_spin_tables tabel met de standaard drop tables
+ * @param {Function} query - db.query functie (doorgegeven vanuit de migraties)
+ */
+async function seedDefaults(query = db.query) {
+    const existing = await query('SELECT COUNT(*) as count FROM oven_spin_tables');
+    if (existing[0] && existing[0].count === 0) {
+        for (const table of DEFAULT_TABLES.map(definition => normalizeTable(definition))) {
+            await query(
+                'INSERT IGNORE INTO oven_spin_tables (id, name, spin_price, pity_threshold, active, entries) VALUES (?, ?, ?, ?, ?, ?)',
+                [table.id, table.name, table.spinPrice, table.pityThreshold, table.active, JSON.stringify(table.entries)]
+            );
+        }
+        console.log('Standaard oven spin tabellen aangemaakt');
+    }
+}
+
+class SpinManager {
+    /**
+     * Alle drop tables (admin), inclusief inactieve
+     */
+    async listTables() {
+        const rows = await db.query('SELECT * FROM oven_spin_tables ORDER BY id');
+        return rows.map(fromRow);
+    }
+
+    async getTable(tableId) {
+        const [row] = await db.query('SELECT * FROM oven_spin_tables WHERE id = ?', [tableId]);
+        if (!row) {
+            throw new AppError('Drop table niet gevonden', 404);
+        }
+        return fromRow(row);
+    }
+
+    /**
+     * Maak een drop table aan of vervang hem; elke wijziging verhoogt de versie
+     * @param {Object} definition - { name, spinPrice, pityThreshold, active, entries }
+     */
+    async saveTable(tableId, definition) {
+        const [row] = await db.query('SELECT * FROM oven_spin_tables WHERE id = ?', [tableId]);
+        const existing = row ? fromRow(row) : null;
+        const changes = Object.fromEntries(Object.entries(definition).filter(([, value]) => value !== undefined));
+        const table = normalizeTable({ ...changes, id: tableId }, existing);
+
+        const result = await db.query(
+            `INSERT INTO oven_spin_tables (id, name, spin_price, pity_threshold, active, entries)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE name = VALUES(name), spin_price = VALUES(spin_price), pity_threshold = VALUES(pity_threshold),
+                 active = VALUES(active), entries = VALUES(entries), version = version + 1`,
+            [table.id, table.name, table.spinPrice, table.pityThreshold, table.active, JSON.stringify(table.entries)]
+        );
+        if (result.affectedRows === undefined) {
+            throw new AppError('Geen database beschikbaar, de drop tables zijn alleen-lezen', 503);
+        }
+
+        console.log(`[SpinManager] ${existing ? '✏️ Drop table bijgewerkt' : '➕ Drop table toegevoegd'}: ${table.id}`);
+        return this.getTable(table.id);
+    }
+
+    /**
+     * Gepubliceerde kansen van een actieve drop table, met de waargenomen uitkomsten uit de log voor deze versie
+     */
+    async getOdds(tableId = DEFAULT_TABLE) {
+        const table = await this.getTable(tableId);
+        if (!table.active) {
+            throw new AppError('Drop table niet gevonden', 404);
+        }
+
+        const totalWeight = table.entries.reduce((sum, entry) => sum + entry.weight, 0);
+        const observed = await db.query(
+            'SELECT entry_id, COUNT(*) AS count FROM oven_spin_log WHERE table_id = ? AND table_version = ? GROUP BY entry_id',
+            [table.id, table.version]
+        );
+        const counts = new Map(observed.map(row => [row.entry_id, Number(row.count)]));
+        const totalSpins = [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+        return {
+            tableId: table.id,
+            name: table.name,
+            version: table.version,
+            spinPrice: table.spinPrice,
+            dailyFreeSpins: DAILY_FREE_SPINS,
+            pityThreshold: table.pityThreshold,
+            pityRarities: RARE_RARITIES,
+            totalSpins,
+            entries: table.entries.map(entry => ({
+                id: entry.id,
+                type: entry.type,
+                itemId: entry.itemId,
+                name: entry.itemId ? itemRegistry.get(entry.itemId)?.name || entry.itemId : `${entry.quantity} SKAFF`,
+                quantity: entry.quantity,
+                rarity: entry.rarity,
+                // Kans zonder pity; observedCount telt ook pity spins mee
+                chance: Math.round(entry.weight / totalWeight * 1e6) / 1e4,
+                observedCount: counts.get(entry.id) || 0
+            }))
+        };
+    }
+
+    /**
+     * Gratis spins en pity teller van een gebruiker
+     */
+    async getStatus(userId, tableId = DEFAULT_TABLE) {
+        const [user] = await db.query('SELECT oven_spins, last_oven_reset FROM users WHERE id = ?', [userId]);
+        if (!user) {
+            throw new AppError('Gebruiker niet gevonden', 404);
+        }
+        const table = await this.getTable(tableId);
+        const [pity] = await db.query(
+            'SELECT spins_since_rare FROM oven_spin_pity WHERE user_id = ? AND table_id = ?',
+            [userId, table.id]
+        );
+
+        const now = new Date();
+        const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        const spinsSinceRare = pity ? pity.spins_since_rare : 0;
+
+        return {
+            tableId: table.id,
+            freeSpins: this.freeSpinsOf(user, now),
+            nextReset: tomorrow,
+            spinPrice: table.spinPrice,
+            spinsSinceRare,
+            spinsUntilPity: table.pityThreshold > 0 ? Math.max(1, table.pityThreshold - spinsSinceRare) : null
+        };
+    }
+
+    /**
+     * Voer een spin uit: gratis als er nog een gratis spin is, anders alleen met buy (kost spinPrice SKAFF).
+     * Er wordt pas getrokken als elke item reward van de tabel in de inventaris past.
+     * @param {Object} player - { id, userId } (req.targetPlayer); item rewards gaan naar deze speler
+     * @param {Object} options - { tableId, buy }
+     */
+    async spin(player, { tableId = DEFAULT_TABLE, buy = false } = {}) {
+        return ledger.withTransaction(async (connection) => {
+            const [[row]] = await connection.query('SELECT * FROM oven_spin_tables WHERE id = ?', [tableId]);
+            const table = row && fromRow(row);
+            if (!table || !table.active) {
+                throw new AppError('Drop table niet gevonden', 404);
+            }
+
+            const now = new Date();
+            const [[user]] = await connection.query(
+                'SELECT oven_spins, last_oven_reset FROM users WHERE id = ? FOR UPDATE',
+                [player.userId]
+            );
+            if (!user) {
+                throw new AppError('Gebruiker niet gevonden', 404);
+            }
+
+            // Eerst controleren of elke item reward past: een spin die achteraf niet uitgekeerd kan worden zou
+            // teruggedraaid worden en dan opnieuw gedaan kunnen worden, zonder dat de worp in de log staat
+            const state = await inventoryManager.lock(connection, player.id);
+            const blocked = table.entries.find(entry =>
+                entry.type !== 'skaff' && inventoryManager.capacityFor(state, entry.itemId) < entry.quantity);
+            if (blocked) {
+                throw new AppError(`Maak eerst ruimte in je inventaris: er moet ${blocked.quantity}x ${itemRegistry.get(blocked.itemId)?.name || blocked.itemId} in passen`, 400);
+            }
+
+            const freeSpins = this.freeSpinsOf(user, now);
+            const spinId = uuidv4();
+            let spinType = 'free';
+            let cost = 0;
+
+            if (freeSpins > 0) {
+                await connection.query(
+                    'UPDATE users SET oven_spins = ?, last_oven_reset = ? WHERE id = ?',
+                    [freeSpins - 1, now, player.userId]
+                );
+            } else if (!buy) {
+                throw new AppError(`Geen gratis spin meer vandaag; een extra spin kost ${table.spinPrice} SKAFF`, 400);
+            } else {
+                spinType = 'paid';
+                cost = table.spinPrice;
+                if (cost > 0) {
+                    try {
+                        await ledger.transfer(connection, {
+                            from: ledger.walletAccount(player.userId),
+                            to: ledger.SYSTEM_ACCOUNTS.OVEN,
+                            amount: cost,
+                            type: 'oven_spin',
+                            description: `Oven spin: ${table.name}`,
+                            referenceId: spinId,
+                            createdBy: player.userId
+                        });
+                    } catch (error) {
+                        if (error instanceof ledger.InsufficientFundsError) {
+                            throw new AppError(`Niet genoeg SKAFF. Je hebt ${error.balance}, maar een spin kost ${cost}`, 400);
+                        }
+                        throw error;
+                    }
+                }
+            }
+
+            // Pity: na pityThreshold - 1 spins zonder rare resultaat is de volgende gegarandeerd rare
+            const [[pity]] = await connection.query(
+                'SELECT spins_since_rare FROM oven_spin_pity WHERE user_id = ? AND table_id = ? FOR UPDATE',
+                [player.userId, table.id]
+            );
+            const spinsSinceRare = pity ? pity.spins_since_rare : 0;
+            const pityTriggered = table.pityThreshold > 0 && spinsSinceRare + 1 >= table.pityThreshold;
+
+            const { entry, roll, totalWeight } = draw(pityTriggered ? table.entries.filter(isRare) : table.entries);
+            const nextSpinsSinceRare = isRare(entry) ? 0 : spinsSinceRare + 1;
+
+            await connection.query(
+                `INSERT INTO oven_spin_pity (user_id, table_id, spins_since_rare) VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE spins_since_rare = VALUES(spins_since_rare)`,
+                [player.userId, table.id, nextSpinsSinceRare]
+            );
+
+            if (entry.type === 'skaff') {
+                await ledger.transfer(connection, {
+                    from: ledger.SYSTEM_ACCOUNTS.MINT,
+                    to: ledger.walletAccount(player.userId),
+                    amount: entry.quantity,
+                    type: 'oven_reward',
+                    description: `Oven spin reward: ${table.name}`,
+                    referenceId: spinId,
+                    createdBy: player.userId
+                });
+            } else {
+                // Past altijd: de ruimte is hierboven al gecontroleerd en de inventaris is gelockt
+                await inventoryManager.addItems(connection, player.id, entry.itemId, entry.quantity);
+            }
+
+            await connection.query(
+                `INSERT INTO oven_spin_log
+                    (id, user_id, player_id, table_id, table_version, spin_type, cost, entry_id, reward_type, item_id, quantity,
+                     rarity, roll, total_weight, pity_triggered)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [spinId, player.userId, player.id, table.id, table.version, spinType, cost, entry.id, entry.type, entry.itemId,
+                    entry.quantity, entry.rarity, roll, totalWeight, pityTriggered]
+            );
+
+            return {
+                spinId,
+                tableId: table.id,
+                spinType,
+                cost,
+                reward: {
+                    entryId: entry.id,
+                    type: entry.type,
+                    itemId: entry.itemId,
+                    quantity: entry.quantity,
+                    rarity: entry.rarity
+                },
+                pityTriggered,
+                freeSpinsLeft: Math.max(0, freeSpins - 1),
+                spinsSinceRare: nextSpinsSinceRare
+            };
+        });
+    }
+
+    /**
+     * Spin log, nieuwste eerst
+     * @param {Object} filters - { userId, tableId, limit }
+     */
+    async getLog({ userId, tableId, limit } = {}) {
+        const conditions = [];
+        const params = [];
+        if (userId) {
+            conditions.push('user_id = ?');
+            params.push(userId);
+        }
+        if (tableId) {
+            conditions.push('table_id = ?');
+            params.push(tableId);
+        }
+        const count = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LOG_LIMIT);
+
+        return db.query(
+            `SELECT * FROM oven_spin_log ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY created_at DESC LIMIT ${count}`,
+            params
+        );
+    }
+
+    /**
+     * Gratis spins die een gebruiker nu heeft (nieuwe kalenderdag = weer DAILY_FREE_SPINS)
+     */
+    freeSpinsOf(user, now) {
+        if (!user.last_oven_reset || !isSameDay(new Date(user.last_oven_reset), now)) {
+            return DAILY_FREE_SPINS;
+        }
+        return Math.max(0, Number(user.oven_spins) || 0);
+    }
+}
+
+const spinManager = new SpinManager();
+
+module.exports = spinManager;
+module.exports.SpinManager = SpinManager;
+module.exports.DEFAULT_TABLES = DEFAULT_TABLES;
+module.exports.seedDefaults = seedDefaults;
@@ -0,0 +1,443 @@
+/**
+ * Trade Manager
+ * Ruilhandel tussen twee spelers met escrow. Alles wat een speler aanbiedt gaat direct in escrow:
+ * items verhuizen van inventory_items naar trade_items en SKAFF gaat naar het system:escrow ledger account.
+ * Zo kan een aangeboden item niet tegelijk verkocht of verplaatst worden.
+ *
+ * Beide spelers moeten bevestigen; elke wijziging aan het aanbod zet beide bevestigingen terug. Na de tweede
+ * bevestiging wordt de ruil in één database transactie uitgevoerd. Een trade die niet op tijd rond is
+ * verloopt en alles gaat terug naar de eigenaar.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const ledger = require('../utils/ledger');
+const inventory = require('../utils/inventory');
+const itemRegistry = require('./ItemRegistry');
+const { AppError } = require('../middleware/errorHandler');
+
+const TRADE_TTL_MS = (parseInt(process.env.TRADE_EXPIRY_MINUTES) || 15) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+const SIDES = ['initiator', 'partner'];
+
+class TradeManager {
+    constructor() {
+        this.sweepTimer = setInterval(() => {
+            this.expireTrades().catch(error => {
+                console.error('[TradeManager] Fout bij verlopen trades:', error.message);
+            });
+        }, SWEEP_INTERVAL_MS);
+        if (this.sweepTimer.unref) this.sweepTimer.unref();
+    }
+
+    /**
+     * Open een trade tussen twee spelers
+     * @param {string} userId - Gebruiker die de trade opent (eigenaar van playerId)
+     * @param {string} playerId - Speler van de initiator
+     * @param {string} partnerPlayerId - Speler waarmee geruild wordt
+     * @returns {Promise<Object>} - De nieuwe trade
+     */
+    async openTrade(userId, playerId, partnerPlayerId) {
+        const [player] = await db.query('SELECT id, user_id FROM players WHERE id = ?', [playerId]);
+        if (!player || player.user_id !== userId) {
+            throw new AppError('Speler niet gevonden of niet van jou', 403);
+        }
+
+        const [partner] = await db.query('SELECT id, user_id FROM players WHERE id = ?', [partnerPlayerId]);
+        if (!partner) {
+            throw new AppError('Handelspartner niet gevonden', 404);
+        }
+        if (partner.user_id === userId) {
+            throw new AppError('Je kunt niet met jezelf handelen', 400);
+        }
+
+        const [existing] = await db.query(
+            `SELECT id FROM trades
+             WHERE status = 'open' AND expires_at > NOW()
+               AND ((initiator_player_id = ? AND partner_player_id = ?) OR (initiator_player_id = ? AND partner_player_id = ?))`,
+            [playerId, partnerPlayerId, partnerPlayerId, playerId]
+        );
+        if (existing) {
+            throw new AppError(`Er staat al een open trade tussen deze spelers (${existing.id})`, 409);
+        }
+
+        const tradeId = uuidv4();
+        await db.query(
+            `INSERT INTO trades (id, initiator_player_id, initiator_user_id, partner_player_id, partner_user_id, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [tradeId, playerId, userId, partnerPlayerId, partner.user_id, new Date(Date.now() + TRADE_TTL_MS)]
+        );
+
+        console.log(`[TradeManager] 🤝 Trade ${tradeId} geopend: ${playerId} -> ${partnerPlayerId}`);
+        return this.getTrade(tradeId, userId);
+    }
+
+    /**
+     * Haal een trade op (alleen voor de twee deelnemers)
+     */
+    async getTrade(tradeId, userId) {
+        await this.expireTrades(tradeId);
+
+        const [trade] = await db.query('SELECT * FROM trades WHERE id = ?', [tradeId]);
+        if (!trade) {
+            throw new AppError('Trade niet gevonden', 404);
+        }
+        this.sideOf(trade, userId);
+
+        const items = await db.query('SELECT * FROM trade_items WHERE trade_id = ? ORDER BY created_at', [tradeId]);
+        const names = await this.playerNames([trade]);
+        return this.formatTrade(trade, items, names);
+    }
+
+    /**
+     * Zet (een deel van) een inventory stack in escrow
+     * @param {string} inventoryItemId - inventory_items.id van de aanbieder
+     * @param {number} quantity - Aantal; standaard de hele stack
+     */
+    async addItem(tradeId, userId, inventoryItemId, quantity = null) {
+        await this.modifyOffer(tradeId, userId, async (connection, trade, side) => {
+            const playerId = trade[`${side}_player_id`];
+            const item = await inventory.lockItem(connection, playerId, inventoryItemId);
+            if (!item) {
+                throw new AppError('Item niet gevonden in je inventory', 404);
+            }
+            if (!itemRegistry.isTradeable(item.item_id)) {
+                throw new AppError('Dit item kan niet verhandeld worden', 400);
+            }
+
+            const amount = quantity === null ? item.quantity : quantity;
+            if (!Number.isSafeInteger(amount) || amount < 1 || amount > item.quantity) {
+                throw new AppError(`Ongeldig aantal, je hebt ${item.quantity} van dit item`, 400);
+            }
+
+            await inventory.removeQuantity(connection, item, amount);
+            await connection.query(
+                `INSERT INTO trade_items (id, trade_id, player_id, item_id, quantity, metadata, source_slot)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [uuidv4(), tradeId, playerId, item.item_id, amount, inventory.serializeMetadata(item.metadata), item.slot]
+            );
+        });
+
+        return this.getTrade(tradeId, userId);
+    }
+
+    /**
+     * Haal een eigen item uit escrow terug naar de inventory
+     */
+    async removeItem(tradeId, userId, tradeItemId) {
+        await this.modifyOffer(tradeId, userId, async (connection, trade, side) => {
+            const [[item]] = await connection.query(
+                'SELECT * FROM trade_items WHERE id = ? AND trade_id = ? AND player_id = ?',
+                [tradeItemId, tradeId, trade[`${side}_player_id`]]
+            );
+            if (!item) {
+                throw new AppError('Item zit niet in jouw aanbod', 404);
+            }
+
+            await inventory.restoreItem(connection, item.player_id, item, item.source_slot);
+            await connection.query('DELETE FROM trade_items WHERE id = ?', [item.id]);
+        });
+
+        return this.getTrade(tradeId, userId);
+    }
+
+    /**
+     * Zet het SKAFF aanbod op een nieuw bedrag; het verschil gaat naar of uit escrow
+     */
+    async setSkaff(tradeId, userId, amount) {
+        if (!Number.isSafeInteger(amount) || amount < 0) {
+            throw new AppError('Bedrag moet een geheel getal van 0 of meer zijn', 400);
+        }
+
+        await this.modifyOffer(tradeId, userId, async (connection, trade, side) => {
+            const current = Number(trade[`${side}_skaff`]);
+            const difference = amount - current;
+            if (difference === 0) return;
+
+            const wallet = ledger.walletAccount(userId);
+            try {
+                await ledger.transfer(connection, {
+                    from: difference > 0 ? wallet : ledger.SYSTEM_ACCOUNTS.ESCROW,
+                    to: difference > 0 ? ledger.SYSTEM_ACCOUNTS.ESCROW : wallet,
+                    amount: Math.abs(difference),
+                    type: difference > 0 ? 'trade_escrow' : 'trade_refund',
+                    description: difference > 0 ? 'SKAFF in escrow voor trade' : 'SKAFF terug uit trade escrow',
+                    referenceId: tradeId,
+                    createdBy: userId
+                });
+            } catch (error) {
+                if (error instanceof ledger.InsufficientFundsError) {
+                    throw new AppError(`Niet genoeg SKAFF. Je hebt nog ${error.balance} beschikbaar`, 400);
+                }
+                throw error;
+            }
+
+            await connection.query(`UPDATE trades SET ${side}_skaff = ? WHERE id = ?`, [amount, tradeId]);
+        });
+
+        return this.getTrade(tradeId, userId);
+    }
+
+    /**
+     * Bevestig het huidige aanbod. Na de tweede bevestiging wordt de ruil direct uitgevoerd.
+     */
+    async confirm(tradeId, userId) {
+        await this.expireTrades(tradeId);
+
+        await ledger.withTransaction(async (connection) => {
+            const { trade, side } = await this.lockOpenTrade(connection, tradeId, userId);
+            await connection.query(`UPDATE trades SET ${side}_confirmed = TRUE WHERE id = ?`, [tradeId]);
+
+            const other = SIDES.find(s => s !== side);
+            if (trade[`${other}_confirmed`]) {
+                await this.execute(connection, trade);
+            }
+        });
+
+        return this.getTrade(tradeId, userId);
+    }
+
+    /**
+     * Annuleer een open trade; beide spelers krijgen hun aanbod terug
+     */
+    async cancel(tradeId, userId) {
+        await this.expireTrades(tradeId);
+
+        await ledger.withTransaction(async (connection) => {
+            const { trade } = await this.lockOpenTrade(connection, tradeId, userId);
+            await this.returnAssets(connection, trade);
+            await connection.query(
+                "UPDATE trades SET status = 'cancelled', cancelled_by = ?, completed_at = NOW() WHERE id = ?",
+                [userId, tradeId]
+            );
+        });
+
+        console.log(`[TradeManager] ❌ Trade ${tradeId} geannuleerd`);
+        return this.getTrade(tradeId, userId);
+    }
+
+    /**
+     * Laat trades verlopen waarvan de tijd om is en geef alles terug
+     * @param {string} tradeId - Alleen deze trade controleren (optioneel)
+     * @returns {Promise<number>} - Aantal verlopen trades
+     */
+    async expireTrades(tradeId = null) {
+        const expired = await db.query(
+            `SELECT id FROM trades WHERE status = 'open' AND expires_at <= NOW()${tradeId ? ' AND id = ?' : ''}`,
+            tradeId ? [tradeId] : []
+        );
+
+        let count = 0;
+        for (const { id } of expired) {
+            const done = await ledger.withTransaction(async (connection) => {
+                const [[trade]] = await connection.query('SELECT * FROM trades WHERE id = ? FOR UPDATE', [id]);
+                if (!trade || trade.status !== 'open' || new Date(trade.expires_at) > new Date()) {
+                    return false;
+                }
+                await this.returnAssets(connection, trade);
+                await connection.query("UPDATE trades SET status = 'expired', completed_at = NOW() WHERE id = ?", [id]);
+                return true;
+            });
+            if (done) {
+                count++;
+                console.log(`[TradeManager] ⌛ Trade ${id} verlopen, aanbod teruggegeven`);
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Trade geschiedenis van een speler, nieuwste eerst
+     * @param {Object} options - { status, limit, skip }
+     * @returns {Promise<Object>} - { total, trades }
+     */
+    async getHistory(playerId, { status = null, limit = 20, skip = 0 } = {}) {
+        await this.expireTrades();
+
+        const conditions = ['(initiator_player_id = ? OR partner_player_id = ?)'];
+        const params = [playerId, playerId];
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        const where = conditions.join(' AND ');
+
+        const [{ total }] = await db.query(`SELECT COUNT(*) AS total FROM trades WHERE ${where}`, params);
+        const trades = await db.query(
+            `SELECT * FROM trades WHERE ${where} ORDER BY created_at DESC LIMIT ${parseInt(limit)} OFFSET ${parseInt(skip)}`,
+            params
+        );
+
+        const items = trades.length > 0
+            ? await db.query(
+                `SELECT * FROM trade_items WHERE trade_id IN (${trades.map(() => '?').join(', ')}) ORDER BY created_at`,
+                trades.map(trade => trade.id)
+            )
+            : [];
+        const names = await this.playerNames(trades);
+
+        return {
+            total: Number(total),
+            trades: trades.map(trade => this.formatTrade(trade, items.filter(item => item.trade_id === trade.id), names))
+        };
+    }
+
+    /**
+     * Wijzig het aanbod van de aanroeper in één transactie en zet beide bevestigingen terug
+     */
+    async modifyOffer(tradeId, userId, work) {
+        await this.expireTrades(tradeId);
+
+        await ledger.withTransaction(async (connection) => {
+            const { trade, side } = await this.lockOpenTrade(connection, tradeId, userId);
+            await work(connection, trade, side);
+            await connection.query(
+                'UPDATE trades SET initiator_confirmed = FALSE, partner_confirmed = FALSE WHERE id = ?',
+                [tradeId]
+            );
+        });
+    }
+
+    /**
+     * Lock een open trade voor de rest van de transactie
+     * @returns {Promise<Object>} - { trade, side }
+     */
+    async lockOpenTrade(connection, tradeId, userId) {
+        const [[trade]] = await connection.query('SELECT * FROM trades WHERE id = ? FOR UPDATE', [tradeId]);
+        if (!trade) {
+            throw new AppError('Trade niet gevonden', 404);
+        }
+        const side = this.sideOf(trade, userId);
+
+        if (trade.status === 'expired') {
+            throw new AppError('Trade is verlopen', 410);
+        }
+        if (trade.status !== 'open') {
+            throw new AppError(`Trade is al ${trade.status === 'completed' ? 'voltooid' : 'geannuleerd'}`, 409);
+        }
+        return { trade, side };
+    }
+
+    sideOf(trade, userId) {
+        if (trade.initiator_user_id === userId) return 'initiator';
+        if (trade.partner_user_id === userId) return 'partner';
+        throw new AppError('Je bent geen deelnemer van deze trade', 403);
+    }
+
+    /**
+     * Voer de ruil uit: items en SKAFF in escrow gaan naar de andere speler
+     */
+    async execute(connection, trade) {
+        const [items] = await connection.query('SELECT * FROM trade_items WHERE trade_id = ? ORDER BY created_at', [trade.id]);
+        const total = Number(trade.initiator_skaff) + Number(trade.partner_skaff);
+        if (items.length === 0 && total === 0) {
+            throw new AppError('Er staat nog niets in deze trade', 400);
+        }
+
+        for (const side of SIDES) {
+            const giver = trade[`${side}_player_id`];
+            const receiver = trade[`${SIDES.find(s => s !== side)}_player_id`];
+            const given = items.filter(item => item.player_id === giver);
+            if (given.length === 0) continue;
+
+            const { given: done, freeSlots } = await inventory.giveItems(connection, receiver, given);
+            if (!done) {
+                throw new AppError(`Inventory van de ontvanger heeft maar ${freeSlots} vrije slot(s), nodig: ${given.length}`, 400);
+            }
+        }
+
+        const entries = [];
+        if (Number(trade.initiator_skaff) > 0) {
+            entries.push({ account: ledger.walletAccount(trade.partner_user_id), amount: Number(trade.initiator_skaff) });
+        }
+        if (Number(trade.partner_skaff) > 0) {
+            entries.push({ account: ledger.walletAccount(trade.initiator_user_id), amount: Number(trade.partner_skaff) });
+        }
+        if (total > 0) {
+            entries.push({ account: ledger.SYSTEM_ACCOUNTS.ESCROW, amount: -total });
+            await ledger.post(connection, {
+                type: 'trade_settlement',
+                description: 'Trade afgerond',
+                entries,
+                referenceId: trade.id,
+                metadata: { initiatorSkaff: Number(trade.initiator_skaff), partnerSkaff: Number(trade.partner_skaff) }
+            });
+        }
+
+        await connection.query("UPDATE trades SET status = 'completed', completed_at = NOW() WHERE id = ?", [trade.id]);
+        console.log(`[TradeManager] ✅ Trade ${trade.id} uitgevoerd (${items.length} item(s), ${total} SKAFF)`);
+    }
+
+    /**
+     * Geef alles in escrow terug aan de eigenaren (annuleren of verlopen)
+     */
+    async returnAssets(connection, trade) {
+        const [items] = await connection.query('SELECT * FROM trade_items WHERE trade_id = ? ORDER BY created_at', [trade.id]);
+        for (const item of items) {
+            await inventory.restoreItem(connection, item.player_id, item, item.source_slot);
+        }
+
+        const entries = [];
+        for (const side of SIDES) {
+            const amount = Number(trade[`${side}_skaff`]);
+            if (amount > 0) {
+                entries.push({ account: ledger.walletAccount(trade[`${side}_user_id`]), amount });
+            }
+        }
+        if (entries.length > 0) {
+            entries.push({ account: ledger.SYSTEM_ACCOUNTS.ESCROW, amount: -entries.reduce((sum, entry) => sum + entry.amount, 0) });
+            await ledger.post(connection, {
+                type: 'trade_refund',
+                description: 'SKAFF terug uit trade escrow',
+                entries,
+                referenceId: trade.id
+            });
+        }
+    }
+
+    async playerNames(trades) {
+        const ids = [...new Set(trades.flatMap(trade => [trade.initiator_player_id, trade.partner_player_id]))];
+        if (ids.length === 0) return new Map();
+        const players = await db.query(
+            `SELECT id, username FROM players WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+        return new Map(players.map(player => [player.id, player.username]));
+    }
+
+    formatTrade(trade, items, names) {
+        const side = (name) => {
+            const playerId = trade[`${name}_player_id`];
+            return {
+                playerId,
+                username: names.get(playerId) || null,
+                confirmed: !!trade[`${name}_confirmed`],
+                skaff: Number(trade[`${name}_skaff`]),
+                items: items
+                    .filter(item => item.player_id === playerId)
+                    .map(item => ({
+                        id: item.id,
+                        itemId: item.item_id,
+                        itemName: itemRegistry.get(item.item_id)?.name || item.item_id,
+                        quantity: item.quantity,
+                        metadata: inventory.parseMetadata(item.metadata)
+                    }))
+            };
+        };
+
+        return {
+            id: trade.id,
+            status: trade.status,
+            initiator: side('initiator'),
+            partner: side('partner'),
+            expiresAt: trade.expires_at,
+            createdAt: trade.created_at,
+            completedAt: trade.completed_at
+        };
+    }
+}
+
+const tradeManager = new TradeManager();
+
+module.exports = tradeManager;
+module.exports.TradeManager = TradeManager;
@@ -0,0 +1,86 @@
+/**
+ * Hosting Provider
+ * Interface tussen de GameServerManager en de plek waar game servers draaien (Pterodactyl, lokale processen, ...).
+ * Een provider kent alleen zijn eigen server ID/UUID; de koppeling met SKAFFA_SERVER_ID zit in de ServerRegistry
+ * (kolommen pterodactyl_id/pterodactyl_uuid bevatten de IDs van de actieve provider).
+ *
+ * Genormaliseerde server: { id, uuid, name, status, ip, port, environment }
+ * Allocation: { id, ip, port }
+ * Server referentie: { id, uuid }
+ */
+
+class HostingProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    notImplemented(method) {
+        return new Error(`${method} niet ondersteund door hosting provider '${this.name}'`);
+    }
+
+    /**
+     * Controleer of de provider bereikbaar en geconfigureerd is
+     * @returns {Promise<boolean>}
+     */
+    async testConnection() {
+        throw this.notImplemented('testConnection');
+    }
+
+    /**
+     * Alle servers die de provider kent
+     * @returns {Promise<Object[]>} - Genormaliseerde servers
+     */
+    async listServers() {
+        throw this.notImplemented('listServers');
+    }
+
+    /**
+     * Reserveer een vrije poort/allocation, bij voorkeur vanaf serverStartPort
+     * @returns {Promise<Object>} - Allocation
+     */
+    async reserveAllocation() {
+        throw this.notImplemented('reserveAllocation');
+    }
+
+    /**
+     * Geef een gereserveerde allocation vrij als het aanmaken van de server mislukt
+     */
+    async releaseAllocation(allocation) {
+        // Standaard niets te doen: de allocation blijft gewoon beschikbaar bij de provider
+    }
+
+    /**
+     * Maak een server aan op een eerder gereserveerde allocation
+     * @param {Object} request - { name, description, allocation, environment, template }
+     * @returns {Promise<Object>} - { id, uuid, ip, port }
+     */
+    async createServer(request) {
+        throw this.notImplemented('createServer');
+    }
+
+    /**
+     * Stuur een power signaal (start, stop, restart, kill)
+     * @param {Object} ref - Server referentie
+     */
+    async power(ref, signal) {
+        throw this.notImplemented('power');
+    }
+
+    /**
+     * Verwijder een server en geef zijn allocation vrij
+     * @param {Object} ref - Server referentie
+     */
+    async deleteServer(ref) {
+        throw this.notImplemented('deleteServer');
+    }
+
+    /**
+     * Voeg environment variabelen samen met de bestaande; actief na de volgende (her)start
+     * @param {Object} ref - Server referentie
+     */
+    async updateEnvironment(ref, environment) {
+        throw this.notImplemented('updateEnvironment');
+    }
+}
+
+module.exports = HostingProvider;
@@ -0,0 +1,240 @@
+/**
+ * Local Provider
+ * Start game servers als child processen op dezelfde machine als de master server (development/testen zonder panel).
+ * Processen draaien alleen zolang de master server draait; de provider state staat alleen in het geheugen.
+ *
+ * Config (gameserver.local): { command, args, cwd, host, portRange }
+ * In args worden {{VARIABELE}} placeholders vervangen door de server environment, net als de Pterodactyl startup.
+ */
+
+const { spawn } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const HostingProvider = require('./HostingProvider');
+
+// Hoe lang een gestopt proces krijgt voordat het hard gekilld wordt
+const STOP_TIMEOUT_MS = 10000;
+
+// Gedeeld tussen alle provider instanties (elke GameServerManager maakt zijn eigen provider aan)
+const servers = new Map(); // id -> { id, uuid, name, port, environment, status, child }
+const reservedPorts = new Set();
+let nextId = 1;
+
+// Lokale game servers gaan mee naar beneden met de master server
+process.once('exit', () => {
+    for (const server of servers.values()) {
+        if (server.child) server.child.kill('SIGKILL');
+    }
+});
+
+class LocalProvider extends HostingProvider {
+    /**
+     * @param {Object} gameserverConfig - gameserver config (ConfigManager)
+     * @param {Object} options - { serverStartPort }
+     */
+    constructor(gameserverConfig = null, { serverStartPort = 7001 } = {}) {
+        super('local');
+
+        const localConfig = gameserverConfig?.local || {};
+        this.config = {
+            command: localConfig.command || process.env.LOCAL_GAMESERVER_COMMAND || '',
+            args: Array.isArray(localConfig.args) ? localConfig.args : ['-port', '{{SERVER_PORT}}', '-masterServer', '{{MASTER_SERVER_URL}}'],
+            cwd: localConfig.cwd || process.env.LOCAL_GAMESERVER_CWD || process.cwd(),
+            host: localConfig.host || process.env.GAME_SERVER_HOST || '127.0.0.1',
+            portRange: parseInt(localConfig.portRange) || 100
+        };
+        this.serverStartPort = serverStartPort;
+        this.servers = servers;
+        this.reservedPorts = reservedPorts;
+    }
+
+    async testConnection() {
+        if (!this.config.command) {
+            throw new Error('Geen lokaal game server commando geconfigureerd (gameserver.local.command of LOCAL_GAMESERVER_COMMAND)');
+        }
+        return true;
+    }
+
+    toServer(server) {
+        return {
+            id: server.id,
+            uuid: server.uuid,
+            name: server.name,
+            status: server.status,
+            ip: this.config.host,
+            port: server.port,
+            environment: { ...server.environment }
+        };
+    }
+
+    async listServers() {
+        return Array.from(this.servers.values()).map(server => this.toServer(server));
+    }
+
+    getServer(ref) {
+        const server = this.servers.get(parseInt(ref.id));
+        if (!server) {
+            throw new Error(`Lokale server ${ref.id} niet gevonden`);
+        }
+        return server;
+    }
+
+    async reserveAllocation() {
+        const usedPorts = new Set([...this.reservedPorts, ...Array.from(this.servers.values()).map(server => server.port)]);
+
+        for (let port = this.serverStartPort; port < this.serverStartPort + this.config.portRange; port++) {
+            if (!usedPorts.has(port)) {
+                this.reservedPorts.add(port);
+                return { id: port, ip: this.config.host, port };
+            }
+        }
+
+        throw new Error(`Geen vrije lokale poort in bereik ${this.serverStartPort}-${this.serverStartPort + this.config.portRange - 1}`);
+    }
+
+    async releaseAllocation(allocation) {
+        this.reservedPorts.delete(allocation.port);
+    }
+
+    async createServer({ name, allocation, environment }) {
+        await this.testConnection();
+
+        const server = {
+            id: nextId++,
+            uuid: uuidv4(),
+            name,
+            port: allocation.port,
+            environment: { ...environment },
+            status: 'offline',
+            child: null
+        };
+        this.servers.set(server.id, server);
+        this.reservedPorts.delete(allocation.port);
+
+        try {
+            await this.spawnProcess(server);
+        } catch (error) {
+            this.servers.delete(server.id);
+            throw error;
+        }
+
+        return { id: server.id, uuid: server.uuid, ip: this.config.host, port: server.port };
+    }
+
+    /**
+     * Vervang {{VARIABELE}} placeholders door waarden uit de environment
+     */
+    renderArgs(environment) {
+        return this.config.args.map(arg =>
+            String(arg).replace(/\{\{(\w+)\}\}/g, (match, key) => environment[key] !== undefined ? String(environment[key]) : '')
+        );
+    }
+
+    /**
+     * Start het proces; de server staat pas op 'running' als het proces echt gestart is.
+     * Kan het niet starten (bv. commando niet gevonden), dan wordt de server 'failed' en faalt de promise.
+     */
+    spawnProcess(server) {
+        if (server.child) return Promise.resolve();
+
+        const child = spawn(this.config.command, this.renderArgs(server.environment), {
+            cwd: this.config.cwd,
+            env: { ...process.env, ...server.environment },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        const prefix = `[LocalServer ${server.name}]`;
+        const forward = (stream, log) => {
+            stream.on('data', chunk => {
+                for (const line of chunk.toString().split('\n')) {
+                    if (line.trim()) log(`${prefix} ${line}`);
+                }
+            });
+        };
+        forward(child.stdout, console.log);
+        forward(child.stderr, console.error);
+
+        server.child = child;
+        server.status = 'starting';
+
+        return new Promise((resolve, reject) => {
+            let spawned = false;
+
+            child.once('spawn', () => {
+                spawned = true;
+                server.status = 'running';
+                console.log(`[LocalProvider] 🚀 ${server.name} gestart op poort ${server.port} (pid ${child.pid})`);
+                resolve();
+            });
+            child.on('error', error => {
+                console.error(`${prefix} ❌ Proces fout:`, error.message);
+                if (spawned) return;
+                // Niet gestart: er komt geen 'exit' meer, dus hier opruimen
+                if (server.child === child) {
+                    server.child = null;
+                    server.status = 'failed';
+                }
+                reject(new Error(`Lokale server ${server.name} kon niet starten: ${error.message}`));
+            });
+            child.on('exit', (code, signal) => {
+                if (server.child === child) {
+                    server.child = null;
+                    server.status = 'offline';
+                }
+                console.log(`${prefix} Proces gestopt (code ${code}${signal ? `, ${signal}` : ''})`);
+            });
+        });
+    }
+
+    /**
+     * Stop het proces; na STOP_TIMEOUT_MS volgt SIGKILL
+     */
+    stopProcess(server, signal = 'SIGTERM') {
+        const child = server.child;
+        if (!child) return Promise.resolve();
+
+        server.status = 'stopping';
+        return new Promise(resolve => {
+            const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            child.kill(signal);
+        });
+    }
+
+    async power(ref, signal) {
+        const server = this.getServer(ref);
+
+        switch (signal) {
+            case 'start':
+                await this.spawnProcess(server);
+                break;
+            case 'stop':
+                await this.stopProcess(server);
+                break;
+            case 'kill':
+                await this.stopProcess(server, 'SIGKILL');
+                break;
+            case 'restart':
+                await this.stopProcess(server);
+                await this.spawnProcess(server);
+                break;
+            default:
+                throw new Error(`Onbekend power signaal: ${signal}`);
+        }
+    }
+
+    async deleteServer(ref) {
+        const server = this.getServer(ref);
+        await this.stopProcess(server, 'SIGKILL');
+        this.servers.delete(server.id);
+    }
+
+    async updateEnvironment(ref, environment) {
+        const server = this.getServer(ref);
+        server.environment = { ...server.environment, ...environment };
+    }
+}
+
+module.exports = LocalProvider;
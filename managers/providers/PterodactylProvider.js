@@ -0,0 +1,289 @@
+/**
+ * Pterodactyl Provider
+ * Game servers via de Pterodactyl Panel application API (servers, allocations) en client API (power)
+ */
+
+const axios = require('axios');
+const HostingProvider = require('./HostingProvider');
+
+// Zoekbereik vanaf serverStartPort voor een vrije allocation
+const PORT_SEARCH_RANGE = 100;
+
+class PterodactylProvider extends HostingProvider {
+    /**
+     * @param {Object} gameserverConfig - gameserver config (ConfigManager)
+     * @param {Object} options - { serverStartPort }
+     */
+    constructor(gameserverConfig = null, { serverStartPort = 7001 } = {}) {
+        super('pterodactyl');
+
+        this.config = {
+            apiUrl: gameserverConfig?.pterodactyl?.apiUrl || process.env.PTERODACTYL_API_URL || 'https://panel.lvlagency.nl/api',
+            apiKey: gameserverConfig?.pterodactyl?.apiKey || process.env.PTERODACTYL_API_KEY || '',
+            adminApiKey: gameserverConfig?.pterodactyl?.adminApiKey || process.env.PTERODACTYL_ADMIN_API_KEY || '',
+            clientApiKey: gameserverConfig?.pterodactyl?.clientApiKey || process.env.PTERODACTYL_CLIENT_API_KEY || '',
+            nodeId: gameserverConfig?.pterodactyl?.nodeId || process.env.PTERODACTYL_NODE_ID || '1',
+            gameServerNestId: gameserverConfig?.pterodactyl?.nestId || process.env.GAME_SERVER_NEST_ID || '5',
+            gameServerEggId: gameserverConfig?.pterodactyl?.eggId || process.env.GAME_SERVER_EGG_ID || '20'
+        };
+        this.serverStartPort = serverStartPort;
+
+        if (!this.config.apiKey && !this.config.adminApiKey) {
+            console.warn('[PterodactylProvider] ⚠️ Geen API keys geconfigureerd - Pterodactyl functionaliteit niet beschikbaar');
+        }
+    }
+
+    /**
+     * Headers voor de application API (admin key) of client API (power signalen)
+     */
+    headers(api = 'application') {
+        const apiKey = api === 'client'
+            ? this.config.clientApiKey || this.config.apiKey
+            : this.config.adminApiKey || this.config.apiKey;
+        if (!apiKey) {
+            throw new Error('Geen Pterodactyl API key geconfigureerd (adminApiKey of apiKey vereist)');
+        }
+        return {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+    }
+
+    /**
+     * Haal alle pagina's van een application API lijst op
+     */
+    async getAll(path) {
+        const items = [];
+        let page = 1;
+        let totalPages = 1;
+
+        do {
+            const separator = path.includes('?') ? '&' : '?';
+            const response = await axios.get(`${this.config.apiUrl}${path}${separator}page=${page}`, {
+                headers: this.headers()
+            });
+            items.push(...(response.data.data || []));
+            totalPages = response.data.meta?.pagination?.total_pages || 1;
+            page++;
+        } while (page <= totalPages);
+
+        return items;
+    }
+
+    async testConnection() {
+        console.log('[PterodactylProvider] Pterodactyl verbinding testen...');
+
+        const response = await axios.get(`${this.config.apiUrl}/application/users`, { headers: this.headers() });
+        if (response.status !== 200) {
+            throw new Error(`Pterodactyl API fout: ${response.status}`);
+        }
+
+        console.log('[PterodactylProvider] ✅ Pterodactyl API verbinding succesvol');
+        return true;
+    }
+
+    /**
+     * Zet een Pterodactyl server object om naar het genormaliseerde formaat
+     */
+    normalizeServer(server) {
+        const attributes = server.attributes;
+        const allocations = attributes.relationships?.allocations?.data || [];
+        const allocation = allocations.find(alloc => alloc.attributes.id === attributes.allocation) || allocations[0];
+
+        return {
+            id: attributes.id,
+            uuid: attributes.uuid,
+            name: attributes.name,
+            status: attributes.suspended ? 'suspended' : (attributes.status || 'installed'),
+            ip: allocation ? allocation.attributes.alias || allocation.attributes.ip : null,
+            port: allocation ? allocation.attributes.port : null,
+            environment: attributes.container?.environment || {}
+        };
+    }
+
+    async listServers() {
+        const servers = await this.getAll('/application/servers?include=allocations');
+        return servers.map(server => this.normalizeServer(server));
+    }
+
+    async getAllocations() {
+        const allocations = await this.getAll(`/application/nodes/${this.config.nodeId}/allocations`);
+        return allocations.map(alloc => alloc.attributes);
+    }
+
+    /**
+     * Eerste vrije allocation vanaf serverStartPort; maakt de allocation aan als de poort nog niet bestaat
+     */
+    async reserveAllocation() {
+        console.log(`[PterodactylProvider] 🔍 Looking for available port starting from ${this.serverStartPort}...`);
+
+        const allocations = await this.getAllocations();
+        const available = allocations.filter(alloc => !alloc.assigned);
+        const taken = new Set(allocations.map(alloc => alloc.port));
+
+        console.log(`[PterodactylProvider] 📊 Available ports: [${available.map(alloc => alloc.port).sort((a, b) => a - b).join(', ') || 'none'}]`);
+
+        for (let port = this.serverStartPort; port < this.serverStartPort + PORT_SEARCH_RANGE; port++) {
+            const allocation = available.find(alloc => alloc.port === port);
+            if (allocation) {
+                console.log(`[PterodactylProvider] 🎯 Found preferred port in range: ${port}`);
+                return { id: allocation.id, ip: allocation.ip, port: allocation.port };
+            }
+        }
+
+        // Geen vrije allocation in het bereik: de eerste nog niet bestaande poort aanmaken
+        for (let port = this.serverStartPort; port < this.serverStartPort + PORT_SEARCH_RANGE; port++) {
+            if (!taken.has(port)) {
+                const allocation = await this.ensureAllocationExists(port);
+                return { id: allocation.id, ip: allocation.ip, port: allocation.port };
+            }
+        }
+
+        if (available.length > 0) {
+            const allocation = available.sort((a, b) => a.port - b.port)[0];
+            console.log(`[PterodactylProvider] 🎯 Using any available port: ${allocation.port}`);
+            return { id: allocation.id, ip: allocation.ip, port: allocation.port };
+        }
+
+        throw new Error(`No available allocations found. Create more port allocations in Pterodactyl Panel (range ${this.serverStartPort}-${this.serverStartPort + PORT_SEARCH_RANGE})`);
+    }
+
+    /**
+     * Zorg dat er een allocation voor de poort bestaat, maak hem anders aan
+     * @returns {Promise<Object>} - { id, ip, port, assigned }
+     */
+    async ensureAllocationExists(port) {
+        console.log(`[PterodactylProvider] 🔍 Ensuring allocation exists for port ${port}...`);
+
+        try {
+            const allocations = await this.getAllocations();
+            const existing = allocations.find(alloc => alloc.port === port);
+            if (existing) {
+                console.log(`[PterodactylProvider] ✅ Allocation exists for port ${port} (${existing.assigned ? 'assigned' : 'available'})`);
+                return { id: existing.id, port: existing.port, ip: existing.ip, assigned: existing.assigned };
+            }
+
+            // Zelfde IP en alias als de bestaande allocations van de node
+            const createAllocationRequest = {
+                ip: allocations.length > 0 ? allocations[0].ip : '0.0.0.0',
+                ports: [port.toString()] // Pterodactyl expects an array of port strings
+            };
+            const nodeAlias = allocations.length > 0 ? allocations[0].alias || allocations[0].ip_alias : null;
+            if (nodeAlias) {
+                createAllocationRequest.alias = nodeAlias;
+            }
+
+            console.log(`[PterodactylProvider] 🔨 Creating new allocation for port ${port}...`);
+            await axios.post(
+                `${this.config.apiUrl}/application/nodes/${this.config.nodeId}/allocations`,
+                createAllocationRequest,
+                { headers: this.headers() }
+            );
+
+            // Het panel antwoordt met 204 No Content, dus de nieuwe allocation opnieuw ophalen
+            const created = (await this.getAllocations()).find(alloc => alloc.port === port);
+            if (!created) {
+                throw new Error('Allocation niet gevonden na aanmaken');
+            }
+
+            console.log(`[PterodactylProvider] ✅ Created new allocation for port ${port}`);
+            return { id: created.id, port: created.port, ip: created.ip, assigned: created.assigned };
+        } catch (error) {
+            if (error.response) {
+                console.error('[PterodactylProvider] 📋 Allocation API Error:', JSON.stringify(error.response.data, null, 2));
+            }
+            throw new Error(`Failed to ensure allocation exists for port ${port}: ${error.message}`);
+        }
+    }
+
+    async createServer({ name, description, allocation, environment, template = {} }) {
+        const createRequest = {
+            name,
+            description: description || template.description || 'SkaffaCity UDP Game Server Instance',
+            user: parseInt(template.user) || 1, // Admin user ID
+            egg: parseInt(template.egg) || parseInt(this.config.gameServerEggId) || 20,
+            docker_image: template.docker_image || 'ghcr.io/pterodactyl/yolks:ubuntu',
+            startup: template.startup || './{{SERVER_JARFILE}} -batchmode -nographics -port {{SERVER_PORT}} -masterServer {{MASTER_SERVER_URL}} -serverName "{{SERVER_NAME}}" -maxPlayers {{MAX_PLAYERS}} -tickRate {{TICK_RATE}} -logFile logs/server.log -region {{REGION}} -gameMode {{GAME_MODE}} -autoUpdate {{AUTO_UPDATE}}',
+            oom_disabled: template.oom_disabled || false,
+            limits: {
+                memory: parseInt(template.limits?.memory) || 512,
+                swap: parseInt(template.limits?.swap) || 0,
+                disk: parseInt(template.limits?.disk) || 1024,
+                io: parseInt(template.limits?.io) || 500,
+                cpu: parseInt(template.limits?.cpu) || 100,
+                threads: template.limits?.threads || null
+            },
+            feature_limits: {
+                databases: parseInt(template.feature_limits?.databases) || 0,
+                allocations: parseInt(template.feature_limits?.allocations) || 1,
+                backups: parseInt(template.feature_limits?.backups) || 0
+            },
+            allocation: {
+                default: parseInt(allocation.id)
+            },
+            environment
+        };
+
+        const loggedRequest = { ...createRequest, environment: { ...environment, SKAFFA_SERVER_SECRET: '********' } };
+        console.log('[PterodactylProvider] 📋 Creating server with config:', JSON.stringify(loggedRequest, null, 2));
+
+        try {
+            const response = await axios.post(`${this.config.apiUrl}/application/servers`, createRequest, {
+                headers: this.headers()
+            });
+
+            if (response.status !== 201) {
+                throw new Error(`Pterodactyl API fout: ${response.status}`);
+            }
+
+            const serverData = response.data.attributes;
+            return { id: serverData.id, uuid: serverData.uuid, ip: allocation.ip, port: allocation.port };
+        } catch (error) {
+            if (error.response) {
+                console.error('[PterodactylProvider] 📊 API Response Status:', error.response.status);
+                console.error('[PterodactylProvider] 📋 API Response Data:', JSON.stringify(error.response.data, null, 2));
+
+                if (error.response.data && error.response.data.errors) {
+                    console.error('[PterodactylProvider] 🔍 Validation Errors:');
+                    error.response.data.errors.forEach((err, index) => {
+                        console.error(`  ${index + 1}. ${err.detail} (Field: ${err.meta?.source_field || 'unknown'})`);
+                    });
+                }
+            }
+            throw error;
+        }
+    }
+
+    async power(ref, signal) {
+        await axios.post(
+            `${this.config.apiUrl}/client/servers/${ref.uuid}/power`,
+            { signal },
+            { headers: this.headers('client') }
+        );
+    }
+
+    async deleteServer(ref) {
+        await axios.delete(`${this.config.apiUrl}/application/servers/${ref.id}`, { headers: this.headers() });
+    }
+
+    async updateEnvironment(ref, environment) {
+        // Startup PATCH vereist de volledige startup configuratie, dus eerst de huidige ophalen
+        const response = await axios.get(`${this.config.apiUrl}/application/servers/${ref.id}`, { headers: this.headers() });
+        const attributes = response.data.attributes;
+
+        await axios.patch(
+            `${this.config.apiUrl}/application/servers/${ref.id}/startup`,
+            {
+                startup: attributes.container.startup_command,
+                environment: { ...attributes.container.environment, ...environment },
+                egg: attributes.egg,
+                image: attributes.container.image,
+                skip_scripts: true
+            },
+            { headers: this.headers() }
+        );
+    }
+}
+
+module.exports = PterodactylProvider;
@@ -0,0 +1,55 @@
+/**
+ * Hosting providers
+ * Keuze via gameserver.provider in de config (of GAMESERVER_PROVIDER): 'pterodactyl' (standaard) of 'local'
+ */
+
+const HostingProvider = require('./HostingProvider');
+const PterodactylProvider = require('./PterodactylProvider');
+const LocalProvider = require('./LocalProvider');
+
+const PROVIDERS = {
+    pterodactyl: PterodactylProvider,
+    local: LocalProvider
+};
+
+/**
+ * Naam van de geconfigureerde provider
+ */
+function getProviderName(gameserverConfig = null) {
+    return (gameserverConfig?.provider || process.env.GAMESERVER_PROVIDER || 'pterodactyl').toLowerCase();
+}
+
+/**
+ * Maak de geconfigureerde hosting provider aan
+ * @param {Object} gameserverConfig - gameserver config (ConfigManager)
+ * @param {Object} options - { serverStartPort }
+ * @returns {HostingProvider}
+ */
+function createHostingProvider(gameserverConfig = null, options = {}) {
+    const name = getProviderName(gameserverConfig);
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Onbekende hosting provider '${name}' (beschikbaar: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return new Provider(gameserverConfig, options);
+}
+
+/**
+ * Kan er met de huidige config servers aangemaakt worden?
+ */
+function isHostingEnabled(gameserverConfig = null) {
+    const name = getProviderName(gameserverConfig);
+    if (name === 'pterodactyl') {
+        return !!(gameserverConfig?.gameServer?.pterodactyl?.enabled || gameserverConfig?.pterodactyl?.enabled);
+    }
+    return !!PROVIDERS[name];
+}
+
+module.exports = {
+    HostingProvider,
+    PterodactylProvider,
+    LocalProvider,
+    getProviderName,
+    createHostingProvider,
+    isHostingEnabled
+};
@@ -2,8 +2,9 @@
  * Authentication middleware voor het beveiligen van routes
  */
 
-const jwt = require('jsonwebtoken');
 const models = require('../models'); // nu met blocking init helpers
+const { verifyAccessToken } = require('../utils/auth-tokens');
+const { hasPermission } = require('../utils/permissions');
 
 /**
  * Controleer JWT token en zet de gebruiker op req object
@@ -18,10 +19,14 @@ exports.authenticateToken = async (req, res, next) => {
 
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'skaffacity_secret_key_2025');
+      decoded = verifyAccessToken(token);
     } catch (e) {
       return res.status(401).json({ success:false, message:'Ongeldige of verlopen token' });
     }
+    if (!decoded.sid) {
+      // Tokens van voor de sessie store zijn niet intrekbaar
+      return res.status(401).json({ success:false, message:'Verouderde token, log opnieuw in' });
+    }
 
     // Pure Sequelize modus: models moeten volledig geïnitialiseerd zijn
     if (!models.isInitialized || !models.isInitialized()) {
@@ -30,10 +35,17 @@ exports.authenticateToken = async (req, res, next) => {
 
     const UserModel = models.User;
     const PlayerModel = models.Player;
-    if (!UserModel || !PlayerModel) {
+    const SessionModel = models.Session;
+    if (!UserModel || !PlayerModel || !SessionModel) {
       return res.status(503).json({ success:false, message:'Model referenties ontbreken' });
     }
 
+    const activeSession = await SessionModel.findOne({
+      where: { family_id: decoded.sid, user_id: decoded.userId, revoked_at: null },
+      attributes: ['id']
+    });
+    if (!activeSession) return res.status(401).json({ success:false, message:'Sessie ingetrokken, log opnieuw in' });
+
     const user = await UserModel.findByPk(decoded.userId);
     if (!user) return res.status(401).json({ success:false, message:'Gebruiker niet gevonden' });
     const player = await PlayerModel.findByPk(decoded.playerId);
@@ -43,7 +55,9 @@ exports.authenticateToken = async (req, res, next) => {
       userId: user.id,
       playerId: player.id,
       username: user.username,
-      email: user.email
+      email: user.email,
+      role: user.role,
+      sessionId: decoded.sid
     };
     return next();
   } catch (error) {
@@ -52,12 +66,40 @@ exports.authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Vereis een of meer permissies (alle opgegeven permissies moeten aanwezig zijn)
+ * Gebruik na authenticateToken: router.post('/reward', requirePermission('economy.reward'), ...)
+ */
+exports.requirePermission = (...permissions) => async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authenticatie vereist'
+        });
+    }
+
+    try {
+        for (const permission of permissions) {
+            if (!(await hasPermission(req.user.role, permission))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Toegang geweigerd',
+                    requiredPermission: permission
+                });
+            }
+        }
+        return next();
+    } catch (error) {
+        console.error('[Auth Middleware] Permissie check fout:', error.message);
+        return res.status(500).json({ success:false, message:'Interne serverfout' });
+    }
+};
+
 /**
  * Controleer of gebruiker admin is
  */
 exports.isAdmin = (req, res, next) => {
-    // Voor nu simpel - later kunnen we dit uitbreiden met rol systeem
-    if (req.user) {
+    if (req.user && req.user.role === 'admin') {
         next();
     } else {
         return res.status(403).json({
@@ -71,8 +113,7 @@ exports.isAdmin = (req, res, next) => {
  * Controleer of gebruiker moderator of admin is
  */
 exports.isModerator = (req, res, next) => {
-    // Voor nu simpel - later kunnen we dit uitbreiden met rol systeem
-    if (req.user) {
+    if (req.user && (req.user.role === 'admin' || req.user.role === 'moderator')) {
         next();
     } else {
         return res.status(403).json({
@@ -0,0 +1,114 @@
+/**
+ * Idempotency middleware voor endpoints die SKAFF of items verplaatsen
+ * Een client die een request opnieuw verstuurt met dezelfde Idempotency-Key header krijgt het eerste
+ * response terug in plaats van dat de actie nog een keer uitgevoerd wordt. Responses worden 24 uur
+ * bewaard per (gebruiker, key, route). Zonder header werkt het endpoint zoals voorheen.
+ *
+ * Moet na authenticateToken komen (gebruikt req.user.userId).
+ */
+
+const crypto = require('crypto');
+const db = require('../utils/db');
+
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const RETENTION_HOURS = 24;
+// Een request dat na deze tijd nog 'processing' is, is waarschijnlijk afgebroken (crash/restart)
+const PROCESSING_TIMEOUT_SECONDS = 120;
+
+/**
+ * JSON met gesorteerde keys, zodat dezelfde body altijd dezelfde hash geeft
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashBody(body) {
+  return crypto.createHash('sha256').update(canonicalize(body || {})).digest('hex');
+}
+
+exports.idempotency = async (req, res, next) => {
+  const key = req.headers[HEADER];
+  if (!key || !req.user) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ success:false, message:`Idempotency-Key mag maximaal ${MAX_KEY_LENGTH} tekens zijn` });
+  }
+
+  const userId = req.user.userId;
+  const route = `${req.method} ${req.originalUrl.split('?')[0]}`;
+  const requestHash = hashBody(req.body);
+
+  try {
+    // Verlopen en afgebroken requests voor deze key mogen opnieuw
+    await db.query(
+      `DELETE FROM idempotency_keys
+       WHERE user_id = ? AND idempotency_key = ? AND route = ?
+         AND (expires_at < NOW() OR (status = 'processing' AND created_at < DATE_SUB(NOW(), INTERVAL ${PROCESSING_TIMEOUT_SECONDS} SECOND)))`,
+      [userId, key, route]
+    );
+
+    const inserted = await db.query(
+      `INSERT IGNORE INTO idempotency_keys (user_id, idempotency_key, route, request_hash, status, expires_at)
+       VALUES (?, ?, ?, ?, 'processing', DATE_ADD(NOW(), INTERVAL ${RETENTION_HOURS} HOUR))`,
+      [userId, key, route, requestHash]
+    );
+
+    if (inserted.affectedRows === undefined) {
+      // Geen database: zonder opslag kunnen we niets garanderen, request gewoon uitvoeren
+      console.warn('[Idempotency] Geen database beschikbaar, Idempotency-Key genegeerd');
+      return next();
+    }
+
+    if (inserted.affectedRows === 0) {
+      const [existing] = await db.query(
+        'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND route = ?',
+        [userId, key, route]
+      );
+      if (!existing) {
+        // Net verlopen of opgeruimd tussen insert en select; de client kan het opnieuw proberen
+        return res.status(409).json({ success:false, message:'Idempotency-Key conflict, probeer opnieuw' });
+      }
+      if (existing.request_hash !== requestHash) {
+        return res.status(409).json({ success:false, message:'Idempotency-Key is al gebruikt voor een ander request' });
+      }
+      if (existing.status !== 'completed') {
+        return res.status(409).json({ success:false, message:'Request met deze Idempotency-Key wordt nog verwerkt' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      const body = typeof existing.response_body === 'string' ? JSON.parse(existing.response_body) : existing.response_body;
+      return res.status(existing.response_status).json(body);
+    }
+  } catch (error) {
+    console.error('[Idempotency] Fout bij controleren key:', error.message);
+    return res.status(500).json({ success:false, message:'Interne serverfout' });
+  }
+
+  // Eerste response vastleggen; bij een serverfout de key vrijgeven zodat een retry opnieuw mag
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    res.json = originalJson;
+    const store = res.statusCode >= 500
+      ? db.query(
+        'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND route = ?',
+        [userId, key, route]
+      )
+      : db.query(
+        `UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ?
+         WHERE user_id = ? AND idempotency_key = ? AND route = ?`,
+        [res.statusCode, JSON.stringify(body === undefined ? null : body), userId, key, route]
+      );
+    store.catch(error => console.error('[Idempotency] Fout bij opslaan response:', error.message));
+    return originalJson(body);
+  };
+
+  next();
+};
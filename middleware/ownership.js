@@ -0,0 +1,95 @@
+/**
+ * Ownership middleware voor routes die op één speler werken
+ * Laadt de speler uit de route (params of body) en controleert of hij van de ingelogde gebruiker is.
+ * Andere spelers zijn alleen toegankelijk met de permissie player.manage of vanuit een game server
+ * (authenticateServer). De geladen speler staat daarna op req.targetPlayer.
+ *
+ * Moet na authenticateToken of authenticateServer komen:
+ *   router.get('/:playerId', authenticateToken, requirePlayerAccess(), ...)
+ *   router.post('/start', authenticateToken, requirePlayerAccess({ body: 'playerId' }), ...)
+ */
+
+const db = require('../utils/db');
+const { hasPermission } = require('../utils/permissions');
+
+const MANAGE_PERMISSION = 'player.manage';
+
+/**
+ * Mag dit request iets doen met de speler van deze gebruiker?
+ * @param {Object} req - Request met req.user en/of req.gameServer
+ * @param {string} ownerUserId - users.id van de eigenaar van de speler
+ * @returns {Promise<boolean>}
+ */
+async function canAccessPlayer(req, ownerUserId) {
+  if (req.gameServer) return true;
+  if (!req.user) return false;
+  if (req.user.userId === ownerUserId) return true;
+  return hasPermission(req.user.role, MANAGE_PERMISSION);
+}
+
+/**
+ * Mag dit request beschermde velden van een speler wijzigen (bijv. items toevoegen)?
+ * Alleen een game server of player.manage; de eigenaar zelf niet.
+ * @param {Object} req - Request met req.user en/of req.gameServer
+ * @returns {Promise<boolean>}
+ */
+async function canManagePlayer(req) {
+  if (req.gameServer) return true;
+  if (!req.user) return false;
+  return hasPermission(req.user.role, MANAGE_PERMISSION);
+}
+
+/**
+ * Laad de speler uit req.params[param] (standaard playerId) of req.body[body] en controleer de toegang
+ * @param {Object} options - { param, body }
+ */
+exports.requirePlayerAccess = ({ param = 'playerId', body = null } = {}) => async (req, res, next) => {
+  const playerId = body ? req.body && req.body[body] : req.params[param];
+  if (!playerId) {
+    return res.status(400).json({ success:false, message:'Speler ID vereist' });
+  }
+  if (!req.user && !req.gameServer) {
+    return res.status(401).json({ success:false, message:'Authenticatie vereist' });
+  }
+
+  try {
+    const [player] = await db.query('SELECT id, user_id, username FROM players WHERE id = ?', [playerId]);
+    if (!player) {
+      return res.status(404).json({ success:false, message:'Speler niet gevonden' });
+    }
+
+    if (!(await canAccessPlayer(req, player.user_id))) {
+      return res.status(403).json({ success:false, message:'Deze speler behoort niet tot jouw account' });
+    }
+
+    req.targetPlayer = {
+      id: player.id,
+      userId: player.user_id,
+      username: player.username,
+      isOwner: !!req.user && req.user.userId === player.user_id
+    };
+    return next();
+  } catch (error) {
+    console.error('[Ownership] Controle fout:', error.message);
+    return res.status(500).json({ success:false, message:'Interne serverfout' });
+  }
+};
+
+/**
+ * Alleen game servers en player.manage; voor routes die iets aan een speler geven in plaats van verplaatsen
+ */
+exports.requirePlayerManage = async (req, res, next) => {
+  try {
+    if (!(await canManagePlayer(req))) {
+      return res.status(403).json({ success:false, message:'Toegang geweigerd', requiredPermission: MANAGE_PERMISSION });
+    }
+    return next();
+  } catch (error) {
+    console.error('[Ownership] Controle fout:', error.message);
+    return res.status(500).json({ success:false, message:'Interne serverfout' });
+  }
+};
+
+exports.canAccessPlayer = canAccessPlayer;
+exports.canManagePlayer = canManagePlayer;
+exports.MANAGE_PERMISSION = MANAGE_PERMISSION;
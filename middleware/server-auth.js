@@ -0,0 +1,40 @@
+/**
+ * Authentication middleware voor game server -> master server requests
+ * Verwacht HMAC headers (zie utils/server-credentials.js)
+ */
+
+const { HEADERS, verifySignedRequest } = require('../utils/server-credentials');
+
+/**
+ * Verifieer de HMAC signature en zet req.gameServer
+ * Het serverId in de body (indien aanwezig) moet overeenkomen met de ondertekende server
+ */
+exports.authenticateServer = async (req, res, next) => {
+  try {
+    const serverId = req.headers[HEADERS.serverId];
+    const result = await verifySignedRequest({
+      serverId,
+      timestamp: req.headers[HEADERS.timestamp],
+      nonce: req.headers[HEADERS.nonce],
+      signature: req.headers[HEADERS.signature],
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody ? req.rawBody.toString('utf8') : ''
+    });
+
+    if (!result.valid) {
+      console.warn(`[Server Auth] Geweigerd request van ${serverId || 'onbekend'}: ${result.reason}`);
+      return res.status(401).json({ success:false, message: result.reason });
+    }
+
+    if (req.body && req.body.serverId && req.body.serverId !== serverId) {
+      return res.status(403).json({ success:false, message:'ServerId komt niet overeen met credentials' });
+    }
+
+    req.gameServer = { serverId };
+    return next();
+  } catch (error) {
+    console.error('[Server Auth] Onverwachte fout:', error.message);
+    return res.status(500).json({ success:false, message:'Interne serverfout' });
+  }
+};
@@ -30,6 +30,7 @@ const db = require('../utils/db');
 let _sequelize = null;
 let _User = null;
 let _Player = null;
+let _Session = null;
 let _initialized = false;
 let _initializing = false;
 let _lastError = null;
@@ -49,10 +50,13 @@ async function _internalInit() {
         _sequelize = db.sequelize;
         const UserFactory = require('./user.sequelize');
         const PlayerFactory = require('./player.sequelize');
+        const SessionFactory = require('./session.sequelize');
         _User = UserFactory(_sequelize);
         _Player = PlayerFactory(_sequelize);
+        _Session = SessionFactory(_sequelize);
         _User.hasOne(_Player, { foreignKey: 'user_id', as: 'player' });
         _Player.belongsTo(_User, { foreignKey: 'user_id', as: 'user' });
+        _User.hasMany(_Session, { foreignKey: 'user_id', as: 'sessions' });
         _initialized = true;
         _lastError = null;
         console.log('[MODELS] ✅ Sequelize models initialized (blocking)');
@@ -104,6 +108,7 @@ const exported = {
     get sequelize() { return _sequelize; },
     get User() { return _User; },
     get Player() { return _Player; },
+    get Session() { return _Session; },
     ensureInitialized,
     isInitialized,
     getLastInitError,
@@ -0,0 +1,42 @@
+/**
+ * Session Model - Sequelize MySQL Model
+ * Elke rij is één refresh token; rijen met dezelfde family_id vormen samen één sessie (apparaat).
+ */
+
+const { DataTypes } = require('sequelize');
+
+// Export factory function for sequelize instance
+module.exports = (sequelize) => {
+    if (!sequelize) {
+        throw new Error('Sequelize instance is required');
+    }
+
+    const Session = sequelize.define('Session', {
+        id: {
+            type: DataTypes.STRING(36),
+            primaryKey: true
+        },
+        family_id: { type: DataTypes.STRING(36), allowNull: false },
+        user_id: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            references: { model: 'users', key: 'id' }
+        },
+        player_id: { type: DataTypes.STRING(36), allowNull: false },
+        token_hash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+        parent_id: { type: DataTypes.STRING(36), allowNull: true },
+        user_agent: { type: DataTypes.STRING(255), allowNull: true },
+        ip_address: { type: DataTypes.STRING(45), allowNull: true },
+        started_at: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+        created_at: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+        expires_at: { type: DataTypes.DATE, allowNull: false },
+        used_at: { type: DataTypes.DATE, allowNull: true },
+        revoked_at: { type: DataTypes.DATE, allowNull: true },
+        revoke_reason: { type: DataTypes.STRING(50), allowNull: true }
+    }, {
+        tableName: 'sessions',
+        timestamps: false
+    });
+
+    return Session;
+};
@@ -1,6 +1,7 @@
 /**
  * Database model - Transaction
  * MySQL implementatie
+ * findLedgerHistory/findLedgerTransactions lezen de SKAFF geschiedenis uit het ledger (zie utils/ledger.js)
  */
 
 const { v4: uuidv4 } = require('uuid');
@@ -163,6 +164,151 @@ class Transaction {
   }
 }
 
+/**
+ * Bouw WHERE condities voor ledger queries
+ * @param {Object} filters - { type, since, until, counterpartyAccount }
+ */
+function ledgerFilters({ type, since, until, counterpartyAccount } = {}, conditions = [], params = []) {
+  if (type) {
+    conditions.push('t.type = ?');
+    params.push(type);
+  }
+  if (since) {
+    conditions.push('t.created_at >= ?');
+    params.push(since);
+  }
+  if (until) {
+    conditions.push('t.created_at <= ?');
+    params.push(until);
+  }
+  if (counterpartyAccount) {
+    conditions.push('EXISTS (SELECT 1 FROM ledger_entries c WHERE c.transaction_id = t.id AND c.account_id = ?)');
+    params.push(counterpartyAccount);
+  }
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Leesbare namen voor ledger accounts (gebruikersnaam, factienaam of System)
+ * @param {string[]} accountIds
+ * @returns {Promise<Map<string, string>>}
+ */
+async function describeAccounts(accountIds) {
+  const labels = new Map();
+  const userIds = [];
+  const factionIds = [];
+
+  for (const accountId of new Set(accountIds.filter(Boolean))) {
+    const [type, ownerId] = accountId.split(':');
+    if (type === 'wallet') userIds.push(ownerId);
+    else if (type === 'faction') factionIds.push(ownerId);
+    labels.set(accountId, 'System');
+  }
+
+  if (userIds.length > 0) {
+    const users = await db.query(`SELECT id, username FROM users WHERE id IN (${userIds.map(() => '?').join(', ')})`, userIds);
+    users.forEach(user => labels.set(`wallet:${user.id}`, user.username));
+  }
+  if (factionIds.length > 0) {
+    const factions = await db.query(`SELECT id, name FROM factions WHERE id IN (${factionIds.map(() => '?').join(', ')})`, factionIds);
+    factions.forEach(faction => labels.set(`faction:${faction.id}`, faction.name));
+  }
+  return labels;
+}
+
+function parseMetadata(metadata) {
+  if (!metadata) return {};
+  return typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+}
+
+/**
+ * Transactiegeschiedenis van één ledger account, nieuwste eerst, met het saldo na elke boeking
+ * @param {string} accountId - Ledger account (bijv. wallet:<userId>)
+ * @param {Object} filters - { type, since, until, counterpartyAccount }
+ * @param {number} limit - Maximum aantal resultaten
+ * @param {number} skip - Aantal resultaten om over te slaan
+ * @returns {Promise<{total: number, entries: Object[]}>}
+ */
+Transaction.findLedgerHistory = async function (accountId, filters = {}, limit = 10, skip = 0) {
+  const { where, params } = ledgerFilters(filters, ['e.account_id = ?'], [accountId]);
+
+  const [count] = await db.query(
+    `SELECT COUNT(*) AS total FROM ledger_entries e JOIN ledger_transactions t ON t.id = e.transaction_id ${where}`,
+    params
+  );
+
+  // LIMIT/OFFSET zijn gevalideerde integers; als placeholder weigert MySQL ze in prepared statements
+  const rows = await db.query(
+    `SELECT e.id AS entry_id, e.amount, e.balance_after, t.id, t.type, t.description, t.metadata, t.created_by, t.created_at,
+       (SELECT c.account_id FROM ledger_entries c
+        WHERE c.transaction_id = e.transaction_id AND c.account_id <> e.account_id
+        ORDER BY ABS(c.amount) DESC LIMIT 1) AS counterparty_account
+     FROM ledger_entries e
+     JOIN ledger_transactions t ON t.id = e.transaction_id
+     ${where}
+     ORDER BY e.id DESC
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(skip)}`,
+    params
+  );
+
+  const labels = await describeAccounts(rows.map(row => row.counterparty_account));
+  return {
+    total: count ? Number(count.total) : 0,
+    entries: rows.map(row => ({
+      id: row.id,
+      type: row.type,
+      amount: Number(row.amount),
+      balance: Number(row.balance_after),
+      counterparty: row.counterparty_account ? labels.get(row.counterparty_account) : null,
+      description: row.description,
+      metadata: parseMetadata(row.metadata),
+      timestamp: row.created_at
+    }))
+  };
+};
+
+/**
+ * Alle ledger transacties, nieuwste eerst, met van/naar account (admin overzicht)
+ * @param {Object} filters - { type, since, until, counterpartyAccount }
+ * @param {number} limit - Maximum aantal resultaten
+ * @param {number} skip - Aantal resultaten om over te slaan
+ * @returns {Promise<{total: number, transactions: Object[]}>}
+ */
+Transaction.findLedgerTransactions = async function (filters = {}, limit = 50, skip = 0) {
+  const { where, params } = ledgerFilters(filters);
+
+  const [count] = await db.query(`SELECT COUNT(*) AS total FROM ledger_transactions t ${where}`, params);
+
+  const rows = await db.query(
+    `SELECT t.*,
+       (SELECT SUM(e.amount) FROM ledger_entries e WHERE e.transaction_id = t.id AND e.amount > 0) AS amount,
+       (SELECT e.account_id FROM ledger_entries e WHERE e.transaction_id = t.id AND e.amount < 0 ORDER BY e.amount LIMIT 1) AS from_account,
+       (SELECT e.account_id FROM ledger_entries e WHERE e.transaction_id = t.id AND e.amount > 0 ORDER BY e.amount DESC LIMIT 1) AS to_account
+     FROM ledger_transactions t
+     ${where}
+     ORDER BY t.created_at DESC, t.id
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(skip)}`,
+    params
+  );
+
+  const labels = await describeAccounts(rows.flatMap(row => [row.from_account, row.to_account]));
+  const creators = await describeAccounts(rows.map(row => row.created_by && `wallet:${row.created_by}`));
+  return {
+    total: count ? Number(count.total) : 0,
+    transactions: rows.map(row => ({
+      id: row.id,
+      type: row.type,
+      amount: Number(row.amount) || 0,
+      from: labels.get(row.from_account) || 'System',
+      to: labels.get(row.to_account) || 'System',
+      description: row.description,
+      createdBy: row.created_by ? creators.get(`wallet:${row.created_by}`) || row.created_by : null,
+      metadata: parseMetadata(row.metadata),
+      timestamp: row.created_at
+    }))
+  };
+};
+
 // Maak de transactions tabel aan als deze nog niet bestaat
 async function initTable() {
   try {
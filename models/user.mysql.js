@@ -6,6 +6,7 @@
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../utils/db');
+const ledger = require('../utils/ledger');
 // Salt rounds configuratie via environment variable
 const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
 
@@ -164,7 +165,8 @@ class User {
     
     // Converteer camelCase naar snake_case voor MySQL
     for (const [key, value] of Object.entries(updates)) {
-      if (key !== 'id' && typeof value !== 'function') {
+      // SKAFF saldo wijzigt alleen via het ledger (addSkaff/subtractSkaff)
+      if (key !== 'id' && key !== 'skaff' && typeof value !== 'function') {
         const snakeKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
         updateData[snakeKey] = value;
       }
@@ -233,41 +235,49 @@ class User {
   }
 
   /**
-   * Helper voor SKAFF transacties
+   * Helper voor SKAFF transacties (ledger boeking vanuit de mint of een ander account)
    * @param {number} amount - Hoeveelheid toe te voegen
+   * @param {Object} options - { type, description, from }
    * @returns {Promise<User>} - Bijgewerkte gebruiker
    */
-  async addSkaff(amount) {
-    await db.query(
-      'UPDATE users SET skaff = skaff + ? WHERE id = ?',
-      [amount, this.id]
-    );
+  async addSkaff(amount, { type = 'reward', description = null, from = ledger.SYSTEM_ACCOUNTS.MINT } = {}) {
+    const wallet = ledger.walletAccount(this.id);
+    const { balances } = await ledger.withTransaction(connection => ledger.transfer(connection, {
+      from,
+      to: wallet,
+      amount,
+      type,
+      description
+    }));
     
-    const updated = await User.findById(this.id);
-    this.skaff = updated.skaff;
+    this.skaff = balances[wallet];
     return this;
   }
 
   /**
    * Helper voor SKAFF transacties
    * @param {number} amount - Hoeveelheid af te trekken
+   * @param {Object} options - { type, description, to }
    * @returns {Promise<User>} - Bijgewerkte gebruiker
    */
-  async subtractSkaff(amount) {
-    // Controleer of gebruiker genoeg SKAFF heeft
-    const [user] = await db.query('SELECT skaff FROM users WHERE id = ?', [this.id]);
-    
-    if (!user || user.skaff < amount) {
-      throw new Error('Niet genoeg SKAFF');
+  async subtractSkaff(amount, { type = 'penalty', description = null, to = ledger.SYSTEM_ACCOUNTS.MINT } = {}) {
+    const wallet = ledger.walletAccount(this.id);
+    try {
+      const { balances } = await ledger.withTransaction(connection => ledger.transfer(connection, {
+        from: wallet,
+        to,
+        amount,
+        type,
+        description
+      }));
+      this.skaff = balances[wallet];
+    } catch (error) {
+      if (error instanceof ledger.InsufficientFundsError) {
+        throw new Error('Niet genoeg SKAFF');
+      }
+      throw error;
     }
     
-    await db.query(
-      'UPDATE users SET skaff = skaff - ? WHERE id = ?',
-      [amount, this.id]
-    );
-    
-    const updated = await User.findById(this.id);
-    this.skaff = updated.skaff;
     return this;
   }
 
@@ -260,20 +260,25 @@ app.use(cors({
     return callback(new Error('CORS origin not allowed: ' + origin));
   },
   credentials: true,
-  allowedHeaders: ['Authorization','Content-Type','Accept','X-Requested-With'],
+  allowedHeaders: ['Authorization','Content-Type','Accept','X-Requested-With','Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   methods: ['GET','POST','PUT','DELETE','OPTIONS']
 }));
 app.use(helmet());
-app.use(express.json());
+// rawBody bewaren voor HMAC verificatie van game server requests
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('combined', { stream: accessLogStream }));
 
 // Rate limiting
+// Internal routes (game servers, HMAC gesigneerd) tellen niet mee: een server stuurt elke seconde posities
+const internalPrefix = `${serverConfig.apiPrefix}/internal/`;
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000,
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  skip: (req) => req.path.startsWith(internalPrefix)
 });
 app.use(limiter);
 
@@ -327,6 +332,26 @@ console.log('[MODULE] Faction Wars routes laden...');
 const factionWarsRoutes = require('./api/faction-wars.routes');
 console.log('[MODULE] Faction Wars routes geladen!');
 
+console.log('[MODULE] Trade routes laden...');
+const tradeRoutes = require('./api/trade.routes');
+console.log('[MODULE] Trade routes geladen!');
+
+console.log('[MODULE] Market routes laden...');
+const marketRoutes = require('./api/market.routes');
+console.log('[MODULE] Market routes geladen!');
+
+console.log('[MODULE] Item routes laden...');
+const itemRoutes = require('./api/items.routes');
+console.log('[MODULE] Item routes geladen!');
+
+console.log('[MODULE] Spin routes laden...');
+const spinRoutes = require('./api/spins.routes');
+console.log('[MODULE] Spin routes geladen!');
+
+console.log('[MODULE] Client routes laden...');
+const clientRoutes = require('./api/client.routes');
+console.log('[MODULE] Client routes geladen!');
+
 console.log('[MODULE] Mining endpoints registreren op', `${apiPrefix}/mining`);
 app.use(`${apiPrefix}/mining`, miningRoutes);
 
@@ -339,6 +364,21 @@ app.use(`${apiPrefix}/factions`, factionRoutes);
 console.log('[MODULE] Faction Wars endpoints registreren op', `${apiPrefix}/faction-wars`);
 app.use(`${apiPrefix}/faction-wars`, factionWarsRoutes);
 
+console.log('[MODULE] Trade endpoints registreren op', `${apiPrefix}/trades`);
+app.use(`${apiPrefix}/trades`, tradeRoutes);
+
+console.log('[MODULE] Market endpoints registreren op', `${apiPrefix}/market`);
+app.use(`${apiPrefix}/market`, marketRoutes);
+
+console.log('[MODULE] Item endpoints registreren op', `${apiPrefix}/items`);
+app.use(`${apiPrefix}/items`, itemRoutes);
+
+console.log('[MODULE] Spin endpoints registreren op', `${apiPrefix}/spins`);
+app.use(`${apiPrefix}/spins`, spinRoutes);
+
+console.log('[MODULE] Client endpoints registreren op', `${apiPrefix}/client`);
+app.use(`${apiPrefix}/client`, clientRoutes);
+
 // Game Server Management routes (optioneel - alleen laden als modules beschikbaar zijn)
 console.log('[MODULE] Game Server routes laden...');
 let gameServerRoutes;
@@ -363,7 +403,7 @@ console.log('[MODULE] Config routes laden...');
 const configRoutes = require('./api/config.routes');
 console.log('[MODULE] Config routes geladen!');
 console.log('[MODULE] Config endpoints registreren op', `${apiPrefix}/config`);
-app.use(`${apiPrefix}/config`, configRoutes);
+app.use(`${apiPrefix}/config`, authenticateToken, configRoutes);
 
 // Public Server Discovery API routes (voor Unity server discovery)
 console.log('[MODULE] Public server discovery routes laden...');
@@ -389,6 +429,16 @@ try {
     console.warn('[MODULE] ⚠️ Internal server routes niet beschikbaar:', error.message);
 }
 
+// Internal Player API routes (server-authoritative speler state)
+console.log('[MODULE] Internal player routes laden...');
+try {
+    const internalPlayerRoutes = require('./api/internal/players.routes');
+    console.log('[MODULE] Internal player endpoints registreren op', `${apiPrefix}/internal/players`);
+    app.use(`${apiPrefix}/internal/players`, internalPlayerRoutes);
+} catch (error) {
+    console.warn('[MODULE] ⚠️ Internal player routes niet beschikbaar:', error.message);
+}
+
 console.log('[MODULE] Alle API routes geregistreerd!');
 
 // Health check endpoint
@@ -462,6 +512,9 @@ const startServer = async () => {
     }
     console.log('[BOOT] ✅ Models geïnitialiseerd');
 
+    // Item catalogus uit de database laden (standaard catalogus blijft actief als de tabel leeg is)
+    await require('./managers/ItemRegistry').load();
+
     // 3. Optionele model validatie
     try {
       const { validateModels } = require('./utils/model-validator');
@@ -562,12 +615,14 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM ontvangen, server afsluiten...');
+  await require('./managers/PlayerStateManager').flushPositions();
   await db.closeDatabase();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT ontvangen, server afsluiten...');
+  await require('./managers/PlayerStateManager').flushPositions();
   await db.closeDatabase();
   process.exit(0);
 });
@@ -0,0 +1,73 @@
+jest.mock('../models', () => ({
+    isInitialized: () => true,
+    User: { findByPk: jest.fn() },
+    Player: { findByPk: jest.fn() },
+    Session: { findOne: jest.fn() }
+}));
+
+const jwt = require('jsonwebtoken');
+const models = require('../models');
+const tokens = require('../utils/auth-tokens');
+const { authenticateToken } = require('../middleware/auth');
+const { run } = require('./helpers/http');
+
+const user = { id: 'u1', username: 'alice', email: 'alice@example.com', role: 'player' };
+const player = { id: 'p1' };
+
+function bearer(token) {
+    return { headers: { authorization: `Bearer ${token}` } };
+}
+
+beforeEach(() => {
+    models.User.findByPk.mockResolvedValue(user);
+    models.Player.findByPk.mockResolvedValue(player);
+    models.Session.findOne.mockResolvedValue({ id: 's1' });
+});
+
+describe('refresh tokens', () => {
+    test('alleen de hash wordt opgeslagen en elke rotatie geeft een nieuw token', () => {
+        const first = tokens.generateRefreshToken();
+        const second = tokens.generateRefreshToken();
+
+        expect(first).not.toBe(second);
+        expect(tokens.hashRefreshToken(first)).toMatch(/^[0-9a-f]{64}$/);
+        expect(tokens.hashRefreshToken(first)).toBe(tokens.hashRefreshToken(first));
+        expect(tokens.hashRefreshToken(first)).not.toBe(first);
+    });
+});
+
+describe('authenticateToken', () => {
+    test('een access token van een actieve sessie zet req.user met de sessie', async () => {
+        const req = bearer(tokens.signAccessToken(user, player, 'family-1'));
+
+        const { res, next } = await run(authenticateToken, req);
+
+        expect(next).toBe(true);
+        expect(res.body).toBeUndefined();
+        expect(models.Session.findOne).toHaveBeenCalledWith(expect.objectContaining({
+            where: { family_id: 'family-1', user_id: 'u1', revoked_at: null }
+        }));
+    });
+
+    test('een ingetrokken sessie maakt de access token ongeldig', async () => {
+        models.Session.findOne.mockResolvedValue(null);
+
+        const { res, next } = await run(authenticateToken, bearer(tokens.signAccessToken(user, player, 'family-1')));
+
+        expect(next).toBe(false);
+        expect(res.statusCode).toBe(401);
+        expect(res.body.message).toContain('Sessie ingetrokken');
+    });
+
+    test('tokens zonder sessie of met een verkeerde handtekening worden geweigerd', async () => {
+        const legacy = jwt.sign({ userId: 'u1', playerId: 'p1' }, tokens.JWT_SECRET);
+        const forged = jwt.sign({ userId: 'u1', playerId: 'p1', sid: 'family-1' }, 'ander-geheim');
+
+        for (const token of [legacy, forged]) {
+            const { res, next } = await run(authenticateToken, bearer(token));
+            expect(next).toBe(false);
+            expect(res.statusCode).toBe(401);
+        }
+        expect(models.Session.findOne).not.toHaveBeenCalled();
+    });
+});
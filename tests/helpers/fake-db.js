@@ -0,0 +1,467 @@
+/**
+ * In-memory vervanger van utils/db voor de tests
+ * Kent alleen de queries van de paden die getest worden (handlers per onderwerp hieronder); een onbekende
+ * query gooit een fout zodat een test niet stil op een lege uitkomst doorloopt. Een rollback zet alle
+ * tabellen terug naar de stand van beginTransaction.
+ *
+ * tests/setup.js vervangt utils/db hiermee en leegt de tabellen voor elke test.
+ */
+
+const TABLES = [
+    'users', 'players', 'ledger_accounts', 'ledger_transactions', 'ledger_entries', 'inventory', 'inventory_items',
+    'trades', 'trade_items', 'market_listings', 'oven_spin_tables', 'oven_spin_pity', 'oven_spin_log',
+    'permissions', 'role_permissions', 'game_servers', 'game_server_history', 'idempotency_keys',
+    'item_definitions', 'ovens', 'mining_loot_tables', 'player_stats', 'player_deaths', 'player_suspicions',
+    'player_servers', 'player_buffs', 'mining_nodes', 'mining_sessions', 'mining_session_modifiers'
+];
+
+const tables = {};
+let sequence = 0;
+
+function reset() {
+    for (const name of TABLES) {
+        tables[name] = [];
+    }
+    sequence = 0;
+}
+
+function find(table, predicate) {
+    return tables[table].find(predicate);
+}
+
+// Kopieën teruggeven, net als mysql2: de managers passen gelezen rijen zelf aan
+function rows(list) {
+    return list.map(row => ({ ...row }));
+}
+
+function one(row) {
+    return row ? [{ ...row }] : [];
+}
+
+function updated(count) {
+    return { affectedRows: count };
+}
+
+function duplicate(message) {
+    const error = new Error(`Duplicate entry: ${message}`);
+    error.code = 'ER_DUP_ENTRY';
+    return error;
+}
+
+// JSON_CONTAINS(kolom, '{"itemId": ...}') op een JSON lijst met drops
+function containsItem(json, itemId) {
+    const list = typeof json === 'string' ? JSON.parse(json) : json || [];
+    return list.some(entry => entry.itemId === itemId);
+}
+
+// Kolommen van de game_servers upsert in ServerRegistry.register, in volgorde van de placeholders
+const GAME_SERVER_COLUMNS = [
+    'server_id', 'name', 'origin', 'pterodactyl_id', 'pterodactyl_uuid', 'ip', 'alias', 'port', 'max_players',
+    'current_players', 'map_name', 'game_mode', 'region', 'version', 'server_type', 'status', 'metrics', 'last_heartbeat'
+];
+// Deze kolommen worden bij een her-registratie altijd overschreven, de rest alleen als de nieuwe waarde niet null is
+const GAME_SERVER_OVERWRITE = ['max_players', 'current_players', 'status', 'metrics', 'last_heartbeat'];
+
+const HANDLERS = [
+    // Ledger
+    [/^SELECT id FROM ledger_accounts WHERE id = \?$/, ([id]) => one(find('ledger_accounts', a => a.id === id))],
+    [/^SELECT balance FROM ledger_accounts WHERE id = \?( FOR UPDATE)?$/, ([id]) => one(find('ledger_accounts', a => a.id === id))],
+    [/^INSERT IGNORE INTO ledger_accounts/, ([id, type, ownerId]) => {
+        if (find('ledger_accounts', a => a.id === id)) return updated(0);
+        tables.ledger_accounts.push({ id, type, owner_id: ownerId, balance: 0 });
+        return updated(1);
+    }],
+    [/^SELECT id, type, owner_id, balance FROM ledger_accounts WHERE id IN/, (ids) =>
+        rows(tables.ledger_accounts.filter(a => ids.includes(a.id)).sort((a, b) => a.id.localeCompare(b.id)))],
+    [/^INSERT INTO ledger_transactions/, ([id, type, description, referenceId, createdBy, metadata]) => {
+        tables.ledger_transactions.push({ id, type, description, reference_id: referenceId, created_by: createdBy, metadata });
+        return updated(1);
+    }],
+    [/^INSERT INTO ledger_entries/, ([transactionId, accountId, amount, balanceAfter]) => {
+        tables.ledger_entries.push({ transaction_id: transactionId, account_id: accountId, amount, balance_after: balanceAfter });
+        return updated(1);
+    }],
+    [/^UPDATE ledger_accounts SET balance = \? WHERE id = \?$/, ([balance, id]) => {
+        find('ledger_accounts', a => a.id === id).balance = balance;
+        return updated(1);
+    }],
+
+    // Users en spelers
+    [/^SELECT skaff FROM users WHERE id = \? FOR UPDATE$/, ([id]) => one(find('users', u => u.id === id))],
+    [/^UPDATE users SET skaff = \? WHERE id = \?$/, ([skaff, id]) => {
+        find('users', u => u.id === id).skaff = skaff;
+        return updated(1);
+    }],
+    [/^SELECT oven_spins, last_oven_reset FROM users WHERE id = \? FOR UPDATE$/, ([id]) => one(find('users', u => u.id === id))],
+    [/^UPDATE users SET oven_spins = \?, last_oven_reset = \? WHERE id = \?$/, ([spins, resetAt, id]) => {
+        Object.assign(find('users', u => u.id === id), { oven_spins: spins, last_oven_reset: resetAt });
+        return updated(1);
+    }],
+    [/^SELECT (id|user_id|id, user_id, username) FROM players WHERE id = \?( FOR UPDATE)?$/, ([id]) => one(find('players', p => p.id === id))],
+    [/^SELECT id, username FROM players WHERE id IN/, (ids) => rows(tables.players.filter(p => ids.includes(p.id)))],
+    [/^SELECT id FROM players WHERE id IN/, (ids) => rows(tables.players.filter(p => ids.includes(p.id)))],
+    // Bulk positie update: per kolom CASE id WHEN ? THEN ? ... END, daarna de ids
+    [/^UPDATE players SET (.+ END), updated_at = NOW\(\) WHERE id IN/, (params, [, assignments]) => {
+        const values = [...params];
+        for (const [, column, cases] of assignments.matchAll(/(\w+) = CASE id ((?:WHEN \? THEN \? ?)+)END/g)) {
+            const count = cases.match(/WHEN/g).length;
+            for (let i = 0; i < count; i++) {
+                const [id, value] = values.splice(0, 2);
+                find('players', p => p.id === id)[column] = value;
+            }
+        }
+        return updated(values.length);
+    }],
+    [/^SELECT id FROM players WHERE id = \?( FOR UPDATE)?$/, ([id]) => one(find('players', p => p.id === id))],
+    [/^SELECT health, max_health FROM players WHERE id = \?$/, ([id]) => one(find('players', p => p.id === id))],
+    [/^UPDATE players SET health = (\?|0), (max_health = \?, )?updated_at = NOW\(\) WHERE id = \?$/, (params, [, health, maxHealth]) => {
+        const values = [...params];
+        const id = values.pop();
+        Object.assign(find('players', p => p.id === id), {
+            health: health === '0' ? 0 : values.shift(),
+            ...(maxHealth ? { max_health: values.shift() } : {})
+        });
+        return updated(1);
+    }],
+    [/^INSERT INTO player_stats \(player_id, (total_deaths|total_kills)\) VALUES \(\?, 1\) ON DUPLICATE KEY/, ([playerId], [, column]) => {
+        let stats = find('player_stats', s => s.player_id === playerId);
+        if (!stats) {
+            stats = { player_id: playerId, total_deaths: 0, total_kills: 0 };
+            tables.player_stats.push(stats);
+        }
+        stats[column] += 1;
+        return updated(1);
+    }],
+    [/^INSERT INTO player_suspicions/, ([playerId, serverId, kind, details]) => {
+        tables.player_suspicions.push({ player_id: playerId, server_id: serverId, kind, details: JSON.parse(details) });
+        return updated(1);
+    }],
+    [/^INSERT INTO player_deaths/, ([playerId, killerPlayerId, cause, serverId, x, y, z]) => {
+        tables.player_deaths.push({ id: ++sequence, player_id: playerId, killer_player_id: killerPlayerId, cause, server_id: serverId, position: [x, y, z] });
+        return { affectedRows: 1, insertId: sequence };
+    }],
+
+    // Idempotency keys; NOW() is de echte klok, created_at en expires_at zijn Dates
+    [/^DELETE FROM idempotency_keys WHERE user_id = \? AND idempotency_key = \? AND route = \?( AND .*INTERVAL (\d+) SECOND\)\)\))?$/,
+        ([userId, key, route], [, expiredOnly, processingSeconds]) => {
+            const now = Date.now();
+            const before = tables.idempotency_keys.length;
+            tables.idempotency_keys = tables.idempotency_keys.filter(row => {
+                if (row.user_id !== userId || row.idempotency_key !== key || row.route !== route) return true;
+                if (!expiredOnly) return false;
+                const expired = row.expires_at.getTime() < now;
+                const abandoned = row.status === 'processing' && row.created_at.getTime() < now - processingSeconds * 1000;
+                return !expired && !abandoned;
+            });
+            return updated(before - tables.idempotency_keys.length);
+        }],
+    [/^INSERT IGNORE INTO idempotency_keys .* INTERVAL (\d+) HOUR\)\)$/, ([userId, key, route, requestHash], [, hours]) => {
+        if (find('idempotency_keys', row => row.user_id === userId && row.idempotency_key === key && row.route === route)) {
+            return updated(0);
+        }
+        tables.idempotency_keys.push({
+            user_id: userId, idempotency_key: key, route, request_hash: requestHash, status: 'processing',
+            response_status: null, response_body: null, created_at: new Date(), expires_at: new Date(Date.now() + hours * 3600000)
+        });
+        return updated(1);
+    }],
+    [/^SELECT \* FROM idempotency_keys WHERE user_id = \? AND idempotency_key = \? AND route = \?$/, ([userId, key, route]) =>
+        one(find('idempotency_keys', row => row.user_id === userId && row.idempotency_key === key && row.route === route))],
+    [/^UPDATE idempotency_keys SET status = 'completed', response_status = \?, response_body = \?/, ([status, body, userId, key, route]) => {
+        const row = find('idempotency_keys', r => r.user_id === userId && r.idempotency_key === key && r.route === route);
+        if (!row) return updated(0);
+        Object.assign(row, { status: 'completed', response_status: status, response_body: body });
+        return updated(1);
+    }],
+
+    // Permissies
+    [/^INSERT IGNORE INTO permissions \(name, description\)/, ([name, description]) => {
+        if (find('permissions', p => p.name === name)) return updated(0);
+        tables.permissions.push({ name, description });
+        return updated(1);
+    }],
+    [/^SELECT COUNT\(\*\) as count FROM role_permissions$/, () => [{ count: tables.role_permissions.length }]],
+    [/^INSERT IGNORE INTO role_permissions \(role, permission\)/, ([role, permission]) => {
+        if (find('role_permissions', p => p.role === role && p.permission === permission)) return updated(0);
+        tables.role_permissions.push({ role, permission });
+        return updated(1);
+    }],
+    [/^SELECT permission FROM role_permissions WHERE role = \?$/, ([role]) =>
+        rows(tables.role_permissions.filter(p => p.role === role))],
+    [/^DELETE FROM role_permissions WHERE role = \? AND permission = \?$/, ([role, permission]) => {
+        const before = tables.role_permissions.length;
+        tables.role_permissions = tables.role_permissions.filter(p => p.role !== role || p.permission !== permission);
+        return updated(before - tables.role_permissions.length);
+    }],
+
+    // Inventory
+    [/^SELECT \* FROM inventory WHERE player_id = \? FOR UPDATE$/, ([playerId]) => one(find('inventory', i => i.player_id === playerId))],
+    [/^INSERT INTO inventory \(id, player_id, max_slots\)/, ([id, playerId, maxSlots]) => {
+        tables.inventory.push({ id, player_id: playerId, max_slots: maxSlots });
+        return updated(1);
+    }],
+    [/^SELECT \* FROM inventory_items WHERE inventory_id = \? ORDER BY slot FOR UPDATE$/, ([inventoryId]) =>
+        rows(tables.inventory_items.filter(i => i.inventory_id === inventoryId).sort((a, b) => a.slot - b.slot))],
+    [/^SELECT slot FROM inventory_items WHERE inventory_id = \?$/, ([inventoryId]) =>
+        rows(tables.inventory_items.filter(i => i.inventory_id === inventoryId))],
+    [/^SELECT ii\.\* FROM inventory_items ii JOIN inventory i ON i\.id = ii\.inventory_id WHERE ii\.id = \? AND i\.player_id = \? FOR UPDATE$/,
+        ([id, playerId]) => {
+            const item = find('inventory_items', i => i.id === id);
+            const owner = item && find('inventory', i => i.id === item.inventory_id);
+            return owner && owner.player_id === playerId ? one(item) : [];
+        }],
+    [/^INSERT INTO inventory_items \(id, inventory_id, item_id, quantity, slot, metadata\)/, ([id, inventoryId, itemId, quantity, slot, metadata]) => {
+        if (find('inventory_items', i => i.inventory_id === inventoryId && i.slot === slot)) {
+            throw duplicate(`${inventoryId}-${slot}`);
+        }
+        tables.inventory_items.push({ id, inventory_id: inventoryId, item_id: itemId, quantity, slot, metadata });
+        return updated(1);
+    }],
+    [/^UPDATE inventory_items SET quantity = quantity \+ \? WHERE id = \?$/, ([amount, id]) => {
+        find('inventory_items', i => i.id === id).quantity += amount;
+        return updated(1);
+    }],
+    [/^UPDATE inventory_items SET quantity = quantity - \? WHERE id = \?$/, ([amount, id]) => {
+        find('inventory_items', i => i.id === id).quantity -= amount;
+        return updated(1);
+    }],
+    [/^SELECT ii\.\* FROM inventory_items ii JOIN inventory i ON i\.id = ii\.inventory_id WHERE i\.player_id = \? AND ii\.slot = \?$/,
+        ([playerId, slot]) => {
+            const owner = find('inventory', i => i.player_id === playerId);
+            return one(owner && find('inventory_items', i => i.inventory_id === owner.id && i.slot === slot));
+        }],
+    [/^UPDATE inventory_items SET metadata = \? WHERE id = \?$/, ([metadata, id]) => {
+        find('inventory_items', i => i.id === id).metadata = metadata;
+        return updated(1);
+    }],
+    [/^DELETE FROM inventory_items WHERE id = \?$/, ([id]) => {
+        const before = tables.inventory_items.length;
+        tables.inventory_items = tables.inventory_items.filter(i => i.id !== id);
+        return updated(before - tables.inventory_items.length);
+    }],
+
+    // Trades
+    [/^SELECT id FROM (trades|market_listings) WHERE status = '(open|active)' AND expires_at <= NOW\(\)( AND id = \?)?$/,
+        ([id], [, table, status]) => rows(tables[table].filter(row =>
+            row.status === status && new Date(row.expires_at) <= new Date() && (id === undefined || row.id === id)))],
+    [/^SELECT \* FROM (trades|market_listings) WHERE id = \?( FOR UPDATE)?$/, ([id], [, table]) => one(find(table, row => row.id === id))],
+    [/^UPDATE trades SET (initiator|partner)_skaff = \? WHERE id = \?$/, ([amount, id], [, side]) => {
+        find('trades', t => t.id === id)[`${side}_skaff`] = amount;
+        return updated(1);
+    }],
+    [/^UPDATE trades SET initiator_confirmed = FALSE, partner_confirmed = FALSE WHERE id = \?$/, ([id]) => {
+        Object.assign(find('trades', t => t.id === id), { initiator_confirmed: 0, partner_confirmed: 0 });
+        return updated(1);
+    }],
+    [/^UPDATE trades SET (initiator|partner)_confirmed = TRUE WHERE id = \?$/, ([id], [, side]) => {
+        find('trades', t => t.id === id)[`${side}_confirmed`] = 1;
+        return updated(1);
+    }],
+    [/^UPDATE trades SET status = '(\w+)'/, (params, [, status]) => {
+        Object.assign(find('trades', t => t.id === params[params.length - 1]), { status, completed_at: new Date() });
+        return updated(1);
+    }],
+    [/^SELECT \* FROM trade_items WHERE trade_id = \? ORDER BY created_at$/, ([tradeId]) =>
+        rows(tables.trade_items.filter(i => i.trade_id === tradeId).sort((a, b) => a.created_at - b.created_at))],
+    [/^INSERT INTO trade_items/, ([id, tradeId, playerId, itemId, quantity, metadata, sourceSlot]) => {
+        tables.trade_items.push({
+            id, trade_id: tradeId, player_id: playerId, item_id: itemId, quantity, metadata, source_slot: sourceSlot, created_at: ++sequence
+        });
+        return updated(1);
+    }],
+
+    // Marktplaats
+    [/^UPDATE market_listings SET status = \?/, ([status, price, tax, buyerPlayerId, buyerUserId, id]) => {
+        Object.assign(find('market_listings', l => l.id === id), {
+            status, sale_price: price, sales_tax: tax, buyer_player_id: buyerPlayerId, buyer_user_id: buyerUserId, closed_at: new Date()
+        });
+        return updated(1);
+    }],
+
+    // Item catalogus
+    [/^SELECT \(SELECT COUNT\(\*\) FROM inventory_items WHERE item_id = \?\) AS inventory/, ([itemId]) => [{
+        inventory: tables.inventory_items.filter(i => i.item_id === itemId).length,
+        trades: tables.trade_items.filter(i => i.item_id === itemId &&
+            find('trades', t => t.id === i.trade_id && t.status === 'open')).length,
+        market: tables.market_listings.filter(l => l.item_id === itemId && l.status === 'active').length,
+        ovens: tables.ovens.filter(o => o.recipe_id === itemId && (o.input_quantity > 0 || o.output_quantity > 0)).length,
+        spinTables: tables.oven_spin_tables.filter(t => containsItem(t.entries, itemId)).length,
+        lootTables: tables.mining_loot_tables.filter(t => containsItem(t.entries, itemId) || containsItem(t.guaranteed, itemId)).length
+    }]],
+    [/^DELETE FROM item_definitions WHERE id = \?$/, ([id]) => {
+        const before = tables.item_definitions.length;
+        tables.item_definitions = tables.item_definitions.filter(i => i.id !== id);
+        return updated(before - tables.item_definitions.length);
+    }],
+
+    // Ovens
+    [/^SELECT \* FROM ovens WHERE id = \?( FOR UPDATE)?$/, ([id]) => one(find('ovens', o => o.id === id))],
+    [/^UPDATE ovens SET recipe_id = \?, input_quantity = \?, output_quantity = \?, progress_seconds = \?, fuel = \?, last_tick_at = \? WHERE id = \?$/,
+        ([recipeId, input, output, progress, fuel, lastTickAt, id]) => {
+            Object.assign(find('ovens', o => o.id === id), {
+                recipe_id: recipeId, input_quantity: input, output_quantity: output, progress_seconds: progress, fuel, last_tick_at: lastTickAt
+            });
+            return updated(1);
+        }],
+
+    // Mining
+    [/^SELECT server_id FROM player_servers WHERE player_id = \?$/, ([playerId]) => one(find('player_servers', s => s.player_id === playerId))],
+    [/^SELECT multiplier, expires_at FROM player_buffs WHERE player_id = \? AND buff_type = \? AND expires_at > \?$/, ([playerId, type, now]) =>
+        one(find('player_buffs', b => b.player_id === playerId && b.buff_type === type && b.expires_at > now))],
+    [/^SELECT id FROM mining_sessions WHERE player_id = \? AND status = "active" FOR UPDATE$/, ([playerId]) =>
+        one(find('mining_sessions', s => s.player_id === playerId && s.status === 'active'))],
+    [/^INSERT INTO player_buffs/, ([playerId, buffType, multiplier, sourceItemId, expiresAt]) => {
+        const existing = find('player_buffs', b => b.player_id === playerId && b.buff_type === buffType);
+        const values = { multiplier, source_item_id: sourceItemId, expires_at: expiresAt };
+        if (existing) Object.assign(existing, values);
+        else tables.player_buffs.push({ player_id: playerId, buff_type: buffType, ...values });
+        return updated(existing ? 2 : 1);
+    }],
+    [/^INSERT INTO mining_sessions/, ([id, playerId, locationId, startTime, estimatedEndTime]) => {
+        tables.mining_sessions.push({ id, player_id: playerId, location_id: locationId, status: 'active', start_time: startTime, estimated_end_time: estimatedEndTime });
+        return updated(1);
+    }],
+    [/^INSERT INTO mining_session_modifiers/, ([sessionId, inventoryItemId, toolItemId, miningSpeed, speedBoost]) => {
+        tables.mining_session_modifiers.push({
+            session_id: sessionId, inventory_item_id: inventoryItemId, tool_item_id: toolItemId, mining_speed: miningSpeed, speed_boost: speedBoost
+        });
+        return updated(1);
+    }],
+    [/^UPDATE mining_sessions SET status = "abandoned", end_time = \? WHERE id = \? AND status = "active"$/, ([endTime, id]) => {
+        const session = find('mining_sessions', s => s.id === id && s.status === 'active');
+        if (session) Object.assign(session, { status: 'abandoned', end_time: endTime });
+        return updated(session ? 1 : 0);
+    }],
+    [/^INSERT IGNORE INTO mining_nodes \(server_id, location_id, node_index\) VALUES/, (params) => {
+        let inserted = 0;
+        for (let index = 0; index < params.length; index += 3) {
+            const [serverId, locationId, nodeIndex] = params.slice(index, index + 3);
+            if (find('mining_nodes', n => n.server_id === serverId && n.location_id === locationId && n.node_index === nodeIndex)) continue;
+            tables.mining_nodes.push({ server_id: serverId, location_id: locationId, node_index: nodeIndex, session_id: null, claimed_at: null, respawn_at: null });
+            inserted++;
+        }
+        return updated(inserted);
+    }],
+    [/^SELECT \* FROM mining_nodes WHERE server_id = \?( AND location_id = \? AND node_index < \? ORDER BY node_index FOR UPDATE)?$/,
+        ([serverId, locationId, nodes], [, filtered]) => rows(tables.mining_nodes
+            .filter(n => n.server_id === serverId && (!filtered || (n.location_id === locationId && n.node_index < nodes)))
+            .sort((a, b) => a.node_index - b.node_index))],
+    [/^SELECT \* FROM mining_nodes WHERE session_id = \? FOR UPDATE$/, ([sessionId]) => one(find('mining_nodes', n => n.session_id === sessionId))],
+    [/^UPDATE mining_nodes SET session_id = \?, claimed_at = \?, respawn_at = NULL WHERE server_id = \? AND location_id = \? AND node_index = \?$/,
+        ([sessionId, claimedAt, serverId, locationId, nodeIndex]) => {
+            Object.assign(find('mining_nodes', n => n.server_id === serverId && n.location_id === locationId && n.node_index === nodeIndex), {
+                session_id: sessionId, claimed_at: claimedAt, respawn_at: null
+            });
+            return updated(1);
+        }],
+    [/^UPDATE mining_nodes SET session_id = NULL, claimed_at = NULL, respawn_at = \? WHERE server_id = \? AND location_id = \? AND node_index = \?$/,
+        ([respawnAt, serverId, locationId, nodeIndex]) => {
+            Object.assign(find('mining_nodes', n => n.server_id === serverId && n.location_id === locationId && n.node_index === nodeIndex), {
+                session_id: null, claimed_at: null, respawn_at: respawnAt
+            });
+            return updated(1);
+        }],
+
+    // Oven spins
+    [/^SELECT \* FROM oven_spin_tables WHERE id = \?$/, ([id]) => one(find('oven_spin_tables', t => t.id === id))],
+    [/^SELECT spins_since_rare FROM oven_spin_pity WHERE user_id = \? AND table_id = \? FOR UPDATE$/, ([userId, tableId]) =>
+        one(find('oven_spin_pity', p => p.user_id === userId && p.table_id === tableId))],
+    [/^INSERT INTO oven_spin_pity/, ([userId, tableId, spinsSinceRare]) => {
+        const existing = find('oven_spin_pity', p => p.user_id === userId && p.table_id === tableId);
+        if (existing) existing.spins_since_rare = spinsSinceRare;
+        else tables.oven_spin_pity.push({ user_id: userId, table_id: tableId, spins_since_rare: spinsSinceRare });
+        return updated(existing ? 2 : 1);
+    }],
+    [/^INSERT INTO oven_spin_log/, (params) => {
+        const columns = ['id', 'user_id', 'player_id', 'table_id', 'table_version', 'spin_type', 'cost', 'entry_id', 'reward_type',
+            'item_id', 'quantity', 'rarity', 'roll', 'total_weight', 'pity_triggered'];
+        tables.oven_spin_log.push(Object.fromEntries(columns.map((column, index) => [column, params[index]])));
+        return updated(1);
+    }],
+
+    // Game server registry
+    [/^SELECT \* FROM game_servers WHERE server_id = \?$/, ([serverId]) => one(find('game_servers', s => s.server_id === serverId))],
+    [/^SELECT \* FROM game_servers( WHERE status <> \?)?( ORDER BY registered_at)?$/, ([status]) =>
+        rows(tables.game_servers.filter(s => status === undefined || s.status !== status))],
+    [/^SELECT COUNT\(\*\) as count FROM game_servers WHERE status <> \?$/, ([status]) =>
+        [{ count: tables.game_servers.filter(s => s.status !== status).length }]],
+    [/^INSERT INTO game_servers/, (params) => {
+        const values = Object.fromEntries(GAME_SERVER_COLUMNS.map((column, index) => [column, params[index]]));
+        const existing = find('game_servers', s => s.server_id === values.server_id);
+        if (!existing) {
+            tables.game_servers.push({ ...values, registered_at: new Date() });
+            return updated(1);
+        }
+        for (const [column, value] of Object.entries(values)) {
+            if (column === 'origin') continue;
+            if (value !== null || GAME_SERVER_OVERWRITE.includes(column)) existing[column] = value;
+        }
+        existing.registered_at = new Date();
+        return updated(2);
+    }],
+    [/^UPDATE game_servers SET current_players = \?, status = \?, metrics = \?, last_heartbeat = NOW\(\) WHERE server_id = \?$/,
+        ([currentPlayers, status, metrics, serverId]) => {
+            Object.assign(find('game_servers', s => s.server_id === serverId), {
+                current_players: currentPlayers, status, metrics, last_heartbeat: new Date()
+            });
+            return updated(1);
+        }],
+    [/^UPDATE game_servers SET status = \?(, last_heartbeat = NOW\(\))? WHERE server_id = \?$/, ([status, serverId], [, touch]) => {
+        const server = find('game_servers', s => s.server_id === serverId);
+        Object.assign(server, { status }, touch ? { last_heartbeat: new Date() } : {});
+        return updated(1);
+    }],
+    [/^INSERT INTO game_server_history/, ([serverId, event, oldStatus, newStatus, details]) => {
+        tables.game_server_history.push({ server_id: serverId, event, old_status: oldStatus, new_status: newStatus, details });
+        return updated(1);
+    }]
+];
+
+function run(sql, params = []) {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+    for (const [pattern, handler] of HANDLERS) {
+        const match = statement.match(pattern);
+        if (match) return handler(params, match);
+    }
+    throw new Error(`fake-db kent deze query niet: ${statement}`);
+}
+
+async function query(sql, params) {
+    return run(sql, params);
+}
+
+async function getConnection() {
+    let snapshot = null;
+    return {
+        query: async (sql, params) => [run(sql, params)],
+        beginTransaction: async () => {
+            snapshot = Object.fromEntries(Object.entries(tables).map(([name, list]) => [name, rows(list)]));
+        },
+        commit: async () => {
+            snapshot = null;
+        },
+        rollback: async () => {
+            if (snapshot) Object.assign(tables, snapshot);
+            snapshot = null;
+        },
+        release: () => {}
+    };
+}
+
+/**
+ * Saldo van een account zoals het in de fake ledger_accounts tabel staat (0 als het er niet is)
+ */
+function balanceOf(accountId) {
+    const account = find('ledger_accounts', a => a.id === accountId);
+    return account ? account.balance : 0;
+}
+
+reset();
+
+module.exports = {
+    query,
+    getConnection,
+    tables,
+    reset,
+    balanceOf
+};
@@ -0,0 +1,39 @@
+/**
+ * Minimale Express request/response stand-ins om middleware en controllers zonder server te testen
+ */
+
+function response() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        set(name, value) {
+            res.headers[name.toLowerCase()] = value;
+            return res;
+        }
+    };
+    res.setHeader = res.set;
+    return res;
+}
+
+/**
+ * Voer een middleware uit
+ * @returns {Promise<Object>} - { req, res, next } - next is true als de middleware doorging
+ */
+async function run(middleware, request) {
+    const req = { headers: {}, body: {}, params: {}, query: {}, ...request };
+    const res = response();
+    let next = false;
+    await middleware(req, res, () => { next = true; });
+    return { req, res, next };
+}
+
+module.exports = { response, run };
@@ -0,0 +1,85 @@
+const db = require('./helpers/fake-db');
+const { idempotency } = require('../middleware/idempotency');
+const { response } = require('./helpers/http');
+
+let executions;
+
+/**
+ * Stuur een request door de middleware naar een handler die SKAFF "verplaatst" (zonder respond blijft hij hangen)
+ * @returns {Promise<Object>} - response
+ */
+async function send({ key = 'key-1', body = { amount: 100 }, userId = 'u1', status = 201, respond = true } = {}) {
+    const req = {
+        method: 'POST',
+        originalUrl: '/api/v1/economy/transfer?debug=1',
+        headers: key ? { 'idempotency-key': key } : {},
+        body,
+        user: { userId }
+    };
+    const res = response();
+    await idempotency(req, res, () => {
+        executions++;
+        if (respond) res.status(status).json({ status: status < 500 ? 'success' : 'error', transfer: executions });
+    });
+    // Het opslaan van de response loopt na res.json door
+    await new Promise(resolve => setImmediate(resolve));
+    return res;
+}
+
+beforeEach(() => {
+    executions = 0;
+});
+
+describe('idempotency middleware', () => {
+    test('dezelfde key met dezelfde body krijgt het eerste response terug zonder de actie te herhalen', async () => {
+        const first = await send();
+        const retry = await send({ body: { amount: 100 } });
+
+        expect(executions).toBe(1);
+        expect(retry.statusCode).toBe(201);
+        expect(retry.body).toEqual(first.body);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(first.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('keys zijn per gebruiker en zonder header werkt het endpoint zoals voorheen', async () => {
+        await send();
+        await send({ userId: 'u2' });
+        await send({ key: null });
+        await send({ key: null });
+
+        expect(executions).toBe(4);
+        expect(db.tables.idempotency_keys).toHaveLength(2);
+    });
+
+    test('dezelfde key met een andere body wordt geweigerd', async () => {
+        await send();
+        const res = await send({ body: { amount: 1000 } });
+
+        expect(executions).toBe(1);
+        expect(res.statusCode).toBe(409);
+        expect(res.body.message).toContain('ander request');
+    });
+
+    test('een request dat nog verwerkt wordt mag niet nog een keer', async () => {
+        await send({ respond: false });
+
+        const res = await send();
+
+        expect(executions).toBe(1);
+        expect(res.statusCode).toBe(409);
+        expect(res.body.message).toContain('nog verwerkt');
+    });
+
+    test('na een serverfout of na het verlopen van de key mag het opnieuw', async () => {
+        await send({ status: 500 });
+        expect(db.tables.idempotency_keys).toHaveLength(0);
+
+        await send();
+        db.tables.idempotency_keys[0].expires_at = new Date(Date.now() - 1000);
+        const res = await send();
+
+        expect(executions).toBe(3);
+        expect(res.headers['idempotent-replayed']).toBeUndefined();
+    });
+});
@@ -0,0 +1,110 @@
+const db = require('./helpers/fake-db');
+const inventoryManager = require('../managers/InventoryManager');
+
+function give(slot, itemId, quantity, metadata = null) {
+    db.tables.inventory_items.push({ id: `item-${slot}`, inventory_id: 'inv1', item_id: itemId, quantity, slot, metadata });
+}
+
+function slots() {
+    return db.tables.inventory_items
+        .slice()
+        .sort((a, b) => a.slot - b.slot)
+        .map(item => [item.slot, item.item_id, item.quantity]);
+}
+
+beforeEach(() => {
+    db.tables.inventory.push({ id: 'inv1', player_id: 'p1', max_slots: 3 });
+});
+
+describe('InventoryManager.add', () => {
+    test('vult eerst bestaande stacks aan tot de stackSize en daarna vrije slots', async () => {
+        give(1, 'coal', 60);
+
+        const result = await inventoryManager.add('p1', { itemId: 'coal', quantity: 70 });
+
+        expect(result).toMatchObject({ quantity: 70, overflow: 0 });
+        expect(slots()).toEqual([[0, 'coal', 64], [1, 'coal', 64], [2, 'coal', 2]]);
+    });
+
+    test('de gevraagde slot gaat voor en niet-stapelbare items krijgen elk een slot', async () => {
+        await inventoryManager.add('p1', { itemId: 'iron_pickaxe', quantity: 2, slot: 2 });
+
+        expect(slots()).toEqual([[0, 'iron_pickaxe', 1], [2, 'iron_pickaxe', 1]]);
+    });
+
+    test('stapelt niet op een stack met andere metadata', async () => {
+        give(0, 'coal', 10, JSON.stringify({ origin: 'event' }));
+
+        await inventoryManager.add('p1', { itemId: 'coal', quantity: 5 });
+
+        expect(slots()).toEqual([[0, 'coal', 10], [1, 'coal', 5]]);
+    });
+
+    test('faalt zonder iets te wijzigen als het niet past', async () => {
+        give(0, 'coal', 64);
+        give(1, 'iron_sword', 1);
+
+        await expect(inventoryManager.add('p1', { itemId: 'coal', quantity: 65 }))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Inventaris is vol') });
+        expect(slots()).toEqual([[0, 'coal', 64], [1, 'iron_sword', 1]]);
+    });
+
+    test('met partial wordt toegevoegd wat past en de rest als overflow teruggegeven', async () => {
+        give(0, 'coal', 60);
+        give(1, 'iron_sword', 1);
+
+        const result = await db.getConnection().then(async (connection) => {
+            await connection.beginTransaction();
+            const added = await inventoryManager.addItems(connection, 'p1', 'coal', 80, { partial: true });
+            await connection.commit();
+            return added;
+        });
+
+        expect(result).toMatchObject({ quantity: 68, overflow: 12 });
+        expect(slots()).toEqual([[0, 'coal', 64], [1, 'iron_sword', 1], [2, 'coal', 64]]);
+    });
+});
+
+describe('InventoryManager.capacityFor', () => {
+    test('telt de ruimte op bestaande stacks plus vrije slots', async () => {
+        give(0, 'coal', 60);
+        give(1, 'iron_sword', 1);
+
+        const connection = await db.getConnection();
+        const state = await inventoryManager.lock(connection, 'p1');
+
+        expect(inventoryManager.capacityFor(state, 'coal')).toBe(4 + 64);
+        expect(inventoryManager.capacityFor(state, 'diamond_pickaxe')).toBe(1);
+    });
+});
+
+describe('InventoryManager split, merge en batch', () => {
+    test('splitsen zet een deel van de stack in de eerste vrije slot', async () => {
+        give(0, 'coal', 10);
+
+        const result = await inventoryManager.split('p1', { fromSlot: 0, quantity: 4 });
+
+        expect(result).toMatchObject({ toSlot: 1, quantity: 4, remaining: 6 });
+        expect(slots()).toEqual([[0, 'coal', 6], [1, 'coal', 4]]);
+    });
+
+    test('samenvoegen vult tot de stackSize en laat de rest staan', async () => {
+        give(0, 'coal', 50);
+        give(1, 'coal', 30);
+
+        const result = await inventoryManager.merge('p1', { fromSlot: 1, toSlot: 0 });
+
+        expect(result).toMatchObject({ moved: 14, remaining: 16, quantity: 64 });
+        expect(slots()).toEqual([[0, 'coal', 64], [1, 'coal', 16]]);
+    });
+
+    test('een batch met een foute operatie wijzigt niets', async () => {
+        give(0, 'coal', 10);
+
+        await expect(inventoryManager.batch('p1', [
+            { type: 'split', fromSlot: 0, quantity: 5 },
+            { type: 'merge', fromSlot: 0, toSlot: 2 }
+        ])).rejects.toMatchObject({ statusCode: 404, message: expect.stringContaining('Operatie 2 (merge)') });
+        expect(slots()).toEqual([[0, 'coal', 10]]);
+    });
+});
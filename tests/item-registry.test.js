@@ -0,0 +1,69 @@
+const db = require('./helpers/fake-db');
+const permissions = require('../utils/permissions');
+const { ItemRegistry } = require('../managers/ItemRegistry');
+
+let registry;
+
+beforeEach(() => {
+    registry = new ItemRegistry();
+    db.tables.item_definitions.push({ id: 'iron_sword' }, { id: 'steel_beam' }, { id: 'raw_gold' });
+});
+
+describe('ItemRegistry.remove', () => {
+    test('een item dat nergens gebruikt wordt verdwijnt uit de database en de catalogus', async () => {
+        await registry.remove('iron_sword');
+
+        expect(registry.has('iron_sword')).toBe(false);
+        expect(db.tables.item_definitions.map(item => item.id)).toEqual(['steel_beam', 'raw_gold']);
+    });
+
+    test('input en output van een oven recept kunnen niet verwijderd worden', async () => {
+        for (const itemId of ['raw_gold', 'gold_ingot']) {
+            await expect(registry.remove(itemId)).rejects.toMatchObject({
+                statusCode: 409,
+                message: expect.stringContaining('oven recept(en): raw_gold')
+            });
+        }
+        expect(registry.has('raw_gold')).toBe(true);
+    });
+
+    test('exemplaren in inventories, ovens of drop tables blokkeren het verwijderen', async () => {
+        // Oven met nog input van een recept dat inmiddels niet meer bestaat
+        db.tables.ovens.push({ id: 'o1', recipe_id: 'steel_beam', input_quantity: 3, output_quantity: 0 });
+        db.tables.inventory_items.push({ id: 'i1', inventory_id: 'inv1', item_id: 'iron_sword', quantity: 1, slot: 0 });
+        db.tables.mining_loot_tables.push({ location_id: 'iron_mine', guaranteed: '[]', entries: JSON.stringify([{ itemId: 'iron_sword' }]) });
+
+        await expect(registry.remove('steel_beam')).rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('ovens: 1') });
+        await expect(registry.remove('iron_sword')).rejects.toMatchObject({
+            statusCode: 409,
+            message: expect.stringMatching(/inventories: 1.*loot tables: 1/)
+        });
+        expect(db.tables.item_definitions).toHaveLength(3);
+
+        // Een lege oven houdt niets meer vast
+        db.tables.ovens[0].input_quantity = 0;
+        await registry.remove('steel_beam');
+        expect(registry.has('steel_beam')).toBe(false);
+    });
+
+    test('een onbekend item geeft 404', async () => {
+        await expect(registry.remove('bestaat_niet')).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('permissions.seedDefaults', () => {
+    test('kent bij een herstart alleen nieuwe permissies toe, ingetrokken admin permissies blijven ingetrokken', async () => {
+        await permissions.seedDefaults();
+        await permissions.revokePermission('admin', 'items.manage');
+        // Database van voor de loot tables: de permissie bestaat nog niet
+        db.tables.permissions = db.tables.permissions.filter(permission => permission.name !== 'loot.manage');
+        db.tables.role_permissions = db.tables.role_permissions.filter(row => row.permission !== 'loot.manage');
+
+        await permissions.seedDefaults();
+
+        const admin = db.tables.role_permissions.filter(row => row.role === 'admin').map(row => row.permission);
+        expect(admin).toContain('loot.manage');
+        expect(admin).not.toContain('items.manage');
+        expect(db.tables.role_permissions.filter(row => row.role === 'player')).toEqual([]);
+    });
+});
@@ -0,0 +1,87 @@
+const db = require('./helpers/fake-db');
+const ledger = require('../utils/ledger');
+
+const { MINT, ESCROW } = ledger.SYSTEM_ACCOUNTS;
+
+beforeEach(() => {
+    db.tables.users.push({ id: 'u1', skaff: 500 }, { id: 'u2', skaff: 0 });
+});
+
+describe('ledger.post', () => {
+    test('weigert een transactie die niet op 0 uitkomt', async () => {
+        await expect(ledger.withTransaction(connection => ledger.post(connection, {
+            type: 'test',
+            entries: [{ account: MINT, amount: -10 }, { account: 'wallet:u2', amount: 9 }]
+        }))).rejects.toThrow('niet in balans');
+        expect(db.tables.ledger_transactions).toHaveLength(0);
+    });
+
+    test('weigert minder dan twee entries en ongeldige bedragen', async () => {
+        await expect(ledger.withTransaction(connection => ledger.post(connection, {
+            type: 'test',
+            entries: [{ account: MINT, amount: 0 }]
+        }))).rejects.toThrow('minstens twee entries');
+
+        await expect(ledger.withTransaction(connection => ledger.post(connection, {
+            type: 'test',
+            entries: [{ account: MINT, amount: -1.5 }, { account: 'wallet:u2', amount: 1.5 }]
+        }))).rejects.toThrow('Ongeldig bedrag');
+    });
+
+    test('opent een wallet met users.skaff als openingsbalans', async () => {
+        const { balances } = await ledger.withTransaction(connection => ledger.post(connection, {
+            type: 'reward',
+            entries: [{ account: MINT, amount: -100 }, { account: 'wallet:u1', amount: 100 }]
+        }));
+
+        expect(balances['wallet:u1']).toBe(600);
+        expect(db.balanceOf(MINT)).toBe(-600);
+        expect(db.tables.users.find(user => user.id === 'u1').skaff).toBe(600);
+        expect(db.tables.ledger_transactions.map(transaction => transaction.type)).toEqual(['opening_balance', 'reward']);
+    });
+});
+
+describe('ledger.transfer', () => {
+    test('verplaatst SKAFF tussen wallets', async () => {
+        await ledger.withTransaction(connection => ledger.transfer(connection, {
+            from: 'wallet:u1', to: 'wallet:u2', amount: 200, type: 'gift'
+        }));
+
+        expect(db.balanceOf('wallet:u1')).toBe(300);
+        expect(db.balanceOf('wallet:u2')).toBe(200);
+        expect(db.tables.users.map(user => user.skaff)).toEqual([300, 200]);
+    });
+
+    test('een wallet mag niet negatief worden, een system account wel', async () => {
+        const error = await ledger.withTransaction(connection => ledger.transfer(connection, {
+            from: 'wallet:u1', to: ESCROW, amount: 501, type: 'escrow'
+        })).catch(caught => caught);
+
+        expect(error).toBeInstanceOf(ledger.InsufficientFundsError);
+        expect(error).toMatchObject({ accountId: 'wallet:u1', balance: 500, required: 501 });
+        // Rollback: ook de openingsbalans van de wallet is niet geboekt
+        expect(db.tables.ledger_accounts).toHaveLength(0);
+        expect(db.tables.users.find(user => user.id === 'u1').skaff).toBe(500);
+
+        await ledger.withTransaction(connection => ledger.transfer(connection, {
+            from: ESCROW, to: 'wallet:u2', amount: 50, type: 'refund'
+        }));
+        expect(db.balanceOf(ESCROW)).toBe(-50);
+    });
+
+    test('weigert een bedrag dat geen positief geheel getal is', async () => {
+        for (const amount of [0, -200, 1.5, Number.MAX_SAFE_INTEGER + 1, '10']) {
+            await expect(ledger.withTransaction(connection => ledger.transfer(connection, {
+                from: 'wallet:u1', to: 'wallet:u2', amount, type: 'gift'
+            }))).rejects.toThrow('Ongeldig bedrag voor een transfer');
+        }
+        expect(db.tables.ledger_transactions).toHaveLength(0);
+        expect(db.tables.users.map(user => user.skaff)).toEqual([500, 0]);
+    });
+
+    test('van en naar hetzelfde account is niet toegestaan', async () => {
+        await expect(ledger.withTransaction(connection => ledger.transfer(connection, {
+            from: 'wallet:u1', to: 'wallet:u1', amount: 1, type: 'noop'
+        }))).rejects.toThrow('hetzelfde');
+    });
+});
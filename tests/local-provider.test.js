@@ -0,0 +1,61 @@
+const LocalProvider = require('../managers/providers/LocalProvider');
+
+// Een "game server" die blijft draaien tot hij gestopt wordt
+const IDLE_SERVER = ['-e', 'setInterval(() => {}, 1000)'];
+
+function provider(command = process.execPath, args = IDLE_SERVER) {
+    return new LocalProvider({ local: { command, args } }, { serverStartPort: 7101 });
+}
+
+async function create(local, name) {
+    const allocation = await local.reserveAllocation();
+    return local.createServer({ name, allocation, environment: { SERVER_PORT: allocation.port } });
+}
+
+beforeEach(() => {
+    // Verwachte spawn fouten van de tests hieronder
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+    const local = provider();
+    for (const server of await local.listServers()) {
+        await local.deleteServer({ id: server.id });
+    }
+});
+
+describe('LocalProvider', () => {
+    test('een server staat pas op running als het proces gestart is', async () => {
+        const local = provider();
+
+        const created = await create(local, 'SkaffaCity-GameServer-1');
+
+        expect(created).toMatchObject({ ip: '127.0.0.1', port: 7101 });
+        expect(await local.listServers()).toEqual([expect.objectContaining({ id: created.id, status: 'running' })]);
+    });
+
+    test('een commando dat niet start faalt en laat geen server of poort achter', async () => {
+        const local = provider('/bestaat/niet/gameserver');
+
+        await expect(create(local, 'SkaffaCity-GameServer-1')).rejects.toThrow('kon niet starten');
+        expect(await local.listServers()).toEqual([]);
+        const allocation = await local.reserveAllocation();
+        expect(allocation.port).toBe(7101);
+        await local.releaseAllocation(allocation);
+    });
+
+    test('starten na een mislukte start markeert de server als failed', async () => {
+        const local = provider();
+        const created = await create(local, 'SkaffaCity-GameServer-1');
+        await local.power(created, 'stop');
+        expect((await local.listServers())[0].status).toBe('offline');
+
+        local.config.command = '/bestaat/niet/gameserver';
+        await expect(local.power(created, 'start')).rejects.toThrow('kon niet starten');
+        expect((await local.listServers())[0].status).toBe('failed');
+
+        local.config.command = process.execPath;
+        await local.power(created, 'start');
+        expect((await local.listServers())[0].status).toBe('running');
+    });
+});
@@ -0,0 +1,72 @@
+const lootTableManager = require('../managers/LootTableManager');
+
+function drop(id, itemId, changes = {}) {
+    return { id, itemId, min: 1, max: 1, minLevel: 0, minMiningXp: 0, ...changes };
+}
+
+const table = {
+    locationId: 'test_mine',
+    rolls: 2,
+    skaff: [5, 15],
+    xp: [10, 10],
+    guaranteed: [drop('coal', 'coal', { max: 2 })],
+    entries: [
+        drop('raw_iron', 'raw_iron', { weight: 70, max: 3 }),
+        drop('nothing', null, { weight: 20 }),
+        drop('raw_gold', 'raw_gold', { weight: 10, minMiningXp: 250 })
+    ]
+};
+
+// Vaste reeks worpen in de volgorde waarin roll() ze gebruikt
+function sequence(...values) {
+    return () => {
+        if (values.length === 0) throw new Error('Geen worpen meer over');
+        return values.shift();
+    };
+}
+
+describe('LootTableManager.roll', () => {
+    test('guaranteed drops vallen altijd, gewogen drops per roll en een lege worp geeft niets', () => {
+        // guaranteed coal, roll 1 (raw_iron + aantal), roll 2 (nothing), skaff, xp
+        const random = sequence(0.99, 0.5, 0.99, 0.9, 0, 0.5);
+
+        expect(lootTableManager.roll(table, {}, { random })).toEqual({
+            skaff: 5,
+            xp: 10,
+            items: [
+                { itemId: 'coal', quantity: 2, guaranteed: true },
+                { itemId: 'raw_iron', quantity: 3, guaranteed: false }
+            ]
+        });
+    });
+
+    test('een drop met minMiningXp doet alleen mee als de speler genoeg mining XP heeft', () => {
+        // Zonder de XP is het totale gewicht 90 en valt 0.95 op nothing; met de XP 100 en valt het op raw_gold
+        const without = lootTableManager.roll({ ...table, rolls: 1 }, { miningXp: 0 }, { random: sequence(0, 0.95, 0, 0) });
+        const withXp = lootTableManager.roll({ ...table, rolls: 1 }, { miningXp: 250 }, { random: sequence(0, 0.95, 0, 0, 0) });
+
+        expect(without.items.map(item => item.itemId)).toEqual(['coal']);
+        expect(withXp.items.map(item => item.itemId)).toEqual(['coal', 'raw_gold']);
+    });
+
+    test('toolSpeed vermenigvuldigt alleen gewogen drops en dezelfde drop telt op', () => {
+        const random = sequence(0.99, 0, 0.99, 0, 0.99, 0, 0);
+
+        const result = lootTableManager.roll(table, {}, { toolSpeed: 1.5, random });
+
+        expect(result.items).toEqual([
+            { itemId: 'coal', quantity: 2, guaranteed: true },
+            { itemId: 'raw_iron', quantity: 8, guaranteed: false }
+        ]);
+    });
+
+    test('items die niet meer in de catalogus staan vallen niet', () => {
+        const result = lootTableManager.roll(
+            { ...table, rolls: 0, guaranteed: [drop('gone', 'removed_item')] },
+            {},
+            { random: sequence(0, 0) }
+        );
+
+        expect(result.items).toEqual([]);
+    });
+});
@@ -0,0 +1,74 @@
+const db = require('./helpers/fake-db');
+const ledger = require('../utils/ledger');
+const marketManager = require('../managers/MarketManager');
+
+const { ESCROW, MARKET } = ledger.SYSTEM_ACCOUNTS;
+
+function listing(changes = {}) {
+    return {
+        id: 'l1', status: 'active', listing_type: 'buyout', item_id: 'raw_gold', category: 'resources', quantity: 10,
+        metadata: null, buyout_price: 1000, start_price: null, current_bid: null, bidder_user_id: null,
+        seller_player_id: 'p2', seller_user_id: 'u2', expires_at: new Date(Date.now() + 60000),
+        ...changes
+    };
+}
+
+beforeEach(() => {
+    db.tables.users.push({ id: 'u1', skaff: 1500 }, { id: 'u2', skaff: 0 }, { id: 'u3', skaff: 0 });
+    db.tables.players.push({ id: 'p1', user_id: 'u1' }, { id: 'p2', user_id: 'u2' });
+    db.tables.inventory.push({ id: 'inv1', player_id: 'p1', max_slots: 2 });
+});
+
+describe('MarketManager.buyout', () => {
+    test('koper betaalt de prijs, verkoper krijgt de prijs min sales tax en het item gaat naar de koper', async () => {
+        db.tables.market_listings.push(listing());
+
+        const result = await marketManager.buyout('u1', 'l1', 'p1');
+
+        expect(result.status).toBe('sold');
+        expect(db.balanceOf('wallet:u1')).toBe(500);
+        expect(db.balanceOf('wallet:u2')).toBe(950);
+        expect(db.balanceOf(MARKET)).toBe(50);
+        expect(db.tables.market_listings[0]).toMatchObject({ sale_price: 1000, sales_tax: 50, buyer_player_id: 'p1' });
+        expect(db.tables.inventory_items).toEqual([expect.objectContaining({ inventory_id: 'inv1', item_id: 'raw_gold', quantity: 10 })]);
+    });
+
+    test('het lopende hoogste bod gaat uit escrow terug naar de bieder', async () => {
+        db.tables.market_listings.push(listing({ listing_type: 'auction', start_price: 100, current_bid: 300, bidder_user_id: 'u3' }));
+        db.tables.ledger_accounts.push({ id: ESCROW, type: 'system', owner_id: 'escrow', balance: 300 });
+
+        await marketManager.buyout('u1', 'l1', 'p1');
+
+        expect(db.balanceOf('wallet:u3')).toBe(300);
+        expect(db.balanceOf(ESCROW)).toBe(0);
+        expect(db.balanceOf('wallet:u2')).toBe(950);
+    });
+
+    test('zonder genoeg SKAFF wordt er niets verkocht', async () => {
+        db.tables.market_listings.push(listing({ buyout_price: 1501 }));
+
+        await expect(marketManager.buyout('u1', 'l1', 'p1'))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Niet genoeg SKAFF') });
+        expect(db.tables.market_listings[0].status).toBe('active');
+        expect(db.tables.inventory_items).toHaveLength(0);
+    });
+
+    test('met een volle inventory wordt de betaling teruggedraaid', async () => {
+        db.tables.market_listings.push(listing());
+        db.tables.inventory_items.push(
+            { id: 'a', inventory_id: 'inv1', item_id: 'coal', quantity: 1, slot: 0, metadata: null },
+            { id: 'b', inventory_id: 'inv1', item_id: 'coal', quantity: 1, slot: 1, metadata: null }
+        );
+
+        await expect(marketManager.buyout('u1', 'l1', 'p1')).rejects.toMatchObject({ statusCode: 400, message: 'Inventory is vol' });
+        expect(db.tables.users.find(user => user.id === 'u1').skaff).toBe(1500);
+        expect(db.tables.market_listings[0].status).toBe('active');
+    });
+
+    test('de eigen listing kopen of kopen met de speler van een ander mag niet', async () => {
+        db.tables.market_listings.push(listing({ seller_user_id: 'u1' }));
+
+        await expect(marketManager.buyout('u1', 'l1', 'p1')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(marketManager.buyout('u1', 'l1', 'p2')).rejects.toMatchObject({ statusCode: 403 });
+    });
+});
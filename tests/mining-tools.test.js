@@ -0,0 +1,109 @@
+const db = require('./helpers/fake-db');
+const ledger = require('../utils/ledger');
+const inventory = require('../utils/inventory');
+const miningToolManager = require('../managers/MiningToolManager');
+
+const player = { id: 'p1', userId: 'u1' };
+
+function pickaxe(changes = {}) {
+    return { id: 'pick', inventory_id: 'inv1', item_id: 'iron_pickaxe', quantity: 1, slot: 0, metadata: null, ...changes };
+}
+
+function durabilityOf(id) {
+    return inventory.parseMetadata(db.tables.inventory_items.find(item => item.id === id).metadata)?.durability;
+}
+
+async function wear(difficulty) {
+    const connection = await db.getConnection();
+    const row = await miningToolManager.lockSessionTool(connection, 'p1', 'pick');
+    return row && miningToolManager.wearTool(connection, row, difficulty);
+}
+
+beforeEach(() => {
+    db.tables.users.push({ id: 'u1', skaff: 100 });
+    db.tables.inventory.push({ id: 'inv1', player_id: 'p1', max_slots: 4 });
+});
+
+describe('MiningToolManager.getUsableTool', () => {
+    test('een tool zonder metadata is nieuw en heeft de durability uit de catalogus', async () => {
+        db.tables.inventory_items.push(pickaxe());
+
+        const tool = await miningToolManager.getUsableTool('p1', '0');
+
+        expect(tool).toMatchObject({ inventoryItemId: 'pick', miningSpeed: 1.5, durability: 100, maxDurability: 100, broken: false });
+    });
+
+    test('een kapotte tool, een item dat geen tool is of een leeg slot kan geen sessie starten', async () => {
+        db.tables.inventory_items.push(
+            pickaxe({ metadata: JSON.stringify({ durability: 0 }) }),
+            { id: 'sword', inventory_id: 'inv1', item_id: 'iron_sword', quantity: 1, slot: 1, metadata: null }
+        );
+
+        await expect(miningToolManager.getUsableTool('p1', 0)).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('is kapot') });
+        await expect(miningToolManager.getUsableTool('p1', 1)).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('geen mining tool') });
+        await expect(miningToolManager.getUsableTool('p1', 2)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('MiningToolManager.wearTool', () => {
+    test('elke sessie kost difficulty * 2 durability tot de tool kapot is', async () => {
+        db.tables.inventory_items.push(pickaxe({ metadata: JSON.stringify({ durability: 8 }) }));
+
+        expect(await wear(3)).toMatchObject({ durability: 2, broken: false });
+        expect(durabilityOf('pick')).toBe(2);
+
+        expect(await wear(3)).toMatchObject({ durability: 0, broken: true });
+        expect(durabilityOf('pick')).toBe(0);
+
+        // Een kapotte tool blijft in de inventaris maar telt niet meer mee voor een sessie
+        expect(await wear(3)).toBeNull();
+        expect(db.tables.inventory_items).toHaveLength(1);
+    });
+});
+
+describe('MiningToolManager.repairTool', () => {
+    test('repareren kost een deel van de baseValue naar rato van de ontbrekende durability', async () => {
+        db.tables.inventory_items.push(pickaxe({ metadata: JSON.stringify({ durability: 40 }) }));
+
+        const result = await miningToolManager.repairTool(player, 0);
+
+        // 150 * 0.25 * 60 / 100 = 22.5, naar boven afgerond
+        expect(result).toMatchObject({ repaired: 60, cost: 23, tool: { durability: 100, broken: false } });
+        expect(durabilityOf('pick')).toBe(100);
+        expect(db.balanceOf('wallet:u1')).toBe(77);
+        expect(db.balanceOf(ledger.SYSTEM_ACCOUNTS.SHOP)).toBe(23);
+    });
+
+    test('zonder genoeg SKAFF blijft de tool kapot', async () => {
+        db.tables.users[0].skaff = 10;
+        db.tables.inventory_items.push(pickaxe({ metadata: JSON.stringify({ durability: 0 }) }));
+
+        await expect(miningToolManager.repairTool(player, 0))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('de reparatie kost 38') });
+        expect(durabilityOf('pick')).toBe(0);
+    });
+
+    test('een nieuwe tool hoeft niet gerepareerd te worden', async () => {
+        db.tables.inventory_items.push(pickaxe());
+
+        await expect(miningToolManager.repairTool(player, 0)).rejects.toMatchObject({ statusCode: 400 });
+        expect(db.tables.ledger_transactions).toHaveLength(0);
+    });
+});
+
+describe('MiningToolManager.useBoost', () => {
+    test('een energy drink wordt verbruikt en geeft een tijdelijke mining speed buff', async () => {
+        db.tables.inventory_items.push({ id: 'drink', inventory_id: 'inv1', item_id: 'energy_drink', quantity: 2, slot: 0, metadata: null });
+
+        const boost = await miningToolManager.useBoost('p1', 'energy_drink');
+
+        expect(boost).toMatchObject({ type: 'mining_speed', multiplier: 2 });
+        expect(db.tables.inventory_items[0].quantity).toBe(1);
+        expect(await miningToolManager.getActiveBoost('p1')).toEqual({ multiplier: 2, expiresAt: boost.expiresAt });
+    });
+
+    test('een item zonder speed_boost geeft geen buff', async () => {
+        await expect(miningToolManager.useBoost('p1', 'iron_pickaxe')).rejects.toMatchObject({ statusCode: 400 });
+        expect(await miningToolManager.getActiveBoost('p1')).toBeNull();
+    });
+});
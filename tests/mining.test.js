@@ -0,0 +1,107 @@
+jest.mock('../models/user.mysql', () => ({}));
+
+const db = require('./helpers/fake-db');
+const miningNodeManager = require('../managers/MiningNodeManager');
+const miningController = require('../controllers/mining.controller');
+const { run } = require('./helpers/http');
+
+const { DEFAULT_SHARD } = miningNodeManager;
+const location = { id: 'cave', name: 'Cave', nodes: 2, respawnTime: 60000 };
+
+async function claim(sessionId) {
+    return miningNodeManager.claimNode(await db.getConnection(), DEFAULT_SHARD, location, sessionId);
+}
+
+async function deplete(sessionId) {
+    return miningNodeManager.depleteNode(await db.getConnection(), sessionId, location);
+}
+
+function nodeOf(sessionId) {
+    return db.tables.mining_nodes.find(node => node.session_id === sessionId);
+}
+
+describe('MiningNodeManager', () => {
+    test('elke sessie claimt de eerste vrije node; zijn ze allemaal bezet dan faalt de claim', async () => {
+        expect(await claim('s1')).toBe(0);
+        expect(await claim('s2')).toBe(1);
+
+        await expect(claim('s3')).rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('zijn bezet of uitgeput') });
+        expect(db.tables.mining_nodes).toHaveLength(2);
+    });
+
+    test('een uitgeputte node komt pas na de respawnTime terug', async () => {
+        await claim('s1');
+        await claim('s2');
+
+        const depleted = await deplete('s1');
+
+        expect(depleted).toMatchObject({ serverId: DEFAULT_SHARD, nodeIndex: 0 });
+        expect(db.tables.mining_nodes[0]).toMatchObject({ session_id: null, respawn_at: depleted.respawnAt });
+        await expect(claim('s3')).rejects.toMatchObject({ message: expect.stringContaining(depleted.respawnAt.toISOString()) });
+
+        db.tables.mining_nodes[0].respawn_at = new Date(Date.now() - 1000);
+        expect(await claim('s3')).toBe(0);
+    });
+
+    test('een verlopen claim wordt overgenomen en de oude sessie op abandoned gezet', async () => {
+        db.tables.mining_sessions.push({ id: 's1', player_id: 'p1', location_id: 'cave', status: 'active' });
+        await claim('s1');
+        await claim('s2');
+        nodeOf('s1').claimed_at = new Date(Date.now() - 16 * 60 * 1000);
+
+        expect(await claim('s3')).toBe(0);
+
+        expect(nodeOf('s3')).toMatchObject({ node_index: 0 });
+        expect(db.tables.mining_sessions[0]).toMatchObject({ status: 'abandoned', end_time: expect.any(Date) });
+    });
+
+    test('depleteNode zonder node voor de sessie doet niets', async () => {
+        expect(await deplete('onbekend')).toBeNull();
+    });
+
+    test('getAvailability telt bezette en uitgeputte nodes per locatie', async () => {
+        await claim('s1');
+        await claim('s2');
+        const { respawnAt } = await deplete('s2');
+
+        const availability = await miningNodeManager.getAvailability(DEFAULT_SHARD, [location, { ...location, id: 'leeg' }]);
+
+        expect(availability.get('cave')).toEqual({ total: 2, available: 0, occupied: 1, depleted: 1, nextRespawn: respawnAt });
+        expect(availability.get('leeg')).toMatchObject({ total: 2, available: 2 });
+    });
+});
+
+describe('mining.controller.startMining', () => {
+    const body = { locationId: 'iron_mine', playerId: 'p1' };
+
+    beforeEach(() => {
+        db.tables.players.push({ id: 'p1', user_id: 'u1' });
+    });
+
+    test('start een sessie op een vrije node van de default shard', async () => {
+        const { res } = await run(miningController.startMining, { body });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({ serverId: DEFAULT_SHARD, nodeIndex: 0, tool: null, speedBoost: 1 });
+        expect(db.tables.mining_sessions).toEqual([expect.objectContaining({ id: res.body.data.sessionId, player_id: 'p1', status: 'active' })]);
+        expect(nodeOf(res.body.data.sessionId)).toMatchObject({ location_id: 'iron_mine', node_index: 0 });
+    });
+
+    test('met een actieve sessie wordt er geen tweede sessie of node claim aangemaakt', async () => {
+        await run(miningController.startMining, { body });
+
+        const { res } = await run(miningController.startMining, { body: { ...body, locationId: 'gold_mine' } });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('Je bent al aan het minen op een andere locatie');
+        expect(db.tables.mining_sessions).toHaveLength(1);
+        expect(db.tables.mining_nodes.filter(node => node.session_id)).toHaveLength(1);
+    });
+
+    test('een onbekende speler krijgt een 404 zonder sessie', async () => {
+        const { res } = await run(miningController.startMining, { body: { ...body, playerId: 'p9' } });
+
+        expect(res.statusCode).toBe(404);
+        expect(db.tables.mining_sessions).toHaveLength(0);
+    });
+});
@@ -0,0 +1,82 @@
+const db = require('./helpers/fake-db');
+const ovenManager = require('../managers/OvenManager');
+
+function oven(changes = {}) {
+    return {
+        id: 'o1', owner_player_id: 'p1', owner_user_id: 'u1', name: 'Oven', recipe_id: null,
+        input_quantity: 0, output_quantity: 0, progress_seconds: 0, fuel: 0, last_tick_at: new Date(), ...changes
+    };
+}
+
+function secondsAgo(seconds) {
+    return new Date(Date.now() - seconds * 1000);
+}
+
+function inventoryOf(itemId) {
+    return db.tables.inventory_items.filter(item => item.item_id === itemId).reduce((sum, item) => sum + item.quantity, 0);
+}
+
+beforeEach(() => {
+    db.tables.inventory.push({ id: 'inv1', player_id: 'p1', max_slots: 4 });
+    db.tables.inventory_items.push(
+        { id: 'ore', inventory_id: 'inv1', item_id: 'raw_iron', quantity: 10, slot: 0, metadata: null },
+        { id: 'fuel', inventory_id: 'inv1', item_id: 'coal', quantity: 5, slot: 1, metadata: null }
+    );
+});
+
+describe('OvenManager.advance', () => {
+    test('smelt per item tot de tijd op is en verbruikt brandstof met de snelheid van het recept', () => {
+        // raw_iron: 10s per item, 1 brandstof per item
+        const result = ovenManager.advance(oven({ recipe_id: 'raw_iron', input_quantity: 5, fuel: 8, last_tick_at: secondsAgo(25) }), new Date());
+
+        expect(result).toMatchObject({ input_quantity: 3, output_quantity: 2 });
+        expect(result.progress_seconds).toBeCloseTo(5);
+        expect(result.fuel).toBeCloseTo(5.5);
+        expect(ovenManager.statusOf(result)).toBe('smelting');
+    });
+
+    test('stopt als de brandstof op is, ook als de eigenaar lang weg was', () => {
+        const result = ovenManager.advance(oven({ recipe_id: 'raw_iron', input_quantity: 5, fuel: 1.5, last_tick_at: secondsAgo(3600) }), new Date());
+
+        expect(result).toMatchObject({ input_quantity: 4, output_quantity: 1, fuel: 0 });
+        expect(result.progress_seconds).toBeCloseTo(5);
+        expect(ovenManager.statusOf(result)).toBe('no_fuel');
+    });
+});
+
+describe('OvenManager start en collect', () => {
+    test('erts en brandstof gaan uit de inventaris en de output komt er na het smelten weer in', async () => {
+        db.tables.ovens.push(oven());
+
+        const started = await ovenManager.start('o1', 'p1', { itemId: 'raw_iron', quantity: 4, fuelItemId: 'coal', fuelAmount: 1 });
+
+        expect(started).toMatchObject({ status: 'smelting', fuelLevel: 8, contents: { inputSlot: { itemId: 'raw_iron', quantity: 4 } } });
+        expect([inventoryOf('raw_iron'), inventoryOf('coal')]).toEqual([6, 4]);
+
+        db.tables.ovens[0].last_tick_at = secondsAgo(40);
+        const collected = await ovenManager.collect('o1', 'p1');
+
+        expect(collected).toMatchObject({ collected: { itemId: 'iron_ingot', quantity: 4 }, remaining: 0 });
+        expect(inventoryOf('iron_ingot')).toBe(4);
+        // Leeg: de oven is weer vrij voor een ander recept
+        expect(db.tables.ovens[0]).toMatchObject({ recipe_id: null, input_quantity: 0, output_quantity: 0 });
+    });
+
+    test('een ander recept kan pas als de oven leeg is en zonder genoeg erts verandert er niets', async () => {
+        db.tables.ovens.push(oven({ recipe_id: 'raw_gold', input_quantity: 1 }));
+
+        await expect(ovenManager.start('o1', 'p1', { itemId: 'raw_iron', quantity: 1 })).rejects.toMatchObject({ statusCode: 409 });
+
+        db.tables.ovens[0] = oven();
+        await expect(ovenManager.start('o1', 'p1', { itemId: 'raw_iron', quantity: 11 })).rejects.toMatchObject({ statusCode: 400 });
+        expect(inventoryOf('raw_iron')).toBe(10);
+        expect(db.tables.ovens[0].input_quantity).toBe(0);
+    });
+
+    test('alleen de eigenaar kan de oven gebruiken', async () => {
+        db.tables.ovens.push(oven({ owner_player_id: 'p2' }));
+
+        await expect(ovenManager.addFuel('o1', 'p1', 'coal', 1)).rejects.toMatchObject({ statusCode: 403 });
+        expect(inventoryOf('coal')).toBe(5);
+    });
+});
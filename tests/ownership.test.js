@@ -0,0 +1,57 @@
+const db = require('./helpers/fake-db');
+const permissions = require('../utils/permissions');
+const { requirePlayerAccess, requirePlayerManage } = require('../middleware/ownership');
+const { run } = require('./helpers/http');
+
+const alice = { userId: 'u1', role: 'player' };
+const bob = { userId: 'u2', role: 'player' };
+const admin = { userId: 'u9', role: 'admin' };
+
+beforeEach(async () => {
+    permissions.invalidateCache();
+    await permissions.seedDefaults();
+    db.tables.players.push({ id: 'p1', user_id: 'u1', username: 'alice' });
+});
+
+describe('requirePlayerAccess', () => {
+    test('de eigenaar krijgt toegang en de speler komt op req.targetPlayer', async () => {
+        const { req, next } = await run(requirePlayerAccess(), { user: alice, params: { playerId: 'p1' } });
+
+        expect(next).toBe(true);
+        expect(req.targetPlayer).toEqual({ id: 'p1', userId: 'u1', username: 'alice', isOwner: true });
+    });
+
+    test('de speler van een ander account geeft 403, ook als het ID in de body staat', async () => {
+        const fromParams = await run(requirePlayerAccess(), { user: bob, params: { playerId: 'p1' } });
+        const fromBody = await run(requirePlayerAccess({ body: 'playerId' }), { user: bob, body: { playerId: 'p1' } });
+
+        for (const { res, next } of [fromParams, fromBody]) {
+            expect(next).toBe(false);
+            expect(res.statusCode).toBe(403);
+        }
+    });
+
+    test('player.manage en game servers mogen bij elke speler', async () => {
+        const manager = await run(requirePlayerAccess(), { user: admin, params: { playerId: 'p1' } });
+        const server = await run(requirePlayerAccess(), { gameServer: { serverId: 's1' }, params: { playerId: 'p1' } });
+
+        expect([manager.next, server.next]).toEqual([true, true]);
+        expect(manager.req.targetPlayer.isOwner).toBe(false);
+    });
+
+    test('zonder speler ID 400, onbekende speler 404 en zonder authenticatie 401', async () => {
+        expect((await run(requirePlayerAccess(), { user: alice })).res.statusCode).toBe(400);
+        expect((await run(requirePlayerAccess(), { user: alice, params: { playerId: 'p404' } })).res.statusCode).toBe(404);
+        expect((await run(requirePlayerAccess(), { params: { playerId: 'p1' } })).res.statusCode).toBe(401);
+    });
+});
+
+describe('requirePlayerManage', () => {
+    test('de eigenaar zelf mag geen items aan zijn speler geven, een admin wel', async () => {
+        const owner = await run(requirePlayerManage, { user: alice });
+
+        expect(owner.next).toBe(false);
+        expect(owner.res.body).toMatchObject({ requiredPermission: 'player.manage' });
+        expect((await run(requirePlayerManage, { user: admin })).next).toBe(true);
+    });
+});
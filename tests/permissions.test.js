@@ -0,0 +1,54 @@
+const db = require('./helpers/fake-db');
+const permissions = require('../utils/permissions');
+const { requirePermission } = require('../middleware/auth');
+const { run } = require('./helpers/http');
+
+beforeEach(async () => {
+    permissions.invalidateCache();
+    await permissions.seedDefaults();
+});
+
+describe('requirePermission', () => {
+    test('laat een rol met de permissie door en weigert de rest met 403', async () => {
+        const allowed = await run(requirePermission('economy.reward'), { user: { userId: 'u1', role: 'moderator' } });
+        const denied = await run(requirePermission('economy.reward'), { user: { userId: 'u2', role: 'player' } });
+
+        expect(allowed.next).toBe(true);
+        expect(denied.next).toBe(false);
+        expect(denied.res.statusCode).toBe(403);
+        expect(denied.res.body).toMatchObject({ requiredPermission: 'economy.reward' });
+    });
+
+    test('alle opgegeven permissies zijn nodig', async () => {
+        const middleware = requirePermission('economy.reward', 'player.delete');
+        const { res, next } = await run(middleware, { user: { userId: 'u1', role: 'moderator' } });
+
+        expect(next).toBe(false);
+        expect(res.body.requiredPermission).toBe('player.delete');
+    });
+
+    test('zonder ingelogde gebruiker 401', async () => {
+        const { res, next } = await run(requirePermission('economy.reward'), {});
+
+        expect(next).toBe(false);
+        expect(res.statusCode).toBe(401);
+    });
+});
+
+describe('grantPermission en revokePermission', () => {
+    test('wijzigen de rol meteen, ook als de permissies al in de cache staan', async () => {
+        expect(await permissions.hasPermission('player', 'matchmaking.priority')).toBe(false);
+
+        await permissions.grantPermission('player', 'matchmaking.priority');
+        expect(await permissions.hasPermission('player', 'matchmaking.priority')).toBe(true);
+
+        await permissions.revokePermission('player', 'matchmaking.priority');
+        expect(await permissions.hasPermission('player', 'matchmaking.priority')).toBe(false);
+    });
+
+    test('onbekende rollen en permissies worden geweigerd', async () => {
+        await expect(permissions.grantPermission('superuser', 'economy.reward')).rejects.toThrow('Onbekende rol');
+        await expect(permissions.grantPermission('player', 'economy.everything')).rejects.toThrow('Onbekende permissie');
+        expect(db.tables.role_permissions.filter(row => row.role === 'player')).toEqual([]);
+    });
+});
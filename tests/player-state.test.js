@@ -0,0 +1,80 @@
+jest.mock('../models', () => ({ Player: { findByPk: jest.fn() }, User: {} }));
+
+const db = require('./helpers/fake-db');
+const models = require('../models');
+const playerStateManager = require('../managers/PlayerStateManager');
+const playerController = require('../controllers/player.controller');
+const { response } = require('./helpers/http');
+
+let manager;
+
+beforeEach(() => {
+    manager = new playerStateManager.PlayerStateManager();
+    db.tables.players.push(
+        { id: 'p1', user_id: 'u1', health: 80, max_health: 100 },
+        { id: 'p2', user_id: 'u2', health: 100, max_health: 100 }
+    );
+    db.tables.inventory.push({ id: 'inv1', player_id: 'p1', max_slots: 1 });
+});
+
+afterEach(() => {
+    clearInterval(manager.flushTimer);
+});
+
+describe('PlayerStateManager (game server writes)', () => {
+    test('setHealth valideert de waarden en houdt health onder maxHealth', async () => {
+        expect(await manager.setHealth('p1', { maxHealth: 50 })).toEqual({ health: 50, maxHealth: 50 });
+        await expect(manager.setHealth('p1', { health: 60 })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(manager.setHealth('p1', { health: 10.5 })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(manager.setHealth('p404', { health: 10 })).rejects.toMatchObject({ statusCode: 404 });
+        expect(db.tables.players[0]).toMatchObject({ health: 50, max_health: 50 });
+    });
+
+    test('recordDeath zet health op 0 en telt de dood en de kill', async () => {
+        const death = await manager.recordDeath('s1', 'p1', { killerPlayerId: 'p2', cause: 'pvp', position: [1, 2, 3] });
+
+        expect(death).toMatchObject({ playerId: 'p1', killerPlayerId: 'p2', cause: 'pvp' });
+        expect(db.tables.players[0].health).toBe(0);
+        expect(db.tables.player_stats).toEqual([
+            { player_id: 'p1', total_deaths: 1, total_kills: 0 },
+            { player_id: 'p2', total_deaths: 0, total_kills: 1 }
+        ]);
+        expect(db.tables.player_deaths).toEqual([expect.objectContaining({ server_id: 's1', position: [1, 2, 3] })]);
+    });
+
+    test('een onbekende killer draait de hele dood terug', async () => {
+        await expect(manager.recordDeath('s1', 'p1', { killerPlayerId: 'p404', cause: 'pvp' }))
+            .rejects.toMatchObject({ statusCode: 404, message: 'Killer niet gevonden' });
+        expect(db.tables.players[0].health).toBe(80);
+        expect(db.tables.player_stats).toEqual([]);
+    });
+
+    test('pickupItems meldt terug wat niet meer in de inventaris past', async () => {
+        const result = await manager.pickupItems('p1', [{ itemId: 'coal', quantity: 70 }]);
+
+        expect(result).toEqual([{ itemId: 'coal', quantity: 64, overflow: 6 }]);
+        await expect(manager.pickupItems('p1', [{ itemId: 'bestaat_niet', quantity: 1 }])).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('player controller (client writes)', () => {
+    test('beschermde velden worden geweigerd en er wordt niets geschreven', async () => {
+        const res = response();
+
+        await playerController.syncPlayer({ body: { id: 'p1', health: 100, skaff: 999999, position: [0, 0, 0], rotation: [0, 0, 0] } }, res);
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.fields).toEqual(['skaff', 'health']);
+        expect(playerStateManager.pendingPositions.size).toBe(0);
+    });
+
+    test('registerPlayer maakt geen spelers meer aan', async () => {
+        models.Player.findByPk.mockResolvedValue(null);
+        const res = response();
+
+        await playerController.registerPlayer({ body: { id: 'p3' }, user: { userId: 'u3', playerId: 'p3' } }, res);
+
+        expect(res.statusCode).toBe(404);
+        expect(models.Player.findByPk).toHaveBeenCalledTimes(1);
+    });
+});
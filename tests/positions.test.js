@@ -0,0 +1,94 @@
+jest.mock('../models', () => ({ Player: { findByPk: jest.fn() }, User: {} }));
+
+const db = require('./helpers/fake-db');
+const models = require('../models');
+const playerStateManager = require('../managers/PlayerStateManager');
+const playerController = require('../controllers/player.controller');
+const { response } = require('./helpers/http');
+
+let manager;
+
+function sample(playerId, position, timestamp, changes = {}) {
+    return { playerId, position, rotation: [0, 90, 0], timestamp, ...changes };
+}
+
+beforeEach(() => {
+    manager = new playerStateManager.PlayerStateManager();
+    db.tables.players.push({ id: 'p1', position_x: 0, position_y: 0, position_z: 0 }, { id: 'p2', position_x: 0, position_y: 0, position_z: 0 });
+});
+
+afterEach(() => {
+    clearInterval(manager.flushTimer);
+    playerStateManager.pendingPositions.clear();
+    playerStateManager.lastSamples.clear();
+});
+
+describe('position buffer', () => {
+    test('alleen de laatste positie per speler gaat in één UPDATE naar de database', async () => {
+        await manager.updatePositions([sample('p1', [1, 0, 0], 1000), sample('p2', [5, 0, 5], 1000)], 's1');
+        await manager.updatePositions([sample('p1', [2, 0, 0], 1100)], 's1');
+        expect(db.tables.players[0].position_x).toBe(0);
+
+        const query = jest.spyOn(db, 'query');
+        expect(await manager.flushPositions()).toBe(2);
+
+        expect(query).toHaveBeenCalledTimes(1);
+        expect(db.tables.players.map(player => [player.position_x, player.position_z, player.rotation_y])).toEqual([[2, 0, 90], [5, 5, 90]]);
+        expect(await manager.flushPositions()).toBe(0);
+    });
+
+    test('ongeldige regels worden overgeslagen en teruggemeld, de rest komt in de buffer', async () => {
+        await manager.updatePositions([sample('p1', [0, 0, 0], 2000)]);
+
+        const result = await manager.updatePositions([
+            sample('p1', [1, 0, 0], 1500),
+            sample('p2', [0, 0, 1e9], 2000),
+            sample('p3', [0, 0, 0], 2000),
+            sample('p2', [3, 0, 0], 2000, { rotation: [0, 0] })
+        ]);
+
+        expect(result.accepted).toBe(0);
+        expect(result.rejected.map(entry => [entry.playerId, entry.status])).toEqual([['p1', 409], ['p2', 400], ['p3', 404], ['p2', 400]]);
+        expect([...manager.pendingPositions.keys()]).toEqual(['p1']);
+    });
+});
+
+describe('snelheidscontrole', () => {
+    test('te snelle bewegingen worden gemeld, maar hoogstens één keer per cooldown', async () => {
+        await manager.updatePositions([sample('p1', [0, 0, 0], 0)], 's1');
+        const fast = await manager.updatePositions([sample('p1', [100, 0, 0], 1000)], 's1');
+        const again = await manager.updatePositions([sample('p1', [200, 0, 0], 2000)], 's1');
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect([fast.flagged, again.flagged]).toEqual([1, 1]);
+        expect(db.tables.player_suspicions).toEqual([
+            { player_id: 'p1', server_id: 's1', kind: 'speed', details: expect.objectContaining({ speed: 100, distance: 100 }) }
+        ]);
+        // De positie wordt wel geaccepteerd; de game server blijft authoritative
+        expect(manager.pendingPositions.get('p1').position).toEqual([200, 0, 0]);
+    });
+
+    test('een teleport en een normale snelheid worden niet gemeld', async () => {
+        await manager.updatePositions([sample('p1', [0, 0, 0], 0)]);
+        const walk = await manager.updatePositions([sample('p1', [5, 0, 0], 1000)]);
+        const respawn = await manager.updatePositions([sample('p1', [5000, 0, 0], 2000, { teleport: true })]);
+
+        expect([walk.flagged, respawn.flagged]).toEqual([0, 0]);
+        expect(db.tables.player_suspicions).toEqual([]);
+    });
+});
+
+describe('registerPlayer', () => {
+    test('een positie gaat via de buffer in plaats van direct naar de speler', async () => {
+        const update = jest.fn();
+        models.Player.findByPk.mockResolvedValue({ id: 'p1', position_x: 0, position_y: 0, position_z: 0, update });
+        const res = response();
+
+        await playerController.registerPlayer({ body: { id: 'p1', position: [4, 5, 6], rotation: [0, 0, 0] } }, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.player.position).toEqual([4, 5, 6]);
+        expect(update).not.toHaveBeenCalled();
+        expect(playerStateManager.pendingPositions.get('p1')).toEqual({ position: [4, 5, 6], rotation: [0, 0, 0] });
+    });
+});
@@ -0,0 +1,115 @@
+const db = require('./helpers/fake-db');
+const registry = require('../managers/ServerRegistry');
+const { RollingUpdate } = require('../managers/RollingUpdate');
+
+const DRAIN_TIMEOUT_MS = 60000;
+
+/**
+ * GameServerManager stand-in: oude servers verdwijnen pas als processDrains ze laat gaan (stuck = nooit),
+ * nieuwe servers zijn meteen online
+ */
+function fakeManager({ stuck = false } = {}) {
+    const servers = new Map([['old-1', { serverId: 'old-1', name: 'old-1', region: 'eu', status: 'online' }]]);
+    const manager = {
+        servers,
+        serverConfig: { maxTotalServers: 10, drainTimeoutMs: DRAIN_TIMEOUT_MS },
+        autoScaler: { holdScaleDown: jest.fn(), releaseScaleDown: jest.fn() },
+        registry: {
+            count: async () => servers.size,
+            get: async (serverId) => servers.get(serverId) || null
+        },
+        findOutdatedServers: async () => [{ server: servers.get('old-1'), reason: 'branch' }],
+        createGameServer: jest.fn(async () => {
+            const server = { serverId: `new-${servers.size}`, name: 'new', isOnline: true, status: 'online' };
+            servers.set(server.serverId, server);
+            return server;
+        }),
+        startServer: jest.fn(async () => {}),
+        drainServer: jest.fn(async (serverId) => {
+            servers.get(serverId).status = 'draining';
+        }),
+        processDrains: jest.fn(async () => {
+            if (stuck) return;
+            for (const [serverId, server] of servers) {
+                if (server.status === 'draining') servers.delete(serverId);
+            }
+        }),
+        shutdownServer: jest.fn(async (serverId) => {
+            servers.delete(serverId);
+        })
+    };
+    return manager;
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('RollingUpdate', () => {
+    test('vervangt een verouderde server: eerst de vervanger online, dan de oude drainen', async () => {
+        const manager = fakeManager();
+        const rollout = new RollingUpdate();
+
+        await rollout.start(manager);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(rollout.status()).toMatchObject({ state: 'completed', replaced: 1, pending: [] });
+        expect(manager.drainServer).toHaveBeenCalledWith('old-1', { reason: 'rolling_update', timeoutMs: DRAIN_TIMEOUT_MS });
+        expect(manager.shutdownServer).not.toHaveBeenCalled();
+        expect([...manager.servers.keys()]).toEqual(['new-1']);
+        expect(manager.autoScaler.releaseScaleDown).toHaveBeenCalledWith('rolling_update');
+    });
+
+    test('een oude server die na de drain timeout plus marge nog bestaat wordt geforceerd gestopt', async () => {
+        const manager = fakeManager({ stuck: true });
+        const rollout = new RollingUpdate();
+
+        await rollout.start(manager, { drainTimeoutMs: 1000 });
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(rollout.status().state).toBe('running');
+
+        await jest.advanceTimersByTimeAsync(2 * 60 * 1000 + 5000);
+
+        expect(manager.shutdownServer).toHaveBeenCalledWith('old-1', 'rolling_update_timeout');
+        expect(rollout.status()).toMatchObject({ state: 'completed', replaced: 1 });
+    });
+
+    test('faalt de geforceerde stop, dan faalt de rollout in plaats van te blijven wachten', async () => {
+        const manager = fakeManager({ stuck: true });
+        manager.shutdownServer.mockRejectedValue(new Error('panel onbereikbaar'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const rollout = new RollingUpdate();
+
+        await rollout.start(manager, { drainTimeoutMs: 1000 });
+        await jest.advanceTimersByTimeAsync(2 * 60 * 1000 + 10000);
+
+        expect(rollout.status()).toMatchObject({ state: 'failed', error: 'panel onbereikbaar', replaced: 0 });
+        expect(rollout.isRunning()).toBe(false);
+    });
+
+    test('annuleren stopt het wachten op de drain', async () => {
+        const manager = fakeManager({ stuck: true });
+        const rollout = new RollingUpdate();
+
+        await rollout.start(manager);
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(rollout.cancel()).toBe(true);
+        await jest.advanceTimersByTimeAsync(5000);
+
+        expect(rollout.status()).toMatchObject({ state: 'cancelled', replaced: 0 });
+        expect(manager.shutdownServer).not.toHaveBeenCalled();
+    });
+});
+
+describe('ServerRegistry drain', () => {
+    test('een heartbeat heft een drain niet op, offline gaan wel', async () => {
+        db.tables.game_servers.push({ server_id: 's1', status: 'draining', current_players: 4, last_heartbeat: new Date() });
+
+        expect((await registry.heartbeat('s1', { status: 'online', currentPlayers: 2 })).status).toBe('draining');
+        expect((await registry.heartbeat('s1', { status: 'offline' })).status).toBe('offline');
+    });
+});
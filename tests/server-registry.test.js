@@ -0,0 +1,54 @@
+const db = require('./helpers/fake-db');
+const registry = require('../managers/ServerRegistry');
+
+const { HEARTBEAT_TIMEOUT_MS } = registry;
+
+function ago(ms) {
+    return new Date(Date.now() - ms);
+}
+
+describe('ServerRegistry', () => {
+    test('een registratie komt in de registry en de history, een her-registratie houdt de origin', async () => {
+        await registry.register({ serverId: 's1', origin: 'manager', name: 'SkaffaCity-GameServer-1', port: 7001 });
+        const server = await registry.register({ serverId: 's1', origin: 'internal', ip: '10.0.0.5', status: 'online' });
+
+        expect(server).toMatchObject({ serverId: 's1', origin: 'manager', name: 'SkaffaCity-GameServer-1', ip: '10.0.0.5', port: 7001 });
+        expect(db.tables.game_server_history.map(row => [row.event, row.old_status, row.new_status]))
+            .toEqual([['registered', null, 'starting'], ['registered', 'starting', 'online']]);
+    });
+
+    test('een heartbeat werkt alleen de meegegeven velden bij en zet een offline server weer online', async () => {
+        await registry.register({ serverId: 's1', status: 'online', currentPlayers: 3, metrics: { tps: 20 } });
+        await registry.updateStatus('s1', 'offline');
+
+        const server = await registry.heartbeat('s1', { metrics: { memory: 512 } });
+
+        expect(server).toMatchObject({ status: 'online', currentPlayers: 3, metrics: { tps: 20, memory: 512 }, isOnline: true });
+        expect(await registry.heartbeat('onbekend', {})).toBeNull();
+    });
+
+    test('sweepStale zet servers zonder recente heartbeat offline, nieuwe manager servers krijgen een startup marge', async () => {
+        db.tables.game_servers.push(
+            { server_id: 'fresh', status: 'online', registered_at: ago(60000), last_heartbeat: ago(1000) },
+            { server_id: 'stale', status: 'online', registered_at: ago(60000), last_heartbeat: ago(HEARTBEAT_TIMEOUT_MS + 1000) },
+            { server_id: 'booting', status: 'starting', registered_at: ago(60000), last_heartbeat: null }
+        );
+
+        expect(await registry.sweepStale()).toEqual(['stale']);
+        expect(db.tables.game_servers.map(row => row.status)).toEqual(['online', 'offline', 'starting']);
+    });
+
+    test('findAvailable kiest de voorkeur als die ruimte heeft, anders de leegste actieve server', async () => {
+        const heartbeat = ago(1000);
+        db.tables.game_servers.push(
+            { server_id: 'a', status: 'online', current_players: 10, max_players: 10, last_heartbeat: heartbeat },
+            { server_id: 'b', status: 'running', current_players: 6, max_players: 10, last_heartbeat: heartbeat },
+            { server_id: 'c', status: 'online', current_players: 2, max_players: 10, last_heartbeat: heartbeat },
+            { server_id: 'd', status: 'draining', current_players: 0, max_players: 10, last_heartbeat: heartbeat }
+        );
+
+        expect((await registry.findAvailable()).serverId).toBe('c');
+        expect((await registry.findAvailable('b')).serverId).toBe('b');
+        expect((await registry.findAvailable('a')).serverId).toBe('c');
+    });
+});
@@ -0,0 +1,15 @@
+/**
+ * Gedeelde test setup (jest setupFilesAfterEnv): elke test draait op de in-memory database uit helpers/fake-db,
+ * begint met lege tabellen en zonder console.log/warn ruis. Mocks worden voor elke test geleegd en hersteld
+ * (clearMocks, restoreMocks).
+ */
+
+jest.mock('../utils/db', () => require('./helpers/fake-db'));
+
+const db = require('./helpers/fake-db');
+
+beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const db = require('./helpers/fake-db');
+const ledger = require('../utils/ledger');
+const spinManager = require('../managers/SpinManager');
+
+const player = { id: 'p1', userId: 'u1' };
+
+function table(changes = {}) {
+    return {
+        id: 'test', name: 'Test spin', spin_price: 100, pity_threshold: 3, active: 1, version: 1,
+        entries: JSON.stringify([
+            { id: 'small', type: 'skaff', itemId: null, quantity: 10, weight: 50, rarity: 'common' },
+            { id: 'coal', type: 'item', itemId: 'coal', quantity: 8, weight: 40, rarity: 'common' },
+            { id: 'jackpot', type: 'skaff', itemId: null, quantity: 500, weight: 10, rarity: 'rare' }
+        ]),
+        ...changes
+    };
+}
+
+beforeEach(() => {
+    db.tables.users.push({ id: 'u1', skaff: 1000, oven_spins: 0, last_oven_reset: null });
+    db.tables.inventory.push({ id: 'inv1', player_id: 'p1', max_slots: 2 });
+    db.tables.oven_spin_tables.push(table());
+    // Altijd de eerste entry van de lijst waaruit getrokken wordt
+    jest.spyOn(crypto, 'randomInt').mockReturnValue(0);
+});
+
+describe('SpinManager.spin', () => {
+    test('na pityThreshold - 1 spins zonder rare is de volgende spin gegarandeerd rare', async () => {
+        const first = await spinManager.spin(player, { tableId: 'test' });
+        const second = await spinManager.spin(player, { tableId: 'test', buy: true });
+        expect([first.spinType, second.spinType]).toEqual(['free', 'paid']);
+        expect(second).toMatchObject({ pityTriggered: false, spinsSinceRare: 2, reward: { entryId: 'small' } });
+
+        const third = await spinManager.spin(player, { tableId: 'test', buy: true });
+
+        expect(third).toMatchObject({ pityTriggered: true, spinsSinceRare: 0, reward: { entryId: 'jackpot', quantity: 500 } });
+        expect(crypto.randomInt).toHaveBeenLastCalledWith(10);
+        expect(db.tables.oven_spin_pity).toEqual([{ user_id: 'u1', table_id: 'test', spins_since_rare: 0 }]);
+        expect(db.tables.oven_spin_log.map(log => [log.entry_id, log.pity_triggered, log.total_weight]))
+            .toEqual([['small', false, 100], ['small', false, 100], ['jackpot', true, 10]]);
+        // 1000 - 2x 100 spin prijs + 2x 10 + 500
+        expect(db.balanceOf('wallet:u1')).toBe(1320);
+        expect(db.balanceOf(ledger.SYSTEM_ACCOUNTS.OVEN)).toBe(200);
+    });
+
+    test('zonder gratis spin en zonder buy wordt er niet getrokken', async () => {
+        await spinManager.spin(player, { tableId: 'test' });
+
+        await expect(spinManager.spin(player, { tableId: 'test' })).rejects.toMatchObject({ statusCode: 400 });
+        expect(db.tables.oven_spin_log).toHaveLength(1);
+    });
+
+    test('een betaalde spin zonder genoeg SKAFF faalt', async () => {
+        db.tables.users[0] = { ...db.tables.users[0], skaff: 99, oven_spins: 0, last_oven_reset: new Date() };
+
+        await expect(spinManager.spin(player, { tableId: 'test', buy: true }))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Niet genoeg SKAFF') });
+        expect(db.tables.oven_spin_log).toHaveLength(0);
+    });
+
+    test('item rewards gaan naar de inventaris van de speler', async () => {
+        crypto.randomInt.mockReturnValue(50);
+
+        const result = await spinManager.spin(player, { tableId: 'test' });
+
+        expect(result.reward).toMatchObject({ entryId: 'coal', type: 'item', quantity: 8 });
+        expect(db.tables.inventory_items).toEqual([expect.objectContaining({ item_id: 'coal', quantity: 8 })]);
+    });
+
+    test('met een volle inventaris wordt er niet getrokken en blijft de gratis spin staan', async () => {
+        db.tables.inventory_items.push(
+            { id: 'a', inventory_id: 'inv1', item_id: 'iron_sword', quantity: 1, slot: 0, metadata: null },
+            { id: 'b', inventory_id: 'inv1', item_id: 'iron_sword', quantity: 1, slot: 1, metadata: null }
+        );
+
+        await expect(spinManager.spin(player, { tableId: 'test' }))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Maak eerst ruimte') });
+        expect(crypto.randomInt).not.toHaveBeenCalled();
+        expect(db.tables.users[0].last_oven_reset).toBeNull();
+        expect(db.tables.oven_spin_log).toHaveLength(0);
+    });
+});
@@ -0,0 +1,89 @@
+const db = require('./helpers/fake-db');
+const ledger = require('../utils/ledger');
+const tradeManager = require('../managers/TradeManager');
+
+const { ESCROW } = ledger.SYSTEM_ACCOUNTS;
+
+function itemsOf(inventoryId) {
+    return db.tables.inventory_items
+        .filter(item => item.inventory_id === inventoryId)
+        .map(item => [item.slot, item.item_id, item.quantity]);
+}
+
+beforeEach(() => {
+    db.tables.users.push({ id: 'u1', skaff: 500 }, { id: 'u2', skaff: 100 });
+    db.tables.players.push({ id: 'p1', user_id: 'u1', username: 'alice' }, { id: 'p2', user_id: 'u2', username: 'bob' });
+    db.tables.inventory.push({ id: 'inv1', player_id: 'p1', max_slots: 5 }, { id: 'inv2', player_id: 'p2', max_slots: 5 });
+    db.tables.inventory_items.push({ id: 'sword', inventory_id: 'inv1', item_id: 'iron_sword', quantity: 1, slot: 3, metadata: null });
+    db.tables.trades.push({
+        id: 't1', status: 'open', expires_at: new Date(Date.now() + 60000),
+        initiator_player_id: 'p1', initiator_user_id: 'u1', initiator_skaff: 0, initiator_confirmed: 0,
+        partner_player_id: 'p2', partner_user_id: 'u2', partner_skaff: 0, partner_confirmed: 0
+    });
+});
+
+describe('TradeManager escrow', () => {
+    test('setSkaff zet het verschil in of uit escrow', async () => {
+        const trade = await tradeManager.setSkaff('t1', 'u1', 300);
+        expect(trade.initiator.skaff).toBe(300);
+        expect(db.balanceOf('wallet:u1')).toBe(200);
+        expect(db.balanceOf(ESCROW)).toBe(300);
+
+        await tradeManager.setSkaff('t1', 'u1', 120);
+        expect(db.balanceOf('wallet:u1')).toBe(380);
+        expect(db.balanceOf(ESCROW)).toBe(120);
+    });
+
+    test('setSkaff boven het saldo faalt zonder iets te boeken', async () => {
+        await expect(tradeManager.setSkaff('t1', 'u2', 101))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Niet genoeg SKAFF') });
+        expect(db.tables.trades[0].partner_skaff).toBe(0);
+        expect(db.balanceOf(ESCROW)).toBe(0);
+    });
+
+    test('elke wijziging aan het aanbod zet de bevestigingen terug', async () => {
+        await tradeManager.setSkaff('t1', 'u1', 50);
+        await tradeManager.confirm('t1', 'u2');
+        expect(db.tables.trades[0].partner_confirmed).toBe(1);
+
+        await tradeManager.setSkaff('t1', 'u1', 60);
+        expect(db.tables.trades[0]).toMatchObject({ initiator_confirmed: 0, partner_confirmed: 0 });
+    });
+
+    test('na beide bevestigingen gaan item en SKAFF uit escrow naar de andere speler', async () => {
+        await tradeManager.addItem('t1', 'u1', 'sword');
+        await tradeManager.setSkaff('t1', 'u2', 100);
+        expect(itemsOf('inv1')).toEqual([]);
+
+        await tradeManager.confirm('t1', 'u1');
+        const trade = await tradeManager.confirm('t1', 'u2');
+
+        expect(trade.status).toBe('completed');
+        expect(itemsOf('inv2')).toEqual([[0, 'iron_sword', 1]]);
+        expect(db.balanceOf('wallet:u1')).toBe(600);
+        expect(db.balanceOf('wallet:u2')).toBe(0);
+        expect(db.balanceOf(ESCROW)).toBe(0);
+    });
+
+    test('annuleren geeft items op hun oude slot en SKAFF terug', async () => {
+        await tradeManager.addItem('t1', 'u1', 'sword');
+        await tradeManager.setSkaff('t1', 'u1', 250);
+
+        const trade = await tradeManager.cancel('t1', 'u2');
+
+        expect(trade.status).toBe('cancelled');
+        expect(itemsOf('inv1')).toEqual([[3, 'iron_sword', 1]]);
+        expect(db.balanceOf('wallet:u1')).toBe(500);
+        expect(db.balanceOf(ESCROW)).toBe(0);
+    });
+
+    test('een verlopen trade geeft alles terug aan de eigenaren', async () => {
+        await tradeManager.setSkaff('t1', 'u2', 40);
+        db.tables.trades[0].expires_at = new Date(Date.now() - 1000);
+
+        expect(await tradeManager.expireTrades()).toBe(1);
+        expect(db.tables.trades[0].status).toBe('expired');
+        expect(db.balanceOf('wallet:u2')).toBe(100);
+        expect(db.balanceOf(ESCROW)).toBe(0);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Auth token helpers
+ * Korte access tokens (JWT) en opaque refresh tokens voor de sessie store
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'skaffacity_secret_key_2025';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Onderteken een access token gekoppeld aan een sessie (family)
+ * @param {Object} user - Gebruiker
+ * @param {Object} player - Speler
+ * @param {string} sessionId - Sessie (family) ID
+ * @returns {string} - Ondertekende JWT
+ */
+function signAccessToken(user, player, sessionId) {
+  return jwt.sign({
+    userId: user.id,
+    playerId: player.id,
+    username: user.username,
+    sid: sessionId
+  }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Verifieer een access token, gooit bij ongeldige of verlopen token
+ * @param {string} token - JWT
+ * @returns {Object} - Decoded payload
+ */
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+/**
+ * Genereer een nieuw opaque refresh token
+ * @returns {string} - Random token (hex)
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * Hash een refresh token; alleen de hash wordt opgeslagen
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 hash (hex)
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Verloopdatum voor een nieuw refresh token
+ * @returns {Date}
+ */
+function refreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  refreshTokenExpiry
+};
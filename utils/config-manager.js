@@ -152,6 +152,7 @@ class ConfigManager extends EventEmitter {
                 break;
             case 'gameserver':
                 defaultConfig = {
+                    provider: 'pterodactyl',  // 'pterodactyl' of 'local' (zie managers/providers)
                     pterodactyl: {
                         enabled: false,
                         apiUrl: '',
@@ -160,8 +161,26 @@ class ConfigManager extends EventEmitter {
                         adminApiKey: '',  // Leeg admin API key voor server management
                         clientApiKey: ''  // Leeg client API key voor beperkte acties
                     },
+                    local: {
+                        command: '',  // Pad naar de game server executable voor de local provider
+                        args: ['-port', '{{SERVER_PORT}}', '-masterServer', '{{MASTER_SERVER_URL}}'],
+                        cwd: '',
+                        host: '127.0.0.1'
+                    },
                     maxServers: 5,
                     autoScale: true,
+                    drainTimeoutMinutes: 15,  // Gedrainde servers worden uiterlijk na deze tijd afgesloten
+                    scalingPolicy: {  // Zie managers/AutoScaler.js voor alle opties
+                        defaultRegion: 'EU-West',
+                        min: 1,
+                        max: 5,
+                        minIdleServers: 1,
+                        maxConcurrentCreations: 2,
+                        regions: {},
+                        scaleUp: { playerUtilization: 0.75, cpuUsage: 85, memoryUsage: 85, minTickRate: 20, cooldownSeconds: 60 },
+                        scaleDown: { playerUtilization: 0.3, cooldownSeconds: 600 },
+                        schedule: []
+                    },
                     serverTemplate: {
                         name: 'SkaffaCity-GameServer',
                         egg: 5,
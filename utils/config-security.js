@@ -0,0 +1,147 @@
+/**
+ * Config security helpers voor de /config API
+ * Maskeert secrets in responses en bepaalt welke velden via HTTP gewijzigd mogen worden
+ */
+
+const db = require('./db');
+
+const MASK = '********';
+
+// Sleutels die nooit leesbaar over HTTP mogen gaan (op elk niveau in een config)
+const SECRET_KEYS = new Set([
+    'password',
+    'keyPassword',
+    'jwtSecret',
+    'adminPassword',
+    'apiKey',
+    'adminApiKey',
+    'clientApiKey',
+    'sharedSecret'
+]);
+
+// Velden die remote aangepast mogen worden, met het verwachte type
+// Alles wat hier niet staat (database, ssl, secrets) kan alleen via de console/bestanden
+const EDITABLE_FIELDS = {
+    server: {
+        port: 'number',
+        httpsPort: 'number',
+        enableHTTPS: 'boolean'
+    },
+    gameserver: {
+        maxServers: 'number',
+        autoScale: 'boolean',
+        drainTimeoutMinutes: 'number',
+        'scalingPolicy.min': 'number',
+        'scalingPolicy.max': 'number',
+        'scalingPolicy.minIdleServers': 'number',
+        'scalingPolicy.maxConcurrentCreations': 'number',
+        'scalingPolicy.scaleUp.playerUtilization': 'number',
+        'scalingPolicy.scaleUp.cooldownSeconds': 'number',
+        'scalingPolicy.scaleDown.playerUtilization': 'number',
+        'scalingPolicy.scaleDown.cooldownSeconds': 'number',
+        'pterodactyl.enabled': 'boolean',
+        'serverTemplate.limits.memory': 'number',
+        'serverTemplate.limits.cpu': 'number',
+        'serverTemplate.limits.disk': 'number'
+    }
+};
+
+/**
+ * Geef een kopie van een config terug met alle secrets gemaskeerd
+ * Lege secrets blijven leeg zodat zichtbaar is dat ze nog ingevuld moeten worden
+ * @param {*} value - Config (object, array of waarde)
+ * @returns {*} - Gemaskeerde kopie
+ */
+function maskSecrets(value) {
+    if (Array.isArray(value)) {
+        return value.map(maskSecrets);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const masked = {};
+    for (const [key, child] of Object.entries(value)) {
+        if (SECRET_KEYS.has(key)) {
+            masked[key] = child ? MASK : child;
+        } else {
+            masked[key] = maskSecrets(child);
+        }
+    }
+    return masked;
+}
+
+/**
+ * Controleer of een veld via HTTP gewijzigd mag worden
+ * @param {string} configType - Config type (server, gameserver, ...)
+ * @param {string} key - Pad binnen de config (bijv. pterodactyl.enabled)
+ * @returns {string|null} - Verwacht type, of null als het veld niet bewerkbaar is
+ */
+function getEditableType(configType, key) {
+    const fields = EDITABLE_FIELDS[configType];
+    if (!fields || !Object.prototype.hasOwnProperty.call(fields, key)) {
+        return null;
+    }
+    return fields[key];
+}
+
+/**
+ * Haal een waarde op via een pad als "pterodactyl.enabled"
+ */
+function getValueAtPath(config, key) {
+    return key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), config);
+}
+
+/**
+ * Leg een config wijziging via HTTP vast in de audit tabel
+ * @param {Object} entry - { user, configType, key, oldValue, newValue, ipAddress }
+ */
+async function recordConfigAudit({ user, configType, key, oldValue, newValue, ipAddress }) {
+    const secret = SECRET_KEYS.has(key.split('.').pop());
+    const serialize = (value) => {
+        if (value === undefined) return null;
+        if (secret && value) return MASK;
+        return JSON.stringify(value);
+    };
+
+    await db.query(
+        `INSERT INTO config_audit (user_id, username, config_type, config_key, old_value, new_value, ip_address)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            user ? user.userId : null,
+            user ? user.username : null,
+            configType,
+            key,
+            serialize(oldValue),
+            serialize(newValue),
+            ipAddress || null
+        ]
+    );
+}
+
+/**
+ * Haal de laatste config audit entries op
+ * @param {Object} options - { limit, configType }
+ * @returns {Promise<Array>} - Audit entries, nieuwste eerst
+ */
+async function getConfigAudit({ limit = 50, configType } = {}) {
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    if (configType) {
+        return db.query(
+            `SELECT * FROM config_audit WHERE config_type = ? ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+            [configType]
+        );
+    }
+    return db.query(`SELECT * FROM config_audit ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`);
+}
+
+module.exports = {
+    MASK,
+    SECRET_KEYS,
+    EDITABLE_FIELDS,
+    maskSecrets,
+    getEditableType,
+    getValueAtPath,
+    recordConfigAudit,
+    getConfigAudit
+};
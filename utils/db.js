@@ -203,6 +203,421 @@ const runMigrations = async () => {
       )
     `);
     
+    // Sessions tabel (refresh tokens, één rij per token, family_id = sessie/apparaat)
+    await query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id VARCHAR(36) PRIMARY KEY,
+        family_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        player_id VARCHAR(36) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        parent_id VARCHAR(36) NULL,
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL,
+        revoked_at TIMESTAMP NULL,
+        revoke_reason VARCHAR(50),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_family (family_id),
+        INDEX idx_user_active (user_id, revoked_at)
+      )
+    `);
+
+    // Permissies en rol koppelingen (RBAC op basis van users.role)
+    await query(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        name VARCHAR(64) PRIMARY KEY,
+        description VARCHAR(255)
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role ENUM('player', 'admin', 'moderator') NOT NULL,
+        permission VARCHAR(64) NOT NULL,
+        PRIMARY KEY (role, permission),
+        FOREIGN KEY (permission) REFERENCES permissions(name) ON DELETE CASCADE
+      )
+    `);
+
+    await require('./permissions').seedDefaults(query);
+
+    // Game server credentials (HMAC secrets per server)
+    await query(`
+      CREATE TABLE IF NOT EXISTS server_credentials (
+        server_id VARCHAR(64) PRIMARY KEY,
+        pterodactyl_id INT,
+        secret VARCHAR(64) NOT NULL,
+        previous_secret VARCHAR(64),
+        previous_valid_until DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        rotated_at DATETIME
+      )
+    `);
+
+    // Gedeelde game server registry (internal, public discovery en GameServerManager)
+    await query(`
+      CREATE TABLE IF NOT EXISTS game_servers (
+        server_id VARCHAR(64) PRIMARY KEY,
+        name VARCHAR(100),
+        origin VARCHAR(20) NOT NULL DEFAULT 'internal',
+        pterodactyl_id INT,
+        pterodactyl_uuid VARCHAR(36),
+        ip VARCHAR(64),
+        alias VARCHAR(255),
+        port INT,
+        max_players INT DEFAULT 50,
+        current_players INT DEFAULT 0,
+        map_name VARCHAR(100),
+        game_mode VARCHAR(50),
+        region VARCHAR(50),
+        version VARCHAR(20),
+        server_type VARCHAR(20),
+        status VARCHAR(20) NOT NULL DEFAULT 'starting',
+        metrics JSON,
+        registered_at DATETIME NOT NULL,
+        last_heartbeat DATETIME,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_game_servers_status (status)
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS game_server_history (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        server_id VARCHAR(64) NOT NULL,
+        event ENUM('registered', 'status_changed', 'unregistered') NOT NULL,
+        old_status VARCHAR(20),
+        new_status VARCHAR(20),
+        details JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_history_server (server_id, created_at)
+      )
+    `);
+
+    // Servers die leeglopen voordat ze afgesloten worden (scale-down, delete, rolling update)
+    await query(`
+      CREATE TABLE IF NOT EXISTS game_server_drains (
+        server_id VARCHAR(64) PRIMARY KEY,
+        reason VARCHAR(50),
+        deadline DATETIME NOT NULL,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Single-use join tickets (speler -> game server toewijzing)
+    await query(`
+      CREATE TABLE IF NOT EXISTS join_tickets (
+        nonce VARCHAR(32) PRIMARY KEY,
+        player_id VARCHAR(36) NOT NULL,
+        server_id VARCHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_join_tickets_expiry (expires_at)
+      )
+    `);
+
+    // Game server waar een speler het laatst binnenkwam (gezet bij het inwisselen van zijn join ticket)
+    await query(`
+      CREATE TABLE IF NOT EXISTS player_servers (
+        player_id VARCHAR(36) PRIMARY KEY,
+        server_id VARCHAR(64) NOT NULL,
+        joined_at DATETIME NOT NULL,
+        INDEX idx_player_servers_server (server_id)
+      )
+    `);
+
+    // Audit log voor config wijzigingen via de HTTP API
+    await query(`
+      CREATE TABLE IF NOT EXISTS config_audit (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(36),
+        username VARCHAR(50),
+        config_type VARCHAR(32) NOT NULL,
+        config_key VARCHAR(128) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_config_audit_type (config_type, created_at)
+      )
+    `);
+
+    // SKAFF ledger (zie utils/ledger.js): accounts, transacties en hun debit/credit entries
+    await query(`
+      CREATE TABLE IF NOT EXISTS ledger_accounts (
+        id VARCHAR(64) PRIMARY KEY,
+        type ENUM('wallet', 'faction', 'system') NOT NULL,
+        owner_id VARCHAR(36) NOT NULL,
+        balance BIGINT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_ledger_accounts_owner (type, owner_id)
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS ledger_transactions (
+        id VARCHAR(36) PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        description VARCHAR(255),
+        reference_id VARCHAR(64),
+        created_by VARCHAR(36),
+        metadata JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_ledger_transactions_type (type, created_at),
+        INDEX idx_ledger_transactions_reference (reference_id)
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        transaction_id VARCHAR(36) NOT NULL,
+        account_id VARCHAR(64) NOT NULL,
+        amount BIGINT NOT NULL,
+        balance_after BIGINT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (transaction_id) REFERENCES ledger_transactions(id) ON DELETE CASCADE,
+        FOREIGN KEY (account_id) REFERENCES ledger_accounts(id),
+        INDEX idx_ledger_entries_account (account_id, id)
+      )
+    `);
+
+    // Opgeslagen responses voor requests met een Idempotency-Key (zie middleware/idempotency.js)
+    await query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        user_id VARCHAR(36) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        route VARCHAR(255) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+        response_status INT NULL,
+        response_body MEDIUMTEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        PRIMARY KEY (user_id, idempotency_key, route),
+        INDEX idx_idempotency_expiry (expires_at)
+      )
+    `);
+
+    // Item catalogus (zie managers/ItemRegistry.js)
+    await query(`
+      CREATE TABLE IF NOT EXISTS item_definitions (
+        id VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        category VARCHAR(50) NOT NULL,
+        stack_size INT NOT NULL DEFAULT 1,
+        rarity ENUM('common', 'uncommon', 'rare', 'epic', 'legendary') NOT NULL DEFAULT 'common',
+        base_value BIGINT NOT NULL DEFAULT 0,
+        tradeable BOOLEAN NOT NULL DEFAULT TRUE,
+        soulbound BOOLEAN NOT NULL DEFAULT FALSE,
+        stats JSON,
+        shop_price BIGINT NULL,
+        level_required INT NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_item_definitions_category (category)
+      )
+    `);
+
+    await require('../managers/ItemRegistry').seedDefaults(query);
+
+    // Trades tussen spelers; aangeboden items staan in escrow in trade_items (zie managers/TradeManager.js)
+    await query(`
+      CREATE TABLE IF NOT EXISTS trades (
+        id VARCHAR(36) PRIMARY KEY,
+        initiator_player_id VARCHAR(36) NOT NULL,
+        initiator_user_id VARCHAR(36) NOT NULL,
+        partner_player_id VARCHAR(36) NOT NULL,
+        partner_user_id VARCHAR(36) NOT NULL,
+        status ENUM('open', 'completed', 'cancelled', 'expired') NOT NULL DEFAULT 'open',
+        initiator_skaff BIGINT NOT NULL DEFAULT 0,
+        partner_skaff BIGINT NOT NULL DEFAULT 0,
+        initiator_confirmed BOOLEAN NOT NULL DEFAULT FALSE,
+        partner_confirmed BOOLEAN NOT NULL DEFAULT FALSE,
+        cancelled_by VARCHAR(36) NULL,
+        expires_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP NULL,
+        INDEX idx_trades_initiator (initiator_player_id, created_at),
+        INDEX idx_trades_partner (partner_player_id, created_at),
+        INDEX idx_trades_expiry (status, expires_at)
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS trade_items (
+        id VARCHAR(36) PRIMARY KEY,
+        trade_id VARCHAR(36) NOT NULL,
+        player_id VARCHAR(36) NOT NULL,
+        item_id VARCHAR(50) NOT NULL,
+        quantity INT NOT NULL,
+        metadata JSON NULL,
+        source_slot INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (trade_id) REFERENCES trades(id) ON DELETE CASCADE,
+        INDEX idx_trade_items_trade (trade_id)
+      )
+    `);
+
+    // Marktplaats listings (item zit in de listing tot verkoop/verloop) en biedingen, zie managers/MarketManager.js
+    await query(`
+      CREATE TABLE IF NOT EXISTS market_listings (
+        id VARCHAR(36) PRIMARY KEY,
+        seller_player_id VARCHAR(36) NOT NULL,
+        seller_user_id VARCHAR(36) NOT NULL,
+        item_id VARCHAR(50) NOT NULL,
+        quantity INT NOT NULL,
+        metadata JSON NULL,
+        category VARCHAR(50) NOT NULL,
+        listing_type ENUM('buyout', 'auction') NOT NULL,
+        start_price BIGINT NULL,
+        buyout_price BIGINT NULL,
+        current_bid BIGINT NULL,
+        bidder_player_id VARCHAR(36) NULL,
+        bidder_user_id VARCHAR(36) NULL,
+        bid_count INT NOT NULL DEFAULT 0,
+        listing_fee BIGINT NOT NULL DEFAULT 0,
+        status ENUM('active', 'sold', 'expired', 'cancelled') NOT NULL DEFAULT 'active',
+        sale_price BIGINT NULL,
+        sales_tax BIGINT NULL,
+        buyer_player_id VARCHAR(36) NULL,
+        buyer_user_id VARCHAR(36) NULL,
+        expires_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        closed_at TIMESTAMP NULL,
+        INDEX idx_market_item (status, item_id),
+        INDEX idx_market_category (status, category),
+        INDEX idx_market_expiry (status, expires_at),
+        INDEX idx_market_seller (seller_player_id, created_at),
+        INDEX idx_market_sales (item_id, status, closed_at)
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS market_bids (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        listing_id VARCHAR(36) NOT NULL,
+        bidder_player_id VARCHAR(36) NOT NULL,
+        bidder_user_id VARCHAR(36) NOT NULL,
+        amount BIGINT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (listing_id) REFERENCES market_listings(id) ON DELETE CASCADE,
+        INDEX idx_market_bids_listing (listing_id, id)
+      )
+    `);
+
+    // Doodsoorzaken zoals gemeld door game servers (audit trail)
+    await query(`
+      CREATE TABLE IF NOT EXISTS player_deaths (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        player_id VARCHAR(36) NOT NULL,
+        killer_player_id VARCHAR(36) NULL,
+        cause VARCHAR(50) NOT NULL,
+        server_id VARCHAR(64) NOT NULL,
+        position_x FLOAT NULL,
+        position_y FLOAT NULL,
+        position_z FLOAT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
+        INDEX idx_player_deaths_player (player_id, created_at)
+      )
+    `);
+
+    // Verdachte bewegingen e.d. (anti-cheat meldingen)
+    await query(`
+      CREATE TABLE IF NOT EXISTS player_suspicions (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        player_id VARCHAR(36) NOT NULL,
+        server_id VARCHAR(64) NULL,
+        kind VARCHAR(30) NOT NULL,
+        details JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
+        INDEX idx_player_suspicions_player (player_id, created_at),
+        INDEX idx_player_suspicions_created (created_at)
+      )
+    `);
+
+    // Ovens van spelers; de voortgang wordt berekend vanaf last_tick_at
+    await query(`
+      CREATE TABLE IF NOT EXISTS ovens (
+        id VARCHAR(36) PRIMARY KEY,
+        owner_player_id VARCHAR(36) NOT NULL,
+        owner_user_id VARCHAR(36) NOT NULL,
+        name VARCHAR(50) NOT NULL DEFAULT 'Oven',
+        position_x FLOAT DEFAULT 0,
+        position_y FLOAT DEFAULT 0,
+        position_z FLOAT DEFAULT 0,
+        recipe_id VARCHAR(50) NULL,
+        input_quantity INT NOT NULL DEFAULT 0,
+        output_quantity INT NOT NULL DEFAULT 0,
+        progress_seconds DOUBLE NOT NULL DEFAULT 0,
+        fuel DOUBLE NOT NULL DEFAULT 0,
+        last_tick_at DATETIME(3) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_player_id) REFERENCES players(id) ON DELETE CASCADE,
+        INDEX idx_ovens_owner (owner_player_id)
+      )
+    `);
+
+    // Drop tables voor de dagelijkse oven spins (zie managers/SpinManager.js)
+    await query(`
+      CREATE TABLE IF NOT EXISTS oven_spin_tables (
+        id VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        spin_price BIGINT NOT NULL DEFAULT 0,
+        pity_threshold INT NOT NULL DEFAULT 0,
+        active BOOLEAN DEFAULT TRUE,
+        entries JSON NOT NULL,
+        version INT NOT NULL DEFAULT 1,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await require('../managers/SpinManager').seedDefaults(query);
+
+    // Spins sinds het laatste rare resultaat, per gebruiker en drop table
+    await query(`
+      CREATE TABLE IF NOT EXISTS oven_spin_pity (
+        user_id VARCHAR(36) NOT NULL,
+        table_id VARCHAR(50) NOT NULL,
+        spins_since_rare INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, table_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Audit log van alle spins, met de worp en de versie van de drop table
+    await query(`
+      CREATE TABLE IF NOT EXISTS oven_spin_log (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        player_id VARCHAR(36) NOT NULL,
+        table_id VARCHAR(50) NOT NULL,
+        table_version INT NOT NULL,
+        spin_type ENUM('free', 'paid') NOT NULL,
+        cost BIGINT NOT NULL DEFAULT 0,
+        entry_id VARCHAR(50) NOT NULL,
+        reward_type VARCHAR(20) NOT NULL,
+        item_id VARCHAR(50) NULL,
+        quantity INT NOT NULL,
+        rarity VARCHAR(20) NOT NULL,
+        roll INT NOT NULL,
+        total_weight INT NOT NULL,
+        pity_triggered BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_oven_spin_log_user (user_id, created_at),
+        INDEX idx_oven_spin_log_table (table_id, table_version, entry_id)
+      )
+    `);
+
     // Factions tabel
     await query(`
       CREATE TABLE IF NOT EXISTS factions (
@@ -242,12 +657,23 @@ const runMigrations = async () => {
         item_id VARCHAR(50) NOT NULL,
         quantity INT DEFAULT 1,
         slot INT NOT NULL,
+        metadata JSON NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (inventory_id) REFERENCES inventory(id) ON DELETE CASCADE,
         UNIQUE KEY inventory_slot (inventory_id, slot)
       )
     `);
     
+    // metadata is later aan inventory_items toegevoegd; bestaande databases krijgen de kolom alsnog
+    const metadataColumn = await query(`
+      SELECT COUNT(*) as count FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'inventory_items' AND COLUMN_NAME = 'metadata'
+    `);
+    if (metadataColumn[0] && metadataColumn[0].count === 0) {
+      await query('ALTER TABLE inventory_items ADD COLUMN metadata JSON NULL AFTER slot');
+      console.log('Kolom inventory_items.metadata toegevoegd');
+    }
+    
     // Voeg basisfacties toe als ze niet bestaan
     const factions = await query('SELECT COUNT(*) as count FROM factions');
     if (factions[0].count === 0) {
@@ -280,6 +706,63 @@ const runMigrations = async () => {
       )
     `);
 
+    // Loot tables per mining locatie (zie managers/LootTableManager.js)
+    await query(`
+      CREATE TABLE IF NOT EXISTS mining_loot_tables (
+        location_id VARCHAR(50) PRIMARY KEY,
+        rolls INT NOT NULL DEFAULT 1,
+        skaff_min INT NOT NULL DEFAULT 0,
+        skaff_max INT NOT NULL DEFAULT 0,
+        xp_min INT NOT NULL DEFAULT 0,
+        xp_max INT NOT NULL DEFAULT 0,
+        guaranteed JSON NOT NULL,
+        entries JSON NOT NULL,
+        version INT NOT NULL DEFAULT 1,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await require('../managers/LootTableManager').seedDefaults(query);
+
+    // Tool en boost waarmee een mining sessie gestart is (zie managers/MiningToolManager.js)
+    await query(`
+      CREATE TABLE IF NOT EXISTS mining_session_modifiers (
+        session_id VARCHAR(36) PRIMARY KEY,
+        inventory_item_id VARCHAR(36) NULL,
+        tool_item_id VARCHAR(50) NULL,
+        mining_speed FLOAT NOT NULL DEFAULT 1,
+        speed_boost FLOAT NOT NULL DEFAULT 1,
+        FOREIGN KEY (session_id) REFERENCES mining_sessions(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Tijdelijke buffs van spelers (mining_speed uit energy drinks e.d.)
+    await query(`
+      CREATE TABLE IF NOT EXISTS player_buffs (
+        player_id VARCHAR(36) NOT NULL,
+        buff_type VARCHAR(30) NOT NULL,
+        multiplier FLOAT NOT NULL,
+        source_item_id VARCHAR(50) NULL,
+        expires_at DATETIME NOT NULL,
+        PRIMARY KEY (player_id, buff_type),
+        FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Mining nodes per game server shard en locatie (zie managers/MiningNodeManager.js)
+    await query(`
+      CREATE TABLE IF NOT EXISTS mining_nodes (
+        server_id VARCHAR(64) NOT NULL,
+        location_id VARCHAR(50) NOT NULL,
+        node_index INT NOT NULL,
+        session_id VARCHAR(36) NULL,
+        claimed_at DATETIME NULL,
+        respawn_at DATETIME NULL,
+        PRIMARY KEY (server_id, location_id, node_index),
+        UNIQUE KEY uniq_mining_nodes_session (session_id)
+      )
+    `);
+
     // Shop transactions
     await query(`
       CREATE TABLE IF NOT EXISTS shop_transactions (
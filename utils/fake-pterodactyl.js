@@ -0,0 +1,294 @@
+/**
+ * Fake Pterodactyl Panel
+ * Emuleert het deel van de Pterodactyl application/client API dat de PterodactylProvider gebruikt
+ * (users, servers, allocations, startup variabelen en power signalen), zodat de volledige
+ * server lifecycle zonder echt panel getest kan worden. Alle state staat in het geheugen.
+ *
+ * Starten: npm run fake-panel (of node utils/fake-pterodactyl.js)
+ * Daarna gameserver.pterodactyl.apiUrl op http://localhost:<poort>/api zetten.
+ *
+ * Environment: FAKE_PTERODACTYL_PORT (8090), FAKE_PTERODACTYL_API_KEY (leeg = elke key),
+ * FAKE_PTERODACTYL_PORTS (7001-7010), FAKE_PTERODACTYL_IP (127.0.0.1)
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+// Hoe lang een server in starting/stopping blijft voordat hij running/offline wordt
+const POWER_TRANSITION_MS = 1000;
+
+/**
+ * Parse een poortbereik zoals "7001-7010" of "7001,7002"
+ */
+function parsePorts(value) {
+    const ports = [];
+    for (const part of String(value).split(',')) {
+        const [start, end] = part.split('-').map(p => parseInt(p));
+        if (!Number.isFinite(start)) continue;
+        for (let port = start; port <= (Number.isFinite(end) ? end : start); port++) {
+            ports.push(port);
+        }
+    }
+    return ports;
+}
+
+/**
+ * Maak een fake panel aan
+ * @param {Object} options - { apiKey, ip, ports }
+ * @returns {{app: Object, state: Object}}
+ */
+function createFakePterodactyl({ apiKey = '', ip = '127.0.0.1', ports = parsePorts('7001-7010') } = {}) {
+    const state = {
+        servers: new Map(), // id -> server attributes (+ powerState)
+        allocations: new Map(), // id -> allocation attributes
+        nextServerId: 1,
+        nextAllocationId: 1
+    };
+
+    const addAllocation = (allocationIp, port, alias = null) => {
+        const allocation = {
+            id: state.nextAllocationId++,
+            ip: allocationIp,
+            alias,
+            port,
+            notes: null,
+            assigned: false,
+            server: null
+        };
+        state.allocations.set(allocation.id, allocation);
+        return allocation;
+    };
+    for (const port of ports) {
+        addAllocation(ip, port);
+    }
+
+    const app = express();
+    app.use(express.json());
+
+    // Zelfde foutformaat als het echte panel
+    const sendError = (res, status, code, detail, sourceField = null) => {
+        res.status(status).json({
+            errors: [{ code, status: String(status), detail, ...(sourceField ? { meta: { source_field: sourceField } } : {}) }]
+        });
+    };
+
+    app.use('/api', (req, res, next) => {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+        if (!token || (apiKey && token !== apiKey)) {
+            return sendError(res, 401, 'AuthenticationException', 'Unauthenticated.');
+        }
+        next();
+    });
+
+    // Alles op één pagina; de pagination meta is er zodat clients hun paginering kunnen testen
+    const page = (resources) => ({
+        object: 'list',
+        data: resources,
+        meta: { pagination: { total: resources.length, count: resources.length, per_page: Math.max(resources.length, 50), current_page: 1, total_pages: 1 } }
+    });
+    const list = (object, items) => page(items.map(attributes => ({ object, attributes })));
+
+    const serverResource = (server) => {
+        const { powerState, ...attributes } = server;
+        const allocations = Array.from(state.allocations.values()).filter(alloc => alloc.server === server.id);
+        return {
+            object: 'server',
+            attributes: {
+                ...attributes,
+                relationships: { allocations: list('allocation', allocations) }
+            }
+        };
+    };
+
+    const findServer = (req, res) => {
+        const server = state.servers.get(parseInt(req.params.id));
+        if (!server) sendError(res, 404, 'NotFoundHttpException', 'The requested resource could not be found on the server.');
+        return server;
+    };
+
+    // Client API accepteert zowel de volledige UUID als de korte identifier
+    const findClientServer = (req, res) => {
+        const server = Array.from(state.servers.values()).find(s => s.uuid === req.params.uuid || s.identifier === req.params.uuid);
+        if (!server) sendError(res, 404, 'NotFoundHttpException', 'The requested resource could not be found on the server.');
+        return server;
+    };
+
+    // ===== Application API =====
+
+    app.get('/api/application/users', (req, res) => {
+        res.json(list('user', [{ id: 1, uuid: uuidv4(), username: 'admin', email: 'admin@localhost', root_admin: true }]));
+    });
+
+    app.get('/api/application/servers', (req, res) => {
+        res.json(page(Array.from(state.servers.values()).map(serverResource)));
+    });
+
+    app.get('/api/application/servers/:id', (req, res) => {
+        const server = findServer(req, res);
+        if (server) res.json(serverResource(server));
+    });
+
+    app.post('/api/application/servers', (req, res) => {
+        const body = req.body || {};
+        for (const field of ['name', 'user', 'egg', 'docker_image', 'startup', 'limits', 'feature_limits', 'environment']) {
+            if (body[field] === undefined || body[field] === null || body[field] === '') {
+                return sendError(res, 422, 'ValidationException', `The ${field} field is required.`, field);
+            }
+        }
+
+        const allocation = state.allocations.get(parseInt(body.allocation?.default));
+        if (!allocation) {
+            return sendError(res, 422, 'ValidationException', 'The selected allocation.default is invalid.', 'allocation.default');
+        }
+        if (allocation.assigned) {
+            return sendError(res, 422, 'DisplayException', 'The requested allocation is already assigned to a server.', 'allocation.default');
+        }
+
+        const uuid = uuidv4();
+        const now = new Date().toISOString();
+        const server = {
+            id: state.nextServerId++,
+            external_id: body.external_id || null,
+            uuid,
+            identifier: uuid.substring(0, 8),
+            name: body.name,
+            description: body.description || '',
+            status: null,
+            suspended: false,
+            limits: body.limits,
+            feature_limits: body.feature_limits,
+            user: parseInt(body.user),
+            node: 1,
+            allocation: allocation.id,
+            nest: parseInt(body.nest) || 1,
+            egg: parseInt(body.egg),
+            container: {
+                startup_command: body.startup,
+                image: body.docker_image,
+                installed: 1,
+                environment: { ...body.environment }
+            },
+            updated_at: now,
+            created_at: now,
+            powerState: 'offline'
+        };
+
+        allocation.assigned = true;
+        allocation.server = server.id;
+        state.servers.set(server.id, server);
+
+        console.log(`[FakePterodactyl] ➕ Server ${server.id} (${server.name}) aangemaakt op poort ${allocation.port}`);
+        res.status(201).json(serverResource(server));
+    });
+
+    app.patch('/api/application/servers/:id/startup', (req, res) => {
+        const server = findServer(req, res);
+        if (!server) return;
+
+        const body = req.body || {};
+        if (body.startup) server.container.startup_command = body.startup;
+        if (body.image) server.container.image = body.image;
+        if (body.egg) server.egg = parseInt(body.egg);
+        if (body.environment) server.container.environment = { ...body.environment };
+        server.updated_at = new Date().toISOString();
+
+        res.json(serverResource(server));
+    });
+
+    app.delete('/api/application/servers/:id', (req, res) => {
+        const server = findServer(req, res);
+        if (!server) return;
+
+        for (const allocation of state.allocations.values()) {
+            if (allocation.server === server.id) {
+                allocation.assigned = false;
+                allocation.server = null;
+            }
+        }
+        state.servers.delete(server.id);
+
+        console.log(`[FakePterodactyl] ➖ Server ${server.id} (${server.name}) verwijderd`);
+        res.status(204).end();
+    });
+
+    app.get('/api/application/nodes/:node/allocations', (req, res) => {
+        res.json(list('allocation', Array.from(state.allocations.values())));
+    });
+
+    app.post('/api/application/nodes/:node/allocations', (req, res) => {
+        const body = req.body || {};
+        if (!body.ip || !Array.isArray(body.ports) || body.ports.length === 0) {
+            return sendError(res, 422, 'ValidationException', 'The ip and ports fields are required.', body.ip ? 'ports' : 'ip');
+        }
+
+        for (const port of parsePorts(body.ports.join(','))) {
+            const exists = Array.from(state.allocations.values()).some(alloc => alloc.ip === body.ip && alloc.port === port);
+            if (!exists) addAllocation(body.ip, port, body.alias || null);
+        }
+
+        // Net als het echte panel: geen body
+        res.status(204).end();
+    });
+
+    // ===== Client API =====
+
+    app.get('/api/client/servers/:uuid/resources', (req, res) => {
+        const server = findClientServer(req, res);
+        if (!server) return;
+
+        res.json({
+            object: 'stats',
+            attributes: {
+                current_state: server.powerState,
+                is_suspended: server.suspended,
+                resources: { memory_bytes: 0, cpu_absolute: 0, disk_bytes: 0, network_rx_bytes: 0, network_tx_bytes: 0, uptime: 0 }
+            }
+        });
+    });
+
+    app.post('/api/client/servers/:uuid/power', (req, res) => {
+        const server = findClientServer(req, res);
+        if (!server) return;
+
+        const transitions = {
+            start: ['starting', 'running'],
+            stop: ['stopping', 'offline'],
+            restart: ['starting', 'running'],
+            kill: ['offline', 'offline']
+        };
+        const transition = transitions[req.body?.signal];
+        if (!transition) {
+            return sendError(res, 422, 'ValidationException', 'The selected signal is invalid.', 'signal');
+        }
+
+        server.powerState = transition[0];
+        setTimeout(() => {
+            if (state.servers.has(server.id)) server.powerState = transition[1];
+        }, POWER_TRANSITION_MS).unref();
+
+        console.log(`[FakePterodactyl] ⚡ Server ${server.id} signaal ${req.body.signal}`);
+        res.status(204).end();
+    });
+
+    app.use('/api', (req, res) => {
+        sendError(res, 404, 'NotFoundHttpException', 'The requested resource could not be found on the server.');
+    });
+
+    return { app, state };
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.FAKE_PTERODACTYL_PORT) || 8090;
+    const { app } = createFakePterodactyl({
+        apiKey: process.env.FAKE_PTERODACTYL_API_KEY || '',
+        ip: process.env.FAKE_PTERODACTYL_IP || '127.0.0.1',
+        ports: parsePorts(process.env.FAKE_PTERODACTYL_PORTS || '7001-7010')
+    });
+
+    app.listen(port, () => {
+        console.log(`[FakePterodactyl] ✅ Fake panel luistert op http://localhost:${port}/api`);
+    });
+}
+
+module.exports = { createFakePterodactyl, parsePorts };
@@ -0,0 +1,146 @@
+/**
+ * Inventory helpers voor escrow systemen (trades, marketplace) en de InventoryManager
+ * Alle functies werken binnen een lopende database transactie. De inventory rij van een speler wordt gelockt
+ * voordat er slots toegewezen worden, zodat gelijktijdige toevoegingen niet dezelfde slot pakken.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_MAX_SLOTS = 20;
+
+function serializeMetadata(metadata) {
+    if (metadata === null || metadata === undefined) return null;
+    return typeof metadata === 'string' ? metadata : JSON.stringify(metadata);
+}
+
+function parseMetadata(metadata) {
+    return typeof metadata === 'string' ? JSON.parse(metadata) : (metadata || null);
+}
+
+// JSON met gesorteerde keys; MySQL bewaart JSON kolommen niet in de volgorde waarin ze geschreven zijn
+function canonicalMetadata(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalMetadata).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalMetadata(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Twee stacks met dezelfde metadata mogen samengevoegd worden (geen metadata telt als gelijk aan lege metadata)
+ */
+function sameMetadata(a, b) {
+    const left = parseMetadata(a);
+    const right = parseMetadata(b);
+    const isEmpty = value => !value || (typeof value === 'object' && Object.keys(value).length === 0);
+    if (isEmpty(left) || isEmpty(right)) return isEmpty(left) && isEmpty(right);
+    return canonicalMetadata(left) === canonicalMetadata(right);
+}
+
+/**
+ * Lock (en maak zo nodig) de inventory van een speler
+ */
+async function lockInventory(connection, playerId) {
+    const [[inventory]] = await connection.query('SELECT * FROM inventory WHERE player_id = ? FOR UPDATE', [playerId]);
+    if (inventory) return inventory;
+
+    const created = { id: uuidv4(), player_id: playerId, max_slots: DEFAULT_MAX_SLOTS };
+    await connection.query(
+        'INSERT INTO inventory (id, player_id, max_slots) VALUES (?, ?, ?)',
+        [created.id, playerId, created.max_slots]
+    );
+    return created;
+}
+
+async function usedSlots(connection, inventoryId) {
+    const [rows] = await connection.query('SELECT slot FROM inventory_items WHERE inventory_id = ?', [inventoryId]);
+    return new Set(rows.map(row => row.slot));
+}
+
+/**
+ * Lock een inventory item van een speler
+ * @returns {Promise<Object|undefined>} - inventory_items rij, undefined als het item niet van deze speler is
+ */
+async function lockItem(connection, playerId, inventoryItemId) {
+    const [[item]] = await connection.query(
+        `SELECT ii.* FROM inventory_items ii
+         JOIN inventory i ON i.id = ii.inventory_id
+         WHERE ii.id = ? AND i.player_id = ?
+         FOR UPDATE`,
+        [inventoryItemId, playerId]
+    );
+    return item;
+}
+
+/**
+ * Haal een aantal van een (gelockte) stack af; een lege stack wordt verwijderd
+ */
+async function removeQuantity(connection, item, quantity) {
+    if (quantity >= item.quantity) {
+        await connection.query('DELETE FROM inventory_items WHERE id = ?', [item.id]);
+    } else {
+        await connection.query('UPDATE inventory_items SET quantity = quantity - ? WHERE id = ?', [quantity, item.id]);
+    }
+}
+
+/**
+ * @returns {Promise<string>} - id van de nieuwe inventory_items rij
+ */
+async function insertItem(connection, inventoryId, item, slot) {
+    const id = uuidv4();
+    await connection.query(
+        'INSERT INTO inventory_items (id, inventory_id, item_id, quantity, slot, metadata) VALUES (?, ?, ?, ?, ?, ?)',
+        [id, inventoryId, item.item_id, item.quantity, slot, serializeMetadata(item.metadata)]
+    );
+    return id;
+}
+
+/**
+ * Geef items aan een speler, elk in een eigen vrije slot
+ * @param {Array} items - [{ item_id, quantity, metadata }]
+ * @returns {Promise<{given: boolean, freeSlots: number}>} - given is false (en er is niets gewijzigd) als er te weinig vrije slots zijn
+ */
+async function giveItems(connection, playerId, items) {
+    const inventory = await lockInventory(connection, playerId);
+    const used = await usedSlots(connection, inventory.id);
+
+    const free = [];
+    for (let i = 0; i < inventory.max_slots; i++) {
+        if (!used.has(i)) free.push(i);
+    }
+    if (free.length < items.length) {
+        return { given: false, freeSlots: free.length };
+    }
+
+    for (const [index, item] of items.entries()) {
+        await insertItem(connection, inventory.id, item, free[index]);
+    }
+    return { given: true, freeSlots: free.length - items.length };
+}
+
+/**
+ * Zet een item uit escrow terug bij de eigenaar: bij voorkeur op de oude slot. Is de inventory intussen vol,
+ * dan komt het op een slot boven max_slots zodat er nooit iets verloren gaat.
+ */
+async function restoreItem(connection, playerId, item, preferredSlot = null) {
+    const inventory = await lockInventory(connection, playerId);
+    const used = await usedSlots(connection, inventory.id);
+
+    let slot = preferredSlot !== null && preferredSlot !== undefined && !used.has(preferredSlot) ? preferredSlot : null;
+    for (let i = 0; slot === null; i++) {
+        if (!used.has(i)) slot = i;
+    }
+    await insertItem(connection, inventory.id, item, slot);
+}
+
+module.exports = {
+    serializeMetadata,
+    parseMetadata,
+    sameMetadata,
+    lockInventory,
+    lockItem,
+    removeQuantity,
+    insertItem,
+    giveItems,
+    restoreItem
+};
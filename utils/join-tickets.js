@@ -0,0 +1,94 @@
+/**
+ * Join tickets
+ * Kortlevende, ondertekende tickets die bewijzen dat een speler aan een specifieke game server is toegewezen.
+ * De game server valideert het ticket bij connect via POST /internal/servers/validate-ticket; elk ticket is single-use.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+const { JWT_SECRET } = require('./auth-tokens');
+
+const JOIN_TICKET_SECRET = process.env.JOIN_TICKET_SECRET || JWT_SECRET;
+const JOIN_TICKET_TTL_SECONDS = parseInt(process.env.JOIN_TICKET_TTL_SECONDS) || 60;
+const TICKET_AUDIENCE = 'skaffacity-join-ticket';
+
+/**
+ * Geef een join ticket uit voor een speler op een server
+ * @param {string} playerId - Speler ID
+ * @param {string} serverId - Server ID (SKAFFA_SERVER_ID)
+ * @returns {Promise<{ticket: string, expiresAt: Date}>}
+ */
+async function issueJoinTicket(playerId, serverId) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + JOIN_TICKET_TTL_SECONDS * 1000);
+
+    const ticket = jwt.sign(
+        { playerId, serverId, nonce },
+        JOIN_TICKET_SECRET,
+        { expiresIn: JOIN_TICKET_TTL_SECONDS, audience: TICKET_AUDIENCE }
+    );
+
+    // Opruimen van oude tickets houdt de tabel klein
+    await db.query('DELETE FROM join_tickets WHERE expires_at < DATE_SUB(NOW(), INTERVAL 1 HOUR)');
+    await db.query(
+        'INSERT INTO join_tickets (nonce, player_id, server_id, expires_at) VALUES (?, ?, ?, ?)',
+        [nonce, playerId, serverId, expiresAt]
+    );
+
+    return { ticket, expiresAt };
+}
+
+/**
+ * Valideer en verbruik een join ticket (single-use)
+ * @param {string} ticket - Ticket zoals uitgegeven door issueJoinTicket
+ * @param {string} serverId - Server die het ticket aanbiedt
+ * @returns {Promise<{valid: boolean, reason?: string, playerId?: string}>}
+ */
+async function redeemJoinTicket(ticket, serverId) {
+    let payload;
+    try {
+        payload = jwt.verify(ticket, JOIN_TICKET_SECRET, { audience: TICKET_AUDIENCE });
+    } catch (error) {
+        return { valid: false, reason: error.name === 'TokenExpiredError' ? 'Ticket verlopen' : 'Ongeldig ticket' };
+    }
+
+    if (payload.serverId !== serverId) {
+        return { valid: false, reason: 'Ticket is voor een andere server' };
+    }
+
+    // Atomair markeren als gebruikt; een tweede poging vindt geen ongebruikte row meer
+    const result = await db.query(
+        `UPDATE join_tickets SET used_at = NOW()
+         WHERE nonce = ? AND player_id = ? AND server_id = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [payload.nonce, payload.playerId, serverId]
+    );
+    if (!result || result.affectedRows !== 1) {
+        return { valid: false, reason: 'Ticket al gebruikt' };
+    }
+
+    await db.query(
+        `INSERT INTO player_servers (player_id, server_id, joined_at) VALUES (?, ?, NOW())
+         ON DUPLICATE KEY UPDATE server_id = VALUES(server_id), joined_at = VALUES(joined_at)`,
+        [payload.playerId, serverId]
+    );
+
+    return { valid: true, playerId: payload.playerId };
+}
+
+/**
+ * Game server waar een speler met zijn laatste join ticket binnenkwam
+ * @param {string} playerId - Speler ID
+ * @returns {Promise<string|null>} - Server ID, of null als de speler nog nooit een ticket inwisselde
+ */
+async function getAssignedServer(playerId) {
+    const [row] = await db.query('SELECT server_id FROM player_servers WHERE player_id = ?', [playerId]);
+    return row ? row.server_id : null;
+}
+
+module.exports = {
+    JOIN_TICKET_TTL_SECONDS,
+    issueJoinTicket,
+    redeemJoinTicket,
+    getAssignedServer
+};
@@ -0,0 +1,314 @@
+/**
+ * SKAFF ledger
+ * Double-entry boekhouding voor alle SKAFF mutaties. Elke ledger transactie bestaat uit entries die samen
+ * op 0 uitkomen: een negatieve entry is een debit (SKAFF gaat van het account af), een positieve een credit.
+ *
+ * Accounts: wallet:<userId> (speler), faction:<factionId> (factie kas) en system:* accounts zoals de mint
+ * (SKAFF die het spel uitgeeft), de shop (NPC aan- en verkoop), escrow (SKAFF in open trades en biedingen) en de
+ * markt (listing fees en sales tax) en de oven (betaalde spins). System accounts mogen negatief staan,
+ * wallets en facties niet. users.skaff is een cache van het wallet saldo en wordt alleen hier bijgewerkt.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+const SYSTEM_ACCOUNTS = {
+    MINT: 'system:mint',
+    SHOP: 'system:shop',
+    ESCROW: 'system:escrow',
+    MARKET: 'system:market',
+    OVEN: 'system:oven'
+};
+
+class InsufficientFundsError extends Error {
+    constructor(accountId, balance, required) {
+        super(`Niet genoeg SKAFF (saldo ${balance}, nodig ${required})`);
+        this.name = 'InsufficientFundsError';
+        this.accountId = accountId;
+        this.balance = balance;
+        this.required = required;
+    }
+}
+
+function walletAccount(userId) {
+    return `wallet:${userId}`;
+}
+
+/**
+ * Splits een account ID in type en eigenaar
+ */
+function parseAccount(accountId) {
+    const [type, ...rest] = String(accountId).split(':');
+    const ownerId = rest.join(':');
+    if (!['wallet', 'faction', 'system'].includes(type) || !ownerId) {
+        throw new Error(`Ongeldig ledger account: ${accountId}`);
+    }
+    return { type, ownerId };
+}
+
+/**
+ * Zorg dat een account bestaat. Een nieuwe wallet krijgt het huidige users.skaff saldo als openingsbalans
+ * vanuit de mint, zodat bestaande saldi in het ledger terechtkomen.
+ */
+async function ensureAccount(connection, accountId) {
+    const { type, ownerId } = parseAccount(accountId);
+
+    const [[existing]] = await connection.query('SELECT id FROM ledger_accounts WHERE id = ?', [accountId]);
+    if (existing) return;
+
+    let openingBalance = 0;
+    if (type === 'wallet') {
+        const [[user]] = await connection.query('SELECT skaff FROM users WHERE id = ? FOR UPDATE', [ownerId]);
+        if (!user) {
+            throw new Error('Gebruiker niet gevonden');
+        }
+        openingBalance = Number(user.skaff) || 0;
+    }
+
+    const [result] = await connection.query(
+        'INSERT IGNORE INTO ledger_accounts (id, type, owner_id, balance) VALUES (?, ?, ?, 0)',
+        [accountId, type, ownerId]
+    );
+
+    // Alleen degene die het account echt aangemaakt heeft boekt de openingsbalans
+    if (result.affectedRows === 1 && openingBalance !== 0) {
+        await post(connection, {
+            type: 'opening_balance',
+            description: 'Openingsbalans uit users.skaff',
+            entries: [
+                { account: SYSTEM_ACCOUNTS.MINT, amount: -openingBalance },
+                { account: accountId, amount: openingBalance }
+            ]
+        });
+    }
+}
+
+/**
+ * Boek een ledger transactie binnen een lopende database transactie
+ * @param {Object} connection - Connectie met een actieve transactie (db.getConnection + beginTransaction)
+ * @param {Object} transaction - { type, description, entries: [{ account, amount }], referenceId, createdBy, metadata }
+ * @returns {Promise<{transactionId: string, balances: Object}>} - Nieuwe saldi per account
+ */
+async function post(connection, { type, description = null, entries, referenceId = null, createdBy = null, metadata = null }) {
+    if (!type) {
+        throw new Error('Ledger transactie type is verplicht');
+    }
+    if (!Array.isArray(entries) || entries.length < 2) {
+        throw new Error('Een ledger transactie heeft minstens twee entries nodig');
+    }
+    for (const entry of entries) {
+        if (!Number.isSafeInteger(entry.amount) || entry.amount === 0) {
+            throw new Error(`Ongeldig bedrag voor ${entry.account}: ${entry.amount}`);
+        }
+    }
+    if (entries.reduce((sum, entry) => sum + entry.amount, 0) !== 0) {
+        throw new Error('Ledger transactie is niet in balans (debits en credits moeten gelijk zijn)');
+    }
+
+    // Accounts in vaste volgorde locken om deadlocks tussen gelijktijdige boekingen te voorkomen
+    const accountIds = [...new Set(entries.map(entry => entry.account))].sort();
+    for (const accountId of accountIds) {
+        await ensureAccount(connection, accountId);
+    }
+    const [rows] = await connection.query(
+        `SELECT id, type, owner_id, balance FROM ledger_accounts WHERE id IN (${accountIds.map(() => '?').join(', ')}) ORDER BY id FOR UPDATE`,
+        accountIds
+    );
+    const accounts = new Map(rows.map(row => [row.id, { ...row, balance: Number(row.balance) }]));
+
+    const balances = {};
+    for (const accountId of accountIds) {
+        const account = accounts.get(accountId);
+        const change = entries.filter(entry => entry.account === accountId).reduce((sum, entry) => sum + entry.amount, 0);
+        const balance = account.balance + change;
+
+        if (account.type !== 'system' && balance < 0) {
+            throw new InsufficientFundsError(accountId, account.balance, -change);
+        }
+        balances[accountId] = balance;
+    }
+
+    const transactionId = uuidv4();
+    await connection.query(
+        `INSERT INTO ledger_transactions (id, type, description, reference_id, created_by, metadata)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [transactionId, type, description, referenceId, createdBy, metadata ? JSON.stringify(metadata) : null]
+    );
+
+    const running = new Map(accountIds.map(accountId => [accountId, accounts.get(accountId).balance]));
+    for (const entry of entries) {
+        running.set(entry.account, running.get(entry.account) + entry.amount);
+        await connection.query(
+            'INSERT INTO ledger_entries (transaction_id, account_id, amount, balance_after) VALUES (?, ?, ?, ?)',
+            [transactionId, entry.account, entry.amount, running.get(entry.account)]
+        );
+    }
+
+    for (const accountId of accountIds) {
+        const account = accounts.get(accountId);
+        await connection.query('UPDATE ledger_accounts SET balance = ? WHERE id = ?', [balances[accountId], accountId]);
+
+        // users.skaff volgt het wallet saldo
+        if (account.type === 'wallet') {
+            await connection.query('UPDATE users SET skaff = ? WHERE id = ?', [balances[accountId], account.owner_id]);
+        }
+    }
+
+    return { transactionId, balances };
+}
+
+/**
+ * Verplaats SKAFF van het ene account naar het andere
+ * @param {Object} connection - Connectie met een actieve transactie
+ * @param {Object} transfer - { from, to, amount, type, description, referenceId, createdBy, metadata }
+ *                            amount moet positief zijn; een negatief bedrag zou de richting omdraaien
+ * @returns {Promise<{transactionId: string, balances: Object}>}
+ */
+async function transfer(connection, { from, to, amount, ...details }) {
+    if (from === to) {
+        throw new Error('Van en naar account zijn hetzelfde');
+    }
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+        throw new Error(`Ongeldig bedrag voor een transfer: ${amount}`);
+    }
+    return post(connection, {
+        ...details,
+        entries: [
+            { account: from, amount: -amount },
+            { account: to, amount }
+        ]
+    });
+}
+
+/**
+ * Voer werk uit in een eigen database transactie (voor callers zonder eigen connectie)
+ * @param {Function} work - async (connection) => result
+ */
+async function withTransaction(work) {
+    const connection = await db.getConnection();
+    if (!connection) {
+        throw new Error('Geen database connectie beschikbaar');
+    }
+
+    try {
+        await connection.beginTransaction();
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Saldo van een account binnen een transactie, gelockt tot commit/rollback
+ * Voor boekingen waarvan het bedrag van het huidige saldo afhangt
+ */
+async function lockBalance(connection, accountId) {
+    await ensureAccount(connection, accountId);
+    const [[account]] = await connection.query('SELECT balance FROM ledger_accounts WHERE id = ? FOR UPDATE', [accountId]);
+    return Number(account.balance);
+}
+
+/**
+ * Saldo van een account volgens het ledger (0 als het account nog niet bestaat)
+ */
+async function getBalance(accountId) {
+    const [account] = await db.query('SELECT balance FROM ledger_accounts WHERE id = ?', [accountId]);
+    return account ? Number(account.balance) : 0;
+}
+
+/**
+ * Zoek afwijkingen tussen ledger en caches
+ * - account saldo wijkt af van de som van zijn entries
+ * - ledger transactie die niet op 0 uitkomt
+ * - users.skaff wijkt af van het wallet saldo (of een gebruiker met SKAFF zonder wallet)
+ * - som van alle accounts is niet 0
+ * @returns {Promise<Object>} - { checkedAccounts, checkedUsers, issues: [{ kind, id, expected, actual }] }
+ */
+async function reconcile() {
+    const issues = [];
+
+    const accounts = await db.query(
+        `SELECT a.id, a.type, a.owner_id, a.balance, COALESCE(SUM(e.amount), 0) AS entry_total
+         FROM ledger_accounts a
+         LEFT JOIN ledger_entries e ON e.account_id = a.id
+         GROUP BY a.id, a.type, a.owner_id, a.balance`
+    );
+    let total = 0;
+    for (const account of accounts) {
+        total += Number(account.balance);
+        if (Number(account.balance) !== Number(account.entry_total)) {
+            issues.push({ kind: 'account_balance', id: account.id, expected: Number(account.entry_total), actual: Number(account.balance) });
+        }
+    }
+    if (total !== 0) {
+        issues.push({ kind: 'ledger_total', id: '*', expected: 0, actual: total });
+    }
+
+    const unbalanced = await db.query(
+        'SELECT transaction_id, SUM(amount) AS total FROM ledger_entries GROUP BY transaction_id HAVING SUM(amount) <> 0'
+    );
+    for (const transaction of unbalanced) {
+        issues.push({ kind: 'unbalanced_transaction', id: transaction.transaction_id, expected: 0, actual: Number(transaction.total) });
+    }
+
+    const users = await db.query(
+        `SELECT u.id, u.username, u.skaff, a.balance
+         FROM users u
+         LEFT JOIN ledger_accounts a ON a.id = CONCAT('wallet:', u.id)`
+    );
+    for (const user of users) {
+        const cached = Number(user.skaff) || 0;
+        if (user.balance === null || user.balance === undefined) {
+            // Nog nooit via het ledger gegaan; alleen een probleem als er toch SKAFF staat
+            if (cached !== 0) {
+                issues.push({ kind: 'missing_wallet', id: user.id, username: user.username, expected: null, actual: cached });
+            }
+        } else if (cached !== Number(user.balance)) {
+            issues.push({ kind: 'user_cache', id: user.id, username: user.username, expected: Number(user.balance), actual: cached });
+        }
+    }
+
+    return { checkedAccounts: accounts.length, checkedUsers: users.length, issues };
+}
+
+/**
+ * Herstel users.skaff vanuit het ledger en open ontbrekende wallets
+ * @returns {Promise<number>} - Aantal bijgewerkte gebruikers
+ */
+async function repairUserCache() {
+    const result = await db.query(
+        `UPDATE users u JOIN ledger_accounts a ON a.id = CONCAT('wallet:', u.id)
+         SET u.skaff = a.balance
+         WHERE u.skaff <> a.balance`
+    );
+
+    // Gebruikers zonder wallet krijgen er een met hun huidige saldo als openingsbalans
+    const missing = await db.query(
+        `SELECT u.id FROM users u
+         LEFT JOIN ledger_accounts a ON a.id = CONCAT('wallet:', u.id)
+         WHERE a.id IS NULL AND u.skaff <> 0`
+    );
+    for (const user of missing) {
+        await withTransaction(connection => ensureAccount(connection, walletAccount(user.id)));
+    }
+
+    return (result.affectedRows || 0) + missing.length;
+}
+
+module.exports = {
+    SYSTEM_ACCOUNTS,
+    InsufficientFundsError,
+    walletAccount,
+    post,
+    transfer,
+    withTransaction,
+    lockBalance,
+    getBalance,
+    reconcile,
+    repairUserCache
+};
@@ -0,0 +1,132 @@
+/**
+ * Permission systeem (RBAC)
+ * Rollen komen uit users.role, de koppeling rol -> permissies staat in de database
+ */
+
+const db = require('./db');
+
+// Alle bekende permissies
+const PERMISSIONS = {
+    'economy.reward': 'SKAFF toekennen aan spelers',
+    'economy.penalty': 'SKAFF afnemen van spelers',
+    'economy.view_all': 'Alle transacties in het systeem bekijken',
+    'player.delete': 'Spelers verwijderen',
+    'player.manage': 'Inventaris en gegevens van andere spelers inzien en wijzigen',
+    'faction.manage': 'Facties en factie relaties beheren',
+    'config.read': 'Server configuratie bekijken',
+    'config.write': 'Server configuratie wijzigen',
+    'gameserver.manage': 'Game servers aanmaken, starten, stoppen en verwijderen',
+    'matchmaking.priority': 'Voorrang in de matchmaking queue',
+    'items.manage': 'Item catalogus beheren (aanmaken, wijzigen, verwijderen, herladen)',
+    'spins.manage': 'Oven spin drop tables beheren en de spin log inzien',
+    'loot.manage': 'Mining loot tables beheren en simuleren'
+};
+
+const ROLES = ['player', 'moderator', 'admin'];
+
+// Standaard koppeling: vult een lege role_permissions tabel en wordt toegekend op het moment dat een permissie
+// voor het eerst in de permissions tabel komt, zodat nieuwe permissies ook op bestaande databases aankomen.
+const DEFAULT_ROLE_PERMISSIONS = {
+    player: [],
+    moderator: ['economy.reward', 'economy.penalty'],
+    admin: Object.keys(PERMISSIONS)
+};
+
+const CACHE_TTL_MS = 60000;
+const cache = new Map(); // role -> { permissions: Set, loadedAt }
+
+/**
+ * Vul de permissions tabellen met de standaard waarden (idempotent)
+ * @param {Function} query - db.query functie (doorgegeven vanuit de migraties)
+ */
+async function seedDefaults(query = db.query) {
+    const added = new Set();
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+        const result = await query('INSERT IGNORE INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+        if (result && result.affectedRows === 1) added.add(name);
+    }
+
+    const existing = await query('SELECT COUNT(*) as count FROM role_permissions');
+    const empty = existing[0] && existing[0].count === 0;
+
+    // Alleen bij een lege tabel of een nieuwe permissie, zodat ingetrokken permissies (ook van admin) ingetrokken blijven
+    for (const [role, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+        for (const permission of permissions) {
+            if (empty || added.has(permission)) {
+                await query('INSERT IGNORE INTO role_permissions (role, permission) VALUES (?, ?)', [role, permission]);
+            }
+        }
+    }
+    if (empty) {
+        console.log('Standaard rol permissies aangemaakt');
+    }
+}
+
+/**
+ * Haal de permissies van een rol op (met korte cache)
+ * @param {string} role - Rol naam
+ * @returns {Promise<Set<string>>} - Set met permissie namen
+ */
+async function getRolePermissions(role) {
+    if (!role) return new Set();
+
+    const cached = cache.get(role);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.permissions;
+    }
+
+    const rows = await db.query('SELECT permission FROM role_permissions WHERE role = ?', [role]);
+    const permissions = new Set(rows.map(row => row.permission));
+    cache.set(role, { permissions, loadedAt: Date.now() });
+    return permissions;
+}
+
+/**
+ * Controleer of een rol een permissie heeft
+ * @param {string} role - Rol naam
+ * @param {string} permission - Permissie naam
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(role, permission) {
+    const permissions = await getRolePermissions(role);
+    return permissions.has(permission);
+}
+
+/**
+ * Ken een permissie toe aan een rol
+ */
+async function grantPermission(role, permission) {
+    if (!ROLES.includes(role)) throw new Error(`Onbekende rol: ${role}`);
+    if (!PERMISSIONS[permission]) throw new Error(`Onbekende permissie: ${permission}`);
+    await db.query('INSERT IGNORE INTO role_permissions (role, permission) VALUES (?, ?)', [role, permission]);
+    invalidateCache(role);
+}
+
+/**
+ * Trek een permissie in voor een rol
+ */
+async function revokePermission(role, permission) {
+    if (!ROLES.includes(role)) throw new Error(`Onbekende rol: ${role}`);
+    await db.query('DELETE FROM role_permissions WHERE role = ? AND permission = ?', [role, permission]);
+    invalidateCache(role);
+}
+
+/**
+ * Leeg de permissie cache (voor een rol of helemaal)
+ */
+function invalidateCache(role) {
+    if (role) cache.delete(role);
+    else cache.clear();
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    DEFAULT_ROLE_PERMISSIONS,
+    seedDefaults,
+    getRolePermissions,
+    hasPermission,
+    grantPermission,
+    revokePermission,
+    invalidateCache
+};
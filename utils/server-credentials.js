@@ -0,0 +1,175 @@
+/**
+ * Game server credentials
+ * Elke game server krijgt een eigen secret waarmee hij requests naar de master server ondertekent (HMAC-SHA256).
+ * Het secret moet aan beide kanten leesbaar zijn, daarom staat het niet gehasht in de database.
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+
+// Maximaal verschil tussen de timestamp van de game server en de master server
+const MAX_CLOCK_SKEW_MS = parseInt(process.env.SERVER_SIGNATURE_MAX_SKEW_MS) || 5 * 60 * 1000;
+// Hoe lang het vorige secret na een rotatie nog geaccepteerd wordt
+const ROTATION_GRACE_MS = parseInt(process.env.SERVER_SECRET_GRACE_MS) || 10 * 60 * 1000;
+
+// Gebruikte nonces binnen het skew venster (replay bescherming)
+const usedNonces = new Map(); // `${serverId}:${nonce}` -> expiresAt
+const NONCE_PRUNE_INTERVAL_MS = 60000;
+
+const HEADERS = {
+    serverId: 'x-server-id',
+    timestamp: 'x-server-timestamp',
+    nonce: 'x-server-nonce',
+    signature: 'x-server-signature'
+};
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Bouw de string die ondertekend wordt
+ * Formaat: timestamp (ms) \n nonce \n METHOD \n path (incl. query) \n sha256(raw body)
+ */
+function buildCanonicalString({ timestamp, nonce, method, path, body }) {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    return [timestamp, nonce, String(method).toUpperCase(), path, bodyHash].join('\n');
+}
+
+/**
+ * Onderteken een request (zelfde algoritme als de game server gebruikt)
+ * @param {Object} params - { secret, timestamp, nonce, method, path, body }
+ * @returns {string} - HMAC-SHA256 signature (hex)
+ */
+function signRequest({ secret, ...request }) {
+    return crypto.createHmac('sha256', secret).update(buildCanonicalString(request)).digest('hex');
+}
+
+/**
+ * Maak een nieuw secret aan voor een server; een bestaand secret blijft nog even geldig als previous_secret
+ * @param {string} serverId - SKAFFA_SERVER_ID van de game server
+ * @param {Object} options - { pterodactylId }
+ * @returns {Promise<string>} - Het nieuwe secret
+ */
+async function issueSecret(serverId, { pterodactylId = null } = {}) {
+    const secret = generateSecret();
+    const [existing] = await db.query('SELECT secret FROM server_credentials WHERE server_id = ?', [serverId]);
+
+    if (existing) {
+        await db.query(
+            `UPDATE server_credentials
+             SET previous_secret = secret, previous_valid_until = ?, secret = ?, rotated_at = NOW(),
+                 pterodactyl_id = COALESCE(?, pterodactyl_id)
+             WHERE server_id = ?`,
+            [new Date(Date.now() + ROTATION_GRACE_MS), secret, pterodactylId, serverId]
+        );
+    } else {
+        await db.query(
+            'INSERT INTO server_credentials (server_id, pterodactyl_id, secret) VALUES (?, ?, ?)',
+            [serverId, pterodactylId, secret]
+        );
+    }
+
+    return secret;
+}
+
+/**
+ * Koppel de Pterodactyl server ID aan de credentials (na succesvolle creatie)
+ */
+async function linkPterodactylServer(serverId, pterodactylId) {
+    await db.query('UPDATE server_credentials SET pterodactyl_id = ? WHERE server_id = ?', [pterodactylId, serverId]);
+}
+
+/**
+ * Verwijder de credentials van een server (bijv. na mislukte creatie of verwijdering)
+ */
+async function revokeSecret(serverId) {
+    await db.query('DELETE FROM server_credentials WHERE server_id = ?', [serverId]);
+}
+
+/**
+ * Haal de credentials row van een server op
+ * @returns {Promise<Object|null>}
+ */
+async function getCredentials(serverId) {
+    const [row] = await db.query('SELECT * FROM server_credentials WHERE server_id = ?', [serverId]);
+    return row || null;
+}
+
+/**
+ * Registreer een nonce; false als hij binnen het venster al gebruikt is
+ */
+function consumeNonce(serverId, nonce) {
+    const now = Date.now();
+    const key = `${serverId}:${nonce}`;
+    if (usedNonces.get(key) > now) return false;
+    usedNonces.set(key, now + MAX_CLOCK_SKEW_MS * 2);
+    return true;
+}
+
+// Verlopen nonces periodiek opruimen in plaats van bij elk request de hele map door te lopen
+const noncePruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, expiresAt] of usedNonces) {
+        if (expiresAt <= now) usedNonces.delete(key);
+    }
+}, NONCE_PRUNE_INTERVAL_MS);
+if (noncePruneTimer.unref) noncePruneTimer.unref();
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a), 'hex');
+    const bufB = Buffer.from(String(b), 'hex');
+    return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verifieer een ondertekend request
+ * @param {Object} request - { serverId, timestamp, nonce, signature, method, path, body }
+ * @returns {Promise<{valid: boolean, reason?: string}>}
+ */
+async function verifySignedRequest({ serverId, timestamp, nonce, signature, method, path, body }) {
+    if (!serverId || !timestamp || !nonce || !signature) {
+        return { valid: false, reason: 'Ontbrekende signature headers' };
+    }
+
+    const ts = parseInt(timestamp);
+    if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > MAX_CLOCK_SKEW_MS) {
+        return { valid: false, reason: 'Timestamp buiten toegestaan venster' };
+    }
+
+    const credentials = await getCredentials(serverId);
+    if (!credentials) {
+        return { valid: false, reason: 'Onbekende server' };
+    }
+
+    const secrets = [credentials.secret];
+    if (credentials.previous_secret && credentials.previous_valid_until && new Date(credentials.previous_valid_until) > new Date()) {
+        secrets.push(credentials.previous_secret);
+    }
+
+    const matches = secrets.some(secret =>
+        safeEqual(signRequest({ secret, timestamp, nonce, method, path, body }), signature)
+    );
+    if (!matches) {
+        return { valid: false, reason: 'Ongeldige signature' };
+    }
+
+    // Nonce pas na een geldige signature vastleggen, anders kan iemand nonces "opbranden"
+    if (!consumeNonce(serverId, nonce)) {
+        return { valid: false, reason: 'Request al verwerkt (replay)' };
+    }
+
+    return { valid: true };
+}
+
+module.exports = {
+    HEADERS,
+    MAX_CLOCK_SKEW_MS,
+    ROTATION_GRACE_MS,
+    signRequest,
+    issueSecret,
+    linkPterodactylServer,
+    revokeSecret,
+    getCredentials,
+    verifySignedRequest
+};